@@ -0,0 +1,38 @@
+-- Minimal stand-in for the Supabase auth schema, for running
+-- supabase-schema.sql against a plain Postgres (DATA_DRIVER=postgres).
+-- Apply this file first, then supabase-schema.sql:
+--   psql "$DATABASE_URL" -f database/postgres-auth-shim.sql -f database/supabase-schema.sql
+-- Tokens are still verified by Supabase Auth; accounts must exist in auth.users
+-- with the same IDs before their rows can reference them.
+
+CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+
+CREATE SCHEMA IF NOT EXISTS auth;
+
+-- Client roles of Supabase, so the schema's REVOKEs apply here too
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+        CREATE ROLE anon NOLOGIN;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'authenticated') THEN
+        CREATE ROLE authenticated NOLOGIN;
+    END IF;
+END
+$$;
+
+CREATE TABLE IF NOT EXISTS auth.users (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    email TEXT UNIQUE,
+    raw_user_meta_data JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- RLS policies call these; the server connects as the table owner and bypasses RLS
+CREATE OR REPLACE FUNCTION auth.uid() RETURNS UUID AS $$
+    SELECT NULLIF(current_setting('request.jwt.claim.sub', true), '')::UUID;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION auth.role() RETURNS TEXT AS $$
+    SELECT COALESCE(NULLIF(current_setting('request.jwt.claim.role', true), ''), 'anon');
+$$ LANGUAGE sql STABLE;
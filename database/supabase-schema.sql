@@ -17,41 +17,123 @@ CREATE TABLE public.videos (
     title VARCHAR(255) NOT NULL,
     description TEXT,
     gcs_url TEXT NOT NULL, -- Google Cloud Storage URL
+    stream_url TEXT, -- HLS master playlist, set once transcoded
+    mp4_url TEXT, -- H.264/AAC MP4 fallback rendition
     thumbnail_url TEXT,
     duration INTEGER, -- in seconds
     file_size BIGINT, -- in bytes
     mime_type VARCHAR(100),
     tags TEXT[],
     metadata JSONB DEFAULT '{}',
+    content_hash CHAR(64), -- SHA-256 of the original upload, hex
+    duplicate_of UUID REFERENCES public.videos(id) ON DELETE SET NULL, -- Set on records that reuse another video's object
     uploaded_by UUID REFERENCES auth.users(id),
+    upload_session_id UUID, -- References upload_sessions, added below
+    processing_status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'processing', 'ready', 'failed'
+    processing_error TEXT,
+    processed_at TIMESTAMP WITH TIME ZONE,
+    visibility VARCHAR(20) DEFAULT 'public', -- 'public', 'unlisted' (link only), 'private' (uploader only)
     is_active BOOLEAN DEFAULT true,
+    deleted_at TIMESTAMP WITH TIME ZONE, -- Set while the video is in the trash (is_active = false)
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Anonymous (guest) sessions, issued by the server and stored client-side
+CREATE TABLE public.anonymous_sessions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_agent TEXT,
+    merged_into UUID REFERENCES auth.users(id), -- Set once the guest signs up
+    merged_at TIMESTAMP WITH TIME ZONE,
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- User interactions table
 CREATE TABLE public.user_interactions (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
-    user_id UUID REFERENCES auth.users(id) NOT NULL,
+    user_id UUID REFERENCES auth.users(id),
+    anonymous_id UUID REFERENCES public.anonymous_sessions(id),
     video_id UUID REFERENCES public.videos(id) NOT NULL,
     interaction_type VARCHAR(20) NOT NULL, -- 'like', 'dislike', 'emoji', 'view'
     interaction_data JSONB DEFAULT '{}', -- For emoji data, view duration, etc.
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     
+    -- Every interaction belongs to an account or a guest session
+    CHECK (user_id IS NOT NULL OR anonymous_id IS NOT NULL),
+
     -- Ensure one interaction per user per video per type
-    UNIQUE(user_id, video_id, interaction_type)
+    UNIQUE(user_id, video_id, interaction_type),
+    UNIQUE(anonymous_id, video_id, interaction_type)
 );
 
 -- Feedback table
 CREATE TABLE public.feedback (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
-    user_id UUID REFERENCES auth.users(id) NOT NULL,
+    user_id UUID REFERENCES auth.users(id),
+    anonymous_id UUID REFERENCES public.anonymous_sessions(id),
     video_id UUID REFERENCES public.videos(id),
+    what_did_you_see TEXT,
+    why_did_you_react TEXT,
     rating INTEGER CHECK (rating >= 1 AND rating <= 5),
     categories JSONB DEFAULT '{}', -- content_quality, engagement, etc.
     would_recommend BOOLEAN,
     comments TEXT,
     improvement_suggestions TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CHECK (user_id IS NOT NULL OR anonymous_id IS NOT NULL)
+);
+
+-- Video view sessions: heartbeats are folded into one row per viewer per video
+CREATE TABLE public.video_views (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id),
+    anonymous_id UUID REFERENCES public.anonymous_sessions(id),
+    video_id UUID REFERENCES public.videos(id) NOT NULL,
+    total_watch_seconds NUMERIC(10, 2) DEFAULT 0,
+    muted_watch_seconds NUMERIC(10, 2) DEFAULT 0,
+    max_position_seconds NUMERIC(10, 2) DEFAULT 0,
+    video_duration_seconds NUMERIC(10, 2),
+    completion_percent NUMERIC(5, 2) DEFAULT 0,
+    playback_count INTEGER DEFAULT 0, -- Separate playbacks (player mounts) of the video
+    loop_count INTEGER DEFAULT 0, -- Times the video looped within a playback
+    rewatch_count INTEGER GENERATED ALWAYS AS (GREATEST(playback_count - 1, 0) + loop_count) STORED,
+    heartbeat_count INTEGER DEFAULT 0,
+    bytes_delivered BIGINT DEFAULT 0, -- Media bytes streamed to the viewer through GET /api/videos/:id/stream
+    last_playback_id TEXT,
+    last_loop_count INTEGER DEFAULT 0,
+    first_viewed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_heartbeat_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE, -- When completion_percent first reached 90; never changes afterwards
+
+    CHECK (user_id IS NOT NULL OR anonymous_id IS NOT NULL),
+    UNIQUE(user_id, video_id),
+    UNIQUE(anonymous_id, video_id)
+);
+
+-- Per-video engagement totals, rolled up periodically by the analytics.rollup job
+CREATE TABLE public.video_stats (
+    video_id UUID REFERENCES public.videos(id) ON DELETE CASCADE PRIMARY KEY,
+    views INTEGER DEFAULT 0,
+    unique_viewers INTEGER DEFAULT 0,
+    likes INTEGER DEFAULT 0,
+    dislikes INTEGER DEFAULT 0,
+    emoji_reactions INTEGER DEFAULT 0,
+    feedback_count INTEGER DEFAULT 0,
+    total_watch_seconds NUMERIC(12, 2) DEFAULT 0,
+    average_completion_percent NUMERIC(5, 2) DEFAULT 0,
+    completion_rate NUMERIC(4, 3) DEFAULT 0,
+    bytes_delivered BIGINT DEFAULT 0,
+    rolled_up_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Metadata edits made through PUT /api/upload/video/:videoId
+CREATE TABLE public.video_edits (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    video_id UUID REFERENCES public.videos(id) ON DELETE CASCADE NOT NULL,
+    edited_by UUID REFERENCES auth.users(id),
+    changes JSONB NOT NULL, -- { field: { before, after } } for every changed field
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -63,18 +145,61 @@ CREATE TABLE public.upload_sessions (
     total_files INTEGER DEFAULT 0,
     uploaded_files INTEGER DEFAULT 0,
     failed_files INTEGER DEFAULT 0,
-    status VARCHAR(20) DEFAULT 'in_progress', -- 'in_progress', 'completed', 'failed'
+    status VARCHAR(20) DEFAULT 'in_progress', -- 'in_progress', 'completed', 'completed_with_errors', 'failed'
+    progress JSONB DEFAULT '{}', -- Latest progress event per upload_files ID, see record_upload_progress
+    event_seq INTEGER DEFAULT 0, -- Number of progress events; used as the SSE event ID
+    last_event_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     completed_at TIMESTAMP WITH TIME ZONE
 );
 
+-- Videos remember the session that uploaded them so its processing state can be reported
+ALTER TABLE public.videos
+    ADD CONSTRAINT videos_upload_session_id_fkey
+    FOREIGN KEY (upload_session_id) REFERENCES public.upload_sessions(id) ON DELETE SET NULL;
+
+-- Files of an upload session; resumable (tus) uploads track partial progress here
+CREATE TABLE public.upload_files (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY, -- tus upload ID
+    session_id UUID REFERENCES public.upload_sessions(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES auth.users(id) NOT NULL,
+    file_name TEXT NOT NULL,
+    mime_type VARCHAR(100),
+    upload_length BIGINT NOT NULL, -- Declared size in bytes
+    upload_offset BIGINT DEFAULT 0, -- Bytes received so far
+    temp_path TEXT, -- Received file on the API server, cleared once stored
+    source_path TEXT, -- Absolute path of a directory import, used to skip files already imported
+    metadata JSONB DEFAULT '{}', -- Upload-Metadata or import manifest entry: title, description, tags, visibility, custom
+    status VARCHAR(20) DEFAULT 'uploading', -- 'uploading', 'queued', 'finalizing', 'completed', 'failed', 'terminated'
+    video_id UUID REFERENCES public.videos(id),
+    error TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Indexes for performance
 CREATE INDEX idx_videos_active ON public.videos(is_active);
 CREATE INDEX idx_videos_created_at ON public.videos(created_at DESC);
+-- Keyset pagination of the public feed
+CREATE INDEX idx_videos_feed ON public.videos(created_at DESC, id DESC) WHERE is_active = true AND visibility = 'public';
+-- One active video per upload content; records created on purpose for a duplicate point at it via duplicate_of
+CREATE UNIQUE INDEX idx_videos_content_hash ON public.videos(content_hash)
+    WHERE content_hash IS NOT NULL AND duplicate_of IS NULL AND is_active = true;
+CREATE INDEX idx_videos_deleted_at ON public.videos(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX idx_videos_upload_session ON public.videos(upload_session_id) WHERE upload_session_id IS NOT NULL;
 CREATE INDEX idx_user_interactions_user_video ON public.user_interactions(user_id, video_id);
 CREATE INDEX idx_user_interactions_type ON public.user_interactions(interaction_type);
+CREATE INDEX idx_user_interactions_anonymous ON public.user_interactions(anonymous_id) WHERE anonymous_id IS NOT NULL;
+CREATE INDEX idx_video_views_video_id ON public.video_views(video_id);
+CREATE INDEX idx_feedback_anonymous_id ON public.feedback(anonymous_id) WHERE anonymous_id IS NOT NULL;
 CREATE INDEX idx_feedback_user_id ON public.feedback(user_id);
 CREATE INDEX idx_feedback_video_id ON public.feedback(video_id);
+CREATE INDEX idx_feedback_user_created ON public.feedback(user_id, created_at DESC);
+CREATE INDEX idx_upload_files_session ON public.upload_files(session_id);
+CREATE INDEX idx_upload_files_source ON public.upload_files(user_id, source_path) WHERE source_path IS NOT NULL;
+CREATE INDEX idx_upload_files_expires ON public.upload_files(expires_at) WHERE status = 'uploading';
+CREATE INDEX idx_video_edits_video ON public.video_edits(video_id, created_at DESC);
 
 -- Row Level Security (RLS) policies
 ALTER TABLE public.user_profiles ENABLE ROW LEVEL SECURITY;
@@ -82,6 +207,11 @@ ALTER TABLE public.videos ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.user_interactions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.feedback ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.upload_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.anonymous_sessions ENABLE ROW LEVEL SECURITY; -- Server (service role) access only
+ALTER TABLE public.video_views ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.upload_files ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.video_stats ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.video_edits ENABLE ROW LEVEL SECURITY; -- Server (service role) access only
 
 -- User profiles policies
 CREATE POLICY "Users can view all profiles" ON public.user_profiles
@@ -92,7 +222,7 @@ CREATE POLICY "Users can update own profile" ON public.user_profiles
 
 -- Videos policies
 CREATE POLICY "Anyone can view active videos" ON public.videos
-    FOR SELECT USING (is_active = true);
+    FOR SELECT USING (is_active = true AND (visibility <> 'private' OR auth.uid() = uploaded_by));
 
 CREATE POLICY "Authenticated users can upload videos" ON public.videos
     FOR INSERT WITH CHECK (auth.role() = 'authenticated');
@@ -117,6 +247,14 @@ CREATE POLICY "Users can view own feedback" ON public.feedback
 CREATE POLICY "Users can insert own feedback" ON public.feedback
     FOR INSERT WITH CHECK (auth.uid() = user_id);
 
+-- Video views policies
+CREATE POLICY "Users can view own video views" ON public.video_views
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- Video stats policies
+CREATE POLICY "Anyone can view video stats" ON public.video_stats
+    FOR SELECT USING (true);
+
 -- Upload sessions policies
 CREATE POLICY "Users can view own upload sessions" ON public.upload_sessions
     FOR SELECT USING (auth.uid() = user_id);
@@ -124,6 +262,9 @@ CREATE POLICY "Users can view own upload sessions" ON public.upload_sessions
 CREATE POLICY "Users can manage own upload sessions" ON public.upload_sessions
     FOR ALL USING (auth.uid() = user_id);
 
+CREATE POLICY "Users can view own upload files" ON public.upload_files
+    FOR SELECT USING (auth.uid() = user_id);
+
 -- Functions for automatic timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -140,12 +281,20 @@ CREATE TRIGGER update_user_profiles_updated_at BEFORE UPDATE ON public.user_prof
 CREATE TRIGGER update_videos_updated_at BEFORE UPDATE ON public.videos
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_upload_files_updated_at BEFORE UPDATE ON public.upload_files
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Function to create user profile on signup
 CREATE OR REPLACE FUNCTION public.handle_new_user()
 RETURNS TRIGGER AS $$
 BEGIN
-    INSERT INTO public.user_profiles (id, full_name, avatar_url)
-    VALUES (NEW.id, NEW.raw_user_meta_data->>'full_name', NEW.raw_user_meta_data->>'avatar_url');
+    INSERT INTO public.user_profiles (id, username, full_name, avatar_url)
+    VALUES (
+        NEW.id,
+        LOWER(NEW.raw_user_meta_data->>'username'),
+        NEW.raw_user_meta_data->>'full_name',
+        NEW.raw_user_meta_data->>'avatar_url'
+    );
     RETURN NEW;
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -153,4 +302,332 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
 -- Trigger for new user signup
 CREATE TRIGGER on_auth_user_created
     AFTER INSERT ON auth.users
-    FOR EACH ROW EXECUTE FUNCTION public.handle_new_user(); 
\ No newline at end of file
+    FOR EACH ROW EXECUTE FUNCTION public.handle_new_user();
+
+-- Move a guest's interactions and feedback onto the account they signed up with
+CREATE OR REPLACE FUNCTION public.merge_anonymous_session(p_anonymous_id UUID, p_user_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    moved_interactions INTEGER;
+    moved_feedback INTEGER;
+    moved_views INTEGER;
+BEGIN
+    -- Lock the session so two concurrent merges cannot both claim it
+    PERFORM 1 FROM public.anonymous_sessions
+        WHERE id = p_anonymous_id AND merged_into IS NULL
+        FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Anonymous session % not found or already merged', p_anonymous_id;
+    END IF;
+
+    -- The account's own reaction wins when both reacted to the same video
+    DELETE FROM public.user_interactions guest
+        USING public.user_interactions account
+        WHERE guest.anonymous_id = p_anonymous_id
+          AND account.user_id = p_user_id
+          AND account.video_id = guest.video_id
+          AND account.interaction_type = guest.interaction_type;
+
+    UPDATE public.user_interactions
+        SET user_id = p_user_id, anonymous_id = NULL
+        WHERE anonymous_id = p_anonymous_id;
+    GET DIAGNOSTICS moved_interactions = ROW_COUNT;
+
+    UPDATE public.feedback
+        SET user_id = p_user_id, anonymous_id = NULL
+        WHERE anonymous_id = p_anonymous_id;
+    GET DIAGNOSTICS moved_feedback = ROW_COUNT;
+
+    -- Fold guest views into the account's view of the same video
+    UPDATE public.video_views account
+        SET total_watch_seconds = account.total_watch_seconds + guest.total_watch_seconds,
+            muted_watch_seconds = account.muted_watch_seconds + guest.muted_watch_seconds,
+            max_position_seconds = GREATEST(account.max_position_seconds, guest.max_position_seconds),
+            completion_percent = GREATEST(account.completion_percent, guest.completion_percent),
+            playback_count = account.playback_count + guest.playback_count,
+            loop_count = account.loop_count + guest.loop_count,
+            heartbeat_count = account.heartbeat_count + guest.heartbeat_count,
+            bytes_delivered = account.bytes_delivered + guest.bytes_delivered,
+            first_viewed_at = LEAST(account.first_viewed_at, guest.first_viewed_at),
+            last_heartbeat_at = GREATEST(account.last_heartbeat_at, guest.last_heartbeat_at),
+            completed_at = LEAST(account.completed_at, guest.completed_at)
+        FROM public.video_views guest
+        WHERE guest.anonymous_id = p_anonymous_id
+          AND account.user_id = p_user_id
+          AND account.video_id = guest.video_id;
+
+    DELETE FROM public.video_views guest
+        USING public.video_views account
+        WHERE guest.anonymous_id = p_anonymous_id
+          AND account.user_id = p_user_id
+          AND account.video_id = guest.video_id;
+
+    UPDATE public.video_views
+        SET user_id = p_user_id, anonymous_id = NULL
+        WHERE anonymous_id = p_anonymous_id;
+    GET DIAGNOSTICS moved_views = ROW_COUNT;
+
+    UPDATE public.anonymous_sessions
+        SET merged_into = p_user_id, merged_at = NOW()
+        WHERE id = p_anonymous_id;
+
+    RETURN jsonb_build_object(
+        'interactions', moved_interactions,
+        'feedback', moved_feedback,
+        'views', moved_views
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+-- Server (service role) only: clients must not merge guest histories through RPC
+REVOKE EXECUTE ON FUNCTION public.merge_anonymous_session(UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Fold one player heartbeat into the viewer's view session for a video
+CREATE OR REPLACE FUNCTION public.record_view_heartbeat(
+    p_user_id UUID,
+    p_anonymous_id UUID,
+    p_video_id UUID,
+    p_playback_id TEXT,
+    p_position NUMERIC,
+    p_watched_seconds NUMERIC,
+    p_duration NUMERIC,
+    p_muted BOOLEAN,
+    p_loop_count INTEGER
+)
+RETURNS public.video_views AS $$
+DECLARE
+    v public.video_views;
+    new_playback BOOLEAN;
+    view_duration NUMERIC;
+    max_position NUMERIC;
+    loops INTEGER;
+    completion NUMERIC;
+BEGIN
+    INSERT INTO public.video_views (user_id, anonymous_id, video_id)
+        VALUES (p_user_id, CASE WHEN p_user_id IS NULL THEN p_anonymous_id END, p_video_id)
+        ON CONFLICT DO NOTHING;
+
+    SELECT * INTO v FROM public.video_views
+        WHERE video_id = p_video_id
+          AND ((p_user_id IS NOT NULL AND user_id = p_user_id)
+               OR (p_user_id IS NULL AND anonymous_id = p_anonymous_id))
+        FOR UPDATE;
+
+    new_playback := v.last_playback_id IS DISTINCT FROM p_playback_id;
+    view_duration := COALESCE(NULLIF(p_duration, 0), v.video_duration_seconds);
+    max_position := GREATEST(v.max_position_seconds, p_position);
+    loops := v.loop_count + CASE
+        WHEN new_playback THEN p_loop_count
+        ELSE GREATEST(p_loop_count - v.last_loop_count, 0)
+    END;
+    completion := CASE
+        WHEN loops > 0 THEN 100
+        WHEN view_duration IS NULL THEN v.completion_percent
+        ELSE LEAST(100, ROUND(max_position / view_duration * 100, 2))
+    END;
+
+    UPDATE public.video_views SET
+        total_watch_seconds = v.total_watch_seconds + p_watched_seconds,
+        muted_watch_seconds = v.muted_watch_seconds + CASE WHEN p_muted THEN p_watched_seconds ELSE 0 END,
+        max_position_seconds = max_position,
+        video_duration_seconds = view_duration,
+        completion_percent = completion,
+        completed_at = COALESCE(v.completed_at, CASE WHEN completion >= 90 THEN NOW() END),
+        playback_count = v.playback_count + CASE WHEN new_playback THEN 1 ELSE 0 END,
+        loop_count = loops,
+        last_playback_id = p_playback_id,
+        last_loop_count = p_loop_count,
+        heartbeat_count = v.heartbeat_count + 1,
+        last_heartbeat_at = NOW()
+    WHERE id = v.id
+    RETURNING * INTO v;
+
+    RETURN v;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+-- Server (service role) only: clients must not forge views through RPC
+REVOKE EXECUTE ON FUNCTION public.record_view_heartbeat(UUID, UUID, UUID, TEXT, NUMERIC, NUMERIC, NUMERIC, BOOLEAN, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Add streamed bytes to the viewer's view session for a video
+CREATE OR REPLACE FUNCTION public.record_bytes_delivered(
+    p_user_id UUID,
+    p_anonymous_id UUID,
+    p_video_id UUID,
+    p_bytes BIGINT
+)
+RETURNS public.video_views AS $$
+DECLARE
+    v public.video_views;
+BEGIN
+    INSERT INTO public.video_views (user_id, anonymous_id, video_id)
+        VALUES (p_user_id, CASE WHEN p_user_id IS NULL THEN p_anonymous_id END, p_video_id)
+        ON CONFLICT DO NOTHING;
+
+    UPDATE public.video_views SET
+        bytes_delivered = bytes_delivered + p_bytes
+    WHERE video_id = p_video_id
+      AND ((p_user_id IS NOT NULL AND user_id = p_user_id)
+           OR (p_user_id IS NULL AND anonymous_id = p_anonymous_id))
+    RETURNING * INTO v;
+
+    RETURN v;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+REVOKE EXECUTE ON FUNCTION public.record_bytes_delivered(UUID, UUID, UUID, BIGINT) FROM PUBLIC, anon, authenticated;
+
+-- Permanently delete a video row. Its interactions and view sessions go with it; feedback is kept
+-- but detached from the video. Records that point at the video through duplicate_of are repointed at
+-- the active video holding the same content, or else the oldest of them takes over the content.
+-- Stored objects are removed by the caller.
+CREATE OR REPLACE FUNCTION public.purge_video(p_video_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    v public.videos;
+    successor UUID;
+    deleted_interactions INTEGER;
+    deleted_views INTEGER;
+    detached_feedback INTEGER;
+BEGIN
+    SELECT * INTO v FROM public.videos WHERE id = p_video_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Video % not found', p_video_id;
+    END IF;
+
+    -- Content uploaded again while this video was in the trash already has an active holder
+    SELECT id INTO successor FROM public.videos
+        WHERE content_hash = v.content_hash AND duplicate_of IS NULL AND is_active = true AND id <> p_video_id;
+
+    -- Otherwise active records go first, so the successor can take over the content hash
+    IF successor IS NULL THEN
+        SELECT id INTO successor FROM public.videos
+            WHERE duplicate_of = p_video_id
+            ORDER BY is_active DESC, created_at ASC
+            LIMIT 1;
+        UPDATE public.videos SET duplicate_of = NULL WHERE id = successor;
+    END IF;
+
+    UPDATE public.videos SET duplicate_of = successor
+        WHERE duplicate_of = p_video_id AND id <> successor;
+
+    DELETE FROM public.user_interactions WHERE video_id = p_video_id;
+    GET DIAGNOSTICS deleted_interactions = ROW_COUNT;
+
+    DELETE FROM public.video_views WHERE video_id = p_video_id;
+    GET DIAGNOSTICS deleted_views = ROW_COUNT;
+
+    UPDATE public.feedback SET video_id = NULL WHERE video_id = p_video_id;
+    GET DIAGNOSTICS detached_feedback = ROW_COUNT;
+
+    UPDATE public.upload_files SET video_id = NULL WHERE video_id = p_video_id;
+
+    DELETE FROM public.videos WHERE id = p_video_id;
+
+    RETURN jsonb_build_object(
+        'interactions', deleted_interactions,
+        'views', deleted_views,
+        'feedback', detached_feedback,
+        'successor', successor
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+-- Server (service role) only: clients must not purge videos through RPC
+REVOKE EXECUTE ON FUNCTION public.purge_video(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Merge a progress event into an upload session's per-file state.
+-- Runs as one UPDATE so concurrent jobs of the same session do not overwrite each other.
+CREATE OR REPLACE FUNCTION public.record_upload_progress(
+    p_session_id UUID,
+    p_file_id TEXT,
+    p_state JSONB
+)
+RETURNS public.upload_sessions AS $$
+DECLARE
+    s public.upload_sessions;
+BEGIN
+    UPDATE public.upload_sessions SET
+        progress = jsonb_set(
+            COALESCE(progress, '{}'::jsonb),
+            ARRAY[p_file_id],
+            COALESCE(progress -> p_file_id, '{}'::jsonb) || p_state
+        ),
+        event_seq = event_seq + 1,
+        last_event_at = NOW()
+    WHERE id = p_session_id
+    RETURNING * INTO s;
+
+    RETURN s;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+-- Server (service role) only: clients must not rewrite upload progress through RPC
+REVOKE EXECUTE ON FUNCTION public.record_upload_progress(UUID, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+
+-- Whether a viewer reacted to a video or watched it to completion in (p_since, p_until].
+-- Reaction and completion times never change, so the answer for a past window stays the same.
+CREATE OR REPLACE FUNCTION public.has_seen_video(
+    p_user_id UUID,
+    p_anonymous_id UUID,
+    p_video_id UUID,
+    p_since TIMESTAMP WITH TIME ZONE,
+    p_until TIMESTAMP WITH TIME ZONE
+)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.user_interactions
+        WHERE video_id = p_video_id
+          AND interaction_type <> 'view'
+          AND ((p_user_id IS NOT NULL AND user_id = p_user_id)
+               OR (p_user_id IS NULL AND anonymous_id = p_anonymous_id))
+          AND created_at > COALESCE(p_since, '-infinity') AND created_at <= p_until
+    ) OR EXISTS (
+        SELECT 1 FROM public.video_views
+        WHERE video_id = p_video_id
+          AND ((p_user_id IS NOT NULL AND user_id = p_user_id)
+               OR (p_user_id IS NULL AND anonymous_id = p_anonymous_id))
+          AND completed_at > COALESCE(p_since, '-infinity') AND completed_at <= p_until
+    );
+$$ LANGUAGE sql STABLE;
+REVOKE EXECUTE ON FUNCTION public.has_seen_video(UUID, UUID, UUID, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon, authenticated;
+
+-- One page of the public feed as of p_snapshot_at, newest first by (created_at, id), after the
+-- (p_after_created_at, p_after_id) keyset when given. With a viewer and p_seen set, only videos the viewer
+-- has (TRUE) or has not (FALSE) seen between p_seen_since and the snapshot; see has_seen_video.
+-- Returns p_limit + 1 rows at most, so callers can tell whether more follow.
+CREATE OR REPLACE FUNCTION public.feed_page(
+    p_snapshot_at TIMESTAMP WITH TIME ZONE,
+    p_limit INTEGER,
+    p_offset INTEGER,
+    p_after_created_at TIMESTAMP WITH TIME ZONE,
+    p_after_id UUID,
+    p_user_id UUID,
+    p_anonymous_id UUID,
+    p_seen_since TIMESTAMP WITH TIME ZONE,
+    p_seen BOOLEAN
+)
+RETURNS SETOF public.videos AS $$
+    SELECT * FROM public.videos v
+    WHERE v.is_active = true AND v.visibility = 'public' AND v.created_at <= p_snapshot_at
+      AND (p_after_id IS NULL OR (v.created_at, v.id) < (p_after_created_at, p_after_id))
+      AND (p_seen IS NULL
+           OR public.has_seen_video(p_user_id, p_anonymous_id, v.id, p_seen_since, p_snapshot_at) = p_seen)
+    ORDER BY v.created_at DESC, v.id DESC
+    LIMIT p_limit + 1 OFFSET p_offset;
+$$ LANGUAGE sql STABLE;
+REVOKE EXECUTE ON FUNCTION public.feed_page(TIMESTAMP WITH TIME ZONE, INTEGER, INTEGER, TIMESTAMP WITH TIME ZONE, UUID, UUID, UUID, TIMESTAMP WITH TIME ZONE, BOOLEAN) FROM PUBLIC, anon, authenticated;
+
+-- Newest public videos as of p_snapshot_at with the columns used to rank them, each flagged when the
+-- viewer saw it between p_seen_since and the snapshot (see has_seen_video)
+CREATE OR REPLACE FUNCTION public.ranking_candidates(
+    p_snapshot_at TIMESTAMP WITH TIME ZONE,
+    p_limit INTEGER,
+    p_user_id UUID,
+    p_anonymous_id UUID,
+    p_seen_since TIMESTAMP WITH TIME ZONE
+)
+RETURNS TABLE (id UUID, tags TEXT[], uploaded_by UUID, created_at TIMESTAMP WITH TIME ZONE, seen BOOLEAN) AS $$
+    SELECT v.id, v.tags, v.uploaded_by, v.created_at,
+           public.has_seen_video(p_user_id, p_anonymous_id, v.id, p_seen_since, p_snapshot_at)
+    FROM public.videos v
+    WHERE v.is_active = true AND v.visibility = 'public' AND v.created_at <= p_snapshot_at
+    ORDER BY v.created_at DESC, v.id DESC
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+REVOKE EXECUTE ON FUNCTION public.ranking_candidates(TIMESTAMP WITH TIME ZONE, INTEGER, UUID, UUID, TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon, authenticated;
@@ -1,26 +1,53 @@
 'use client'
 
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback } from 'react'
 import { VideoFeed } from '@/components/VideoFeed'
 import { AuthModal } from '@/components/AuthModal'
 import { FeedbackModal } from '@/components/FeedbackModal'
 import { useAuth } from '@/contexts/AuthContext'
+import { API_URLS, buildApiHeaders } from '@/config/api'
+
+// Server answer from GET /api/feedback/required
+interface FeedbackStatus {
+  required: boolean
+  videosWatched: number
+  feedbackEvery: number
+  remaining: number
+  targetVideo: { id: string; title?: string; thumbnail?: string | null } | null
+}
 
 export default function Home() {
-  const { user, loading } = useAuth()
+  const { user, session, anonymousId, loading, startGuestSession } = useAuth()
   const [showAuthModal, setShowAuthModal] = useState(false)
   const [showFeedback, setShowFeedback] = useState(false)
   const [feedbackVideo, setFeedbackVideo] = useState<string | null>(null)
   const [videosWatched, setVideosWatched] = useState(0)
-  const [watchedVideos, setWatchedVideos] = useState<string[]>([])
-  const [feedbackCount, setFeedbackCount] = useState(0)
+  const [feedbackStatus, setFeedbackStatus] = useState<FeedbackStatus | null>(null)
 
-  // Handle feedback requirement (every 5 videos)
-  useEffect(() => {
-    if (videosWatched > 0 && videosWatched % 5 === 0) {
-      setShowFeedback(true)
+  // The backend decides when feedback is due and which video to ask about
+  const refreshFeedbackStatus = useCallback(async () => {
+    if (!session && !anonymousId) return
+
+    try {
+      const response = await fetch(`${API_URLS.FEEDBACK}/required`, {
+        headers: buildApiHeaders({ accessToken: session?.access_token, anonymousId })
+      })
+      const data = await response.json()
+      if (!data.success) return
+
+      setFeedbackStatus(data)
+      if (data.required && data.targetVideo) {
+        setFeedbackVideo(data.targetVideo.id)
+        setShowFeedback(true)
+      }
+    } catch (error) {
+      console.error('Error checking feedback status:', error)
     }
-  }, [videosWatched])
+  }, [session, anonymousId])
+
+  useEffect(() => {
+    refreshFeedbackStatus()
+  }, [refreshFeedbackStatus])
 
   // Show auth modal after a few videos for better engagement
   useEffect(() => {
@@ -29,28 +56,22 @@ export default function Home() {
     }
   }, [user, videosWatched])
 
-  const handleVideoWatched = (videoId: string) => {
+  const handleVideoWatched = () => {
     setVideosWatched(prev => prev + 1)
-    
-    // Keep track of watched videos (last 5)
-    setWatchedVideos(prev => {
-      const updated = [...prev, videoId]
-      return updated.slice(-5) // Keep only last 5 videos
-    })
-    
-    // Set a random video from the last 5 for feedback if this is the 5th video
-    if ((videosWatched + 1) % 5 === 0) {
-      const recentVideos = [...watchedVideos, videoId].slice(-5)
-      const randomVideo = recentVideos[Math.floor(Math.random() * recentVideos.length)]
-      setFeedbackVideo(randomVideo)
-    }
+    refreshFeedbackStatus()
+  }
+
+  // Guests get a persistent server-issued identity that is merged into their account on sign up
+  const handleContinueAsGuest = async () => {
+    await startGuestSession()
+    setVideosWatched(1)
   }
 
   const handleFeedbackSubmit = (feedbackData: any) => {
     console.log('Feedback submitted:', feedbackData)
-    setFeedbackCount(prev => prev + 1)
     setShowFeedback(false)
     setFeedbackVideo(null)
+    refreshFeedbackStatus()
   }
 
   if (loading) {
@@ -92,7 +113,7 @@ export default function Home() {
                 Sign Up to Save Reactions
               </button>
               <button
-                onClick={() => setVideosWatched(1)}
+                onClick={handleContinueAsGuest}
                 className="w-full bg-transparent border border-gray-600 hover:border-gray-500 text-gray-300 py-3 px-6 rounded-full font-medium transition-colors"
               >
                 Continue as Guest
@@ -103,7 +124,7 @@ export default function Home() {
       )}
 
       {/* Progress indicator for authenticated users */}
-      {user && (
+      {user && feedbackStatus && (
         <div className="absolute bottom-4 left-1/2 transform -translate-x-1/2 z-40">
           <div className="bg-black/50 backdrop-blur-sm rounded-full px-4 py-2">
             <div className="flex items-center space-x-3 text-white text-sm">
@@ -111,11 +132,11 @@ export default function Home() {
               <div className="w-20 bg-gray-700 rounded-full h-1">
                 <div 
                   className="bg-gradient-to-r from-purple-500 to-pink-500 h-1 rounded-full transition-all duration-300"
-                  style={{ width: `${(videosWatched % 5) * 20}%` }}
+                  style={{ width: `${Math.min(feedbackStatus.videosWatched / feedbackStatus.feedbackEvery, 1) * 100}%` }}
                 />
               </div>
               <span className="text-xs text-gray-300">
-                {5 - (videosWatched % 5)} to feedback
+                {feedbackStatus.remaining} to feedback
               </span>
             </div>
           </div>
@@ -132,6 +153,7 @@ export default function Home() {
       {showFeedback && (
         <FeedbackModal
           videoId={feedbackVideo}
+          videosWatched={feedbackStatus?.videosWatched}
           onSubmit={handleFeedbackSubmit}
           onClose={() => setShowFeedback(false)}
         />
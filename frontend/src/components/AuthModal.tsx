@@ -9,7 +9,7 @@ interface AuthModalProps {
 }
 
 export function AuthModal({ isOpen, onClose }: AuthModalProps) {
-  const { signIn, signUp, signInWithGoogle } = useAuth()
+  const { signIn, signUp, signInWithGoogle, startGuestSession } = useAuth()
   const [isSignUp, setIsSignUp] = useState(false)
   const [email, setEmail] = useState('')
   const [password, setPassword] = useState('')
@@ -41,6 +41,11 @@ export function AuthModal({ isOpen, onClose }: AuthModalProps) {
     }
   }
 
+  const handleContinueAsGuest = async () => {
+    await startGuestSession()
+    onClose()
+  }
+
   const handleGoogleSignIn = async () => {
     setLoading(true)
     setError('')
@@ -167,7 +172,7 @@ export function AuthModal({ isOpen, onClose }: AuthModalProps) {
 
         <div className="mt-4 text-center">
           <button
-            onClick={onClose}
+            onClick={handleContinueAsGuest}
             className="text-gray-500 hover:text-gray-700 text-sm"
           >
             Continue as guest
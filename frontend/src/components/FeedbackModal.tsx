@@ -1,15 +1,18 @@
 'use client'
 
 import { useState } from 'react'
-import { API_URLS } from '../config/api'
+import { API_URLS, buildApiHeaders } from '../config/api'
+import { useAuth } from '../contexts/AuthContext'
 
 interface FeedbackModalProps {
   videoId: string | null
+  videosWatched?: number
   onSubmit: (feedbackData: any) => void
   onClose: () => void
 }
 
-export function FeedbackModal({ videoId, onSubmit, onClose }: FeedbackModalProps) {
+export function FeedbackModal({ videoId, videosWatched, onSubmit, onClose }: FeedbackModalProps) {
+  const { session, anonymousId } = useAuth()
   const [feedback, setFeedback] = useState({
     whatDidYouSee: '',
     whyDidYouReact: ''
@@ -31,9 +34,9 @@ export function FeedbackModal({ videoId, onSubmit, onClose }: FeedbackModalProps
       // Submit to backend
       await fetch(API_URLS.FEEDBACK, {
         method: 'POST',
-        headers: {
+        headers: buildApiHeaders({ accessToken: session?.access_token, anonymousId }, {
           'Content-Type': 'application/json',
-        },
+        }),
         body: JSON.stringify({
           videoId,
           whatDidYouSee: feedback.whatDidYouSee,
@@ -68,7 +71,7 @@ export function FeedbackModal({ videoId, onSubmit, onClose }: FeedbackModalProps
 
         <div className="mb-6 p-4 bg-purple-900/20 border border-purple-800 rounded-xl">
           <p className="text-purple-300 text-sm text-center">
-            🎉 You've watched 5 videos! Help us improve by sharing your thoughts.
+            🎉 You&apos;ve watched {videosWatched ?? 'a few'} videos! Help us improve by sharing your thoughts.
           </p>
         </div>
 
@@ -0,0 +1,194 @@
+'use client'
+
+import { useCallback, useEffect, useRef, type Ref, type VideoHTMLAttributes } from 'react'
+import type Hls from 'hls.js'
+
+interface StreamingVideoProps extends Omit<VideoHTMLAttributes<HTMLVideoElement>, 'src'> {
+  // HLS master playlist; plays adaptively when the browser supports it
+  streamUrl?: string | null
+  // Progressive MP4 used when HLS is unavailable or fails
+  fallbackUrl: string
+  // Signed URLs only: called when the source is refused, presumably because its URLs expired.
+  // Resolves true once the parent has passed fresh URLs; playback then resumes where it stopped.
+  onSourceExpired?: () => Promise<boolean>
+  // Whether this is the video on screen. Inactive videos only load what preload asks for:
+  // 'metadata' (HLS: the playlists) or 'auto' (HLS: the first few seconds)
+  active?: boolean
+  ref?: Ref<HTMLVideoElement>
+}
+
+const HLS_MIME_TYPE = 'application/vnd.apple.mpegurl'
+// A source that fails again this soon after a refresh is broken, not expired
+const MIN_REFRESH_INTERVAL_MS = 10000
+// Buffer of an inactive HLS video with preload 'auto': about its first segment
+const PRELOAD_BUFFER_SECONDS = 4
+// hls.js defaults, restored once the video becomes active
+const ACTIVE_MAX_BUFFER_SECONDS = 30
+const ACTIVE_MAX_MAX_BUFFER_SECONDS = 600
+
+interface ResumePoint {
+  time: number
+  playing: boolean
+}
+
+// <video> that prefers HLS (hls.js, or native on Safari/iOS) and falls back to the MP4 source
+export function StreamingVideo({ streamUrl, fallbackUrl, onSourceExpired, active = true, preload = 'metadata', ref, ...videoProps }: StreamingVideoProps) {
+  const videoRef = useRef<HTMLVideoElement | null>(null)
+  const onSourceExpiredRef = useRef(onSourceExpired)
+  const lastRefreshRef = useRef(0)
+  const resumeRef = useRef<ResumePoint | null>(null)
+  // hls.js instance once its playlists are parsed, and whether it has started loading segments
+  const hlsRef = useRef<Hls | null>(null)
+  const loadStartedRef = useRef(false)
+  const loadPolicyRef = useRef({ active, preload })
+
+  useEffect(() => {
+    onSourceExpiredRef.current = onSourceExpired
+  }, [onSourceExpired])
+
+  // Size the hls.js buffer for the current policy, starting segment loading if it allows any
+  const applyLoadPolicy = useCallback(() => {
+    const hls = hlsRef.current
+    if (!hls) return
+
+    const { active: isActive, preload: preloadMode } = loadPolicyRef.current
+    const bufferSeconds = isActive ? ACTIVE_MAX_BUFFER_SECONDS : preloadMode === 'auto' ? PRELOAD_BUFFER_SECONDS : 0
+    hls.config.maxBufferLength = bufferSeconds
+    hls.config.maxMaxBufferLength = isActive ? ACTIVE_MAX_MAX_BUFFER_SECONDS : bufferSeconds
+
+    if (bufferSeconds > 0 && !loadStartedRef.current) {
+      loadStartedRef.current = true
+      hls.startLoad()
+    }
+  }, [])
+
+  useEffect(() => {
+    loadPolicyRef.current = { active, preload }
+    applyLoadPolicy()
+  }, [active, preload, applyLoadPolicy])
+
+  const setRefs = useCallback((el: HTMLVideoElement | null) => {
+    videoRef.current = el
+    if (typeof ref === 'function') {
+      ref(el)
+    } else if (ref) {
+      ref.current = el
+    }
+  }, [ref])
+
+  useEffect(() => {
+    const videoEl = videoRef.current
+    if (!videoEl) return
+
+    let hls: Hls | null = null
+    let cancelled = false
+
+    // Continue a playback that was interrupted by expired URLs once the new source is ready
+    const resume = resumeRef.current
+    resumeRef.current = null
+    const handleResume = () => {
+      if (!resume) return
+      videoEl.currentTime = resume.time
+      if (resume.playing) videoEl.play().catch(console.error)
+    }
+    if (resume) videoEl.addEventListener('loadedmetadata', handleResume, { once: true })
+
+    // Ask the parent for fresh signed URLs; resolves false when that is not possible
+    const refreshSource = async (): Promise<boolean> => {
+      const refresh = onSourceExpiredRef.current
+      if (!refresh || Date.now() - lastRefreshRef.current < MIN_REFRESH_INTERVAL_MS) return false
+
+      lastRefreshRef.current = Date.now()
+      resumeRef.current = { time: videoEl.currentTime, playing: !videoEl.paused }
+      const refreshed = await refresh().catch(() => false)
+      if (!refreshed) resumeRef.current = null
+      return refreshed
+    }
+
+    const playFallback = () => {
+      hls?.destroy()
+      hls = null
+      hlsRef.current = null
+      if (!cancelled && videoEl.getAttribute('src') !== fallbackUrl) {
+        videoEl.src = fallbackUrl
+      }
+    }
+
+    // Errors of the MP4 source carry no HTTP status; with signed URLs an expiry is the likely cause
+    const handleFallbackError = () => {
+      if (!cancelled && videoEl.getAttribute('src') === fallbackUrl) {
+        refreshSource()
+      }
+    }
+    videoEl.addEventListener('error', handleFallbackError)
+
+    // Drop the source so the browser frees its buffers and decoder
+    const releaseMedia = () => {
+      videoEl.removeAttribute('src')
+      videoEl.load()
+    }
+
+    if (!streamUrl) {
+      playFallback()
+      return () => {
+        cancelled = true
+        videoEl.removeEventListener('error', handleFallbackError)
+        videoEl.removeEventListener('loadedmetadata', handleResume)
+        releaseMedia()
+      }
+    }
+
+    const handleNativeError = () => {
+      refreshSource().then((refreshed) => {
+        if (!refreshed) playFallback()
+      })
+    }
+
+    import('hls.js')
+      .then(({ default: HlsPlayer }) => {
+        if (cancelled) return
+
+        if (HlsPlayer.isSupported()) {
+          // Loading starts once the playlists are parsed, as far as active / preload allow
+          hls = new HlsPlayer({ capLevelToPlayerSize: true, autoStartLoad: false })
+          loadStartedRef.current = false
+          hls.on(HlsPlayer.Events.MANIFEST_PARSED, () => {
+            hlsRef.current = hls
+            applyLoadPolicy()
+          })
+          hls.on(HlsPlayer.Events.ERROR, (_event, data) => {
+            if (data.response?.code === 403) {
+              // Signed playlist or segment URLs expired; stop loading until fresh ones arrive
+              hls?.stopLoad()
+              refreshSource().then((refreshed) => {
+                if (!refreshed) playFallback()
+              })
+            } else if (data.fatal) {
+              console.warn('HLS playback failed, falling back to MP4:', data.details)
+              playFallback()
+            }
+          })
+          hls.loadSource(streamUrl)
+          hls.attachMedia(videoEl)
+        } else if (videoEl.canPlayType(HLS_MIME_TYPE)) {
+          videoEl.addEventListener('error', handleNativeError, { once: true })
+          videoEl.src = streamUrl
+        } else {
+          playFallback()
+        }
+      })
+      .catch(playFallback)
+
+    return () => {
+      cancelled = true
+      videoEl.removeEventListener('error', handleNativeError)
+      videoEl.removeEventListener('error', handleFallbackError)
+      videoEl.removeEventListener('loadedmetadata', handleResume)
+      hls?.destroy()
+      hlsRef.current = null
+      releaseMedia()
+    }
+  }, [streamUrl, fallbackUrl, applyLoadPolicy])
+
+  return <video ref={setRefs} preload={active ? 'auto' : preload} {...videoProps} />
+}
@@ -1,9 +1,11 @@
 'use client'
 
-import { useState, useRef, useEffect } from 'react'
+import { useState, useRef, useEffect, useCallback } from 'react'
 import { Swiper, SwiperSlide } from 'swiper/react'
 import { EffectCards, Keyboard } from 'swiper/modules'
+import type { Swiper as SwiperInstance } from 'swiper'
 import { useAuth } from '../contexts/AuthContext'
+import { StreamingVideo } from './StreamingVideo'
 import 'swiper/css'
 import 'swiper/css/effect-cards'
 
@@ -12,19 +14,101 @@ interface Video {
   title: string
   description: string
   url: string
+  streamUrl?: string | null
   duration: number
   tags: string[]
   thumbnail?: string
   uploader?: string
   createdAt?: string
+  // When the signed URLs stop working; null for public storage
+  expiresAt?: string | null
+}
+
+export interface ViewHeartbeat {
+  playbackId: string
+  position: number
+  watchedSeconds: number
+  duration: number | null
+  muted: boolean
+  loopCount: number
 }
 
 interface SwipeVideoPlayerProps {
   videos: Video[]
   onVideoReaction: (videoId: string, reaction: 'like' | 'dislike' | 'emoji', data?: any) => void
-  onNextVideo: () => void
+  // Whether the server has more videos after the last one in videos
+  hasMore: boolean
+  isLoadingMore: boolean
+  loadMoreError?: string
+  // Append the next page to videos
+  onLoadMore: () => void
+  // Start the feed over from the top
+  onRefresh: () => void
+  onViewHeartbeat?: (videoId: string, heartbeat: ViewHeartbeat) => void
+  // Fetch fresh signed URLs for a video; resolves true once they are in videos
+  onRefreshPlayback?: (videoId: string) => Promise<boolean>
+}
+
+// Playback state of the video currently on screen, reported to the backend as heartbeats
+interface ActiveView {
+  videoId: string
+  playbackId: string
+  lastTime: number
+  pendingSeconds: number
+  loopCount: number
+  reported: boolean
 }
 
+const VIEW_HEARTBEAT_INTERVAL_MS = 5000
+// The next page is requested once this few videos are left
+const PREFETCH_THRESHOLD = 3
+// Videos kept mounted behind the current one, so swiping back does not start from scratch
+const MOUNTED_BEHIND = 1
+
+// How far ahead videos are mounted, and how much of them loads before they come on screen
+interface PreloadPolicy {
+  ahead: number
+  preload: 'auto' | 'metadata'
+}
+
+// Network Information API; only some browsers have it, and the DOM typings do not
+interface NetworkInformation extends EventTarget {
+  effectiveType?: 'slow-2g' | '2g' | '3g' | '4g'
+  saveData?: boolean
+}
+
+const getConnection = (): NetworkInformation | undefined =>
+  (navigator as Navigator & { connection?: NetworkInformation }).connection
+
+// Two videos' first segments on fast connections, one on 3G or unknown ones,
+// and only the next video's metadata on slow connections or with data saver on
+const getPreloadPolicy = (): PreloadPolicy => {
+  const connection = getConnection()
+  if (!connection?.effectiveType) return { ahead: 1, preload: 'auto' }
+  if (connection.saveData || connection.effectiveType === 'slow-2g' || connection.effectiveType === '2g') {
+    return { ahead: 1, preload: 'metadata' }
+  }
+  if (connection.effectiveType === '3g') return { ahead: 1, preload: 'auto' }
+  return { ahead: 2, preload: 'auto' }
+}
+
+// Preload policy that follows connection changes
+const usePreloadPolicy = (): PreloadPolicy => {
+  const [policy, setPolicy] = useState<PreloadPolicy>({ ahead: 1, preload: 'metadata' })
+
+  useEffect(() => {
+    const connection = getConnection()
+    const update = () => setPolicy(getPreloadPolicy())
+    update()
+    connection?.addEventListener('change', update)
+    return () => connection?.removeEventListener('change', update)
+  }, [])
+
+  return policy
+}
+
+const createPlaybackId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+
 const EMOJI_REACTIONS = [
   { emoji: '❤️', label: 'Love', key: 'love' },
   { emoji: '😂', label: 'Funny', key: 'funny' },
@@ -36,20 +120,102 @@ const EMOJI_REACTIONS = [
   { emoji: '💯', label: 'Perfect', key: 'perfect' }
 ]
 
-export function SwipeVideoPlayer({ videos, onVideoReaction, onNextVideo }: SwipeVideoPlayerProps) {
+export function SwipeVideoPlayer({ videos, onVideoReaction, hasMore, isLoadingMore, loadMoreError, onLoadMore, onRefresh, onViewHeartbeat, onRefreshPlayback }: SwipeVideoPlayerProps) {
   const { user, signOut } = useAuth()
   const [currentVideoIndex, setCurrentVideoIndex] = useState(0)
   const [isPlaying, setIsPlaying] = useState(true)
   const [reactionFeedback, setReactionFeedback] = useState<string | null>(null)
   const [userReactions, setUserReactions] = useState<Record<string, number>>({})
   const [showProfile, setShowProfile] = useState(false)
+  const preloadPolicy = usePreloadPolicy()
   
-  const swiperRef = useRef<any>(null)
+  const swiperRef = useRef<SwiperInstance | null>(null)
   const videoRefs = useRef<Record<string, HTMLVideoElement | null>>({})
+  const activeViewRef = useRef<ActiveView | null>(null)
+  const onViewHeartbeatRef = useRef(onViewHeartbeat)
 
   const currentVideo = videos[currentVideoIndex]
+  const currentVideoId = currentVideo?.id
+
+  // Keep the latest callback without restarting the view session on every parent render
+  useEffect(() => {
+    onViewHeartbeatRef.current = onViewHeartbeat
+  }, [onViewHeartbeat])
+
+  // Send the watch time accumulated since the last heartbeat
+  const flushViewHeartbeat = useCallback(() => {
+    const view = activeViewRef.current
+    const videoEl = view ? videoRefs.current[view.videoId] : null
+    const sendHeartbeat = onViewHeartbeatRef.current
+    if (!view || !videoEl || !sendHeartbeat) return
+    if (view.reported && view.pendingSeconds < 0.5) return
+
+    sendHeartbeat(view.videoId, {
+      playbackId: view.playbackId,
+      position: videoEl.currentTime,
+      watchedSeconds: Math.round(view.pendingSeconds * 100) / 100,
+      duration: Number.isFinite(videoEl.duration) ? videoEl.duration : null,
+      muted: videoEl.muted,
+      loopCount: view.loopCount
+    })
+    view.pendingSeconds = 0
+    view.reported = true
+  }, [])
+
+  // Start a new view session whenever a different video comes on screen
+  useEffect(() => {
+    if (!currentVideoId) return
+
+    activeViewRef.current = {
+      videoId: currentVideoId,
+      playbackId: createPlaybackId(),
+      lastTime: 0,
+      pendingSeconds: 0,
+      loopCount: 0,
+      reported: false
+    }
+
+    const interval = setInterval(flushViewHeartbeat, VIEW_HEARTBEAT_INTERVAL_MS)
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') flushViewHeartbeat()
+    }
+    document.addEventListener('visibilitychange', handleVisibilityChange)
 
+    return () => {
+      flushViewHeartbeat()
+      clearInterval(interval)
+      document.removeEventListener('visibilitychange', handleVisibilityChange)
+    }
+  }, [currentVideoId, flushViewHeartbeat])
+
+  const handleTimeUpdate = (videoId: string) => {
+    const view = activeViewRef.current
+    const videoEl = videoRefs.current[videoId]
+    if (!view || view.videoId !== videoId || !videoEl) return
+
+    const delta = videoEl.currentTime - view.lastTime
+    if (delta > 0 && delta < 2) {
+      view.pendingSeconds += delta
+    } else if (delta < 0 && view.lastTime >= videoEl.duration - 1.5) {
+      // `loop` restarts playback without firing `ended`
+      view.loopCount += 1
+    }
+    view.lastTime = videoEl.currentTime
+  }
+
+  // Prefetch the next page while a few videos are still left; the last slide shows its progress
   useEffect(() => {
+    if (hasMore && !isLoadingMore && !loadMoreError && videos.length - currentVideoIndex <= PREFETCH_THRESHOLD) {
+      onLoadMore()
+    }
+  }, [currentVideoIndex, videos.length, hasMore, isLoadingMore, loadMoreError, onLoadMore])
+
+  useEffect(() => {
+    // Videos kept mounted off screen must not keep playing
+    Object.entries(videoRefs.current).forEach(([videoId, videoEl]) => {
+      if (videoEl && videoId !== currentVideo?.id && !videoEl.paused) videoEl.pause()
+    })
+
     // Auto-play current video when it changes
     const currentVideoEl = videoRefs.current[currentVideo?.id]
     if (currentVideoEl && isPlaying) {
@@ -59,36 +225,36 @@ export function SwipeVideoPlayer({ videos, onVideoReaction, onNextVideo }: Swipe
 
   const handleSwipe = (direction: 'left' | 'right' | 'up') => {
     if (!currentVideo) return
+    const fromIndex = currentVideoIndex
 
     switch (direction) {
       case 'left':
         // Dislike
         onVideoReaction(currentVideo.id, 'dislike')
         setReactionFeedback('👎 Disliked')
-        setTimeout(() => goToNextVideo(), 300)
+        setTimeout(() => goToNextVideo(fromIndex), 300)
         break
       case 'right':
         // Like
         onVideoReaction(currentVideo.id, 'like')
         setReactionFeedback('👍 Liked')
-        setTimeout(() => goToNextVideo(), 300)
+        setTimeout(() => goToNextVideo(fromIndex), 300)
         break
       case 'up':
         // Next video
-        goToNextVideo()
+        goToNextVideo(fromIndex)
         break
     }
     
     setTimeout(() => setReactionFeedback(null), 1500)
   }
 
-  const goToNextVideo = () => {
-    if (currentVideoIndex < videos.length - 1) {
-      setCurrentVideoIndex(currentVideoIndex + 1)
-      swiperRef.current?.slideNext()
-    } else {
-      onNextVideo()
-    }
+  // Move past the video at fromIndex; a no-op if a swipe already did. After the last video comes
+  // the status slide, which turns into the next video once its page is appended
+  const goToNextVideo = (fromIndex = currentVideoIndex) => {
+    const nextIndex = Math.min(fromIndex + 1, videos.length)
+    setCurrentVideoIndex(nextIndex)
+    swiperRef.current?.slideTo(nextIndex)
   }
 
   const togglePlay = () => {
@@ -122,14 +288,14 @@ export function SwipeVideoPlayer({ videos, onVideoReaction, onNextVideo }: Swipe
     setTimeout(() => goToNextVideo(), 500)
   }
 
-  if (!currentVideo) {
+  if (videos.length === 0) {
     return (
       <div className="flex items-center justify-center h-screen bg-black text-white">
         <div className="text-center">
           <h2 className="text-2xl font-bold mb-4">🎉 All caught up!</h2>
           <p className="text-gray-400 mb-6">You've watched all available videos</p>
           <button
-            onClick={() => window.location.reload()}
+            onClick={onRefresh}
             className="bg-purple-600 hover:bg-purple-700 px-6 py-3 rounded-full font-medium transition-colors"
           >
             Refresh Feed
@@ -174,7 +340,7 @@ export function SwipeVideoPlayer({ videos, onVideoReaction, onNextVideo }: Swipe
           </div>
           
           <div className="text-white text-sm">
-            {currentVideoIndex + 1} / {videos.length}
+            {Math.min(currentVideoIndex + 1, videos.length)} / {videos.length}{hasMore ? '+' : ''}
           </div>
         </div>
 
@@ -224,7 +390,7 @@ export function SwipeVideoPlayer({ videos, onVideoReaction, onNextVideo }: Swipe
 
       {/* Main Video Swiper */}
       <Swiper
-        ref={swiperRef}
+        onSwiper={(swiper) => { swiperRef.current = swiper }}
         effect="cards"
         grabCursor={true}
         modules={[EffectCards, Keyboard]}
@@ -261,23 +427,38 @@ export function SwipeVideoPlayer({ videos, onVideoReaction, onNextVideo }: Swipe
         {videos.map((video, index) => (
           <SwiperSlide key={video.id} className="relative">
             <div className="relative h-full w-full bg-black">
-              {/* Video */}
-              <video
-                ref={(el) => { videoRefs.current[video.id] = el }}
-                className="h-full w-full object-cover"
-                src={video.url}
-                poster={video.thumbnail}
-                muted
-                loop
-                playsInline
-                onEnded={handleVideoEnd}
-                onLoadedData={() => {
-                  if (index === currentVideoIndex && isPlaying) {
-                    videoRefs.current[video.id]?.play().catch(console.error)
-                  }
-                }}
-                onClick={togglePlay}
-              />
+              {/* Video; slides outside the window around the current one only show the poster */}
+              {index >= currentVideoIndex - MOUNTED_BEHIND && index <= currentVideoIndex + preloadPolicy.ahead ? (
+                <StreamingVideo
+                  ref={(el) => {
+                    if (el) videoRefs.current[video.id] = el
+                    else delete videoRefs.current[video.id]
+                  }}
+                  className="h-full w-full object-cover"
+                  streamUrl={video.streamUrl}
+                  fallbackUrl={video.url}
+                  onSourceExpired={video.expiresAt && onRefreshPlayback ? () => onRefreshPlayback(video.id) : undefined}
+                  active={index === currentVideoIndex}
+                  preload={preloadPolicy.preload}
+                  poster={video.thumbnail}
+                  muted
+                  loop
+                  playsInline
+                  onEnded={handleVideoEnd}
+                  onTimeUpdate={() => handleTimeUpdate(video.id)}
+                  onLoadedData={() => {
+                    if (index === currentVideoIndex && isPlaying) {
+                      videoRefs.current[video.id]?.play().catch(console.error)
+                    }
+                  }}
+                  onClick={togglePlay}
+                />
+              ) : (
+                <div
+                  className="h-full w-full bg-cover bg-center"
+                  style={video.thumbnail ? { backgroundImage: `url("${video.thumbnail}")` } : undefined}
+                />
+              )}
 
               {/* Video Info Overlay */}
               <div className="absolute bottom-0 left-0 right-16 p-4 bg-gradient-to-t from-black/80 to-transparent">
@@ -309,6 +490,39 @@ export function SwipeVideoPlayer({ videos, onVideoReaction, onNextVideo }: Swipe
             </div>
           </SwiperSlide>
         ))}
+
+        {/* Feed status: next page loading, failed, or the end of the catalog */}
+        <SwiperSlide key="feed-status" className="relative">
+          <div className="flex items-center justify-center h-full w-full bg-black text-white">
+            {loadMoreError ? (
+              <div className="text-center px-6">
+                <p className="text-gray-300 mb-6">{loadMoreError}</p>
+                <button
+                  onClick={onLoadMore}
+                  className="bg-purple-600 hover:bg-purple-700 px-6 py-3 rounded-full font-medium transition-colors"
+                >
+                  Try Again
+                </button>
+              </div>
+            ) : hasMore ? (
+              <div className="text-center">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-white mx-auto mb-4"></div>
+                <p className="text-gray-300">Loading more videos...</p>
+              </div>
+            ) : (
+              <div className="text-center px-6">
+                <h2 className="text-2xl font-bold mb-4">🎉 All caught up!</h2>
+                <p className="text-gray-400 mb-6">You&apos;ve reached the end of the catalog</p>
+                <button
+                  onClick={onRefresh}
+                  className="bg-purple-600 hover:bg-purple-700 px-6 py-3 rounded-full font-medium transition-colors"
+                >
+                  Refresh Feed
+                </button>
+              </div>
+            )}
+          </div>
+        </SwiperSlide>
       </Swiper>
 
       {/* Emoji Reactions Panel */}
@@ -1,8 +1,8 @@
 'use client'
 
-import { useState, useEffect } from 'react'
-import { SwipeVideoPlayer } from './SwipeVideoPlayer'
-import { API_URLS, buildApiUrl } from '../config/api'
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { SwipeVideoPlayer, type ViewHeartbeat } from './SwipeVideoPlayer'
+import { API_URLS, buildApiHeaders } from '../config/api'
 import { useAuth } from '../contexts/AuthContext'
 
 interface Video {
@@ -10,47 +10,111 @@ interface Video {
   title: string
   description: string
   url: string
+  streamUrl?: string | null
   duration: number
   tags: string[]
   thumbnail?: string
   uploader?: string
   createdAt?: string
+  expiresAt?: string | null
 }
 
 interface VideoFeedProps {
   onVideoWatched: (videoId: string) => void
 }
 
+interface FeedPage {
+  videos: Video[]
+  nextCursor: string | null
+  hasMore: boolean
+}
+
+const FEED_PAGE_SIZE = 10
+// Pages fetched in a row while they only hold videos already in the feed
+const MAX_EMPTY_PAGES = 3
+
+// Videos of a page that are not in the feed yet
+const appendUnique = (current: Video[], page: Video[]): Video[] => {
+  const seen = new Set(current.map(video => video.id))
+  const added: Video[] = []
+  page.forEach(video => {
+    if (seen.has(video.id)) return
+    seen.add(video.id)
+    added.push(video)
+  })
+  return added.length > 0 ? [...current, ...added] : current
+}
+
 export function VideoFeed({ onVideoWatched }: VideoFeedProps) {
-  const { user, loading: authLoading } = useAuth()
+  const { session, anonymousId, loading: authLoading } = useAuth()
   const [videos, setVideos] = useState<Video[]>([])
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState('')
+  const [hasMore, setHasMore] = useState(false)
+  const [isLoadingMore, setIsLoadingMore] = useState(false)
+  const [loadMoreError, setLoadMoreError] = useState('')
+  // Cursor of the next page; the server keeps the ordering of this scroll session stable
+  const nextCursorRef = useRef<string | null>(null)
+  const videoIdsRef = useRef<Set<string>>(new Set())
+  const loadingMoreRef = useRef(false)
+  // Credentials of the latest render; Supabase refreshes the access token without changing the viewer
+  const accessTokenRef = useRef(session?.access_token)
+  const anonymousIdRef = useRef(anonymousId)
+  // Viewer the feed was last loaded for
+  const loadedViewerRef = useRef<string | null>(null)
+  // An account keeps its identity while its guest session is merged into it and cleared
+  const userId = session?.user?.id
+  const viewer = userId ? `user:${userId}` : `guest:${anonymousId ?? ''}`
 
   useEffect(() => {
-    fetchVideos()
+    accessTokenRef.current = session?.access_token
+    anonymousIdRef.current = anonymousId
+  }, [session?.access_token, anonymousId])
+
+  useEffect(() => {
+    videoIdsRef.current = new Set(videos.map(video => video.id))
+  }, [videos])
+
+  const fetchPage = useCallback(async (cursor: string | null): Promise<FeedPage & { fallback?: boolean, message?: string }> => {
+    const params = new URLSearchParams({ limit: String(FEED_PAGE_SIZE) })
+    if (cursor) params.set('cursor', cursor)
+
+    const response = await fetch(`${API_URLS.VIDEOS}?${params}`, {
+      headers: buildApiHeaders({ accessToken: accessTokenRef.current, anonymousId: anonymousIdRef.current })
+    })
+    const data = await response.json()
+    if (!data.success) {
+      throw new Error(data.message || 'Failed to fetch videos')
+    }
+
+    return {
+      videos: data.videos,
+      nextCursor: data.pagination?.nextCursor ?? null,
+      hasMore: Boolean(data.pagination?.hasMore && data.pagination?.nextCursor),
+      fallback: data.fallback,
+      message: data.message
+    }
   }, [])
 
-  const fetchVideos = async () => {
+  const fetchVideos = useCallback(async () => {
     try {
       setIsLoading(true)
       setError('')
+      setLoadMoreError('')
       
-      const response = await fetch(`${API_URLS.VIDEOS}?limit=20`)
-      const data = await response.json()
-      
-      if (data.success) {
-        setVideos(data.videos)
+      const page = await fetchPage(null)
+      setVideos(appendUnique([], page.videos))
+      nextCursorRef.current = page.nextCursor
+      setHasMore(page.hasMore)
         
-        if (data.fallback) {
-          console.log('Using fallback data:', data.message)
-        }
-      } else {
-        throw new Error(data.message || 'Failed to fetch videos')
+      if (page.fallback) {
+        console.log('Using fallback data:', page.message)
       }
     } catch (error) {
       console.error('Error fetching videos:', error)
       setError('Failed to load videos. Please try again.')
+      nextCursorRef.current = null
+      setHasMore(false)
       
       // Fallback to local mock data if API fails
       const fallbackVideos: Video[] = [
@@ -77,20 +141,52 @@ export function VideoFeed({ onVideoWatched }: VideoFeedProps) {
     } finally {
       setIsLoading(false)
     }
-  }
+  }, [fetchPage])
+
+  // Start over once the viewer is known, and whenever they sign in, out or get a guest session
+  useEffect(() => {
+    if (authLoading || loadedViewerRef.current === viewer) return
+    loadedViewerRef.current = viewer
+    fetchVideos()
+  }, [authLoading, viewer, fetchVideos])
+
+  // Append the next page; pages that only repeat videos already shown are skipped
+  const loadMoreVideos = useCallback(async () => {
+    if (loadingMoreRef.current || !nextCursorRef.current) return
+
+    loadingMoreRef.current = true
+    setIsLoadingMore(true)
+    setLoadMoreError('')
+    try {
+      for (let attempt = 0; attempt < MAX_EMPTY_PAGES && nextCursorRef.current; attempt++) {
+        const page = await fetchPage(nextCursorRef.current)
+        nextCursorRef.current = page.nextCursor
+        setHasMore(page.hasMore)
+
+        if (page.videos.some(video => !videoIdsRef.current.has(video.id))) {
+          page.videos.forEach(video => videoIdsRef.current.add(video.id))
+          setVideos(current => appendUnique(current, page.videos))
+          break
+        }
+      }
+    } catch (error) {
+      console.error('Error loading more videos:', error)
+      setLoadMoreError('Could not load more videos.')
+    } finally {
+      loadingMoreRef.current = false
+      setIsLoadingMore(false)
+    }
+  }, [fetchPage])
 
   const handleVideoReaction = async (videoId: string, reaction: 'like' | 'dislike' | 'emoji', data?: any) => {
     try {
-      // Use authenticated user ID or anonymous
-      const userId = user?.id || 'anonymous-user'
-      
+      // The backend derives the user from the session token or guest session
       const response = await fetch(API_URLS.INTERACTIONS, {
         method: 'POST',
-        headers: {
+        headers: buildApiHeaders({ accessToken: session?.access_token, anonymousId }, {
           'Content-Type': 'application/json',
-        },
+        }),
         body: JSON.stringify({
-          userId,
           videoId,
           type: reaction,
           data: data || {}
@@ -113,10 +209,42 @@ export function VideoFeed({ onVideoWatched }: VideoFeedProps) {
     }
   }
 
-  const handleNextVideo = () => {
-    // This will be handled by the SwipeVideoPlayer internally
-    // We could add analytics here if needed
-    console.log('Next video requested')
+  const handleViewHeartbeat = async (videoId: string, heartbeat: ViewHeartbeat) => {
+    if (!session && !anonymousId) return
+
+    try {
+      await fetch(`${API_URLS.VIDEOS}/${videoId}/view`, {
+        method: 'POST',
+        headers: buildApiHeaders({ accessToken: session?.access_token, anonymousId }, {
+          'Content-Type': 'application/json',
+        }),
+        body: JSON.stringify(heartbeat),
+        // Let the last heartbeat finish when the tab is closing
+        keepalive: true
+      })
+    } catch (error) {
+      console.error('Error tracking view:', error)
+    }
+  }
+
+  // Replace a video's expired signed URLs; resolves false if no fresh ones could be fetched
+  const handleRefreshPlayback = async (videoId: string): Promise<boolean> => {
+    try {
+      const response = await fetch(`${API_URLS.VIDEOS}/${videoId}/playback`, {
+        headers: buildApiHeaders({ accessToken: session?.access_token, anonymousId })
+      })
+      const data = await response.json()
+      if (!data.success) return false
+
+      const { url, streamUrl, thumbnail, expiresAt } = data.playback
+      setVideos(current => current.map(video => (
+        video.id === videoId ? { ...video, url, streamUrl, thumbnail, expiresAt } : video
+      )))
+      return true
+    } catch (error) {
+      console.error('Error refreshing playback URLs:', error)
+      return false
+    }
   }
 
   if (isLoading) {
@@ -159,7 +287,13 @@ export function VideoFeed({ onVideoWatched }: VideoFeedProps) {
       <SwipeVideoPlayer
         videos={videos}
         onVideoReaction={handleVideoReaction}
-        onNextVideo={handleNextVideo}
+        hasMore={hasMore}
+        isLoadingMore={isLoadingMore}
+        loadMoreError={loadMoreError}
+        onLoadMore={loadMoreVideos}
+        onRefresh={fetchVideos}
+        onViewHeartbeat={handleViewHeartbeat}
+        onRefreshPlayback={handleRefreshPlayback}
       />
     </div>
   )
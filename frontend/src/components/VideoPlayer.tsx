@@ -2,12 +2,14 @@
 
 import { useState, useRef, useEffect } from 'react'
 import { buildApiUrl } from '../config/api'
+import { StreamingVideo } from './StreamingVideo'
 
 interface Video {
   id: string
   title: string
   description: string
   url: string
+  streamUrl?: string | null
   duration: number
   tags: string[]
   thumbnail?: string
@@ -106,10 +108,11 @@ export function VideoPlayer({ video, onVideoEnd }: VideoPlayerProps) {
 
   return (
     <div className="relative bg-black rounded-lg overflow-hidden">
-      <video
+      <StreamingVideo
         ref={videoRef}
         className="w-full aspect-video"
-        src={video.url}
+        streamUrl={video.streamUrl}
+        fallbackUrl={video.url}
         poster={video.thumbnail}
         preload="metadata"
       />
@@ -20,7 +20,9 @@ export const API_CONFIG = {
     INTERACTIONS: '/api/interactions',
     FEEDBACK: '/api/feedback',
     HEALTH: '/api/health',
-    UPLOAD: '/api/upload'
+    UPLOAD: '/api/upload',
+    ANONYMOUS_SESSION: '/api/auth/anonymous',
+    ANONYMOUS_MERGE: '/api/auth/anonymous/merge'
   }
 };
 
@@ -29,6 +31,22 @@ export const buildApiUrl = (endpoint: string): string => {
   return `${API_CONFIG.BASE_URL}${endpoint}`;
 };
 
+export interface ApiIdentity {
+  accessToken?: string | null
+  anonymousId?: string | null
+}
+
+// Build request headers: the Supabase access token when signed in, the guest session otherwise
+export const buildApiHeaders = (identity: ApiIdentity, headers: Record<string, string> = {}): Record<string, string> => {
+  if (identity.accessToken) {
+    return { ...headers, Authorization: `Bearer ${identity.accessToken}` }
+  }
+  if (identity.anonymousId) {
+    return { ...headers, 'X-Anonymous-Id': identity.anonymousId }
+  }
+  return headers
+};
+
 // Common API endpoints
 export const API_URLS = {
   VIDEOS: buildApiUrl(API_CONFIG.ENDPOINTS.VIDEOS),
@@ -36,5 +54,7 @@ export const API_URLS = {
   INTERACTIONS: buildApiUrl(API_CONFIG.ENDPOINTS.INTERACTIONS),
   FEEDBACK: buildApiUrl(API_CONFIG.ENDPOINTS.FEEDBACK),
   HEALTH: buildApiUrl(API_CONFIG.ENDPOINTS.HEALTH),
-  UPLOAD: buildApiUrl(API_CONFIG.ENDPOINTS.UPLOAD)
+  UPLOAD: buildApiUrl(API_CONFIG.ENDPOINTS.UPLOAD),
+  ANONYMOUS_SESSION: buildApiUrl(API_CONFIG.ENDPOINTS.ANONYMOUS_SESSION),
+  ANONYMOUS_MERGE: buildApiUrl(API_CONFIG.ENDPOINTS.ANONYMOUS_MERGE)
 }; 
\ No newline at end of file
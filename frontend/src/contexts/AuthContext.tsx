@@ -1,8 +1,12 @@
 'use client'
 
-import { createContext, useContext, useEffect, useState } from 'react'
+import { createContext, useContext, useEffect, useRef, useState } from 'react'
 import { createClient } from '@supabase/supabase-js'
 import type { User, Session } from '@supabase/supabase-js'
+import { API_URLS, buildApiHeaders } from '../config/api'
+
+// localStorage key for the server-issued guest identity
+const ANONYMOUS_ID_KEY = 'scrollnet_anonymous_id'
 
 // Initialize Supabase client
 export const supabase = createClient(
@@ -14,6 +18,8 @@ interface AuthContextType {
   user: User | null
   session: Session | null
   loading: boolean
+  anonymousId: string | null
+  startGuestSession: () => Promise<string | null>
   signIn: (email: string, password: string) => Promise<{ error: any }>
   signUp: (email: string, password: string, metadata?: any) => Promise<{ error: any }>
   signOut: () => Promise<void>
@@ -26,13 +32,45 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
   const [user, setUser] = useState<User | null>(null)
   const [session, setSession] = useState<Session | null>(null)
   const [loading, setLoading] = useState(true)
+  const [anonymousId, setAnonymousId] = useState<string | null>(null)
+  const mergingRef = useRef(false)
 
   useEffect(() => {
+    // Once signed in, hand the guest's history over to the account and forget the guest id
+    const mergeGuestSession = async (session: Session | null) => {
+      const storedId = window.localStorage.getItem(ANONYMOUS_ID_KEY)
+      if (!session || !storedId || mergingRef.current) return
+
+      mergingRef.current = true
+      try {
+        const response = await fetch(API_URLS.ANONYMOUS_MERGE, {
+          method: 'POST',
+          headers: buildApiHeaders({ accessToken: session.access_token }, {
+            'Content-Type': 'application/json',
+          }),
+          body: JSON.stringify({ anonymousId: storedId }),
+        })
+
+        // 404 means the guest session was already merged or expired; drop it either way
+        if (response.ok || response.status === 404) {
+          window.localStorage.removeItem(ANONYMOUS_ID_KEY)
+          setAnonymousId(null)
+        }
+      } catch (error) {
+        console.error('Error merging guest session:', error)
+      } finally {
+        mergingRef.current = false
+      }
+    }
+
+    setAnonymousId(window.localStorage.getItem(ANONYMOUS_ID_KEY))
+
     // Get initial session
     supabase.auth.getSession().then(({ data: { session } }) => {
       setSession(session)
       setUser(session?.user ?? null)
       setLoading(false)
+      mergeGuestSession(session)
     })
 
     // Listen for auth changes
@@ -42,11 +80,34 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
       setSession(session)
       setUser(session?.user ?? null)
       setLoading(false)
+      mergeGuestSession(session)
     })
 
     return () => subscription.unsubscribe()
   }, [])
 
+  const startGuestSession = async () => {
+    const storedId = window.localStorage.getItem(ANONYMOUS_ID_KEY)
+    if (storedId) {
+      setAnonymousId(storedId)
+      return storedId
+    }
+
+    try {
+      const response = await fetch(API_URLS.ANONYMOUS_SESSION, { method: 'POST' })
+      const data = await response.json()
+
+      if (!data.success) throw new Error(data.message || 'Failed to start guest session')
+
+      window.localStorage.setItem(ANONYMOUS_ID_KEY, data.anonymousId)
+      setAnonymousId(data.anonymousId)
+      return data.anonymousId as string
+    } catch (error) {
+      console.error('Error starting guest session:', error)
+      return null
+    }
+  }
+
   const signIn = async (email: string, password: string) => {
     const { error } = await supabase.auth.signInWithPassword({
       email,
@@ -84,6 +145,8 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
     user,
     session,
     loading,
+    anonymousId,
+    startGuestSession,
     signIn,
     signUp,
     signOut,
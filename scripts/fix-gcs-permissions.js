@@ -4,6 +4,11 @@ const { Storage } = require('@google-cloud/storage');
 require('dotenv').config({ path: './env.local' });
 
 async function fixGCSPermissions() {
+  if ((process.env.STORAGE_ACCESS || '').trim().toLowerCase() === 'private') {
+    console.error('❌ STORAGE_ACCESS is private: the bucket must stay private, players use signed URLs');
+    process.exit(1);
+  }
+
   console.log('🔧 Fixing Google Cloud Storage permissions...');
   
   try {
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+/**
+ * Storage Reconciliation Script for ScrollNet
+ *
+ * Checks the storage backend against the videos table and reports:
+ *   - orphaned objects: uploads under videos/ that no video record points at
+ *   - dangling records: video records whose original is missing from storage
+ *   - mismatches: records whose size or content type disagree with the stored object
+ *
+ * Usage:
+ *   node scripts/reconcile-storage.js [options]
+ *
+ * Options:
+ *   --delete-orphans       Delete orphaned objects
+ *   --import-orphans       Create private video records for orphaned objects instead
+ *   --owner <userId>       Owner of imported records (defaults to the caller)
+ *   --deactivate-dangling  Deactivate active records whose original is missing
+ *   --json                 Print the full report as JSON
+ *
+ * Without options nothing is changed. The check runs as a storage.reconcile job on the server,
+ * which also runs a report-only check every STORAGE_RECONCILE_INTERVAL_MINUTES.
+ *
+ * Prerequisites:
+ *   1. The ScrollNet server is running
+ *   2. SCROLLNET_ACCESS_TOKEN is a Supabase access token of a user listed in ADMIN_USER_IDS
+ */
+
+require('dotenv').config();
+
+const API_URL = process.env.SERVER_URL || 'http://localhost:3001';
+const POLL_INTERVAL_MS = 2000;
+
+// Check if we're running this script directly
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} deleteOrphans, importOrphans, ownerId, deactivateDangling, json
+ */
+function parseArgs(args) {
+  const options = { deleteOrphans: false, importOrphans: false, ownerId: null, deactivateDangling: false, json: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--delete-orphans') options.deleteOrphans = true;
+    else if (arg === '--import-orphans') options.importOrphans = true;
+    else if (arg === '--owner') {
+      if (i + 1 >= args.length) throw new Error('--owner needs a value');
+      options.ownerId = args[++i];
+    }
+    else if (arg === '--deactivate-dangling') options.deactivateDangling = true;
+    else if (arg === '--json') options.json = true;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+
+  if (options.deleteOrphans && options.importOrphans) {
+    throw new Error('Use either --delete-orphans or --import-orphans');
+  }
+  return options;
+}
+
+function printUsage() {
+  console.log('\nUsage:');
+  console.log('  node scripts/reconcile-storage.js [--delete-orphans | --import-orphans [--owner userId]]');
+  console.log('                                    [--deactivate-dangling] [--json]');
+}
+
+/**
+ * Call an admin endpoint
+ * @param {string} path - Path under the API
+ * @param {Object} body - JSON body (POST), or undefined for GET
+ * @returns {Promise<Object>} Response body
+ */
+async function callAdminApi(path, body) {
+  const response = await fetch(`${API_URL}${path}`, {
+    method: body ? 'POST' : 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${process.env.SCROLLNET_ACCESS_TOKEN}`,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return response.json();
+}
+
+/**
+ * Print a reconciliation report
+ * @param {Object} report - Result of the storage.reconcile job
+ */
+function printReport(report) {
+  console.log('📊 Results:');
+  console.log(`  Objects scanned: ${report.objectsScanned}`);
+  console.log(`  Records scanned: ${report.recordsScanned} (${report.externalRecords} stored elsewhere)`);
+  if (report.recentObjects > 0) {
+    console.log(`  Skipped ${report.recentObjects} objects too recent to judge`);
+  }
+
+  console.log(`\n🗑️  Orphaned objects: ${report.orphanedObjects.length}`);
+  report.orphanedObjects.forEach(object => {
+    console.log(`  - ${object.name} (${object.size} bytes, ${object.contentType || 'unknown type'})`);
+  });
+
+  console.log(`\n🔗 Dangling records: ${report.danglingRecords.length}`);
+  report.danglingRecords.forEach(record => {
+    const state = record.inTrash ? 'in trash' : record.isActive ? 'active' : 'inactive';
+    console.log(`  - ${record.videoId} "${record.title}" → ${record.objectName} (${state})`);
+  });
+
+  console.log(`\n⚖️  Mismatches: ${report.mismatches.length}`);
+  report.mismatches.forEach(mismatch => {
+    console.log(`  - ${mismatch.videoId} ${mismatch.field}: recorded ${mismatch.recorded}, stored ${mismatch.stored}`);
+  });
+
+  const { deleted, imported, deactivated, failed } = report.actions;
+  if (deleted.length + imported.length + deactivated.length + failed.length > 0) {
+    console.log('\n🔧 Actions:');
+    if (deleted.length > 0) console.log(`  Deleted ${deleted.length} orphaned objects`);
+    if (imported.length > 0) {
+      const created = imported.filter(item => item.created).length;
+      console.log(`  Imported ${created} orphaned objects as private videos; ${imported.length - created} duplicated existing videos and were removed`);
+    }
+    if (deactivated.length > 0) console.log(`  Deactivated ${deactivated.length} dangling records`);
+    failed.forEach(failure => {
+      console.log(`  ❌ Could not ${failure.action} ${failure.target}: ${failure.error}`);
+    });
+  }
+}
+
+async function main() {
+  console.log('🔎 ScrollNet Storage Reconciliation');
+  console.log('===================================\n');
+
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    printUsage();
+    process.exit(1);
+  }
+
+  if (!process.env.SCROLLNET_ACCESS_TOKEN) {
+    console.error('❌ Error: SCROLLNET_ACCESS_TOKEN must be set to an admin access token');
+    process.exit(1);
+  }
+
+  let queued;
+  try {
+    queued = await callAdminApi('/api/admin/storage/reconcile', {
+      deleteOrphans: options.deleteOrphans,
+      importOrphans: options.importOrphans,
+      deactivateDangling: options.deactivateDangling,
+      ownerId: options.ownerId,
+    });
+  } catch (error) {
+    console.error('❌ Could not reach the ScrollNet server:', error.message);
+    console.log('Make sure the ScrollNet server is running (npm run dev)');
+    process.exit(1);
+  }
+
+  if (!queued.success) {
+    console.error('❌ Reconciliation could not be started:', queued.message || queued.error);
+    process.exit(1);
+  }
+
+  console.log(`📨 Reconciliation queued (job ${queued.jobId}), waiting for the report...\n`);
+  let status;
+  do {
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    status = await callAdminApi(queued.statusUrl);
+    if (!status.success) {
+      console.error('❌ Could not read the reconciliation status:', status.message || status.error);
+      process.exit(1);
+    }
+  } while (status.status !== 'completed' && status.status !== 'dead');
+
+  if (status.status === 'dead') {
+    console.error('❌ Reconciliation failed:', status.error);
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(status.report, null, 2));
+  } else {
+    printReport(status.report);
+  }
+}
@@ -27,7 +27,7 @@ fi
 echo "3. Testing interaction API..."
 INTERACTION=$(curl -s -X POST http://localhost:3001/api/interactions \
     -H "Content-Type: application/json" \
-    -d '{"userId": "test-user", "videoId": "test-video", "type": "like", "data": {"emoji": "❤️"}}')
+    -d '{"videoId": "test-video", "type": "like", "data": {"emoji": "❤️"}}')
 if [[ $? -eq 0 ]]; then
     echo "✅ Interaction API working"
 else
@@ -39,6 +39,13 @@ fi
 echo "✅ Server is running"
 echo ""
 
+# Uploads are tied to the authenticated user
+if [ -z "$SCROLLNET_ACCESS_TOKEN" ]; then
+    echo "❌ Error: SCROLLNET_ACCESS_TOKEN is not set"
+    echo "💡 Set it to a Supabase access token for the uploading user"
+    exit 1
+fi
+
 # Find all video files (macOS compatible)
 VIDEO_FILES=$(find "$DIRECTORY" -type f \( -iname "*.mp4" -o -iname "*.avi" -o -iname "*.mov" -o -iname "*.wmv" -o -iname "*.flv" -o -iname "*.webm" -o -iname "*.mkv" -o -iname "*.m4v" \))
 
@@ -67,6 +74,7 @@ while IFS= read -r file; do
     
     # Upload the file
     RESPONSE=$(curl -s -X POST "$SERVER_URL/api/upload/video" \
+        -H "Authorization: Bearer $SCROLLNET_ACCESS_TOKEN" \
         -F "video=@$file" \
         -F "title=$TITLE" \
         -F "description=Uploaded via bulk upload script" \
@@ -3,40 +3,116 @@
 /**
  * Video Upload Script for ScrollNet
  * 
- * This script helps you upload your local videos to Google Cloud Storage
- * and create corresponding records in Supabase.
+ * This script helps you upload your local videos to the configured storage
+ * backend (Google Cloud Storage or local disk) and create corresponding records in Supabase.
  * 
  * Usage:
- *   node scripts/upload-videos.js /path/to/your/videos
+ *   node scripts/upload-videos.js /path/to/your/videos [options]
+ *
+ * Options:
+ *   --manifest <file>   CSV, JSON or JSONL manifest with path, title, description, tags,
+ *                       visibility, order and custom metadata per file
+ *   --recursive         Include videos in subdirectories
+ *   --include <glob>    Only import matching files (repeatable)
+ *   --exclude <glob>    Skip matching files (repeatable)
+ *   --dry-run           Validate and report what would be imported, then exit
+ *   --yes               Do not ask for confirmation
+ *
+ * Files imported by an earlier run are skipped, so an interrupted import can simply be re-run.
  * 
  * Prerequisites:
- *   1. Set up your .env file with GCS and Supabase credentials
- *   2. Ensure your GCS service account key is in place
+ *   1. Set up your .env file with Supabase credentials (and GCS ones when STORAGE_DRIVER=gcs)
+ *   2. Ensure your GCS service account key is in place, or set STORAGE_DRIVER=local to work offline
  *   3. Run the Supabase schema setup
+ *   4. Set SCROLLNET_ACCESS_TOKEN to a Supabase access token for the uploading user
+ *      (offline, with a backend started with DEV_AUTH_USER_ID: set DEV_AUTH_USER_ID here too and use "dev")
  */
 
 require('dotenv').config();
 const path = require('path');
 const fs = require('fs');
+const { resolveDriverName } = require('../src/services/storage');
+const { detectManifestFormat } = require('../src/services/importManifest');
+
+const API_URL = 'http://localhost:3001';
 
 // Check if we're running this script directly
 if (require.main === module) {
   main().catch(console.error);
 }
 
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} directory, manifest, recursive, include, exclude, dryRun, yes
+ */
+function parseArgs(args) {
+  const options = { directory: null, manifest: null, recursive: false, include: [], exclude: [], dryRun: false, yes: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = () => {
+      if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+      return args[++i];
+    };
+
+    if (arg === '--manifest') options.manifest = value();
+    else if (arg === '--recursive' || arg === '-r') options.recursive = true;
+    else if (arg === '--include') options.include.push(value());
+    else if (arg === '--exclude') options.exclude.push(value());
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--yes' || arg === '-y') options.yes = true;
+    else if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}`);
+    else if (!options.directory) options.directory = arg;
+    else throw new Error(`Unexpected argument ${arg}`);
+  }
+  return options;
+}
+
+function printUsage() {
+  console.log('\nUsage:');
+  console.log('  node scripts/upload-videos.js /path/to/your/videos [--manifest file] [--recursive]');
+  console.log('                                [--include glob] [--exclude glob] [--dry-run] [--yes]');
+  console.log('\nExamples:');
+  console.log('  node scripts/upload-videos.js ~/Downloads/my-videos');
+  console.log('  node scripts/upload-videos.js ~/Videos --recursive --exclude "drafts/**" --manifest ~/Videos/manifest.csv --dry-run');
+}
+
+/**
+ * POST /api/upload/directory
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Response body
+ */
+async function postDirectoryUpload(body) {
+  const response = await fetch(`${API_URL}/api/upload/directory`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${process.env.SCROLLNET_ACCESS_TOKEN}`,
+    },
+    body: JSON.stringify(body),
+  });
+  return response.json();
+}
+
 async function main() {
   console.log('🎬 ScrollNet Video Upload Script');
   console.log('================================\n');
 
   // Check command line arguments
-  const videoDirectory = process.argv[2];
-  
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    printUsage();
+    process.exit(1);
+  }
+  const videoDirectory = options.directory;
+
   if (!videoDirectory) {
     console.error('❌ Error: Please provide a directory path');
-    console.log('\nUsage:');
-    console.log('  node scripts/upload-videos.js /path/to/your/videos');
-    console.log('\nExample:');
-    console.log('  node scripts/upload-videos.js ~/Downloads/my-videos');
+    printUsage();
     process.exit(1);
   }
 
@@ -46,13 +122,31 @@ async function main() {
     process.exit(1);
   }
 
+  // The manifest is read here and sent inline, so it may live anywhere on this machine
+  let manifest = null;
+  if (options.manifest) {
+    const manifestFormat = detectManifestFormat(options.manifest);
+    if (!manifestFormat) {
+      console.error('❌ Error: The manifest must be a .csv, .json or .jsonl file');
+      process.exit(1);
+    }
+    if (!fs.existsSync(options.manifest)) {
+      console.error(`❌ Error: Manifest "${options.manifest}" does not exist`);
+      process.exit(1);
+    }
+    manifest = { manifest: fs.readFileSync(options.manifest, 'utf8'), manifestFormat };
+  }
+
   // Check environment variables
+  const storageDriver = resolveDriverName();
+  const gcsEnvVars = storageDriver === 'gcs'
+    ? ['GOOGLE_CLOUD_PROJECT_ID', 'GOOGLE_CLOUD_STORAGE_BUCKET', 'GOOGLE_APPLICATION_CREDENTIALS']
+    : [];
+  const supabaseEnvVars = process.env.DEV_AUTH_USER_ID ? [] : ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'];
   const requiredEnvVars = [
-    'GOOGLE_CLOUD_PROJECT_ID',
-    'GOOGLE_CLOUD_STORAGE_BUCKET',
-    'GOOGLE_APPLICATION_CREDENTIALS',
-    'SUPABASE_URL',
-    'SUPABASE_SERVICE_ROLE_KEY'
+    ...gcsEnvVars,
+    ...supabaseEnvVars,
+    'SCROLLNET_ACCESS_TOKEN'
   ];
 
   const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
@@ -65,7 +159,7 @@ async function main() {
   }
 
   // Check if service account key file exists
-  if (!fs.existsSync(process.env.GOOGLE_APPLICATION_CREDENTIALS)) {
+  if (storageDriver === 'gcs' && !fs.existsSync(process.env.GOOGLE_APPLICATION_CREDENTIALS)) {
     console.error(`❌ Error: Google Cloud service account key file not found:`);
     console.error(`  ${process.env.GOOGLE_APPLICATION_CREDENTIALS}`);
     console.log('\nPlease ensure your service account key file is in the correct location');
@@ -74,85 +168,143 @@ async function main() {
 
   console.log('✅ Environment check passed');
   console.log(`📁 Video directory: ${videoDirectory}`);
-  console.log(`☁️  GCS Bucket: ${process.env.GOOGLE_CLOUD_STORAGE_BUCKET}`);
+  console.log(storageDriver === 'gcs'
+    ? `☁️  GCS Bucket: ${process.env.GOOGLE_CLOUD_STORAGE_BUCKET}`
+    : `💾 Local storage: ${process.env.STORAGE_LOCAL_DIR || './storage'}`);
   console.log(`🗄️  Supabase URL: ${process.env.SUPABASE_URL}\n`);
 
-  // Count video files
-  const files = fs.readdirSync(videoDirectory);
-  const videoExtensions = ['.mp4', '.avi', '.mov', '.wmv', '.flv', '.webm', '.mkv', '.m4v'];
-  const videoFiles = files.filter(file => {
-    const ext = path.extname(file).toLowerCase();
-    return videoExtensions.includes(ext);
-  });
+  const request = {
+    directoryPath: path.resolve(videoDirectory),
+    recursive: options.recursive,
+    include: options.include,
+    exclude: options.exclude,
+    ...manifest,
+  };
 
-  if (videoFiles.length === 0) {
-    console.error('❌ No video files found in the directory');
-    console.log('Supported formats: .mp4, .avi, .mov, .wmv, .flv, .webm, .mkv, .m4v');
+  // Let the server validate everything and report what it would import
+  let plan;
+  try {
+    plan = await postDirectoryUpload({ ...request, dryRun: true });
+  } catch (error) {
+    console.error('❌ Could not reach the ScrollNet server:', error.message);
+    console.log('Make sure the ScrollNet server is running (npm run dev)');
     process.exit(1);
   }
 
-  console.log(`🎥 Found ${videoFiles.length} video files:`);
-  videoFiles.slice(0, 5).forEach(file => console.log(`  - ${file}`));
-  if (videoFiles.length > 5) {
-    console.log(`  ... and ${videoFiles.length - 5} more`);
+  if (!plan.success) {
+    console.error('❌ Import check failed:', plan.message || plan.error);
+    process.exit(1);
   }
-  console.log();
 
-  // Confirm upload
-  const readline = require('readline').createInterface({
-    input: process.stdin,
-    output: process.stdout
-  });
+  if (plan.errors.length > 0) {
+    console.error(`❌ ${plan.errors.length} manifest entries are invalid:`);
+    plan.errors.forEach(error => {
+      console.error(`  - ${error.line ? `line ${error.line}: ` : ''}${error.path ? `${error.path}: ` : ''}${error.message}`);
+    });
+    process.exit(1);
+  }
 
-  const answer = await new Promise(resolve => {
-    readline.question(`Do you want to upload ${videoFiles.length} videos? (y/N): `, resolve);
+  const alreadyImported = plan.skipped.filter(file => file.reason === 'already-imported');
+  console.log(`🎥 ${plan.files.length} video files to import:`);
+  plan.files.slice(0, options.dryRun ? plan.files.length : 5).forEach(file => {
+    const details = [file.metadata.visibility !== 'public' && file.metadata.visibility, file.metadata.tags.join(', ')]
+      .filter(Boolean).join(' · ');
+    console.log(`  - ${file.relativePath} → "${file.metadata.title}"${details ? ` (${details})` : ''}`);
   });
-  
-  readline.close();
+  if (!options.dryRun && plan.files.length > 5) {
+    console.log(`  ... and ${plan.files.length - 5} more`);
+  }
+  if (alreadyImported.length > 0) {
+    console.log(`⏭️  ${alreadyImported.length} already imported, skipping`);
+  }
+  const otherSkipped = plan.skipped.length - alreadyImported.length;
+  if (otherSkipped > 0) {
+    console.log(`⏭️  ${otherSkipped} not selected by the manifest or filters`);
+  }
+  console.log();
+
+  if (options.dryRun) {
+    console.log('Dry run: nothing was imported');
+    process.exit(0);
+  }
 
-  if (answer.toLowerCase() !== 'y' && answer.toLowerCase() !== 'yes') {
-    console.log('Upload cancelled');
+  if (plan.files.length === 0) {
+    console.log('Nothing to import');
+    console.log('Supported formats: .mp4, .avi, .mov, .wmv, .flv, .webm, .mkv, .m4v');
     process.exit(0);
   }
 
+  // Confirm upload
+  if (!options.yes) {
+    const readline = require('readline').createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+
+    const answer = await new Promise(resolve => {
+      readline.question(`Do you want to upload ${plan.files.length} videos? (y/N): `, resolve);
+    });
+
+    readline.close();
+
+    if (answer.toLowerCase() !== 'y' && answer.toLowerCase() !== 'yes') {
+      console.log('Upload cancelled');
+      process.exit(0);
+    }
+  }
+
   // Start upload process
   console.log('\n🚀 Starting upload process...\n');
 
   try {
-    const response = await fetch('http://localhost:3001/api/upload/directory', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        directoryPath: path.resolve(videoDirectory),
-        userId: 'upload-script-user',
-        sessionName: `Bulk Upload - ${new Date().toISOString()}`
-      })
+    const result = await postDirectoryUpload({
+      ...request,
+      sessionName: `Bulk Upload - ${new Date().toISOString()}`
     });
 
-    const result = await response.json();
-
-    if (result.success) {
-      console.log('✅ Upload completed successfully!');
-      console.log('\n📊 Results:');
-      console.log(`  Total files: ${result.results.totalFiles}`);
-      console.log(`  Successful: ${result.results.successful}`);
-      console.log(`  Failed: ${result.results.failed}`);
-      
-      if (result.results.failed > 0) {
-        console.log('\n❌ Failed uploads:');
-        result.results.dbResults.failed.forEach(failure => {
-          console.log(`  - ${failure.file}: ${failure.error}`);
-        });
+    if (!result.success) {
+      console.error('❌ Upload failed:', result.message || result.error);
+      process.exit(1);
+    }
+
+    // The server stores the files in the background; follow the session until it closes
+    console.log(`📨 Upload queued (session ${result.sessionId}), waiting for the files to be stored...`);
+    let status;
+    do {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      const statusResponse = await fetch(`${API_URL}${result.statusUrl}`, {
+        headers: { 'Authorization': `Bearer ${process.env.SCROLLNET_ACCESS_TOKEN}` },
+      });
+      status = await statusResponse.json();
+      if (!status.success) {
+        console.error('❌ Could not read upload status:', status.message || status.error);
+        process.exit(1);
       }
+      console.log(`  ${status.session.uploaded_files + status.session.failed_files}/${status.session.total_files} files stored`);
+    } while (status.session.status === 'in_progress');
 
-      console.log(`\n🎉 Your videos are now available in ScrollNet!`);
-      console.log(`📱 Open the app to see them in the swipe feed`);
-    } else {
-      console.error('❌ Upload failed:', result.message);
+    if (status.session.status === 'failed') {
+      console.error('❌ Upload failed: the directory could not be read by the server');
       process.exit(1);
     }
+
+    console.log('✅ Upload completed successfully!');
+    console.log('\n📊 Results:');
+    console.log(`  Total files: ${status.session.total_files}`);
+    console.log(`  Successful: ${status.session.uploaded_files}`);
+    console.log(`  Failed: ${status.session.failed_files}`);
+
+    if (status.session.failed_files > 0) {
+      console.log('\n❌ Failed uploads:');
+      status.files
+        .filter(file => file.status === 'failed')
+        .forEach(file => {
+          console.log(`  - ${file.file_name}: ${file.error}`);
+        });
+    }
+
+    console.log(`\n🎉 Your videos are now available in ScrollNet!`);
+    console.log(`📱 Videos appear in the swipe feed as they finish processing`);
   } catch (error) {
     console.error('❌ Upload error:', error.message);
     console.log('\nTroubleshooting:');
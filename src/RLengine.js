@@ -480,6 +480,129 @@ class RLEngine {
             }
         ];
     }
+
+    /**
+     * Reward of a viewer's engagement with one video
+     * @param {Object} signal - { likes, dislikes, emojis, completed } of the viewer for the video
+     * @returns {number} Reward between -1 and 1
+     */
+    calculateVideoReward(signal) {
+        let reward = signal.likes - signal.dislikes + signal.emojis * 0.5;
+
+        // Finishing a video counts for it
+        if (signal.completed) {
+            reward += 0.35;
+        }
+
+        return Math.max(-1, Math.min(1, reward));
+    }
+
+    /**
+     * Build a preference vector over video features from rewarded observations
+     * @param {Array} observations - { features, reward } oldest first; features are e.g. 'tag:cats', 'uploader:<id>'
+     * @returns {Object} Map of feature to { score, count }
+     */
+    buildPreferenceVector(observations) {
+        const vector = {};
+
+        for (const { features, reward } of observations) {
+            for (const feature of features) {
+                const entry = vector[feature] || { score: 0, count: 0 };
+                // Running mean at first, then a moving average so recent taste weighs more
+                const weight = Math.max(this.learningRate, 1 / (entry.count + 1));
+                entry.score += (reward - entry.score) * weight;
+                entry.count += 1;
+                vector[feature] = entry;
+            }
+        }
+
+        return vector;
+    }
+
+    /**
+     * Predict a viewer's engagement with a video from their preference vector
+     * @param {Object} vector - Result of buildPreferenceVector
+     * @param {Object} video - { tags, uploaderId, ageDays }
+     * @returns {Object} { score, tagScore, uploaderScore, likedTags, unexplored }
+     */
+    predictVideoEngagement(vector, video) {
+        // Features seen only once or twice count for less than established ones
+        const confident = (entry) => entry.score * entry.count / (entry.count + 1);
+
+        const knownTags = video.tags.filter(tag => vector[`tag:${tag}`]);
+        const tagScore = knownTags.length > 0
+            ? knownTags.reduce((sum, tag) => sum + confident(vector[`tag:${tag}`]), 0) / knownTags.length
+            : 0;
+        const uploader = video.uploaderId ? vector[`uploader:${video.uploaderId}`] : null;
+        const uploaderScore = uploader ? confident(uploader) : 0;
+        // Slight preference for newer videos, which also orders videos nothing is known about
+        const recency = 0.05 * Math.exp(-video.ageDays / 14);
+
+        return {
+            score: tagScore * 0.7 + uploaderScore * 0.3 + recency,
+            tagScore,
+            uploaderScore,
+            likedTags: knownTags
+                .filter(tag => vector[`tag:${tag}`].score > 0)
+                .sort((a, b) => vector[`tag:${b}`].score - vector[`tag:${a}`].score),
+            unexplored: video.tags.length > 0 && knownTags.length === 0
+        };
+    }
+
+    /**
+     * Explain why a video was ranked where it was
+     * @param {Object} prediction - Result of predictVideoEngagement
+     * @param {boolean} exploration - Whether the video fills an exploration slot
+     * @param {Array<string>} tags - Tags of the video
+     * @returns {Object} { type, text, tags? }; type is tags, uploader, explore or recent
+     */
+    explainVideoRanking(prediction, exploration, tags) {
+        if (exploration) {
+            return { type: 'explore', text: `Something new for you: #${tags[0]}`, tags: tags.slice(0, 3) };
+        }
+        if (prediction.tagScore > 0 && prediction.tagScore * 0.7 >= prediction.uploaderScore * 0.3) {
+            const liked = prediction.likedTags.slice(0, 2);
+            return { type: 'tags', text: `Because you enjoyed videos tagged ${liked.map(tag => `#${tag}`).join(' and ')}`, tags: liked };
+        }
+        if (prediction.uploaderScore > 0) {
+            return { type: 'uploader', text: 'Because you enjoyed other videos from this uploader' };
+        }
+        return { type: 'recent', text: 'New on ScrollNet' };
+    }
+
+    /**
+     * Rank videos for a viewer. A share of the slots (the exploration rate) goes to videos whose
+     * tags the viewer has never engaged with, so the profile can learn about them.
+     * @param {Object} vector - Result of buildPreferenceVector
+     * @param {Array} videos - { id, tags, uploaderId, ageDays }
+     * @param {Function} random - Returns numbers in [0, 1); pass a seeded one for a repeatable ranking
+     * @returns {Array} { id, score, reason } best first
+     */
+    rankVideos(vector, videos, random = Math.random) {
+        const predicted = videos.map(video => ({ video, prediction: this.predictVideoEngagement(vector, video) }));
+        const byScore = [...predicted].sort((a, b) => b.prediction.score - a.prediction.score);
+        // Nothing to contrast with before the viewer has engaged with anything
+        const explorePool = Object.keys(vector).length > 0
+            ? predicted.filter(item => item.prediction.unexplored).sort((a, b) => a.video.ageDays - b.video.ageDays)
+            : [];
+
+        const ranked = [];
+        const placed = new Set();
+        const next = (pool) => pool.find(item => !placed.has(item.video.id));
+
+        while (ranked.length < predicted.length) {
+            const explore = random() < this.explorationRate ? next(explorePool) : null;
+            const item = explore || next(byScore);
+            placed.add(item.video.id);
+            ranked.push({
+                id: item.video.id,
+                score: Math.round(item.prediction.score * 1000) / 1000,
+                reason: this.explainVideoRanking(item.prediction, Boolean(explore), item.video.tags)
+            });
+        }
+
+        return ranked;
+    }
 }
 
 module.exports = { RLEngine }; 
\ No newline at end of file
@@ -7,7 +7,16 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const winston = require('winston');
-const SupabaseService = require('./services/supabaseService');
+const { getRepositories, createRepositories, identityColumns } = require('./repositories');
+const FeedbackCadenceService = require('./services/feedbackCadenceService');
+const { toFeedItem, isVisibleTo, isValidUUID, REACTION_TYPES } = require('./repositories/base');
+const { getStorageService } = require('./services/storage');
+const { getPlaybackUrlService, requestBaseUrl } = require('./services/playbackUrlService');
+const { getFeedService, FeedCursorError } = require('./services/feedService');
+const { getRecommendationService, FOR_YOU_MODE } = require('./services/recommendationService');
+const { getJobQueue, startJobQueue } = require('./services/queue');
+const { registerJobHandlers, scheduleRecurringJobs } = require('./jobs');
+const { publicRoute, optionalAuth, requireAuth, getIdentity } = require('./middleware/auth');
 
 // Load environment variables
 dotenv.config();
@@ -31,7 +40,29 @@ const app = express();
 const PORT = process.env.PORT || 3001; // Use 3001 to avoid conflict with Next.js
 
 // Initialize services
-const supabaseService = new SupabaseService();
+const repositories = getRepositories();
+const feedbackCadenceService = new FeedbackCadenceService(repositories);
+
+// Demo catalogue served when the configured database cannot be reached
+let demoRepositories = repositories.driver === 'memory' ? repositories : null;
+
+/**
+ * In-memory repositories used as the feed fallback
+ * @returns {Object} Memory repositories
+ */
+function getDemoRepositories() {
+  if (!demoRepositories) {
+    demoRepositories = createRepositories('memory');
+  }
+  return demoRepositories;
+}
+const storageService = getStorageService();
+const playbackUrlService = getPlaybackUrlService();
+const feedService = getFeedService();
+const recommendationService = getRecommendationService();
+
+// tus uploads handle their own CORS and OPTIONS, so they go ahead of the global middleware
+app.use('/api/upload/tus', require('./routes/tus'));
 
 // Middleware
 app.use(cors());
@@ -39,7 +70,16 @@ app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Routes
+app.use('/api/auth', require('./routes/auth'));
 app.use('/api/upload', require('./routes/upload'));
+app.use('/api/jobs', require('./routes/jobs'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/videos', require('./routes/stream'));
+
+// Local storage driver serves uploaded files itself
+if (storageService.createMediaRouter) {
+  app.use(storageService.mountPath, storageService.createMediaRouter());
+}
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -48,183 +88,81 @@ app.use((req, res, next) => {
 });
 
 // Health check endpoint
-app.get('/api/health', (req, res) => {
+app.get('/api/health', publicRoute, (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
     version: '1.0.0',
     environment: process.env.NODE_ENV || 'development',
     services: {
-      database: 'supabase',
-      storage: 'google-cloud-storage',
+      database: repositories.driver,
+      storage: storageService.driver === 'gcs' ? 'google-cloud-storage' : 'local-disk',
+      queue: getJobQueue().driver,
       auth: 'supabase-auth'
     }
   });
 });
 
-// Authentication routes (Phase 1)
-app.post('/api/auth/register', (req, res) => {
-  // TODO: Implement user registration
-  res.status(501).json({
-    error: 'Not implemented yet',
-    message: 'User registration endpoint - MVP Phase 1 development',
-    phase: 'MVP'
-  });
-});
+// Video feed routes (Phase 1)
+// Cursor pagination: pass pagination.nextCursor back as cursor for the next page
+// mode=for_you ranks the feed for the viewer instead of listing it newest first
+app.get('/api/videos', optionalAuth, async (req, res) => {
+  const { limit = 10, offset, cursor, snapshot, mode = 'latest' } = req.query;
 
-app.post('/api/auth/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    
-    // For MVP, we'll use mock authentication
-    // In production, this would use Supabase Auth
-    if (email && password) {
-      const mockUser = {
-        id: 'mock-user-id',
-        email: email,
-        name: 'Test User',
-        token: 'mock-jwt-token'
-      };
-      
-      res.json({
-        success: true,
-        user: mockUser,
-        message: 'Login successful (MVP mode)'
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        message: 'Email and password are required'
-      });
-    }
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Login failed'
-    });
+  if (mode !== 'latest' && mode !== FOR_YOU_MODE) {
+    return res.status(400).json({ success: false, message: `mode must be one of: latest, ${FOR_YOU_MODE}` });
   }
-});
-
-app.post('/api/auth/logout', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logout successful'
-  });
-});
-
-app.get('/api/auth/me', (req, res) => {
-  // TODO: Get current user profile
-  res.status(501).json({
-    error: 'Not implemented yet',
-    message: 'Get user profile endpoint - MVP Phase 1 development',
-    phase: 'MVP'
-  });
-});
-
-// Video feed routes (Phase 1)
-app.get('/api/videos', async (req, res) => {
-  const { limit = 10, offset = 0, userId } = req.query;
   
   try {
-    // Get videos from Supabase
-    const videos = await supabaseService.getVideoFeed(
-      userId, 
-      parseInt(limit), 
-      parseInt(offset)
-    );
+    const page = mode === FOR_YOU_MODE
+      ? await recommendationService.getPage({ limit, cursor, snapshot, identity: getIdentity(req) })
+      : await feedService.getPage({ limit, offset, cursor, snapshot, identity: getIdentity(req) });
+    const videos = await Promise.all(page.videos.map(item => playbackUrlService.presentFeedItem(item, requestBaseUrl(req))));
     
     res.json({
       success: true,
       videos: videos,
-      pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        hasMore: videos.length === parseInt(limit)
-      }
+      pagination: page.pagination
     });
   } catch (error) {
+    if (error instanceof FeedCursorError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
     console.error('Error fetching videos:', error);
     
-    // Fallback to mock data if database is not available
-    const mockVideos = [
-      {
-        id: 'video-1',
-        title: 'Product Demo Video',
-        description: 'A demonstration of our latest product features',
-        url: 'https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/BigBuckBunny.mp4',
-        duration: 596,
-        tags: ['demo', 'product'],
-        uploader: 'Demo User',
-        createdAt: new Date().toISOString()
-      },
-      {
-        id: 'video-2',
-        title: 'Tutorial: Getting Started',
-        description: 'Learn how to get started with our platform',
-        url: 'https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/ElephantsDream.mp4',
-        duration: 653,
-        tags: ['tutorial', 'beginner'],
-        uploader: 'Tutorial Team',
-        createdAt: new Date().toISOString()
-      },
-      {
-        id: 'video-3',
-        title: 'Advanced Features Overview',
-        description: 'Explore advanced features and capabilities',
-        url: 'https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/ForBiggerBlazes.mp4',
-        duration: 15,
-        tags: ['advanced', 'features'],
-        uploader: 'Expert User',
-        createdAt: new Date().toISOString()
-      },
-      {
-        id: 'video-4',
-        title: 'User Success Stories',
-        description: 'Real stories from our community',
-        url: 'https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/ForBiggerEscapes.mp4',
-        duration: 15,
-        tags: ['success', 'community'],
-        uploader: 'Community Team',
-        createdAt: new Date().toISOString()
-      },
-      {
-        id: 'video-5',
-        title: 'Platform Updates',
-        description: 'Latest updates and improvements',
-        url: 'https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/ForBiggerFun.mp4',
-        duration: 60,
-        tags: ['updates', 'news'],
-        uploader: 'Development Team',
-        createdAt: new Date().toISOString()
-      }
-    ];
-    
+    // Fall back to the in-memory demo catalogue if the database is not available
     const offsetNum = parseInt(offset) || 0;
     const limitNum = parseInt(limit) || 10;
+    const feed = await getDemoRepositories().videos.getFeed(limitNum, offsetNum);
+    const videos = await Promise.all(feed.map(item => playbackUrlService.presentFeedItem(item, requestBaseUrl(req))));
     
     res.json({
       success: true,
-      videos: mockVideos.slice(offsetNum, offsetNum + limitNum),
+      videos,
       pagination: {
         limit: limitNum,
         offset: offsetNum,
-        hasMore: false
+        hasMore: false,
+        nextCursor: null
       },
       fallback: true,
-      message: 'Using mock data - database not available'
+      message: 'Using demo data - database not available'
     });
   }
 });
 
-app.get('/api/videos/:videoId', async (req, res) => {
+app.get('/api/videos/:videoId', optionalAuth, async (req, res) => {
   try {
     const { videoId } = req.params;
-    const video = await supabaseService.getVideo(videoId);
+    const video = await repositories.videos.getById(videoId);
+
+    if (!isVisibleTo(video, req.userId)) {
+      throw new Error('Video not found');
+    }
     
     res.json({
       success: true,
-      video: video
+      video: await playbackUrlService.presentVideo(video, requestBaseUrl(req))
     });
   } catch (error) {
     console.error('Error fetching video:', error);
@@ -235,31 +173,215 @@ app.get('/api/videos/:videoId', async (req, res) => {
   }
 });
 
-app.post('/api/videos/:id/view', (req, res) => {
-  // TODO: Track video view
+// Fresh playback URLs for a video; players call this when signed URLs expire mid-playback
+app.get('/api/videos/:videoId/playback', optionalAuth, async (req, res) => {
+  try {
+    const video = await repositories.videos.getById(req.params.videoId);
+
+    if (!isVisibleTo(video, req.userId)) {
+      throw new Error('Video not found');
+    }
+
+    const { url, streamUrl, thumbnail, expiresAt } = await playbackUrlService.presentFeedItem(toFeedItem(video), requestBaseUrl(req));
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      playback: { videoId: video.id, url, streamUrl, thumbnail, expiresAt }
+    });
+  } catch (error) {
+    console.error('Error fetching playback URLs:', error);
+    res.status(404).json({
+      success: false,
+      message: 'Video not found'
+    });
+  }
+});
+
+// HLS playlists of private storage, with segment references rewritten to signed URLs.
+// Access is granted by the signature on the URL, which only the endpoints above hand out.
+app.get('/api/videos/:videoId/hls/*', publicRoute, async (req, res) => {
+  const { videoId } = req.params;
+  const playlistPath = req.params[0];
+
+  if (!playbackUrlService.enabled) {
+    return res.status(404).json({ success: false, message: 'Playlists are served from storage' });
+  }
+  if (!playbackUrlService.verifyPlaylist(videoId, playlistPath, req.query.expires, req.query.signature)) {
+    return res.status(403).json({ success: false, message: 'Playlist URL is invalid or has expired' });
+  }
+
+  try {
+    const video = await repositories.videos.getById(videoId);
+    const objectName = playbackUrlService.resolvePlaylistObject(video, playlistPath);
+    if (!objectName || !objectName.endsWith('.m3u8')) {
+      return res.status(404).json({ success: false, message: 'Playlist not found' });
+    }
+
+    let content = '';
+    for await (const chunk of storageService.createReadStream(objectName)) {
+      content += chunk;
+    }
+
+    res.set({
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      'Cache-Control': 'private, max-age=60',
+    });
+    res.send(await playbackUrlService.rewritePlaylist(content, video, playlistPath, requestBaseUrl(req)));
+  } catch (error) {
+    console.error('Error serving playlist:', error);
+    res.status(404).json({ success: false, message: 'Playlist not found' });
+  }
+});
+
+// Upper bound for watch time credited by a single heartbeat (players send one every few seconds)
+const MAX_HEARTBEAT_SECONDS = 30;
+
+/**
+ * Validate a view heartbeat from the player
+ * @param {Object} body - Request body
+ * @returns {{ heartbeat: Object|null, error: string|null }} Normalised heartbeat or validation error
+ */
+function parseViewHeartbeat(body) {
+  const { playbackId, position, watchedSeconds = 0, duration = null, muted = false, loopCount = 0 } = body;
+
+  if (!playbackId || typeof playbackId !== 'string' || playbackId.length > 64) {
+    return { heartbeat: null, error: 'playbackId is required' };
+  }
+
+  const numbers = { position, watchedSeconds, loopCount };
+  for (const [field, value] of Object.entries(numbers)) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      return { heartbeat: null, error: `${field} must be a non-negative number` };
+    }
+  }
+
+  if (duration !== null && (typeof duration !== 'number' || !Number.isFinite(duration) || duration < 0)) {
+    return { heartbeat: null, error: 'duration must be a non-negative number' };
+  }
+
+  return {
+    heartbeat: {
+      playbackId,
+      position,
+      watchedSeconds: Math.min(watchedSeconds, MAX_HEARTBEAT_SECONDS),
+      duration,
+      muted: Boolean(muted),
+      loopCount: Math.floor(loopCount),
+    },
+    error: null,
+  };
+}
+
+app.post('/api/videos/:id/view', optionalAuth, async (req, res) => {
   const { id } = req.params;
-  res.status(501).json({
-    error: 'Not implemented yet',
-    message: `Track video ${id} view - MVP Phase 1 development`,
-    phase: 'MVP'
-  });
+
+  if (!req.userId && !req.anonymousId) {
+    return res.status(401).json({
+      success: false,
+      message: 'Sign in or start a guest session to track views'
+    });
+  }
+
+  const { heartbeat, error: validationError } = parseViewHeartbeat(req.body);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      message: validationError
+    });
+  }
+
+  if (!isValidUUID(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid video ID'
+    });
+  }
+
+  let video;
+  try {
+    video = await repositories.videos.getById(id);
+  } catch (error) {
+    video = null;
+  }
+  if (!video || !isVisibleTo(video, req.userId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Video not found'
+    });
+  }
+
+  try {
+    const view = await repositories.interactions.recordViewHeartbeat(getIdentity(req), id, heartbeat);
+
+    res.json({
+      success: true,
+      view: {
+        videoId: view.video_id,
+        totalWatchSeconds: Number(view.total_watch_seconds),
+        maxPositionSeconds: Number(view.max_position_seconds),
+        completionPercent: Number(view.completion_percent),
+        rewatches: view.rewatch_count,
+        lastHeartbeatAt: view.last_heartbeat_at
+      }
+    });
+  } catch (error) {
+    console.error('Error tracking view:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to track view'
+    });
+  }
 });
 
 // User interaction routes (Phase 1)
-app.post('/api/interactions', async (req, res) => {
+app.post('/api/interactions', optionalAuth, async (req, res) => {
   try {
-    const { userId, videoId, type, data } = req.body;
+    const { videoId, type, data } = req.body;
     
-    if (!userId || !videoId || !type) {
+    if (!videoId || !type) {
+      return res.status(400).json({
+        success: false,
+        message: 'videoId and type are required'
+      });
+    }
+
+    if (!req.userId && !req.anonymousId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign in or start a guest session before reacting'
+      });
+    }
+
+    if (!REACTION_TYPES.includes(type)) {
       return res.status(400).json({
         success: false,
-        message: 'userId, videoId, and type are required'
+        message: `type must be one of: ${REACTION_TYPES.join(', ')}`
+      });
+    }
+
+    if (!isValidUUID(videoId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid video ID'
+      });
+    }
+
+    let video;
+    try {
+      video = await repositories.videos.getById(videoId);
+    } catch (error) {
+      video = null;
+    }
+    if (!video || !isVisibleTo(video, req.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found'
       });
     }
     
-    // Record interaction in Supabase
-    const interaction = await supabaseService.recordInteraction(
-      userId, 
+    // Record interaction; the identity comes from the token or guest session, never the body
+    const interaction = await repositories.interactions.record(
+      getIdentity(req), 
       videoId, 
       type, 
       data || {}
@@ -282,11 +404,18 @@ app.post('/api/interactions', async (req, res) => {
   }
 });
 
-app.get('/api/interactions/:userId/:videoId', async (req, res) => {
+app.get('/api/interactions/:userId/:videoId', requireAuth, async (req, res) => {
+  const { userId, videoId } = req.params;
+
+  if (userId !== req.userId) {
+    return res.status(403).json({
+      success: false,
+      message: 'You can only read your own interactions'
+    });
+  }
+
   try {
-    const { userId, videoId } = req.params;
-    
-    const interactions = await supabaseService.getUserInteractions(userId, videoId);
+    const interactions = await repositories.interactions.listForUser(userId, videoId);
     
     res.json({
       success: true,
@@ -303,21 +432,31 @@ app.get('/api/interactions/:userId/:videoId', async (req, res) => {
 });
 
 // Feedback routes (Phase 1)
-app.get('/api/feedback/required', (req, res) => {
-  // TODO: Check if feedback is required (every 5 videos)
-  res.status(501).json({
-    error: 'Not implemented yet',
-    message: 'Check feedback requirement - MVP Phase 1 development',
-    phase: 'MVP',
-    mockData: {
-      required: true,
-      videosWatched: 5,
-      targetVideo: 'video-5'
-    }
-  });
+app.get('/api/feedback/required', optionalAuth, async (req, res) => {
+  if (!req.userId && !req.anonymousId) {
+    return res.status(401).json({
+      success: false,
+      message: 'Sign in or start a guest session to check feedback status'
+    });
+  }
+
+  try {
+    const status = await feedbackCadenceService.getFeedbackStatus(getIdentity(req));
+
+    res.json({
+      success: true,
+      ...status
+    });
+  } catch (error) {
+    console.error('Error checking feedback requirement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check feedback requirement'
+    });
+  }
 });
 
-app.post('/api/feedback', async (req, res) => {
+app.post('/api/feedback', optionalAuth, async (req, res) => {
   try {
     const { videoId, whatDidYouSee, whyDidYouReact, timestamp } = req.body;
     
@@ -327,18 +466,25 @@ app.post('/api/feedback', async (req, res) => {
         message: 'Both questions must be answered'
       });
     }
+
+    if (!req.userId && !req.anonymousId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sign in or start a guest session before submitting feedback'
+      });
+    }
     
     // Prepare feedback data for database
     const feedbackData = {
       video_id: videoId,
-      user_id: 'anonymous-user', // For MVP, all feedback is anonymous
+      ...identityColumns(getIdentity(req)),
       what_did_you_see: whatDidYouSee,
       why_did_you_react: whyDidYouReact,
       created_at: timestamp || new Date().toISOString()
     };
     
-    // Submit feedback to Supabase
-    const feedback = await supabaseService.submitFeedback(feedbackData);
+    // Submit feedback
+    const feedback = await repositories.feedback.submit(feedbackData);
     
     res.json({
       success: true,
@@ -359,11 +505,11 @@ app.post('/api/feedback', async (req, res) => {
 
 // ============ ANALYTICS ENDPOINTS ============
 
-app.get('/api/analytics/video/:videoId', async (req, res) => {
+app.get('/api/analytics/video/:videoId', publicRoute, async (req, res) => {
   try {
     const { videoId } = req.params;
     
-    const analytics = await supabaseService.getVideoAnalytics(videoId);
+    const analytics = await repositories.interactions.getVideoAnalytics(videoId);
     
     res.json({
       success: true,
@@ -378,7 +524,13 @@ app.get('/api/analytics/video/:videoId', async (req, res) => {
         likes: 0,
         dislikes: 0,
         emojiReactions: [],
-        views: 0
+        views: 0,
+        uniqueViewers: 0,
+        totalWatchSeconds: 0,
+        averageWatchSeconds: 0,
+        averageCompletionPercent: 0,
+        completionRate: 0,
+        rewatches: 0
       },
       fallback: true
     });
@@ -420,16 +572,26 @@ app.use((error, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  logger.info(`🚀 ScrollNet MVP Backend running on port ${PORT}`);
-  logger.info(`📋 Phase: MVP (Phase 1) - Core functionality only`);
-  logger.info(`🗄️  Database: Supabase`);
-  logger.info(`☁️  Storage: Google Cloud Storage`);
-  logger.info(`�� Health check: ${process.env.SERVER_URL || `http://localhost:${PORT}`}/api/health`);
-  logger.info(`📖 API Documentation: All endpoints return 501 (Not Implemented) during development`);
-  logger.info(`❌ AI features disabled until Phase 3`);
-});
+// Start server once the job queue is accepting work
+startJobQueue(registerJobHandlers)
+  .then((queue) => {
+    scheduleRecurringJobs(getJobQueue);
+
+    app.listen(PORT, () => {
+      logger.info(`🚀 ScrollNet MVP Backend running on port ${PORT}`);
+      logger.info(`📋 Phase: MVP (Phase 1) - Core functionality only`);
+      logger.info(`🗄️  Database: ${repositories.driver}${repositories.driver === 'memory' ? ' (demo mode, data is not persisted)' : ''}`);
+      logger.info(`☁️  Storage: ${storageService.driver === 'gcs' ? 'Google Cloud Storage' : `Local disk (${storageService.rootDir})`}`);
+      logger.info(`🧵 Job queue: ${queue.driver}${queue.driver === 'memory' ? ' (in-process, jobs are lost on restart)' : ''}`);
+      logger.info(`�� Health check: ${process.env.SERVER_URL || `http://localhost:${PORT}`}/api/health`);
+      logger.info(`📖 API Documentation: All endpoints return 501 (Not Implemented) during development`);
+      logger.info(`❌ AI features disabled until Phase 3`);
+    });
+  })
+  .catch((error) => {
+    logger.error('Failed to start job queue:', error);
+    process.exit(1);
+  });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
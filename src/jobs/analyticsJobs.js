@@ -0,0 +1,39 @@
+const { buildVideoStatsRow } = require('../repositories/base');
+
+// Videos rolled up per feed page
+const ROLLUP_PAGE_SIZE = 50;
+
+/**
+ * analytics.rollup: recompute video_stats for every active video
+ * @param {Object} job - Job with data { windowStart }
+ * @param {Object} context - repositories
+ * @returns {Promise<Object>} { videos }
+ */
+async function rollupVideoStats(job, { repositories }) {
+  let offset = 0;
+  let total = 0;
+
+  for (;;) {
+    const videos = await repositories.videos.getFeed(ROLLUP_PAGE_SIZE, offset);
+    if (videos.length === 0) break;
+
+    const videoIds = videos.map(video => video.id);
+    const feedbackCounts = await repositories.feedback.getCounts(videoIds);
+    const rows = [];
+
+    for (const videoId of videoIds) {
+      const analytics = await repositories.interactions.getVideoAnalytics(videoId);
+      rows.push(buildVideoStatsRow(videoId, analytics, feedbackCounts[videoId] || 0));
+    }
+
+    total += await repositories.videoStats.upsert(rows);
+    offset += videos.length;
+    if (videos.length < ROLLUP_PAGE_SIZE) break;
+  }
+
+  return { videos: total };
+}
+
+module.exports = {
+  rollupVideoStats,
+};
@@ -0,0 +1,116 @@
+const { getRepositories } = require('../repositories');
+const { hostJobType } = require('../services/queue');
+const { getStorageService } = require('../services/storage');
+const { getVideoProcessingService } = require('../services/videoProcessingService');
+const { getUploadSessionService } = require('../services/uploadSessionService');
+const { getUploadProgressService } = require('../services/uploadProgressService');
+const { getBulkImportService } = require('../services/bulkImportService');
+const { getDeduplicationService } = require('../services/deduplicationService');
+const { getTrashService } = require('../services/trashService');
+const { getReconciliationService } = require('../services/reconciliationService');
+const { storeUploadedFile, markUploadFailed, importDirectory, markDirectoryFailed } = require('./uploadJobs');
+const { analyzeVideo, transcodeVideo, markProcessingFailed } = require('./videoJobs');
+const { rollupVideoStats } = require('./analyticsJobs');
+const { scanDuplicates, reconcileStorage } = require('./storageJobs');
+const { purgeExpiredVideos } = require('./trashJobs');
+
+// Files moved into storage at once per process
+const UPLOAD_CONCURRENCY = parseInt(process.env.UPLOAD_CONCURRENCY) || 3;
+const ANALYTICS_ROLLUP_INTERVAL_MINUTES = parseInt(process.env.ANALYTICS_ROLLUP_INTERVAL_MINUTES) || 15;
+const TRASH_PURGE_INTERVAL_MINUTES = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+const STORAGE_RECONCILE_INTERVAL_MINUTES = parseInt(process.env.STORAGE_RECONCILE_INTERVAL_MINUTES) || 24 * 60;
+
+/**
+ * Register every job type on a queue
+ * @param {JobQueue} queue - Job queue
+ * @param {Object} services - Overrides of repositories, storageService, videoProcessingService, uploadSessionService,
+ *   uploadProgressService, bulkImportService, deduplicationService, trashService, reconciliationService
+ */
+function registerJobHandlers(queue, services = {}) {
+  const context = {
+    queue,
+    repositories: services.repositories || getRepositories(),
+    storageService: services.storageService || getStorageService(),
+    videoProcessingService: services.videoProcessingService || getVideoProcessingService(),
+    uploadSessionService: services.uploadSessionService || getUploadSessionService(),
+    uploadProgressService: services.uploadProgressService || getUploadProgressService(),
+    bulkImportService: services.bulkImportService || getBulkImportService(),
+    deduplicationService: services.deduplicationService || getDeduplicationService(),
+    trashService: services.trashService || getTrashService(),
+    reconciliationService: services.reconciliationService || getReconciliationService(),
+  };
+  const run = (handler) => (job) => handler(job, context);
+  const onFailure = (handler) => (job, error) => handler(job, error, context);
+
+  // Both read files on this host's disk, so only this host may claim them
+  queue.register(hostJobType('upload.file'), run(storeUploadedFile), {
+    concurrency: UPLOAD_CONCURRENCY,
+    attempts: 3,
+    onFailure: onFailure(markUploadFailed),
+  });
+  queue.register(hostJobType('upload.directory'), run(importDirectory), {
+    attempts: 1,
+    onFailure: onFailure(markDirectoryFailed),
+  });
+
+  // ffmpeg is CPU bound; keep the encoders from starving each other
+  queue.register('video.analyze', run(analyzeVideo), {
+    concurrency: 2,
+    attempts: 3,
+    onFailure: onFailure(markProcessingFailed),
+  });
+  queue.register('video.transcode', run(transcodeVideo), {
+    concurrency: 1,
+    attempts: 2,
+    backoff: 30 * 1000,
+    onFailure: onFailure(markProcessingFailed),
+  });
+
+  queue.register('analytics.rollup', run(rollupVideoStats), { attempts: 1 });
+  // Reads every candidate object back from storage; one scan at a time is plenty
+  queue.register('storage.duplicates', run(scanDuplicates), { attempts: 1 });
+  queue.register('storage.reconcile', run(reconcileStorage), { attempts: 1 });
+  queue.register('trash.purge', run(purgeExpiredVideos), { attempts: 1 });
+}
+
+/**
+ * Enqueue a job type every intervalMinutes.
+ * Jobs are keyed by their time window, so several API processes enqueue only one per window.
+ * @param {Function} getQueue - Returns the current job queue
+ * @param {string} type - Job type
+ * @param {number} intervalMinutes - Minutes between jobs
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+function scheduleWindowedJob(getQueue, type, intervalMinutes) {
+  const intervalMs = intervalMinutes * 60 * 1000;
+  const enqueue = () => {
+    const windowStart = new Date(Math.floor(Date.now() / intervalMs) * intervalMs).toISOString();
+    getQueue()
+      .enqueue(type, { windowStart }, { jobId: `${type}:${windowStart}` })
+      .catch(error => console.error(`Error scheduling ${type}:`, error.message));
+  };
+
+  enqueue();
+  const timer = setInterval(enqueue, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Enqueue analytics.rollup every ANALYTICS_ROLLUP_INTERVAL_MINUTES, trash.purge every TRASH_PURGE_INTERVAL_MINUTES
+ * and a report-only storage.reconcile every STORAGE_RECONCILE_INTERVAL_MINUTES
+ * @param {Function} getQueue - Returns the current job queue
+ * @returns {Array<NodeJS.Timeout>} Interval handles
+ */
+function scheduleRecurringJobs(getQueue) {
+  return [
+    scheduleWindowedJob(getQueue, 'analytics.rollup', ANALYTICS_ROLLUP_INTERVAL_MINUTES),
+    scheduleWindowedJob(getQueue, 'trash.purge', TRASH_PURGE_INTERVAL_MINUTES),
+    scheduleWindowedJob(getQueue, 'storage.reconcile', STORAGE_RECONCILE_INTERVAL_MINUTES),
+  ];
+}
+
+module.exports = {
+  registerJobHandlers,
+  scheduleRecurringJobs,
+};
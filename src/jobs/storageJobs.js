@@ -0,0 +1,88 @@
+// Videos looked up per query when matching objects to their records
+const SOURCE_LOOKUP_CHUNK = 100;
+
+/**
+ * storage.duplicates: find stored originals with identical content.
+ * Objects are grouped by size first, so only objects sharing a size are read and hashed.
+ * @param {Object} job - Job with data { userId }
+ * @param {Object} context - repositories, storageService
+ * @returns {Promise<Object>} Duplicate report
+ */
+async function scanDuplicates(job, { repositories, storageService }) {
+  const objects = await storageService.listVideos();
+
+  const bySize = new Map();
+  for (const object of objects) {
+    const size = Number(object.metadata?.size || 0);
+    bySize.set(size, [...(bySize.get(size) || []), { ...object, size }]);
+  }
+  const candidates = [...bySize.values()].filter(group => group.length > 1).flat();
+
+  const byHash = new Map();
+  for (const object of candidates) {
+    const contentHash = await storageService.hashObject(object.name);
+    byHash.set(contentHash, [...(byHash.get(contentHash) || []), object]);
+  }
+  const duplicates = [...byHash.entries()].filter(([, group]) => group.length > 1);
+
+  const urls = duplicates.flatMap(([, group]) => group.map(object => object.publicUrl));
+  const videos = [];
+  for (let i = 0; i < urls.length; i += SOURCE_LOOKUP_CHUNK) {
+    videos.push(...await repositories.videos.listBySourceUrls(urls.slice(i, i + SOURCE_LOOKUP_CHUNK)));
+  }
+
+  const groups = duplicates
+    .map(([contentHash, group]) => ({
+      contentHash,
+      size: group[0].size,
+      reclaimableBytes: group[0].size * (group.length - 1),
+      objects: group
+        .map(object => ({
+          name: object.name,
+          publicUrl: object.publicUrl,
+          timeCreated: object.metadata?.timeCreated || null,
+          videos: videos.filter(video => video.gcs_url === object.publicUrl),
+        }))
+        .sort((a, b) => String(a.timeCreated).localeCompare(String(b.timeCreated))),
+    }))
+    .sort((a, b) => b.reclaimableBytes - a.reclaimableBytes);
+
+  console.log(`Duplicate scan: ${objects.length} objects, ${candidates.length} hashed, ${groups.length} duplicate groups`);
+
+  return {
+    scannedAt: new Date().toISOString(),
+    objectsScanned: objects.length,
+    objectsHashed: candidates.length,
+    duplicateGroups: groups.length,
+    duplicateObjects: groups.reduce((sum, group) => sum + group.objects.length - 1, 0),
+    reclaimableBytes: groups.reduce((sum, group) => sum + group.reclaimableBytes, 0),
+    groups,
+  };
+}
+
+/**
+ * storage.reconcile: report orphaned objects, dangling records and mismatches, and apply the requested fixes.
+ * Scheduled runs only report. Imported orphans are queued for processing like uploads.
+ * @param {Object} job - Job with data { userId, deleteOrphans, importOrphans, deactivateDangling, ownerId }
+ * @param {Object} context - queue, reconciliationService
+ * @returns {Promise<Object>} Reconciliation report
+ */
+async function reconcileStorage(job, { queue, reconciliationService }) {
+  const { deleteOrphans, importOrphans, deactivateDangling, ownerId, userId } = job.data;
+  const report = await reconciliationService.run({
+    deleteOrphans,
+    importOrphans,
+    deactivateDangling,
+    ownerId: ownerId || userId,
+  });
+
+  for (const imported of report.actions.imported.filter(item => item.created)) {
+    await queue.enqueue('video.analyze', { videoId: imported.videoId, userId: ownerId || userId });
+  }
+  return report;
+}
+
+module.exports = {
+  scanDuplicates,
+  reconcileStorage,
+};
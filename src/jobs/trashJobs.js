@@ -0,0 +1,20 @@
+/**
+ * trash.purge: permanently delete videos that have been in the trash longer than the retention period
+ * @param {Object} job - Job with data { windowStart }
+ * @param {Object} context - trashService
+ * @returns {Promise<Object>} { cutoff, purged, failed }
+ */
+async function purgeExpiredVideos(job, { trashService }) {
+  const result = await trashService.purgeExpired();
+
+  console.log(`Trash purge: ${result.purged.length} purged, ${result.failed.length} failed (deleted before ${result.cutoff})`);
+  return {
+    cutoff: result.cutoff,
+    purged: result.purged.map(video => video.videoId),
+    failed: result.failed,
+  };
+}
+
+module.exports = {
+  purgeExpiredVideos,
+};
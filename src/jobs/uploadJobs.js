@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const { validateVideoFile } = require('../services/mediaValidation');
+const { hostJobType } = require('../services/queue');
+
+/**
+ * upload.file: move one received file into storage and create its videos row.
+ * Files not validated when they were received (directory imports) are validated first;
+ * a rejected file fails the job without retries.
+ * Content that is already stored resolves to the existing video (or a record pointing at
+ * its object when the upload asked for metadata.onDuplicate = 'link').
+ * @param {Object} job - Job with data { uploadFileId, userId, keepSource }
+ * @param {Object} context - queue, repositories, storageService, uploadSessionService, uploadProgressService, deduplicationService
+ * @returns {Promise<Object>} { videoId, duplicateOf }
+ */
+async function storeUploadedFile(job, { queue, repositories, storageService, uploadSessionService, uploadProgressService, deduplicationService }) {
+  const upload = await repositories.uploadSessions.getFile(job.data.uploadFileId);
+  if (!upload) throw new Error('Upload file not found');
+
+  // A retry after the video row was created must not create it twice
+  if (upload.status === 'completed' && upload.video_id) {
+    return { videoId: upload.video_id };
+  }
+
+  await repositories.uploadSessions.updateFile(upload.id, { status: 'finalizing', error: null });
+
+  if (!upload.metadata?.media) {
+    const { container, mimeType, media } = await validateVideoFile(upload.temp_path);
+    upload.mime_type = mimeType;
+    upload.metadata = { ...upload.metadata, container, media };
+    await repositories.uploadSessions.updateFile(upload.id, { mime_type: mimeType, metadata: upload.metadata });
+  }
+
+  const size = Number(upload.upload_length);
+  // Chained so a late byte event cannot land after the stages that follow
+  let bytesReported = Promise.resolve();
+  const uploadResult = await storageService.uploadVideo({
+    originalname: upload.file_name,
+    path: upload.temp_path,
+    size,
+    mimetype: upload.mime_type,
+  }, {
+    title: upload.metadata?.title,
+    description: upload.metadata?.description,
+  }, {
+    onProgress: (bytesUploaded) => {
+      bytesReported = bytesReported.then(() => uploadProgressService.recordBytes(upload.session_id, upload.id, bytesUploaded, size));
+    },
+  });
+  await bytesReported;
+
+  const { video, created, duplicateOf } = await deduplicationService.createVideo(uploadResult, {
+    title: upload.metadata?.title,
+    description: upload.metadata?.description,
+    tags: upload.metadata?.tags || [],
+    visibility: upload.metadata?.visibility,
+    customMetadata: upload.metadata?.custom,
+    uploadSessionId: upload.session_id,
+  }, upload.user_id, { onDuplicate: upload.metadata?.onDuplicate });
+
+  if (!job.data.keepSource) {
+    await removeFile(upload.temp_path);
+  }
+  await repositories.uploadSessions.updateFile(upload.id, {
+    status: 'completed',
+    video_id: video.id,
+    temp_path: job.data.keepSource ? upload.temp_path : null,
+  });
+  await uploadSessionService.refresh(upload.session_id);
+
+  // The existing video is processed (or being processed) already
+  if (!created) {
+    await uploadProgressService.record(upload.session_id, upload.id, 'ready', { videoId: video.id, duplicateOf: duplicateOf.id });
+    return { videoId: video.id, duplicateOf: duplicateOf.id };
+  }
+
+  await uploadProgressService.record(upload.session_id, upload.id, 'db-record-created', {
+    videoId: video.id,
+    duplicateOf: duplicateOf ? duplicateOf.id : null,
+  });
+  await queue.enqueue('video.analyze', {
+    videoId: video.id,
+    userId: upload.user_id,
+    sessionId: upload.session_id,
+    uploadFileId: upload.id,
+  });
+  return { videoId: video.id, duplicateOf: duplicateOf ? duplicateOf.id : null };
+}
+
+/**
+ * upload.file gave up: record the failure and discard the received bytes
+ * @param {Object} job - Dead job
+ * @param {Error} error - Last failure
+ * @param {Object} context - repositories, uploadSessionService, uploadProgressService
+ */
+async function markUploadFailed(job, error, { repositories, uploadSessionService, uploadProgressService }) {
+  const upload = await repositories.uploadSessions.getFile(job.data.uploadFileId);
+  if (!upload) return;
+
+  if (!job.data.keepSource) {
+    await removeFile(upload.temp_path);
+  }
+  await repositories.uploadSessions.updateFile(upload.id, {
+    status: 'failed',
+    error: error.message,
+    temp_path: job.data.keepSource ? upload.temp_path : null,
+  });
+  await uploadSessionService.refresh(upload.session_id);
+  await uploadProgressService.record(upload.session_id, upload.id, 'failed', {
+    error: error.message,
+    check: error.check || null,
+  });
+}
+
+/**
+ * upload.directory: register the directory's videos (filtered, and described by the manifest
+ * when one was given) and queue each file. Files imported by earlier runs are skipped.
+ * @param {Object} job - Job with data { sessionId, userId, directoryPath, recursive, include, exclude, manifest, onDuplicate }
+ * @param {Object} context - queue, repositories, uploadSessionService, uploadProgressService, bulkImportService
+ * @returns {Promise<Object>} { totalFiles, skipped, failed }
+ */
+async function importDirectory(job, { queue, repositories, uploadSessionService, uploadProgressService, bulkImportService }) {
+  const { sessionId, userId, directoryPath } = job.data;
+  const plan = await bulkImportService.plan(userId, job.data);
+
+  console.log(`Importing ${plan.files.length} video files from ${directoryPath} (${plan.skipped.length} skipped, ${plan.errors.length} invalid)`);
+
+  for (const file of plan.files) {
+    const upload = await repositories.uploadSessions.createFile({
+      session_id: sessionId,
+      user_id: userId,
+      file_name: file.fileName,
+      mime_type: file.mimeType,
+      upload_length: file.size,
+      upload_offset: file.size,
+      temp_path: file.path,
+      source_path: file.path,
+      metadata: job.data.onDuplicate ? { ...file.metadata, onDuplicate: job.data.onDuplicate } : file.metadata,
+      status: 'queued',
+    });
+    await uploadProgressService.record(sessionId, upload.id, 'queued', {
+      fileName: file.fileName,
+      bytesUploaded: 0,
+      bytesTotal: file.size,
+    });
+
+    // The directory belongs to the operator, so its files are never deleted
+    await queue.enqueue(hostJobType('upload.file'), { uploadFileId: upload.id, userId, keepSource: true }, {
+      jobId: `upload.file:${upload.id}`,
+    });
+  }
+
+  // Manifest entries that no longer resolve (the file was moved since the request) fail on their own
+  for (const { path: entryPath, message } of plan.errors) {
+    const upload = await repositories.uploadSessions.createFile({
+      session_id: sessionId,
+      user_id: userId,
+      file_name: path.basename(entryPath || 'unknown'),
+      upload_length: 0,
+      metadata: {},
+      status: 'failed',
+      error: message,
+    });
+    await uploadProgressService.record(sessionId, upload.id, 'failed', { fileName: upload.file_name, error: message });
+  }
+
+  await uploadSessionService.refresh(sessionId);
+  // An empty or fully imported directory closes the session without any file events
+  await uploadProgressService.publishSummaryIfSettled(sessionId);
+  return { totalFiles: plan.files.length, skipped: plan.skipped.length, failed: plan.errors.length };
+}
+
+/**
+ * upload.directory gave up: close the session so it does not stay in progress
+ * @param {Object} job - Dead job
+ * @param {Error} error - Last failure
+ * @param {Object} context - repositories, uploadProgressService
+ */
+async function markDirectoryFailed(job, error, { repositories, uploadProgressService }) {
+  await repositories.uploadSessions.update(job.data.sessionId, {
+    status: 'failed',
+    completed_at: new Date().toISOString(),
+  });
+  await uploadProgressService.publishSummaryIfSettled(job.data.sessionId);
+}
+
+/**
+ * Delete a received file if it is still on disk
+ * @param {string} filePath - File path
+ */
+async function removeFile(filePath) {
+  if (!filePath) return;
+
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Could not remove ${filePath}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  storeUploadedFile,
+  markUploadFailed,
+  importDirectory,
+  markDirectoryFailed,
+};
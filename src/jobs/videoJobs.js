@@ -0,0 +1,44 @@
+/**
+ * video.analyze: probe the upload and render its poster, thumbnails and sprite, then queue the transcode
+ * @param {Object} job - Job with data { videoId, sessionId, uploadFileId }
+ * @param {Object} context - queue, videoProcessingService, uploadProgressService
+ */
+async function analyzeVideo(job, { queue, videoProcessingService, uploadProgressService }) {
+  const { videoId, sessionId, uploadFileId } = job.data;
+
+  await uploadProgressService.record(sessionId, uploadFileId, 'processing', { videoId, step: 'analyze' });
+  await videoProcessingService.analyze(videoId);
+  await queue.enqueue('video.transcode', job.data);
+}
+
+/**
+ * video.transcode: encode HLS renditions and the MP4 fallback
+ * @param {Object} job - Job with data { videoId, sessionId, uploadFileId }
+ * @param {Object} context - videoProcessingService, uploadProgressService
+ */
+async function transcodeVideo(job, { videoProcessingService, uploadProgressService }) {
+  const { videoId, sessionId, uploadFileId } = job.data;
+
+  await uploadProgressService.record(sessionId, uploadFileId, 'processing', { videoId, step: 'transcode' });
+  await videoProcessingService.transcode(videoId);
+  await uploadProgressService.record(sessionId, uploadFileId, 'ready', { videoId, step: null });
+}
+
+/**
+ * video.analyze / video.transcode gave up: flag the video as failed
+ * @param {Object} job - Dead job
+ * @param {Error} error - Last failure
+ * @param {Object} context - videoProcessingService, uploadProgressService
+ */
+async function markProcessingFailed(job, error, { videoProcessingService, uploadProgressService }) {
+  const { videoId, sessionId, uploadFileId } = job.data;
+
+  await videoProcessingService.markFailed(videoId, error);
+  await uploadProgressService.record(sessionId, uploadFileId, 'failed', { videoId, error: error.message });
+}
+
+module.exports = {
+  analyzeVideo,
+  transcodeVideo,
+  markProcessingFailed,
+};
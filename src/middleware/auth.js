@@ -0,0 +1,199 @@
+const SupabaseService = require('../services/supabaseService');
+const { getRepositories } = require('../repositories');
+
+const supabaseService = new SupabaseService();
+const repositories = getRepositories();
+
+const ANONYMOUS_ID_HEADER = 'x-anonymous-id';
+
+// Users allowed to call administrative endpoints, from ADMIN_USER_IDS (comma separated)
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Access token or null if none was sent
+ */
+function extractBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) {
+    return null;
+  }
+
+  return token.trim();
+}
+
+/**
+ * Identity of the caller as accepted by SupabaseService data methods
+ * @param {Object} req - Express request
+ * @returns {{ userId: string|null, anonymousId: string|null }} Request identity
+ */
+function getIdentity(req) {
+  return {
+    userId: req.userId || null,
+    anonymousId: req.userId ? null : req.anonymousId || null,
+  };
+}
+
+/**
+ * Whether a user is listed in ADMIN_USER_IDS
+ * @param {string|null} userId - User ID
+ * @returns {boolean} Admin flag
+ */
+function isAdmin(userId) {
+  return Boolean(userId) && ADMIN_USER_IDS.includes(userId);
+}
+
+/**
+ * Resolve the Supabase user for the request and attach it to `req`
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} Authenticated user or null
+ */
+async function resolveUser(req) {
+  const token = extractBearerToken(req);
+  if (!token) return null;
+
+  const user = await supabaseService.verifyAccessToken(token);
+
+  req.user = user;
+  req.userId = user.id;
+  req.accessToken = token;
+  return user;
+}
+
+/**
+ * Whether resolveUser failed because the token was rejected, rather than because
+ * Supabase could not be reached or is not configured
+ * @param {Error} error - Error thrown by resolveUser
+ * @returns {boolean} Token error flag
+ */
+function isTokenError(error) {
+  return error.status === 401;
+}
+
+/**
+ * Resolve the guest session sent in the X-Anonymous-Id header.
+ * Unknown or already merged sessions are ignored rather than rejected.
+ * @param {Object} req - Express request
+ * @returns {Promise<string|null>} Anonymous session ID or null
+ */
+async function resolveAnonymousSession(req) {
+  const anonymousId = req.headers[ANONYMOUS_ID_HEADER];
+  if (!anonymousId) return null;
+
+  const session = await repositories.anonymousSessions.getActive(anonymousId);
+  req.anonymousId = session ? session.id : null;
+  return req.anonymousId;
+}
+
+/**
+ * Reset identity fields so handlers never see stale values
+ * @param {Object} req - Express request
+ */
+function resetIdentity(req) {
+  req.user = null;
+  req.userId = null;
+  req.anonymousId = null;
+}
+
+/**
+ * Route is reachable without credentials; no user is resolved
+ */
+function publicRoute(req, res, next) {
+  resetIdentity(req);
+  next();
+}
+
+/**
+ * Attach the user when a valid token is sent, continue anonymously otherwise.
+ * Anonymous callers may identify their guest session with X-Anonymous-Id.
+ * An invalid token is still rejected so clients notice expired sessions; failures
+ * verifying the token or looking up the guest session go to the error handler instead.
+ */
+async function optionalAuth(req, res, next) {
+  resetIdentity(req);
+
+  let user;
+  try {
+    user = await resolveUser(req);
+  } catch (error) {
+    if (!isTokenError(error)) return next(error);
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid token',
+      message: error.message,
+    });
+  }
+
+  try {
+    if (!user) {
+      await resolveAnonymousSession(req);
+    }
+  } catch (error) {
+    return next(error);
+  }
+  next();
+}
+
+/**
+ * Reject the request unless a valid Supabase access token is sent.
+ * Failures verifying the token go to the error handler, so clients do not sign out during an outage.
+ */
+async function requireAuth(req, res, next) {
+  resetIdentity(req);
+
+  let user;
+  try {
+    user = await resolveUser(req);
+  } catch (error) {
+    if (!isTokenError(error)) return next(error);
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid token',
+      message: error.message,
+    });
+  }
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      message: 'Send a Supabase access token as "Authorization: Bearer <token>"',
+    });
+  }
+
+  next();
+}
+
+/**
+ * Reject the request unless it comes from a user listed in ADMIN_USER_IDS
+ */
+async function requireAdmin(req, res, next) {
+  await requireAuth(req, res, (error) => {
+    if (error) return next(error);
+    if (!isAdmin(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Administrator access required',
+      });
+    }
+    next();
+  });
+}
+
+module.exports = {
+  publicRoute,
+  optionalAuth,
+  requireAuth,
+  requireAdmin,
+  isAdmin,
+  extractBearerToken,
+  getIdentity,
+  ANONYMOUS_ID_HEADER,
+};
@@ -0,0 +1,370 @@
+/**
+ * Helpers shared by every repository implementation.
+ * Row shapes follow database/supabase-schema.sql regardless of the backing store.
+ */
+
+// Points used to derive a user's level from their activity
+const POINTS_PER_REACTION = 10;
+const POINTS_PER_FEEDBACK = 50;
+const POINTS_PER_LEVEL = 500;
+
+// A view counts as completed once this share of the video has been reached
+const COMPLETION_THRESHOLD_PERCENT = 90;
+
+// videos.visibility values; only public videos appear in the feed
+const VIDEO_VISIBILITIES = ['public', 'unlisted', 'private'];
+
+// user_interactions types clients may post as reactions; views are tracked through heartbeats
+const REACTION_TYPES = ['like', 'dislike', 'emoji'];
+
+/**
+ * Map a request identity onto the user_id / anonymous_id columns
+ * @param {Object} identity - { userId, anonymousId }
+ * @returns {Object} Column values; exactly one of them is set
+ */
+function identityColumns({ userId = null, anonymousId = null } = {}) {
+  if (userId) return { user_id: userId, anonymous_id: null };
+  if (anonymousId) return { user_id: null, anonymous_id: anonymousId };
+  throw new Error('An authenticated user or anonymous session is required');
+}
+
+/**
+ * Check if a string is a valid UUID
+ * @param {string} str - String to check
+ * @returns {boolean} True if valid UUID
+ */
+function isValidUUID(str) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(str);
+}
+
+/**
+ * Whether an insert or update failed on a unique index (Postgres error 23505)
+ * @param {Error} error - Error thrown by a repository
+ * @returns {boolean} Unique violation flag
+ */
+function isUniqueViolation(error) {
+  return error?.code === '23505';
+}
+
+/**
+ * Extract title from filename
+ * @param {string} fileName - File name
+ * @returns {string} Extracted title
+ */
+function extractTitleFromFileName(fileName) {
+  const baseName = fileName.split('/').pop(); // Remove path
+  const nameWithoutExt = baseName.replace(/\.[^/.]+$/, ''); // Remove extension
+  const cleanName = nameWithoutExt
+    .replace(/^\d+_[a-z0-9]+_/, '') // Remove timestamp and random string
+    .replace(/_/g, ' ') // Replace underscores with spaces
+    .replace(/\b\w/g, l => l.toUpperCase()); // Capitalize words
+
+  return cleanName || 'Untitled Video';
+}
+
+/**
+ * Build a videos row from a storage upload result
+ * @param {Object} videoData - Upload result plus title, description, tags, visibility, customMetadata and duplicateOf
+ * @param {string} userId - User ID who uploaded the video
+ * @returns {Object} Row to insert
+ */
+function buildVideoRow(videoData, userId) {
+  return {
+    title: videoData.title || extractTitleFromFileName(videoData.fileName),
+    description: videoData.description || '',
+    gcs_url: videoData.publicUrl,
+    thumbnail_url: videoData.thumbnailUrl || null,
+    duration: videoData.duration || null,
+    file_size: parseInt(videoData.size),
+    mime_type: videoData.contentType,
+    tags: videoData.tags || [],
+    metadata: {
+      originalFileName: videoData.metadata?.originalName || videoData.fileName,
+      uploadedAt: videoData.timeCreated,
+      gcsFileName: videoData.fileName,
+      ...(videoData.customMetadata ? { custom: videoData.customMetadata } : {}),
+    },
+    content_hash: videoData.contentHash || null,
+    duplicate_of: videoData.duplicateOf || null,
+    uploaded_by: userId || null,
+    upload_session_id: videoData.uploadSessionId || null,
+    processing_status: 'pending',
+    visibility: videoData.visibility || 'public',
+    is_active: true,
+  };
+}
+
+/**
+ * Whether a user may see a video; private videos exist only for their uploader
+ * @param {Object} video - videos row
+ * @param {string|null} userId - Requesting user
+ * @returns {boolean} Visible flag
+ */
+function isVisibleTo(video, userId) {
+  return video.visibility !== 'private' || video.uploaded_by === userId;
+}
+
+/**
+ * Transform a videos row for the frontend feed
+ * @param {Object} video - videos row
+ * @returns {Object} Feed item
+ */
+function toFeedItem(video) {
+  return {
+    id: video.id,
+    title: video.title,
+    description: video.description,
+    url: video.mp4_url || video.gcs_url, // Transcoded MP4 once available; originals may not play in browsers
+    streamUrl: video.stream_url || null,
+    thumbnail: video.thumbnail_url,
+    duration: video.duration,
+    tags: video.tags || [],
+    uploader: 'ScrollNet User', // Generic uploader name for MVP
+    processingStatus: video.processing_status,
+    createdAt: video.created_at,
+  };
+}
+
+/**
+ * Summarise video_views rows of one video
+ * @param {Array} views - Rows with total_watch_seconds, completion_percent, playback_count, rewatch_count, bytes_delivered
+ * @returns {Object} View counts, watch time, completion stats and streamed bytes
+ */
+function summarizeViews(views) {
+  const uniqueViewers = views.length;
+  const totalWatchSeconds = views.reduce((sum, view) => sum + Number(view.total_watch_seconds || 0), 0);
+  const completed = views.filter(view => Number(view.completion_percent) >= COMPLETION_THRESHOLD_PERCENT).length;
+
+  return {
+    views: views.reduce((sum, view) => sum + (view.playback_count || 0), 0),
+    uniqueViewers,
+    totalWatchSeconds: Math.round(totalWatchSeconds * 100) / 100,
+    averageWatchSeconds: uniqueViewers ? Math.round((totalWatchSeconds / uniqueViewers) * 100) / 100 : 0,
+    averageCompletionPercent: uniqueViewers
+      ? Math.round(views.reduce((sum, view) => sum + Number(view.completion_percent || 0), 0) / uniqueViewers * 100) / 100
+      : 0,
+    completionRate: uniqueViewers ? Math.round((completed / uniqueViewers) * 1000) / 1000 : 0,
+    rewatches: views.reduce((sum, view) => sum + (view.rewatch_count || 0), 0),
+    bytesDelivered: views.reduce((sum, view) => sum + Number(view.bytes_delivered || 0), 0),
+  };
+}
+
+/**
+ * Combine interaction rows and view stats into video analytics
+ * @param {Array} interactions - Rows with interaction_type, interaction_data, created_at
+ * @param {Object} viewAnalytics - Result of summarizeViews
+ * @returns {Object} Video analytics
+ */
+function summarizeInteractions(interactions, viewAnalytics) {
+  return {
+    totalInteractions: interactions.length,
+    likes: interactions.filter(i => i.interaction_type === 'like').length,
+    dislikes: interactions.filter(i => i.interaction_type === 'dislike').length,
+    emojiReactions: interactions.filter(i => i.interaction_type === 'emoji'),
+    ...viewAnalytics,
+  };
+}
+
+/**
+ * Build a video_stats row from a video's analytics
+ * @param {string} videoId - Video ID
+ * @param {Object} analytics - Result of summarizeInteractions
+ * @param {number} feedbackCount - Number of feedback entries on the video
+ * @returns {Object} Row to upsert
+ */
+function buildVideoStatsRow(videoId, analytics, feedbackCount) {
+  return {
+    video_id: videoId,
+    views: analytics.views,
+    unique_viewers: analytics.uniqueViewers,
+    likes: analytics.likes,
+    dislikes: analytics.dislikes,
+    emoji_reactions: analytics.emojiReactions.length,
+    feedback_count: feedbackCount,
+    total_watch_seconds: analytics.totalWatchSeconds,
+    average_completion_percent: analytics.averageCompletionPercent,
+    completion_rate: analytics.completionRate,
+    bytes_delivered: analytics.bytesDelivered,
+    rolled_up_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Derive reaction counts, points and level of a user
+ * @param {Array} interactions - Rows with interaction_type and interaction_data
+ * @param {number} feedbackCount - Number of feedback entries
+ * @returns {Object} Reaction counts, feedback count, points and level
+ */
+function computeUserStats(interactions, feedbackCount) {
+  const emojiReactions = {};
+  let likes = 0;
+  let dislikes = 0;
+
+  for (const interaction of interactions) {
+    if (interaction.interaction_type === 'like') likes++;
+    if (interaction.interaction_type === 'dislike') dislikes++;
+    if (interaction.interaction_type === 'emoji') {
+      const key = interaction.interaction_data?.key || interaction.interaction_data?.emoji || 'unknown';
+      emojiReactions[key] = (emojiReactions[key] || 0) + 1;
+    }
+  }
+
+  const totalEmojiReactions = Object.values(emojiReactions).reduce((sum, count) => sum + count, 0);
+  const totalReactions = likes + dislikes + totalEmojiReactions;
+  const points = totalReactions * POINTS_PER_REACTION + feedbackCount * POINTS_PER_FEEDBACK;
+
+  return {
+    likes,
+    dislikes,
+    emojiReactions,
+    totalReactions,
+    feedbackCount,
+    points,
+    level: Math.max(1, Math.floor(points / POINTS_PER_LEVEL) + 1),
+  };
+}
+
+/**
+ * Merge view sessions and interactions into per-video activity
+ * @param {Array} views - Rows with video_id and last_heartbeat_at
+ * @param {Array} interactions - Rows with video_id, interaction_type and created_at
+ * @returns {Array} { videoId, lastActivityAt, reactions } sorted newest first
+ */
+function collectWatchedVideos(views, interactions) {
+  const videos = new Map();
+  const toIso = (at) => (at instanceof Date ? at.toISOString() : at);
+  const touch = (videoId, at) => {
+    const entry = videos.get(videoId) || { videoId, lastActivityAt: at, reactions: 0 };
+    if (at > entry.lastActivityAt) entry.lastActivityAt = at;
+    videos.set(videoId, entry);
+    return entry;
+  };
+
+  views.forEach(view => touch(view.video_id, toIso(view.last_heartbeat_at)));
+  interactions.forEach(interaction => {
+    const entry = touch(interaction.video_id, toIso(interaction.created_at));
+    if (interaction.interaction_type !== 'view') entry.reactions += 1;
+  });
+
+  return [...videos.values()].sort((a, b) => b.lastActivityAt.localeCompare(a.lastActivityAt));
+}
+
+/**
+ * Videos an identity has seen: reacted to, or watched to completion
+ * @param {Array} views - Rows with video_id and completion_percent
+ * @param {Array} interactions - Rows with video_id and interaction_type
+ * @returns {Array<string>} Distinct video IDs
+ */
+function collectSeenVideoIds(views, interactions) {
+  const seen = new Set();
+  views
+    .filter(view => Number(view.completion_percent) >= COMPLETION_THRESHOLD_PERCENT)
+    .forEach(view => seen.add(view.video_id));
+  interactions
+    .filter(interaction => interaction.interaction_type !== 'view')
+    .forEach(interaction => seen.add(interaction.video_id));
+  return [...seen];
+}
+
+/**
+ * Merge completed views and reactions into per-video engagement signals
+ * @param {Array} views - Completed view sessions: rows with video_id, tags, uploaded_by and completed_at
+ * @param {Array} interactions - Rows with video_id, tags, uploaded_by, interaction_type and created_at
+ * @returns {Array} { videoId, tags, uploadedBy, likes, dislikes, emojis, completed, lastActivityAt } oldest first
+ */
+function collectPreferenceSignals(views, interactions) {
+  const signals = new Map();
+  const toIso = (at) => (at instanceof Date ? at.toISOString() : at);
+  const touch = (row, at) => {
+    const signal = signals.get(row.video_id) || {
+      videoId: row.video_id,
+      tags: row.tags || [],
+      uploadedBy: row.uploaded_by || null,
+      likes: 0,
+      dislikes: 0,
+      emojis: 0,
+      completed: false,
+      lastActivityAt: at,
+    };
+    if (at > signal.lastActivityAt) signal.lastActivityAt = at;
+    signals.set(row.video_id, signal);
+    return signal;
+  };
+
+  views.forEach(view => {
+    touch(view, toIso(view.completed_at)).completed = true;
+  });
+  interactions.forEach(interaction => {
+    const signal = touch(interaction, toIso(interaction.created_at));
+    if (interaction.interaction_type === 'like') signal.likes += 1;
+    if (interaction.interaction_type === 'dislike') signal.dislikes += 1;
+    if (interaction.interaction_type === 'emoji') signal.emojis += 1;
+  });
+
+  return [...signals.values()].sort((a, b) => a.lastActivityAt.localeCompare(b.lastActivityAt));
+}
+
+/**
+ * Shared behaviour of video repositories; subclasses implement create
+ */
+class VideoRepositoryBase {
+  /**
+   * Batch create videos from upload results
+   * @param {Object} uploadResults - Results from a storage batch upload
+   * @param {string} userId - User ID
+   * @param {string} uploadSessionId - Upload session the videos belong to (optional)
+   * @returns {Promise<Object>} Batch creation results
+   */
+  async batchCreate(uploadResults, userId, uploadSessionId = null) {
+    const successful = [];
+    const failed = [];
+
+    for (const result of uploadResults.successful) {
+      try {
+        const videoRecord = await this.create({ ...result.result, uploadSessionId }, userId);
+        successful.push({
+          file: result.file,
+          videoId: videoRecord.id,
+          videoRecord,
+        });
+      } catch (error) {
+        failed.push({
+          file: result.file,
+          error: error.message,
+        });
+      }
+    }
+
+    return {
+      successful,
+      failed,
+      totalCreated: successful.length,
+      totalFailed: failed.length + uploadResults.failed.length,
+    };
+  }
+}
+
+module.exports = {
+  POINTS_PER_REACTION,
+  POINTS_PER_FEEDBACK,
+  POINTS_PER_LEVEL,
+  COMPLETION_THRESHOLD_PERCENT,
+  VIDEO_VISIBILITIES,
+  REACTION_TYPES,
+  identityColumns,
+  isValidUUID,
+  isUniqueViolation,
+  extractTitleFromFileName,
+  buildVideoRow,
+  isVisibleTo,
+  toFeedItem,
+  summarizeViews,
+  summarizeInteractions,
+  buildVideoStatsRow,
+  computeUserStats,
+  collectWatchedVideos,
+  collectSeenVideoIds,
+  collectPreferenceSignals,
+  VideoRepositoryBase,
+};
@@ -0,0 +1,60 @@
+const { createSupabaseRepositories } = require('./supabaseRepositories');
+const { createPostgresRepositories } = require('./postgresRepositories');
+const { createMemoryRepositories } = require('./memoryRepositories');
+const { identityColumns } = require('./base');
+
+const DRIVERS = {
+  supabase: createSupabaseRepositories,
+  postgres: createPostgresRepositories,
+  memory: createMemoryRepositories,
+};
+
+let sharedRepositories = null;
+
+/**
+ * Driver name from DATA_DRIVER; defaults to Supabase when it is configured, demo mode otherwise
+ * @returns {string} Driver name
+ */
+function resolveDriverName() {
+  const configured = (process.env.DATA_DRIVER || '').trim().toLowerCase();
+  if (configured) return configured;
+
+  if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY) return 'supabase';
+  if (process.env.DATABASE_URL) return 'postgres';
+  return 'memory';
+}
+
+/**
+ * Construct a set of repositories
+ * @param {string} driverName - supabase | postgres | memory (defaults to configuration)
+ * @param {Object} options - Passed to the driver factory
+ * @returns {Object} videos, interactions, feedback, videoStats, videoEdits, uploadSessions, profiles, anonymousSessions
+ */
+function createRepositories(driverName = resolveDriverName(), options = {}) {
+  const create = DRIVERS[driverName];
+
+  if (!create) {
+    throw new Error(`Unknown DATA_DRIVER "${driverName}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+
+  return create(options);
+}
+
+/**
+ * Repositories shared by the routes and middleware of this process
+ * @returns {Object} videos, interactions, feedback, videoStats, videoEdits, uploadSessions, profiles, anonymousSessions
+ */
+function getRepositories() {
+  if (!sharedRepositories) {
+    sharedRepositories = createRepositories();
+  }
+  return sharedRepositories;
+}
+
+module.exports = {
+  createRepositories,
+  getRepositories,
+  resolveDriverName,
+  identityColumns,
+  DRIVERS,
+};
@@ -0,0 +1,1145 @@
+const crypto = require('crypto');
+const {
+  identityColumns,
+  isValidUUID,
+  COMPLETION_THRESHOLD_PERCENT,
+  buildVideoRow,
+  toFeedItem,
+  summarizeViews,
+  summarizeInteractions,
+  computeUserStats,
+  collectWatchedVideos,
+  collectSeenVideoIds,
+  collectPreferenceSignals,
+  VideoRepositoryBase,
+} = require('./base');
+
+// Catalogue served in demo mode so the feed works without a database
+const DEMO_VIDEOS = [
+  {
+    title: 'Product Demo Video',
+    description: 'A demonstration of our latest product features',
+    gcs_url: 'https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/BigBuckBunny.mp4',
+    duration: 596,
+    tags: ['demo', 'product'],
+  },
+  {
+    title: 'Tutorial: Getting Started',
+    description: 'Learn how to get started with our platform',
+    gcs_url: 'https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/ElephantsDream.mp4',
+    duration: 653,
+    tags: ['tutorial', 'beginner'],
+  },
+  {
+    title: 'Advanced Features Overview',
+    description: 'Explore advanced features and capabilities',
+    gcs_url: 'https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/ForBiggerBlazes.mp4',
+    duration: 15,
+    tags: ['advanced', 'features'],
+  },
+  {
+    title: 'User Success Stories',
+    description: 'Real stories from our community',
+    gcs_url: 'https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/ForBiggerEscapes.mp4',
+    duration: 15,
+    tags: ['success', 'community'],
+  },
+  {
+    title: 'Platform Updates',
+    description: 'Latest updates and improvements',
+    gcs_url: 'https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/ForBiggerFun.mp4',
+    duration: 60,
+    tags: ['updates', 'news'],
+  },
+];
+
+/**
+ * Rows of every table, kept in process memory
+ */
+class MemoryStore {
+  constructor() {
+    this.videos = new Map();
+    this.interactions = [];
+    this.feedback = [];
+    this.views = [];
+    this.uploadSessions = new Map();
+    this.uploadFiles = new Map();
+    this.videoStats = new Map();
+    this.videoEdits = [];
+    this.profiles = new Map();
+    this.anonymousSessions = new Map();
+  }
+
+  now() {
+    return new Date().toISOString();
+  }
+
+  /**
+   * Whether a row belongs to an identity
+   * @param {Object} row - Row with user_id / anonymous_id
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @returns {boolean} Ownership flag
+   */
+  ownedBy(row, identity) {
+    const { user_id, anonymous_id } = identityColumns(identity);
+    return user_id ? row.user_id === user_id : row.anonymous_id === anonymous_id;
+  }
+
+  /**
+   * Videos an identity reacted to or watched to completion within a time window.
+   * Mirrors has_seen_video in database/supabase-schema.sql.
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @param {string|null} since - ISO timestamp; activity at or before it is ignored (null for no lower bound)
+   * @param {string} until - ISO timestamp; activity after it is ignored
+   * @returns {Set<string>} Video IDs
+   */
+  seenVideoIds(identity, since, until) {
+    const inWindow = (at) => Boolean(at) && (!since || at > since) && at <= until;
+    const views = this.views.filter(view => this.ownedBy(view, identity) && inWindow(view.completed_at));
+    const interactions = this.interactions.filter(row => this.ownedBy(row, identity) && inWindow(row.created_at));
+
+    return new Set(collectSeenVideoIds(views, interactions));
+  }
+}
+
+// ============ VIDEOS ============
+
+class MemoryVideoRepository extends VideoRepositoryBase {
+  constructor(store) {
+    super();
+    this.store = store;
+  }
+
+  /**
+   * Create a new video record
+   * @param {Object} videoData - Video data from a storage upload
+   * @param {string} userId - User ID who uploaded the video
+   * @returns {Promise<Object>} Created video record
+   */
+  async create(videoData, userId) {
+    return this.insert(buildVideoRow(videoData, userId));
+  }
+
+  /**
+   * Insert a raw videos row, filling defaults
+   * @param {Object} row - Column values
+   * @returns {Object} Stored row
+   */
+  insert(row) {
+    this.assertUniqueContent(row);
+
+    const now = this.store.now();
+    const video = {
+      id: crypto.randomUUID(),
+      description: null,
+      stream_url: null,
+      mp4_url: null,
+      thumbnail_url: null,
+      duration: null,
+      file_size: null,
+      mime_type: null,
+      tags: [],
+      metadata: {},
+      content_hash: null,
+      duplicate_of: null,
+      uploaded_by: null,
+      upload_session_id: null,
+      processing_status: 'pending',
+      processing_error: null,
+      processed_at: null,
+      visibility: 'public',
+      is_active: true,
+      deleted_at: null,
+      created_at: now,
+      updated_at: now,
+      ...row,
+    };
+
+    this.store.videos.set(video.id, video);
+    return { ...video };
+  }
+
+  /**
+   * Reject a row that would break idx_videos_content_hash (one active holder per content)
+   * @param {Object} row - Row being written
+   * @param {string} videoId - ID of the row being updated, if any
+   */
+  assertUniqueContent(row, videoId = null) {
+    const conflict = row.content_hash && !row.duplicate_of && row.is_active !== false && [...this.store.videos.values()]
+      .some(video => video.id !== videoId && video.content_hash === row.content_hash && !video.duplicate_of && video.is_active);
+    if (conflict) {
+      throw Object.assign(new Error('duplicate key value violates unique constraint "idx_videos_content_hash"'), { code: '23505' });
+    }
+  }
+
+  /**
+   * Get active videos for the feed, newest first
+   * @param {number} limit - Number of videos to fetch
+   * @param {number} offset - Offset for pagination
+   * @returns {Promise<Array>} Feed items
+   */
+  async getFeed(limit = 10, offset = 0) {
+    return [...this.store.videos.values()]
+      .filter(video => video.is_active && video.visibility === 'public')
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .slice(offset, offset + limit)
+      .map(toFeedItem);
+  }
+
+  /**
+   * Get a page of the public feed, newest first by (created_at, id)
+   * @param {number} limit - Number of videos to fetch
+   * @param {Object} options - snapshotAt (only videos created up to it), after ({ createdAt, id } of the
+   *   last video of the previous page) or offset; seenWindow ({ identity, since }) with seen keeps only the
+   *   videos the viewer saw (true) or did not see (false) between since and snapshotAt; onlyIds restricts
+   *   the page to the given videos
+   * @returns {Promise<Object>} { videos: feed items, hasMore, last: { createdAt, id } of the last video or null }
+   */
+  async getFeedPage(limit = 10, { snapshotAt, after = null, offset = 0, seenWindow = null, seen = false, onlyIds = null } = {}) {
+    const seenIds = seenWindow ? this.store.seenVideoIds(seenWindow.identity, seenWindow.since, snapshotAt) : null;
+    const only = onlyIds ? new Set(onlyIds) : null;
+    const rows = [...this.store.videos.values()]
+      .filter(video => video.is_active && video.visibility === 'public' && video.created_at <= snapshotAt)
+      .filter(video => (!seenIds || seenIds.has(video.id) === seen) && (!only || only.has(video.id)))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id.localeCompare(a.id))
+      .filter(video => !after || video.created_at < after.createdAt || (video.created_at === after.createdAt && video.id < after.id))
+      .slice(offset, offset + limit + 1);
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+      videos: page.map(toFeedItem),
+      hasMore: rows.length > limit,
+      last: last ? { createdAt: last.created_at, id: last.id } : null,
+    };
+  }
+
+  /**
+   * Newest public videos up to a point in time, with the columns used to rank them
+   * @param {string} snapshotAt - Only videos created up to it
+   * @param {number} limit - Number of videos to fetch
+   * @param {Object|null} seenWindow - { identity, since }: flags the videos the viewer saw between since and snapshotAt
+   * @returns {Promise<Array>} id, tags, uploaded_by, created_at, seen, newest first
+   */
+  async listRankingCandidates(snapshotAt, limit = 200, seenWindow = null) {
+    const seenIds = seenWindow ? this.store.seenVideoIds(seenWindow.identity, seenWindow.since, snapshotAt) : new Set();
+    return [...this.store.videos.values()]
+      .filter(video => video.is_active && video.visibility === 'public' && video.created_at <= snapshotAt)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id.localeCompare(a.id))
+      .slice(0, limit)
+      .map(video => ({
+        id: video.id,
+        tags: video.tags || [],
+        uploaded_by: video.uploaded_by,
+        created_at: video.created_at,
+        seen: seenIds.has(video.id),
+      }));
+  }
+
+  /**
+   * Get an active video with its uploader profile
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object>} Video data
+   */
+  async getById(videoId) {
+    const video = this.store.videos.get(videoId);
+    if (!video || !video.is_active) throw new Error('Video not found');
+
+    const profile = video.uploaded_by ? this.store.profiles.get(video.uploaded_by) : null;
+    return {
+      ...video,
+      user_profiles: profile
+        ? { username: profile.username, full_name: profile.full_name, avatar_url: profile.avatar_url }
+        : null,
+    };
+  }
+
+  /**
+   * Update video columns
+   * @param {string} videoId - Video ID
+   * @param {Object} updates - Updates to apply
+   * @returns {Promise<Object>} Updated video
+   */
+  async update(videoId, updates) {
+    const video = this.store.videos.get(videoId);
+    if (!video) throw new Error('Video not found');
+
+    this.assertUniqueContent({ ...video, ...updates }, videoId);
+    Object.assign(video, updates, { id: video.id, updated_at: this.store.now() });
+    return { ...video };
+  }
+
+  /**
+   * Get the fields needed to show a video outside the feed
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object|null>} id, title and thumbnail, or null if not found
+   */
+  async getSummary(videoId) {
+    const video = this.store.videos.get(videoId);
+    return video ? { id: video.id, title: video.title, thumbnail: video.thumbnail_url } : null;
+  }
+
+  /**
+   * The active video holding an upload's content
+   * @param {string} contentHash - SHA-256 hex digest
+   * @returns {Promise<Object|null>} videos row, or null if the content is new
+   */
+  async findByContentHash(contentHash) {
+    const video = [...this.store.videos.values()]
+      .find(video => video.content_hash === contentHash && !video.duplicate_of && video.is_active);
+    return video ? { ...video } : null;
+  }
+
+  /**
+   * Videos whose original is stored at one of the given URLs, active or not
+   * @param {Array<string>} urls - Public URLs of stored objects
+   * @returns {Promise<Array>} id, title, gcs_url, content_hash, duplicate_of, uploaded_by, is_active, created_at
+   */
+  async listBySourceUrls(urls) {
+    const wanted = new Set(urls);
+    return [...this.store.videos.values()]
+      .filter(video => wanted.has(video.gcs_url))
+      .map(({ id, title, gcs_url, content_hash, duplicate_of, uploaded_by, is_active, created_at }) => ({
+        id, title, gcs_url, content_hash, duplicate_of, uploaded_by, is_active, created_at,
+      }));
+  }
+
+  /**
+   * Page through every video record, active or not, oldest first
+   * @param {number} limit - Number of videos to fetch
+   * @param {number} offset - Offset for pagination
+   * @returns {Promise<Array>} id, title, gcs_url, file_size, mime_type, metadata, duplicate_of, uploaded_by, is_active, deleted_at, created_at
+   */
+  async listSources(limit = 100, offset = 0) {
+    return [...this.store.videos.values()]
+      .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id))
+      .slice(offset, offset + limit)
+      .map(({ id, title, gcs_url, file_size, mime_type, metadata, duplicate_of, uploaded_by, is_active, deleted_at, created_at }) => ({
+        id, title, gcs_url, file_size, mime_type, metadata, duplicate_of, uploaded_by, is_active, deleted_at, created_at,
+      }));
+  }
+
+  /**
+   * Get a video in the trash
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object|null>} videos row, or null if it is not in the trash
+   */
+  async getTrashed(videoId) {
+    const video = this.store.videos.get(videoId);
+    return video && !video.is_active && video.deleted_at ? { ...video } : null;
+  }
+
+  /**
+   * List a user's videos in the trash, most recently deleted first
+   * @param {string} userId - Uploader
+   * @param {number} limit - Number of videos to fetch
+   * @param {number} offset - Offset for pagination
+   * @returns {Promise<Array>} videos rows
+   */
+  async listTrashed(userId, limit = 20, offset = 0) {
+    return [...this.store.videos.values()]
+      .filter(video => video.uploaded_by === userId && !video.is_active && video.deleted_at)
+      .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at))
+      .slice(offset, offset + limit)
+      .map(video => ({ ...video }));
+  }
+
+  /**
+   * List videos that went into the trash before a cutoff, oldest deletion first
+   * @param {string} cutoff - ISO timestamp
+   * @param {number} limit - Number of videos to fetch
+   * @returns {Promise<Array>} videos rows
+   */
+  async listTrashedBefore(cutoff, limit = 100) {
+    return [...this.store.videos.values()]
+      .filter(video => !video.is_active && video.deleted_at && video.deleted_at < cutoff)
+      .sort((a, b) => a.deleted_at.localeCompare(b.deleted_at))
+      .slice(0, limit)
+      .map(video => ({ ...video }));
+  }
+
+  /**
+   * Permanently delete a video row with its interactions and views; feedback is detached.
+   * Mirrors purge_video in database/supabase-schema.sql.
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object>} { interactions, views, feedback, successor }
+   */
+  async purge(videoId) {
+    const { store } = this;
+    const video = store.videos.get(videoId);
+    if (!video) throw new Error(`Video ${videoId} not found`);
+
+    const others = [...store.videos.values()].filter(other => other.id !== videoId);
+    const links = others
+      .filter(other => other.duplicate_of === videoId)
+      .sort((a, b) => Number(b.is_active) - Number(a.is_active) || a.created_at.localeCompare(b.created_at));
+
+    let successor = video.content_hash
+      ? others.find(other => other.content_hash === video.content_hash && !other.duplicate_of && other.is_active)
+      : null;
+    if (!successor && links.length > 0) {
+      successor = links[0];
+      successor.duplicate_of = null;
+    }
+    links.filter(link => link !== successor).forEach(link => {
+      link.duplicate_of = successor.id;
+    });
+
+    const interactions = store.interactions.length;
+    store.interactions = store.interactions.filter(row => row.video_id !== videoId);
+    const views = store.views.length;
+    store.views = store.views.filter(row => row.video_id !== videoId);
+
+    let feedback = 0;
+    store.feedback.filter(row => row.video_id === videoId).forEach(row => {
+      row.video_id = null;
+      feedback++;
+    });
+    [...store.uploadFiles.values()].filter(file => file.video_id === videoId).forEach(file => {
+      file.video_id = null;
+    });
+
+    store.videoStats.delete(videoId);
+    store.videoEdits = store.videoEdits.filter(row => row.video_id !== videoId);
+    store.videos.delete(videoId);
+
+    return {
+      interactions: interactions - store.interactions.length,
+      views: views - store.views.length,
+      feedback,
+      successor: successor ? successor.id : null,
+    };
+  }
+
+  /**
+   * List the videos created by an upload session with their processing state
+   * @param {string} sessionId - Upload session ID
+   * @returns {Promise<Array>} id, title, thumbnail_url, duration, processing_status, processing_error, processed_at
+   */
+  async listBySession(sessionId) {
+    return [...this.store.videos.values()]
+      .filter(video => video.upload_session_id === sessionId)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .map(video => ({
+        id: video.id,
+        title: video.title,
+        thumbnail_url: video.thumbnail_url,
+        duration: video.duration,
+        processing_status: video.processing_status,
+        processing_error: video.processing_error,
+        processed_at: video.processed_at,
+      }));
+  }
+}
+
+// ============ INTERACTIONS & VIEWS ============
+
+class MemoryInteractionRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Record an interaction with a video
+   * @param {Object} identity - { userId } for accounts or { anonymousId } for guests
+   * @param {string} videoId - Video ID
+   * @param {string} interactionType - Type of interaction
+   * @param {Object} interactionData - Additional data
+   * @returns {Promise<Object>} Interaction record
+   */
+  async record(identity, videoId, interactionType, interactionData = {}) {
+    const duplicate = this.store.interactions.find(row =>
+      this.store.ownedBy(row, identity) && row.video_id === videoId && row.interaction_type === interactionType
+    );
+    if (duplicate) {
+      throw new Error(`Interaction "${interactionType}" already recorded for this video`);
+    }
+
+    const interaction = {
+      id: crypto.randomUUID(),
+      ...identityColumns(identity),
+      video_id: videoId,
+      interaction_type: interactionType,
+      interaction_data: interactionData,
+      created_at: this.store.now(),
+    };
+
+    this.store.interactions.push(interaction);
+    return { ...interaction };
+  }
+
+  /**
+   * Get a user's interactions with a video
+   * @param {string} userId - User ID
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Array>} User interactions
+   */
+  async listForUser(userId, videoId) {
+    return this.store.interactions
+      .filter(row => row.user_id === userId && row.video_id === videoId)
+      .map(row => ({ ...row }));
+  }
+
+  /**
+   * The viewer's view session for a video, created empty on first use
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @param {string} videoId - Video ID
+   * @returns {Object} Stored video_views row
+   */
+  findOrCreateView(identity, videoId) {
+    let view = this.store.views.find(row => this.store.ownedBy(row, identity) && row.video_id === videoId);
+
+    if (!view) {
+      view = {
+        id: crypto.randomUUID(),
+        ...identityColumns(identity),
+        video_id: videoId,
+        total_watch_seconds: 0,
+        muted_watch_seconds: 0,
+        max_position_seconds: 0,
+        video_duration_seconds: null,
+        completion_percent: 0,
+        playback_count: 0,
+        loop_count: 0,
+        rewatch_count: 0,
+        heartbeat_count: 0,
+        bytes_delivered: 0,
+        last_playback_id: null,
+        last_loop_count: 0,
+        first_viewed_at: this.store.now(),
+        last_heartbeat_at: this.store.now(),
+        completed_at: null,
+      };
+      this.store.views.push(view);
+    }
+    return view;
+  }
+
+  /**
+   * Fold a player heartbeat into the viewer's view session for a video.
+   * Mirrors record_view_heartbeat in database/supabase-schema.sql.
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @param {string} videoId - Video ID
+   * @param {Object} heartbeat - playbackId, position, watchedSeconds, duration, muted, loopCount
+   * @returns {Promise<Object>} Updated video_views row
+   */
+  async recordViewHeartbeat(identity, videoId, heartbeat) {
+    const view = this.findOrCreateView(identity, videoId);
+
+    const newPlayback = view.last_playback_id !== heartbeat.playbackId;
+    const duration = heartbeat.duration || view.video_duration_seconds;
+    const maxPosition = Math.max(view.max_position_seconds, heartbeat.position);
+    const loops = view.loop_count + (newPlayback
+      ? heartbeat.loopCount
+      : Math.max(heartbeat.loopCount - view.last_loop_count, 0));
+
+    let completion = view.completion_percent;
+    if (loops > 0) {
+      completion = 100;
+    } else if (duration) {
+      completion = Math.min(100, Math.round((maxPosition / duration) * 10000) / 100);
+    }
+
+    Object.assign(view, {
+      total_watch_seconds: view.total_watch_seconds + heartbeat.watchedSeconds,
+      muted_watch_seconds: view.muted_watch_seconds + (heartbeat.muted ? heartbeat.watchedSeconds : 0),
+      max_position_seconds: maxPosition,
+      video_duration_seconds: duration,
+      completion_percent: completion,
+      playback_count: view.playback_count + (newPlayback ? 1 : 0),
+      loop_count: loops,
+      last_playback_id: heartbeat.playbackId,
+      last_loop_count: heartbeat.loopCount,
+      heartbeat_count: view.heartbeat_count + 1,
+      last_heartbeat_at: this.store.now(),
+      completed_at: view.completed_at || (completion >= COMPLETION_THRESHOLD_PERCENT ? this.store.now() : null),
+    });
+    view.rewatch_count = Math.max(view.playback_count - 1, 0) + view.loop_count;
+
+    return { ...view };
+  }
+
+  /**
+   * Add streamed bytes to the viewer's view session for a video.
+   * Mirrors record_bytes_delivered in database/supabase-schema.sql.
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @param {string} videoId - Video ID
+   * @param {number} bytes - Bytes sent
+   * @returns {Promise<Object>} Updated video_views row
+   */
+  async recordBytesDelivered(identity, videoId, bytes) {
+    const view = this.findOrCreateView(identity, videoId);
+    view.bytes_delivered += bytes;
+    return { ...view };
+  }
+
+  /**
+   * Summarise view sessions of a video
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object>} View counts, watch time and completion stats
+   */
+  async getViewAnalytics(videoId) {
+    return summarizeViews(this.store.views.filter(view => view.video_id === videoId));
+  }
+
+  /**
+   * Get reaction and view analytics of a video
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object>} Video analytics
+   */
+  async getVideoAnalytics(videoId) {
+    const interactions = this.store.interactions.filter(row => row.video_id === videoId);
+    return summarizeInteractions(interactions, await this.getViewAnalytics(videoId));
+  }
+
+  /**
+   * Videos the identity watched or reacted to since a point in time
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @param {string|null} since - ISO timestamp, or null for all activity
+   * @returns {Promise<Array>} { videoId, lastActivityAt, reactions } sorted newest first
+   */
+  async getWatchedVideosSince(identity, since = null) {
+    const views = this.store.views.filter(view =>
+      this.store.ownedBy(view, identity) && (!since || view.last_heartbeat_at > since)
+    );
+    const interactions = this.store.interactions.filter(row =>
+      this.store.ownedBy(row, identity) && (!since || row.created_at > since)
+    );
+
+    return collectWatchedVideos(views, interactions);
+  }
+
+  /**
+   * Engagement of the identity with the videos it was most recently active on, up to a point in time
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @param {string} until - ISO timestamp; activity after it is ignored
+   * @param {number} limit - Maximum number of view sessions and of reactions to read
+   * @returns {Promise<Array>} { videoId, tags, uploadedBy, likes, dislikes, emojis, completed, lastActivityAt } oldest first
+   */
+  async getPreferenceSignals(identity, until, limit = 500) {
+    const withVideo = (row) => {
+      const video = this.store.videos.get(row.video_id);
+      return { ...row, tags: video ? video.tags : [], uploaded_by: video ? video.uploaded_by : null };
+    };
+    const views = this.store.views
+      .filter(view => this.store.ownedBy(view, identity) && view.completed_at && view.completed_at <= until)
+      .sort((a, b) => b.completed_at.localeCompare(a.completed_at))
+      .slice(0, limit);
+    const interactions = this.store.interactions
+      .filter(row => this.store.ownedBy(row, identity) && row.interaction_type !== 'view' && row.created_at <= until)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .slice(0, limit);
+
+    return collectPreferenceSignals(views.map(withVideo), interactions.map(withVideo));
+  }
+}
+
+// ============ FEEDBACK ============
+
+class MemoryFeedbackRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Submit feedback
+   * @param {Object} feedbackData - feedback row
+   * @returns {Promise<Object>} Feedback record
+   */
+  async submit(feedbackData) {
+    const feedback = {
+      id: crypto.randomUUID(),
+      created_at: this.store.now(),
+      ...feedbackData,
+    };
+
+    this.store.feedback.push(feedback);
+    return { ...feedback };
+  }
+
+  /**
+   * Get the time of the identity's most recent feedback
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @returns {Promise<string|null>} ISO timestamp or null if no feedback was given yet
+   */
+  async getLastAt(identity) {
+    return this.store.feedback
+      .filter(row => this.store.ownedBy(row, identity))
+      .reduce((latest, row) => (!latest || row.created_at > latest ? row.created_at : latest), null);
+  }
+
+  /**
+   * Get IDs of videos the identity has already given feedback on
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @returns {Promise<Set<string>>} Video IDs
+   */
+  async getVideoIds(identity) {
+    return new Set(this.store.feedback
+      .filter(row => this.store.ownedBy(row, identity))
+      .map(row => row.video_id)
+      .filter(Boolean));
+  }
+
+  /**
+   * Count feedback per video across all users
+   * @param {Array<string>} videoIds - Video IDs
+   * @returns {Promise<Object>} Map of video ID to feedback count
+   */
+  async getCounts(videoIds) {
+    return this.store.feedback
+      .filter(row => videoIds.includes(row.video_id))
+      .reduce((counts, row) => {
+        counts[row.video_id] = (counts[row.video_id] || 0) + 1;
+        return counts;
+      }, {});
+  }
+}
+
+// ============ VIDEO STATS ============
+
+class MemoryVideoStatsRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Insert or replace rolled-up stats
+   * @param {Array<Object>} rows - video_stats rows keyed by video_id
+   * @returns {Promise<number>} Number of rows written
+   */
+  async upsert(rows) {
+    rows.forEach(row => this.store.videoStats.set(row.video_id, { ...row }));
+    return rows.length;
+  }
+
+  /**
+   * Get rolled-up stats of videos
+   * @param {Array<string>} videoIds - Video IDs
+   * @returns {Promise<Object>} Map of video ID to video_stats row
+   */
+  async getByIds(videoIds) {
+    return videoIds.reduce((stats, videoId) => {
+      const row = this.store.videoStats.get(videoId);
+      if (row) stats[videoId] = { ...row };
+      return stats;
+    }, {});
+  }
+}
+
+// ============ VIDEO EDITS ============
+
+class MemoryVideoEditRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Record an edit of a video's metadata
+   * @param {Object} edit - video_id, edited_by, changes
+   * @returns {Promise<Object>} video_edits row
+   */
+  async create(edit) {
+    const row = {
+      id: crypto.randomUUID(),
+      video_id: edit.video_id,
+      edited_by: edit.edited_by || null,
+      changes: edit.changes,
+      created_at: this.store.now(),
+    };
+
+    this.store.videoEdits.push(row);
+    return { ...row };
+  }
+
+  /**
+   * List the edits of a video, newest first
+   * @param {string} videoId - Video ID
+   * @param {number} limit - Number of edits to fetch
+   * @param {number} offset - Offset for pagination
+   * @returns {Promise<Array>} video_edits rows
+   */
+  async listByVideo(videoId, limit = 20, offset = 0) {
+    return this.store.videoEdits
+      .filter(row => row.video_id === videoId)
+      .reverse()
+      .slice(offset, offset + limit)
+      .map(row => ({ ...row }));
+  }
+}
+
+// ============ UPLOAD SESSIONS ============
+
+class MemoryUploadSessionRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Create an upload session
+   * @param {string} userId - User ID
+   * @param {string} sessionName - Session name
+   * @param {number} totalFiles - Total number of files
+   * @returns {Promise<Object>} Upload session
+   */
+  async create(userId, sessionName, totalFiles) {
+    const session = {
+      id: crypto.randomUUID(),
+      user_id: userId,
+      session_name: sessionName,
+      total_files: totalFiles,
+      uploaded_files: 0,
+      failed_files: 0,
+      status: 'in_progress',
+      progress: {},
+      event_seq: 0,
+      last_event_at: null,
+      created_at: this.store.now(),
+      completed_at: null,
+    };
+
+    this.store.uploadSessions.set(session.id, session);
+    return { ...session };
+  }
+
+  /**
+   * Get an upload session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Upload session, or null if not found
+   */
+  async getById(sessionId) {
+    const session = this.store.uploadSessions.get(sessionId);
+    return session ? { ...session } : null;
+  }
+
+  /**
+   * Update upload session progress
+   * @param {string} sessionId - Session ID
+   * @param {Object} updates - Updates to apply
+   * @returns {Promise<Object>} Updated session
+   */
+  async update(sessionId, updates) {
+    const session = this.store.uploadSessions.get(sessionId);
+    if (!session) throw new Error('Upload session not found');
+
+    Object.assign(session, updates, { id: session.id });
+    return { ...session };
+  }
+
+  /**
+   * Merge a progress event into the session's per-file state
+   * @param {string} sessionId - Session ID
+   * @param {string} fileId - Upload file ID
+   * @param {Object} state - Fields of the file's latest progress
+   * @returns {Promise<Object|null>} Updated session, or null if not found
+   */
+  async recordProgress(sessionId, fileId, state) {
+    const session = this.store.uploadSessions.get(sessionId);
+    if (!session) return null;
+
+    // Replace rather than mutate so copies handed out earlier keep their snapshot
+    session.progress = { ...session.progress, [fileId]: { ...session.progress[fileId], ...state } };
+    session.event_seq += 1;
+    session.last_event_at = this.store.now();
+    return { ...session };
+  }
+
+  /**
+   * Register a file of an upload session
+   * @param {Object} file - upload_files row
+   * @returns {Promise<Object>} Created file record
+   */
+  async createFile(file) {
+    const now = this.store.now();
+    const record = {
+      id: crypto.randomUUID(),
+      mime_type: null,
+      upload_offset: 0,
+      temp_path: null,
+      source_path: null,
+      metadata: {},
+      status: 'uploading',
+      video_id: null,
+      error: null,
+      expires_at: null,
+      created_at: now,
+      updated_at: now,
+      ...file,
+    };
+
+    this.store.uploadFiles.set(record.id, record);
+    return { ...record };
+  }
+
+  /**
+   * Get a file of an upload session
+   * @param {string} fileId - Upload file ID
+   * @returns {Promise<Object|null>} File record, or null if not found
+   */
+  async getFile(fileId) {
+    const file = this.store.uploadFiles.get(fileId);
+    return file ? { ...file } : null;
+  }
+
+  /**
+   * Update a file of an upload session
+   * @param {string} fileId - Upload file ID
+   * @param {Object} updates - Updates to apply
+   * @returns {Promise<Object>} Updated file record
+   */
+  async updateFile(fileId, updates) {
+    const file = this.store.uploadFiles.get(fileId);
+    if (!file) throw new Error('Upload file not found');
+
+    Object.assign(file, updates, { id: file.id, updated_at: this.store.now() });
+    return { ...file };
+  }
+
+  /**
+   * List the files of an upload session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array>} File records, oldest first
+   */
+  async listFiles(sessionId) {
+    return [...this.store.uploadFiles.values()]
+      .filter(file => file.session_id === sessionId)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .map(file => ({ ...file }));
+  }
+
+  /**
+   * Unfinished files whose expiry has passed
+   * @param {string} before - ISO timestamp
+   * @returns {Promise<Array>} File records
+   */
+  async listExpiredFiles(before) {
+    return [...this.store.uploadFiles.values()]
+      .filter(file => file.status === 'uploading' && file.expires_at && file.expires_at < before)
+      .map(file => ({ ...file }));
+  }
+
+  /**
+   * A user's imports of the given source paths that completed or are still pending
+   * @param {string} userId - User ID
+   * @param {Array<string>} sourcePaths - Absolute source paths
+   * @returns {Promise<Array>} File records
+   */
+  async listImportedFiles(userId, sourcePaths) {
+    const paths = new Set(sourcePaths);
+    return [...this.store.uploadFiles.values()]
+      .filter(file => file.user_id === userId && paths.has(file.source_path) && !['failed', 'terminated'].includes(file.status))
+      .map(file => ({ ...file }));
+  }
+}
+
+// ============ PROFILES ============
+
+class MemoryProfileRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Get user profile
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} User profile
+   */
+  async getById(userId) {
+    const profile = this.store.profiles.get(userId);
+    if (!profile) throw new Error('Profile not found');
+    return { ...profile };
+  }
+
+  /**
+   * Update user profile. There is no signup trigger in memory, so a missing profile is created.
+   * @param {string} userId - User ID
+   * @param {Object} updates - Profile updates
+   * @returns {Promise<Object>} Updated profile
+   */
+  async update(userId, updates) {
+    const now = this.store.now();
+    const profile = this.store.profiles.get(userId) || {
+      id: userId,
+      username: null,
+      full_name: null,
+      avatar_url: null,
+      created_at: now,
+    };
+
+    // Mirrors the unique index on user_profiles.username
+    if (updates.username && await this.isUsernameTaken(updates.username, userId)) {
+      throw Object.assign(new Error('duplicate key value violates unique constraint "user_profiles_username_key"'), { code: '23505' });
+    }
+
+    Object.assign(profile, updates, { id: userId, updated_at: now });
+    this.store.profiles.set(userId, profile);
+    return { ...profile };
+  }
+
+  /**
+   * Check whether a username is already used by another profile
+   * @param {string} username - Normalised (lowercase) username
+   * @param {string} excludeUserId - Profile to ignore, e.g. the caller's own
+   * @returns {Promise<boolean>} True if taken
+   */
+  async isUsernameTaken(username, excludeUserId = null) {
+    return [...this.store.profiles.values()]
+      .some(profile => profile.username === username && profile.id !== excludeUserId);
+  }
+
+  /**
+   * Find the profile holding a username
+   * @param {string} username - Normalised (lowercase) username
+   * @returns {Promise<Object|null>} User profile or null
+   */
+  async findByUsername(username) {
+    const profile = [...this.store.profiles.values()].find(row => row.username === username);
+    return profile ? { ...profile } : null;
+  }
+
+  /**
+   * Get activity stats for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Reaction counts, feedback count, points and level
+   */
+  async getStats(userId) {
+    const interactions = this.store.interactions.filter(row => row.user_id === userId);
+    const feedbackCount = this.store.feedback.filter(row => row.user_id === userId).length;
+    return computeUserStats(interactions, feedbackCount);
+  }
+}
+
+// ============ ANONYMOUS SESSIONS ============
+
+class MemoryAnonymousSessionRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Issue a new anonymous (guest) session
+   * @param {Object} details - Optional client details such as userAgent
+   * @returns {Promise<Object>} Anonymous session record
+   */
+  async create({ userAgent = null } = {}) {
+    const now = this.store.now();
+    const session = {
+      id: crypto.randomUUID(),
+      user_agent: userAgent,
+      merged_into: null,
+      merged_at: null,
+      last_seen_at: now,
+      created_at: now,
+    };
+
+    this.store.anonymousSessions.set(session.id, session);
+    return { ...session };
+  }
+
+  /**
+   * Look up an anonymous session that has not been merged yet and mark it as seen
+   * @param {string} anonymousId - Anonymous session ID
+   * @returns {Promise<Object|null>} Session record, or null if unknown or already merged
+   */
+  async getActive(anonymousId) {
+    if (!isValidUUID(anonymousId)) return null;
+
+    const session = this.store.anonymousSessions.get(anonymousId);
+    if (!session || session.merged_into) return null;
+
+    session.last_seen_at = this.store.now();
+    return { ...session };
+  }
+
+  /**
+   * Move all interactions, views and feedback of a guest session onto an account.
+   * Mirrors merge_anonymous_session in database/supabase-schema.sql.
+   * @param {string} anonymousId - Anonymous session ID
+   * @param {string} userId - Account the guest signed up as
+   * @returns {Promise<Object>} Number of moved interactions, feedback and view rows
+   */
+  async merge(anonymousId, userId) {
+    const session = this.store.anonymousSessions.get(anonymousId);
+    if (!session || session.merged_into) {
+      throw new Error(`Anonymous session ${anonymousId} not found or already merged`);
+    }
+
+    const { store } = this;
+    const guest = { anonymousId };
+    const account = { userId };
+    const moveTo = (row) => Object.assign(row, { user_id: userId, anonymous_id: null });
+
+    // The account's own reaction wins when both reacted to the same video
+    store.interactions = store.interactions.filter(row => !(store.ownedBy(row, guest) && store.interactions.some(other =>
+      store.ownedBy(other, account) && other.video_id === row.video_id && other.interaction_type === row.interaction_type
+    )));
+    const interactions = store.interactions.filter(row => store.ownedBy(row, guest)).map(moveTo).length;
+    const feedback = store.feedback.filter(row => store.ownedBy(row, guest)).map(moveTo).length;
+
+    // Fold guest views into the account's view of the same video
+    let views = 0;
+    store.views = store.views.filter(view => {
+      if (!store.ownedBy(view, guest)) return true;
+
+      const existing = store.views.find(other => store.ownedBy(other, account) && other.video_id === view.video_id);
+      if (!existing) {
+        moveTo(view);
+        views++;
+        return true;
+      }
+
+      Object.assign(existing, {
+        total_watch_seconds: existing.total_watch_seconds + view.total_watch_seconds,
+        muted_watch_seconds: existing.muted_watch_seconds + view.muted_watch_seconds,
+        max_position_seconds: Math.max(existing.max_position_seconds, view.max_position_seconds),
+        completion_percent: Math.max(existing.completion_percent, view.completion_percent),
+        playback_count: existing.playback_count + view.playback_count,
+        loop_count: existing.loop_count + view.loop_count,
+        heartbeat_count: existing.heartbeat_count + view.heartbeat_count,
+        bytes_delivered: existing.bytes_delivered + view.bytes_delivered,
+        first_viewed_at: existing.first_viewed_at < view.first_viewed_at ? existing.first_viewed_at : view.first_viewed_at,
+        last_heartbeat_at: existing.last_heartbeat_at > view.last_heartbeat_at ? existing.last_heartbeat_at : view.last_heartbeat_at,
+        completed_at: [existing.completed_at, view.completed_at].filter(Boolean).sort()[0] || null,
+      });
+      existing.rewatch_count = Math.max(existing.playback_count - 1, 0) + existing.loop_count;
+      return false;
+    });
+
+    Object.assign(session, { merged_into: userId, merged_at: store.now() });
+
+    return { interactions, feedback, views };
+  }
+}
+
+/**
+ * Repositories kept in process memory for demo mode; data is lost on restart
+ * @param {Object} options - seed: load the demo catalogue (default true)
+ * @returns {Object} videos, interactions, feedback, videoStats, videoEdits, uploadSessions, profiles, anonymousSessions
+ */
+function createMemoryRepositories(options = {}) {
+  const store = new MemoryStore();
+  const videos = new MemoryVideoRepository(store);
+
+  if (options.seed !== false) {
+    // Decreasing timestamps keep the catalogue order in the newest-first feed;
+    // the samples are hosted elsewhere, so there is nothing to process
+    DEMO_VIDEOS.forEach((video, index) => {
+      const createdAt = new Date(Date.now() - index * 1000).toISOString();
+      videos.insert({ ...video, processing_status: 'ready', created_at: createdAt, updated_at: createdAt });
+    });
+  }
+
+  return {
+    driver: 'memory',
+    store,
+    videos,
+    interactions: new MemoryInteractionRepository(store),
+    feedback: new MemoryFeedbackRepository(store),
+    videoStats: new MemoryVideoStatsRepository(store),
+    videoEdits: new MemoryVideoEditRepository(store),
+    uploadSessions: new MemoryUploadSessionRepository(store),
+    profiles: new MemoryProfileRepository(store),
+    anonymousSessions: new MemoryAnonymousSessionRepository(store),
+  };
+}
+
+module.exports = { createMemoryRepositories, DEMO_VIDEOS };
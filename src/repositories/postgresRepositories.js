@@ -0,0 +1,1302 @@
+const { Pool } = require('pg');
+const {
+  identityColumns,
+  isValidUUID,
+  buildVideoRow,
+  toFeedItem,
+  summarizeViews,
+  summarizeInteractions,
+  computeUserStats,
+  collectWatchedVideos,
+  collectSeenVideoIds,
+  collectPreferenceSignals,
+  VideoRepositoryBase,
+} = require('./base');
+
+// Columns that update() may set, per table; anything else is rejected
+const UPDATABLE_COLUMNS = {
+  videos: ['title', 'description', 'gcs_url', 'thumbnail_url', 'duration', 'file_size', 'mime_type', 'tags', 'metadata', 'uploaded_by', 'is_active', 'processing_status', 'processing_error', 'processed_at', 'stream_url', 'mp4_url', 'visibility', 'content_hash', 'duplicate_of', 'deleted_at'],
+  upload_sessions: ['session_name', 'total_files', 'uploaded_files', 'failed_files', 'status', 'completed_at'],
+  upload_files: ['file_name', 'mime_type', 'upload_offset', 'temp_path', 'metadata', 'status', 'video_id', 'error', 'expires_at'],
+  user_profiles: ['username', 'full_name', 'avatar_url'],
+};
+
+/**
+ * Build an UPDATE ... RETURNING * statement for whitelisted columns
+ * @param {string} table - Table name
+ * @param {string} id - Row ID
+ * @param {Object} updates - Column values
+ * @returns {{ text: string, values: Array }} Parameterised query
+ */
+function buildUpdate(table, id, updates) {
+  const columns = Object.keys(updates);
+  const unknown = columns.filter(column => !UPDATABLE_COLUMNS[table].includes(column));
+
+  if (columns.length === 0) {
+    throw new Error(`No columns to update on ${table}`);
+  }
+  if (unknown.length > 0) {
+    throw new Error(`Cannot update ${table} column(s): ${unknown.join(', ')}`);
+  }
+
+  const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+  return {
+    text: `UPDATE public.${table} SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+    values: [id, ...columns.map(column => updates[column])],
+  };
+}
+
+/**
+ * SQL condition and value selecting the rows owned by an identity
+ * @param {Object} identity - { userId } or { anonymousId }
+ * @param {number} index - Placeholder index to use
+ * @returns {{ condition: string, value: string }} WHERE fragment and its parameter
+ */
+function identityCondition(identity, index) {
+  const { user_id, anonymous_id } = identityColumns(identity);
+  return user_id
+    ? { condition: `user_id = $${index}`, value: user_id }
+    : { condition: `anonymous_id = $${index}`, value: anonymous_id };
+}
+
+// ============ VIDEOS ============
+
+class PostgresVideoRepository extends VideoRepositoryBase {
+  constructor(pool) {
+    super();
+    this.pool = pool;
+  }
+
+  /**
+   * Create a new video record
+   * @param {Object} videoData - Video data from a storage upload
+   * @param {string} userId - User ID who uploaded the video
+   * @returns {Promise<Object>} Created video record
+   */
+  async create(videoData, userId) {
+    try {
+      const row = buildVideoRow(videoData, userId);
+      const columns = Object.keys(row);
+
+      const { rows } = await this.pool.query(
+        `INSERT INTO public.videos (${columns.join(', ')})
+         VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+         RETURNING *`,
+        columns.map(column => row[column])
+      );
+
+      return rows[0];
+    } catch (error) {
+      console.error('Error creating video record:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active videos for the feed, newest first
+   * @param {number} limit - Number of videos to fetch
+   * @param {number} offset - Offset for pagination
+   * @returns {Promise<Array>} Feed items
+   */
+  async getFeed(limit = 10, offset = 0) {
+    try {
+      const { rows } = await this.pool.query(
+        `SELECT id, title, description, gcs_url, stream_url, mp4_url, thumbnail_url, duration, tags, processing_status, created_at, uploaded_by
+         FROM public.videos
+         WHERE is_active = true AND visibility = 'public'
+         ORDER BY created_at DESC
+         LIMIT $1 OFFSET $2`,
+        [limit, offset]
+      );
+
+      return rows.map(toFeedItem);
+    } catch (error) {
+      console.error('Error fetching video feed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a page of the public feed, newest first by (created_at, id)
+   * @param {number} limit - Number of videos to fetch
+   * @param {Object} options - snapshotAt (only videos created up to it), after ({ createdAt, id } of the
+   *   last video of the previous page) or offset; seenWindow ({ identity, since }) with seen keeps only the
+   *   videos the viewer saw (true) or did not see (false) between since and snapshotAt; onlyIds restricts
+   *   the page to the given videos
+   * @returns {Promise<Object>} { videos: feed items, hasMore, last: { createdAt, id } of the last video or null }
+   */
+  async getFeedPage(limit = 10, { snapshotAt, after = null, offset = 0, seenWindow = null, seen = false, onlyIds = null } = {}) {
+    try {
+      const values = [snapshotAt, limit + 1, offset];
+      let keyset = '';
+      if (after) {
+        values.push(after.createdAt, after.id);
+        keyset = `AND (created_at, id) < ($${values.length - 1}::timestamptz, $${values.length}::uuid)`;
+      }
+      if (seenWindow) {
+        const { user_id, anonymous_id } = identityColumns(seenWindow.identity);
+        values.push(user_id, anonymous_id, seenWindow.since, seen);
+        keyset += ` AND public.has_seen_video($${values.length - 3}::uuid, $${values.length - 2}::uuid, id, $${values.length - 1}::timestamptz, $1) = $${values.length}`;
+      }
+      if (onlyIds) {
+        values.push(onlyIds);
+        keyset += ` AND id = ANY($${values.length}::uuid[])`;
+      }
+
+      // sort_key keeps the microseconds of created_at, which a JS Date would drop from the cursor
+      const { rows } = await this.pool.query(
+        `SELECT id, title, description, gcs_url, stream_url, mp4_url, thumbnail_url, duration, tags, processing_status, created_at, uploaded_by,
+                to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS sort_key
+         FROM public.videos
+         WHERE is_active = true AND visibility = 'public' AND created_at <= $1 ${keyset}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $2 OFFSET $3`,
+        values
+      );
+
+      const page = rows.slice(0, limit);
+      const last = page[page.length - 1];
+      return {
+        videos: page.map(toFeedItem),
+        hasMore: rows.length > limit,
+        last: last ? { createdAt: last.sort_key, id: last.id } : null,
+      };
+    } catch (error) {
+      console.error('Error fetching video feed page:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Newest public videos up to a point in time, with the columns used to rank them
+   * @param {string} snapshotAt - Only videos created up to it
+   * @param {number} limit - Number of videos to fetch
+   * @param {Object|null} seenWindow - { identity, since }: flags the videos the viewer saw between since and snapshotAt
+   * @returns {Promise<Array>} id, tags, uploaded_by, created_at, seen, newest first
+   */
+  async listRankingCandidates(snapshotAt, limit = 200, seenWindow = null) {
+    try {
+      const { user_id, anonymous_id } = seenWindow ? identityColumns(seenWindow.identity) : {};
+      const { rows } = await this.pool.query(
+        `SELECT id, tags, uploaded_by, created_at,
+                $3::boolean AND public.has_seen_video($4::uuid, $5::uuid, id, $6::timestamptz, $1) AS seen
+         FROM public.videos
+         WHERE is_active = true AND visibility = 'public' AND created_at <= $1
+         ORDER BY created_at DESC, id DESC
+         LIMIT $2`,
+        [snapshotAt, limit, Boolean(seenWindow), user_id || null, anonymous_id || null, seenWindow ? seenWindow.since : null]
+      );
+
+      return rows;
+    } catch (error) {
+      console.error('Error fetching ranking candidates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an active video with its uploader profile
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object>} Video data
+   */
+  async getById(videoId) {
+    try {
+      if (!isValidUUID(videoId)) throw new Error('Video not found');
+
+      const { rows } = await this.pool.query(
+        `SELECT v.*,
+                CASE WHEN p.id IS NULL THEN NULL ELSE json_build_object(
+                  'username', p.username, 'full_name', p.full_name, 'avatar_url', p.avatar_url
+                ) END AS user_profiles
+         FROM public.videos v
+         LEFT JOIN public.user_profiles p ON p.id = v.uploaded_by
+         WHERE v.id = $1 AND v.is_active = true`,
+        [videoId]
+      );
+
+      if (rows.length === 0) throw new Error('Video not found');
+      return rows[0];
+    } catch (error) {
+      console.error('Error fetching video:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update video columns
+   * @param {string} videoId - Video ID
+   * @param {Object} updates - Updates to apply
+   * @returns {Promise<Object>} Updated video
+   */
+  async update(videoId, updates) {
+    try {
+      const { rows } = await this.pool.query(buildUpdate('videos', videoId, updates));
+
+      if (rows.length === 0) throw new Error('Video not found');
+      return rows[0];
+    } catch (error) {
+      console.error('Error updating video:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the fields needed to show a video outside the feed
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object|null>} id, title and thumbnail, or null if not found
+   */
+  async getSummary(videoId) {
+    if (!isValidUUID(videoId)) return null;
+
+    try {
+      const { rows } = await this.pool.query(
+        'SELECT id, title, thumbnail_url FROM public.videos WHERE id = $1',
+        [videoId]
+      );
+
+      const data = rows[0];
+      return data ? { id: data.id, title: data.title, thumbnail: data.thumbnail_url } : null;
+    } catch (error) {
+      console.error('Error fetching video summary:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The active video holding an upload's content
+   * @param {string} contentHash - SHA-256 hex digest
+   * @returns {Promise<Object|null>} videos row, or null if the content is new
+   */
+  async findByContentHash(contentHash) {
+    try {
+      const { rows } = await this.pool.query(
+        `SELECT * FROM public.videos
+         WHERE content_hash = $1 AND duplicate_of IS NULL AND is_active = true`,
+        [contentHash]
+      );
+
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error finding video by content hash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Videos whose original is stored at one of the given URLs, active or not
+   * @param {Array<string>} urls - Public URLs of stored objects
+   * @returns {Promise<Array>} id, title, gcs_url, content_hash, duplicate_of, uploaded_by, is_active, created_at
+   */
+  async listBySourceUrls(urls) {
+    try {
+      const { rows } = await this.pool.query(
+        `SELECT id, title, gcs_url, content_hash, duplicate_of, uploaded_by, is_active, created_at
+         FROM public.videos
+         WHERE gcs_url = ANY($1)`,
+        [urls]
+      );
+
+      return rows;
+    } catch (error) {
+      console.error('Error fetching videos by source URL:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Page through every video record, active or not, oldest first
+   * @param {number} limit - Number of videos to fetch
+   * @param {number} offset - Offset for pagination
+   * @returns {Promise<Array>} id, title, gcs_url, file_size, mime_type, metadata, duplicate_of, uploaded_by, is_active, deleted_at, created_at
+   */
+  async listSources(limit = 100, offset = 0) {
+    try {
+      const { rows } = await this.pool.query(
+        `SELECT id, title, gcs_url, file_size, mime_type, metadata, duplicate_of, uploaded_by, is_active, deleted_at, created_at
+         FROM public.videos
+         ORDER BY created_at ASC, id ASC
+         LIMIT $1 OFFSET $2`,
+        [limit, offset]
+      );
+
+      return rows;
+    } catch (error) {
+      console.error('Error fetching video sources:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a video in the trash
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object|null>} videos row, or null if it is not in the trash
+   */
+  async getTrashed(videoId) {
+    if (!isValidUUID(videoId)) return null;
+
+    try {
+      const { rows } = await this.pool.query(
+        `SELECT * FROM public.videos
+         WHERE id = $1 AND is_active = false AND deleted_at IS NOT NULL`,
+        [videoId]
+      );
+
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching trashed video:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's videos in the trash, most recently deleted first
+   * @param {string} userId - Uploader
+   * @param {number} limit - Number of videos to fetch
+   * @param {number} offset - Offset for pagination
+   * @returns {Promise<Array>} videos rows
+   */
+  async listTrashed(userId, limit = 20, offset = 0) {
+    try {
+      const { rows } = await this.pool.query(
+        `SELECT * FROM public.videos
+         WHERE uploaded_by = $1 AND is_active = false AND deleted_at IS NOT NULL
+         ORDER BY deleted_at DESC
+         LIMIT $2 OFFSET $3`,
+        [userId, limit, offset]
+      );
+
+      return rows;
+    } catch (error) {
+      console.error('Error fetching trashed videos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List videos that went into the trash before a cutoff, oldest deletion first
+   * @param {string} cutoff - ISO timestamp
+   * @param {number} limit - Number of videos to fetch
+   * @returns {Promise<Array>} videos rows
+   */
+  async listTrashedBefore(cutoff, limit = 100) {
+    try {
+      const { rows } = await this.pool.query(
+        `SELECT * FROM public.videos
+         WHERE is_active = false AND deleted_at < $1
+         ORDER BY deleted_at ASC
+         LIMIT $2`,
+        [cutoff, limit]
+      );
+
+      return rows;
+    } catch (error) {
+      console.error('Error fetching expired trashed videos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete a video row with its interactions and views; feedback is detached
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object>} { interactions, views, feedback, successor }
+   */
+  async purge(videoId) {
+    try {
+      const { rows } = await this.pool.query('SELECT public.purge_video($1) AS result', [videoId]);
+      return rows[0].result;
+    } catch (error) {
+      console.error('Error purging video:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the videos created by an upload session with their processing state
+   * @param {string} sessionId - Upload session ID
+   * @returns {Promise<Array>} id, title, thumbnail_url, duration, processing_status, processing_error, processed_at
+   */
+  async listBySession(sessionId) {
+    if (!isValidUUID(sessionId)) return [];
+
+    try {
+      const { rows } = await this.pool.query(
+        `SELECT id, title, thumbnail_url, duration, processing_status, processing_error, processed_at
+         FROM public.videos
+         WHERE upload_session_id = $1
+         ORDER BY created_at ASC`,
+        [sessionId]
+      );
+
+      return rows;
+    } catch (error) {
+      console.error('Error fetching session videos:', error);
+      throw error;
+    }
+  }
+}
+
+// ============ INTERACTIONS & VIEWS ============
+
+class PostgresInteractionRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Record an interaction with a video
+   * @param {Object} identity - { userId } for accounts or { anonymousId } for guests
+   * @param {string} videoId - Video ID
+   * @param {string} interactionType - Type of interaction
+   * @param {Object} interactionData - Additional data
+   * @returns {Promise<Object>} Interaction record
+   */
+  async record(identity, videoId, interactionType, interactionData = {}) {
+    try {
+      const { user_id, anonymous_id } = identityColumns(identity);
+
+      const { rows } = await this.pool.query(
+        `INSERT INTO public.user_interactions (user_id, anonymous_id, video_id, interaction_type, interaction_data)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [user_id, anonymous_id, videoId, interactionType, interactionData]
+      );
+
+      return rows[0];
+    } catch (error) {
+      console.error('Error recording interaction:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's interactions with a video
+   * @param {string} userId - User ID
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Array>} User interactions
+   */
+  async listForUser(userId, videoId) {
+    try {
+      const { rows } = await this.pool.query(
+        'SELECT * FROM public.user_interactions WHERE user_id = $1 AND video_id = $2',
+        [userId, videoId]
+      );
+
+      return rows;
+    } catch (error) {
+      console.error('Error fetching user interactions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fold a player heartbeat into the viewer's view session for a video
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @param {string} videoId - Video ID
+   * @param {Object} heartbeat - playbackId, position, watchedSeconds, duration, muted, loopCount
+   * @returns {Promise<Object>} Updated video_views row
+   */
+  async recordViewHeartbeat(identity, videoId, heartbeat) {
+    try {
+      const { user_id, anonymous_id } = identityColumns(identity);
+
+      const { rows } = await this.pool.query(
+        'SELECT * FROM public.record_view_heartbeat($1, $2, $3, $4, $5, $6, $7, $8, $9)',
+        [
+          user_id,
+          anonymous_id,
+          videoId,
+          heartbeat.playbackId,
+          heartbeat.position,
+          heartbeat.watchedSeconds,
+          heartbeat.duration,
+          heartbeat.muted,
+          heartbeat.loopCount,
+        ]
+      );
+
+      return rows[0];
+    } catch (error) {
+      console.error('Error recording view heartbeat:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add streamed bytes to the viewer's view session for a video
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @param {string} videoId - Video ID
+   * @param {number} bytes - Bytes sent
+   * @returns {Promise<Object>} Updated video_views row
+   */
+  async recordBytesDelivered(identity, videoId, bytes) {
+    try {
+      const { user_id, anonymous_id } = identityColumns(identity);
+
+      const { rows } = await this.pool.query(
+        'SELECT * FROM public.record_bytes_delivered($1, $2, $3, $4)',
+        [user_id, anonymous_id, videoId, bytes]
+      );
+
+      return rows[0];
+    } catch (error) {
+      console.error('Error recording delivered bytes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Summarise view sessions of a video
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object>} View counts, watch time and completion stats
+   */
+  async getViewAnalytics(videoId) {
+    try {
+      const { rows } = await this.pool.query(
+        `SELECT total_watch_seconds, completion_percent, playback_count, rewatch_count, bytes_delivered
+         FROM public.video_views WHERE video_id = $1`,
+        [videoId]
+      );
+
+      return summarizeViews(rows);
+    } catch (error) {
+      console.error('Error fetching view analytics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get reaction and view analytics of a video
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object>} Video analytics
+   */
+  async getVideoAnalytics(videoId) {
+    try {
+      const { rows } = await this.pool.query(
+        `SELECT interaction_type, interaction_data, created_at
+         FROM public.user_interactions WHERE video_id = $1`,
+        [videoId]
+      );
+
+      return summarizeInteractions(rows, await this.getViewAnalytics(videoId));
+    } catch (error) {
+      console.error('Error fetching video analytics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Videos the identity watched or reacted to since a point in time
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @param {string|null} since - ISO timestamp, or null for all activity
+   * @returns {Promise<Array>} { videoId, lastActivityAt, reactions } sorted newest first
+   */
+  async getWatchedVideosSince(identity, since = null) {
+    try {
+      const { condition, value } = identityCondition(identity, 1);
+
+      const [views, interactions] = await Promise.all([
+        this.pool.query(
+          `SELECT video_id, last_heartbeat_at FROM public.video_views
+           WHERE ${condition} AND ($2::timestamptz IS NULL OR last_heartbeat_at > $2)`,
+          [value, since]
+        ),
+        this.pool.query(
+          `SELECT video_id, interaction_type, created_at FROM public.user_interactions
+           WHERE ${condition} AND ($2::timestamptz IS NULL OR created_at > $2)`,
+          [value, since]
+        ),
+      ]);
+
+      return collectWatchedVideos(views.rows, interactions.rows);
+    } catch (error) {
+      console.error('Error fetching watched videos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Engagement of the identity with the videos it was most recently active on, up to a point in time
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @param {string} until - ISO timestamp; activity after it is ignored
+   * @param {number} limit - Maximum number of view sessions and of reactions to read
+   * @returns {Promise<Array>} { videoId, tags, uploadedBy, likes, dislikes, emojis, completed, lastActivityAt } oldest first
+   */
+  async getPreferenceSignals(identity, until, limit = 500) {
+    try {
+      const { condition, value } = identityCondition(identity, 1);
+
+      const [views, interactions] = await Promise.all([
+        this.pool.query(
+          `SELECT vv.video_id, vv.completed_at, v.tags, v.uploaded_by
+           FROM public.video_views vv
+           JOIN public.videos v ON v.id = vv.video_id
+           WHERE vv.${condition} AND vv.completed_at <= $2
+           ORDER BY vv.completed_at DESC
+           LIMIT $3`,
+          [value, until, limit]
+        ),
+        this.pool.query(
+          `SELECT ui.video_id, ui.interaction_type, ui.created_at, v.tags, v.uploaded_by
+           FROM public.user_interactions ui
+           JOIN public.videos v ON v.id = ui.video_id
+           WHERE ui.${condition} AND ui.interaction_type <> 'view' AND ui.created_at <= $2
+           ORDER BY ui.created_at DESC
+           LIMIT $3`,
+          [value, until, limit]
+        ),
+      ]);
+
+      return collectPreferenceSignals(views.rows, interactions.rows);
+    } catch (error) {
+      console.error('Error fetching preference signals:', error);
+      throw error;
+    }
+  }
+}
+
+// ============ FEEDBACK ============
+
+class PostgresFeedbackRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Submit feedback
+   * @param {Object} feedbackData - feedback row
+   * @returns {Promise<Object>} Feedback record
+   */
+  async submit(feedbackData) {
+    try {
+      const columns = Object.keys(feedbackData).filter(column => /^[a-z_]+$/.test(column));
+
+      const { rows } = await this.pool.query(
+        `INSERT INTO public.feedback (${columns.join(', ')})
+         VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+         RETURNING *`,
+        columns.map(column => feedbackData[column])
+      );
+
+      return rows[0];
+    } catch (error) {
+      console.error('Error submitting feedback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the time of the identity's most recent feedback
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @returns {Promise<string|null>} ISO timestamp or null if no feedback was given yet
+   */
+  async getLastAt(identity) {
+    try {
+      const { condition, value } = identityCondition(identity, 1);
+      const { rows } = await this.pool.query(
+        `SELECT MAX(created_at) AS last_at FROM public.feedback WHERE ${condition}`,
+        [value]
+      );
+
+      return rows[0]?.last_at ? rows[0].last_at.toISOString() : null;
+    } catch (error) {
+      console.error('Error fetching last feedback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get IDs of videos the identity has already given feedback on
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @returns {Promise<Set<string>>} Video IDs
+   */
+  async getVideoIds(identity) {
+    try {
+      const { condition, value } = identityCondition(identity, 1);
+      const { rows } = await this.pool.query(
+        `SELECT DISTINCT video_id FROM public.feedback WHERE ${condition} AND video_id IS NOT NULL`,
+        [value]
+      );
+
+      return new Set(rows.map(row => row.video_id));
+    } catch (error) {
+      console.error('Error fetching feedback videos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count feedback per video across all users
+   * @param {Array<string>} videoIds - Video IDs
+   * @returns {Promise<Object>} Map of video ID to feedback count
+   */
+  async getCounts(videoIds) {
+    if (videoIds.length === 0) return {};
+
+    try {
+      const { rows } = await this.pool.query(
+        `SELECT video_id, COUNT(*) AS count FROM public.feedback
+         WHERE video_id = ANY($1::uuid[])
+         GROUP BY video_id`,
+        [videoIds]
+      );
+
+      return rows.reduce((counts, row) => {
+        counts[row.video_id] = parseInt(row.count);
+        return counts;
+      }, {});
+    } catch (error) {
+      console.error('Error counting feedback:', error);
+      throw error;
+    }
+  }
+}
+
+// ============ VIDEO STATS ============
+
+// video_stats columns written by upsert, in placeholder order
+const VIDEO_STATS_COLUMNS = ['video_id', 'views', 'unique_viewers', 'likes', 'dislikes', 'emoji_reactions', 'feedback_count', 'total_watch_seconds', 'average_completion_percent', 'completion_rate', 'rolled_up_at'];
+
+class PostgresVideoStatsRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Insert or replace rolled-up stats
+   * @param {Array<Object>} rows - video_stats rows keyed by video_id
+   * @returns {Promise<number>} Number of rows written
+   */
+  async upsert(rows) {
+    if (rows.length === 0) return 0;
+
+    try {
+      const values = [];
+      const tuples = rows.map(row => {
+        const placeholders = VIDEO_STATS_COLUMNS.map(column => {
+          values.push(row[column]);
+          return `$${values.length}`;
+        });
+        return `(${placeholders.join(', ')})`;
+      });
+      const updates = VIDEO_STATS_COLUMNS.slice(1).map(column => `${column} = EXCLUDED.${column}`);
+
+      const { rowCount } = await this.pool.query(
+        `INSERT INTO public.video_stats (${VIDEO_STATS_COLUMNS.join(', ')})
+         VALUES ${tuples.join(', ')}
+         ON CONFLICT (video_id) DO UPDATE SET ${updates.join(', ')}`,
+        values
+      );
+
+      return rowCount;
+    } catch (error) {
+      console.error('Error saving video stats:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get rolled-up stats of videos
+   * @param {Array<string>} videoIds - Video IDs
+   * @returns {Promise<Object>} Map of video ID to video_stats row
+   */
+  async getByIds(videoIds) {
+    if (videoIds.length === 0) return {};
+
+    try {
+      const { rows } = await this.pool.query(
+        'SELECT * FROM public.video_stats WHERE video_id = ANY($1::uuid[])',
+        [videoIds]
+      );
+
+      return rows.reduce((stats, row) => {
+        stats[row.video_id] = row;
+        return stats;
+      }, {});
+    } catch (error) {
+      console.error('Error fetching video stats:', error);
+      throw error;
+    }
+  }
+}
+
+// ============ VIDEO EDITS ============
+
+class PostgresVideoEditRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Record an edit of a video's metadata
+   * @param {Object} edit - video_id, edited_by, changes
+   * @returns {Promise<Object>} video_edits row
+   */
+  async create(edit) {
+    try {
+      const { rows } = await this.pool.query(
+        `INSERT INTO public.video_edits (video_id, edited_by, changes)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [edit.video_id, edit.edited_by || null, edit.changes]
+      );
+
+      return rows[0];
+    } catch (error) {
+      console.error('Error recording video edit:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the edits of a video, newest first
+   * @param {string} videoId - Video ID
+   * @param {number} limit - Number of edits to fetch
+   * @param {number} offset - Offset for pagination
+   * @returns {Promise<Array>} video_edits rows
+   */
+  async listByVideo(videoId, limit = 20, offset = 0) {
+    if (!isValidUUID(videoId)) return [];
+
+    try {
+      const { rows } = await this.pool.query(
+        `SELECT * FROM public.video_edits
+         WHERE video_id = $1
+         ORDER BY created_at DESC, id
+         LIMIT $2 OFFSET $3`,
+        [videoId, limit, offset]
+      );
+
+      return rows;
+    } catch (error) {
+      console.error('Error fetching video edits:', error);
+      throw error;
+    }
+  }
+}
+
+// ============ UPLOAD SESSIONS ============
+
+class PostgresUploadSessionRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Create an upload session
+   * @param {string} userId - User ID
+   * @param {string} sessionName - Session name
+   * @param {number} totalFiles - Total number of files
+   * @returns {Promise<Object>} Upload session
+   */
+  async create(userId, sessionName, totalFiles) {
+    try {
+      const { rows } = await this.pool.query(
+        `INSERT INTO public.upload_sessions (user_id, session_name, total_files, uploaded_files, failed_files, status)
+         VALUES ($1, $2, $3, 0, 0, 'in_progress')
+         RETURNING *`,
+        [userId, sessionName, totalFiles]
+      );
+
+      return rows[0];
+    } catch (error) {
+      console.error('Error creating upload session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an upload session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Upload session, or null if not found
+   */
+  async getById(sessionId) {
+    if (!isValidUUID(sessionId)) return null;
+
+    try {
+      const { rows } = await this.pool.query(
+        'SELECT * FROM public.upload_sessions WHERE id = $1',
+        [sessionId]
+      );
+
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching upload session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update upload session progress
+   * @param {string} sessionId - Session ID
+   * @param {Object} updates - Updates to apply
+   * @returns {Promise<Object>} Updated session
+   */
+  async update(sessionId, updates) {
+    try {
+      const { rows } = await this.pool.query(buildUpdate('upload_sessions', sessionId, updates));
+
+      if (rows.length === 0) throw new Error('Upload session not found');
+      return rows[0];
+    } catch (error) {
+      console.error('Error updating upload session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge a progress event into the session's per-file state
+   * @param {string} sessionId - Session ID
+   * @param {string} fileId - Upload file ID
+   * @param {Object} state - Fields of the file's latest progress
+   * @returns {Promise<Object|null>} Updated session, or null if not found
+   */
+  async recordProgress(sessionId, fileId, state) {
+    try {
+      const { rows } = await this.pool.query(
+        'SELECT * FROM public.record_upload_progress($1, $2, $3)',
+        [sessionId, fileId, state]
+      );
+
+      return rows[0]?.id ? rows[0] : null;
+    } catch (error) {
+      console.error('Error recording upload progress:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a file of an upload session
+   * @param {Object} file - upload_files row
+   * @returns {Promise<Object>} Created file record
+   */
+  async createFile(file) {
+    try {
+      const columns = ['session_id', 'user_id', 'file_name', 'mime_type', 'upload_length', 'upload_offset', 'temp_path', 'source_path', 'metadata', 'status', 'error', 'expires_at']
+        .filter(column => file[column] !== undefined);
+
+      const { rows } = await this.pool.query(
+        `INSERT INTO public.upload_files (${columns.join(', ')})
+         VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+         RETURNING *`,
+        columns.map(column => file[column])
+      );
+
+      return rows[0];
+    } catch (error) {
+      console.error('Error creating upload file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a file of an upload session
+   * @param {string} fileId - Upload file ID
+   * @returns {Promise<Object|null>} File record, or null if not found
+   */
+  async getFile(fileId) {
+    if (!isValidUUID(fileId)) return null;
+
+    try {
+      const { rows } = await this.pool.query(
+        'SELECT * FROM public.upload_files WHERE id = $1',
+        [fileId]
+      );
+
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching upload file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a file of an upload session
+   * @param {string} fileId - Upload file ID
+   * @param {Object} updates - Updates to apply
+   * @returns {Promise<Object>} Updated file record
+   */
+  async updateFile(fileId, updates) {
+    try {
+      const { rows } = await this.pool.query(buildUpdate('upload_files', fileId, updates));
+
+      if (rows.length === 0) throw new Error('Upload file not found');
+      return rows[0];
+    } catch (error) {
+      console.error('Error updating upload file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the files of an upload session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array>} File records, oldest first
+   */
+  async listFiles(sessionId) {
+    try {
+      const { rows } = await this.pool.query(
+        'SELECT * FROM public.upload_files WHERE session_id = $1 ORDER BY created_at',
+        [sessionId]
+      );
+
+      return rows;
+    } catch (error) {
+      console.error('Error listing upload files:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unfinished files whose expiry has passed
+   * @param {string} before - ISO timestamp
+   * @returns {Promise<Array>} File records
+   */
+  async listExpiredFiles(before) {
+    try {
+      const { rows } = await this.pool.query(
+        `SELECT * FROM public.upload_files WHERE status = 'uploading' AND expires_at < $1`,
+        [before]
+      );
+
+      return rows;
+    } catch (error) {
+      console.error('Error listing expired upload files:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A user's imports of the given source paths that completed or are still pending
+   * @param {string} userId - User ID
+   * @param {Array<string>} sourcePaths - Absolute source paths
+   * @returns {Promise<Array>} File records
+   */
+  async listImportedFiles(userId, sourcePaths) {
+    try {
+      const { rows } = await this.pool.query(
+        `SELECT * FROM public.upload_files
+         WHERE user_id = $1 AND source_path = ANY($2) AND status NOT IN ('failed', 'terminated')`,
+        [userId, sourcePaths]
+      );
+
+      return rows;
+    } catch (error) {
+      console.error('Error listing imported files:', error);
+      throw error;
+    }
+  }
+}
+
+// ============ PROFILES ============
+
+class PostgresProfileRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Get user profile
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} User profile
+   */
+  async getById(userId) {
+    try {
+      const { rows } = await this.pool.query(
+        'SELECT * FROM public.user_profiles WHERE id = $1',
+        [userId]
+      );
+
+      if (rows.length === 0) throw new Error('Profile not found');
+      return rows[0];
+    } catch (error) {
+      console.error('Error fetching user profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update user profile
+   * @param {string} userId - User ID
+   * @param {Object} updates - Profile updates
+   * @returns {Promise<Object>} Updated profile
+   */
+  async update(userId, updates) {
+    try {
+      const { rows } = await this.pool.query(buildUpdate('user_profiles', userId, updates));
+
+      if (rows.length === 0) throw new Error('Profile not found');
+      return rows[0];
+    } catch (error) {
+      console.error('Error updating user profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a username is already used by another profile
+   * @param {string} username - Normalised (lowercase) username
+   * @param {string} excludeUserId - Profile to ignore, e.g. the caller's own
+   * @returns {Promise<boolean>} True if taken
+   */
+  async isUsernameTaken(username, excludeUserId = null) {
+    try {
+      const { rows } = await this.pool.query(
+        `SELECT 1 FROM public.user_profiles
+         WHERE username = $1 AND ($2::uuid IS NULL OR id <> $2)
+         LIMIT 1`,
+        [username, excludeUserId]
+      );
+
+      return rows.length > 0;
+    } catch (error) {
+      console.error('Error checking username:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the profile holding a username
+   * @param {string} username - Normalised (lowercase) username
+   * @returns {Promise<Object|null>} User profile or null
+   */
+  async findByUsername(username) {
+    try {
+      const { rows } = await this.pool.query(
+        'SELECT * FROM public.user_profiles WHERE username = $1',
+        [username]
+      );
+
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching user profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get activity stats for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Reaction counts, feedback count, points and level
+   */
+  async getStats(userId) {
+    try {
+      const [interactions, feedback] = await Promise.all([
+        this.pool.query(
+          'SELECT interaction_type, interaction_data FROM public.user_interactions WHERE user_id = $1',
+          [userId]
+        ),
+        this.pool.query(
+          'SELECT COUNT(*) AS count FROM public.feedback WHERE user_id = $1',
+          [userId]
+        ),
+      ]);
+
+      return computeUserStats(interactions.rows, parseInt(feedback.rows[0].count));
+    } catch (error) {
+      console.error('Error fetching user stats:', error);
+      throw error;
+    }
+  }
+}
+
+// ============ ANONYMOUS SESSIONS ============
+
+class PostgresAnonymousSessionRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Issue a new anonymous (guest) session
+   * @param {Object} details - Optional client details such as userAgent
+   * @returns {Promise<Object>} Anonymous session record
+   */
+  async create({ userAgent = null } = {}) {
+    try {
+      const { rows } = await this.pool.query(
+        'INSERT INTO public.anonymous_sessions (user_agent) VALUES ($1) RETURNING *',
+        [userAgent]
+      );
+
+      return rows[0];
+    } catch (error) {
+      console.error('Error creating anonymous session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up an anonymous session that has not been merged yet and mark it as seen
+   * @param {string} anonymousId - Anonymous session ID
+   * @returns {Promise<Object|null>} Session record, or null if unknown or already merged
+   */
+  async getActive(anonymousId) {
+    if (!isValidUUID(anonymousId)) return null;
+
+    try {
+      const { rows } = await this.pool.query(
+        `UPDATE public.anonymous_sessions SET last_seen_at = NOW()
+         WHERE id = $1 AND merged_into IS NULL
+         RETURNING *`,
+        [anonymousId]
+      );
+
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching anonymous session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Move all interactions, views and feedback of a guest session onto an account
+   * @param {string} anonymousId - Anonymous session ID
+   * @param {string} userId - Account the guest signed up as
+   * @returns {Promise<Object>} Number of moved interactions, feedback and view rows
+   */
+  async merge(anonymousId, userId) {
+    try {
+      const { rows } = await this.pool.query(
+        'SELECT public.merge_anonymous_session($1, $2) AS merged',
+        [anonymousId, userId]
+      );
+
+      return rows[0].merged;
+    } catch (error) {
+      console.error('Error merging anonymous session:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Repositories backed by a direct Postgres connection (DATABASE_URL).
+ * The database must be set up with database/supabase-schema.sql.
+ * @param {Object} options - Optional existing pg Pool
+ * @returns {Object} videos, interactions, feedback, videoStats, videoEdits, uploadSessions, profiles, anonymousSessions
+ */
+function createPostgresRepositories(options = {}) {
+  const pool = options.pool || new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : undefined,
+  });
+
+  pool.on('error', (error) => {
+    console.error('Postgres pool error:', error);
+  });
+
+  return {
+    driver: 'postgres',
+    pool,
+    videos: new PostgresVideoRepository(pool),
+    interactions: new PostgresInteractionRepository(pool),
+    feedback: new PostgresFeedbackRepository(pool),
+    videoStats: new PostgresVideoStatsRepository(pool),
+    videoEdits: new PostgresVideoEditRepository(pool),
+    uploadSessions: new PostgresUploadSessionRepository(pool),
+    profiles: new PostgresProfileRepository(pool),
+    anonymousSessions: new PostgresAnonymousSessionRepository(pool),
+  };
+}
+
+module.exports = { createPostgresRepositories };
@@ -0,0 +1,1358 @@
+const { createClient } = require('@supabase/supabase-js');
+const {
+  identityColumns,
+  isValidUUID,
+  buildVideoRow,
+  toFeedItem,
+  summarizeViews,
+  summarizeInteractions,
+  computeUserStats,
+  collectWatchedVideos,
+  collectSeenVideoIds,
+  collectPreferenceSignals,
+  VideoRepositoryBase,
+} = require('./base');
+
+/**
+ * Restrict a query to the rows owned by an identity
+ * @param {Object} query - Supabase query builder
+ * @param {Object} identity - { userId } or { anonymousId }
+ * @returns {Object} Filtered query builder
+ */
+function applyIdentityFilter(query, identity) {
+  const { user_id, anonymous_id } = identityColumns(identity);
+  return user_id ? query.eq('user_id', user_id) : query.eq('anonymous_id', anonymous_id);
+}
+
+// ============ VIDEOS ============
+
+class SupabaseVideoRepository extends VideoRepositoryBase {
+  constructor(supabase) {
+    super();
+    this.supabase = supabase;
+  }
+
+  /**
+   * Create a new video record
+   * @param {Object} videoData - Video data from a storage upload
+   * @param {string} userId - User ID who uploaded the video
+   * @returns {Promise<Object>} Created video record
+   */
+  async create(videoData, userId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('videos')
+        .insert(buildVideoRow(videoData, userId))
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating video record:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active videos for the feed, newest first
+   * @param {number} limit - Number of videos to fetch
+   * @param {number} offset - Offset for pagination
+   * @returns {Promise<Array>} Feed items
+   */
+  async getFeed(limit = 10, offset = 0) {
+    try {
+      // Simple query without joins to avoid foreign key issues
+      const { data, error } = await this.supabase
+        .from('videos')
+        .select(`
+          id,
+          title,
+          description,
+          gcs_url,
+          stream_url,
+          mp4_url,
+          thumbnail_url,
+          duration,
+          tags,
+          processing_status,
+          created_at,
+          uploaded_by
+        `)
+        .eq('is_active', true)
+        .eq('visibility', 'public')
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+      return data.map(toFeedItem);
+    } catch (error) {
+      console.error('Error fetching video feed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a page of the public feed, newest first by (created_at, id)
+   * @param {number} limit - Number of videos to fetch
+   * @param {Object} options - snapshotAt (only videos created up to it), after ({ createdAt, id } of the
+   *   last video of the previous page) or offset; seenWindow ({ identity, since }) with seen keeps only the
+   *   videos the viewer saw (true) or did not see (false) between since and snapshotAt; onlyIds restricts
+   *   the page to the given videos
+   * @returns {Promise<Object>} { videos: feed items, hasMore, last: { createdAt, id } of the last video or null }
+   */
+  async getFeedPage(limit = 10, { snapshotAt, after = null, offset = 0, seenWindow = null, seen = false, onlyIds = null } = {}) {
+    const columns = 'id, title, description, gcs_url, stream_url, mp4_url, thumbnail_url, duration, tags, processing_status, created_at, uploaded_by';
+    try {
+      let query;
+      if (seenWindow) {
+        // The seen test is an anti-join over the viewer's activity, so it runs in the database (feed_page)
+        const { user_id, anonymous_id } = identityColumns(seenWindow.identity);
+        query = this.supabase
+          .rpc('feed_page', {
+            p_snapshot_at: snapshotAt,
+            p_limit: limit,
+            p_offset: offset,
+            p_after_created_at: after ? after.createdAt : null,
+            p_after_id: after ? after.id : null,
+            p_user_id: user_id,
+            p_anonymous_id: anonymous_id,
+            p_seen_since: seenWindow.since,
+            p_seen: seen,
+          })
+          .select(columns);
+      } else {
+        query = this.supabase
+          .from('videos')
+          .select(columns)
+          .eq('is_active', true)
+          .eq('visibility', 'public')
+          .lte('created_at', snapshotAt);
+
+        if (after) {
+          query = query.or(`created_at.lt."${after.createdAt}",and(created_at.eq."${after.createdAt}",id.lt.${after.id})`);
+        }
+        if (onlyIds) {
+          query = query.in('id', onlyIds);
+        }
+        query = query.range(offset, offset + limit);
+      }
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false });
+
+      if (error) throw error;
+
+      const page = data.slice(0, limit);
+      const last = page[page.length - 1];
+      return {
+        videos: page.map(toFeedItem),
+        hasMore: data.length > limit,
+        last: last ? { createdAt: last.created_at, id: last.id } : null,
+      };
+    } catch (error) {
+      console.error('Error fetching video feed page:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Newest public videos up to a point in time, with the columns used to rank them
+   * @param {string} snapshotAt - Only videos created up to it
+   * @param {number} limit - Number of videos to fetch
+   * @param {Object|null} seenWindow - { identity, since }: flags the videos the viewer saw between since and snapshotAt
+   * @returns {Promise<Array>} id, tags, uploaded_by, created_at, seen, newest first
+   */
+  async listRankingCandidates(snapshotAt, limit = 200, seenWindow = null) {
+    try {
+      if (seenWindow) {
+        // The seen flag is a join over the viewer's activity, so it is computed in the database
+        const { user_id, anonymous_id } = identityColumns(seenWindow.identity);
+        const { data, error } = await this.supabase.rpc('ranking_candidates', {
+          p_snapshot_at: snapshotAt,
+          p_limit: limit,
+          p_user_id: user_id,
+          p_anonymous_id: anonymous_id,
+          p_seen_since: seenWindow.since,
+        });
+
+        if (error) throw error;
+        return data;
+      }
+
+      const { data, error } = await this.supabase
+        .from('videos')
+        .select('id, tags, uploaded_by, created_at')
+        .eq('is_active', true)
+        .eq('visibility', 'public')
+        .lte('created_at', snapshotAt)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return data.map(video => ({ ...video, seen: false }));
+    } catch (error) {
+      console.error('Error fetching ranking candidates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an active video with its uploader profile
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object>} Video data
+   */
+  async getById(videoId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('videos')
+        .select(`
+          *,
+          user_profiles!videos_uploaded_by_fkey(username, full_name, avatar_url)
+        `)
+        .eq('id', videoId)
+        .eq('is_active', true)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error fetching video:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update video columns
+   * @param {string} videoId - Video ID
+   * @param {Object} updates - Updates to apply
+   * @returns {Promise<Object>} Updated video
+   */
+  async update(videoId, updates) {
+    try {
+      const { data, error } = await this.supabase
+        .from('videos')
+        .update(updates)
+        .eq('id', videoId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating video:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the fields needed to show a video outside the feed
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object|null>} id, title and thumbnail, or null if not found
+   */
+  async getSummary(videoId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('videos')
+        .select('id, title, thumbnail_url')
+        .eq('id', videoId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data ? { id: data.id, title: data.title, thumbnail: data.thumbnail_url } : null;
+    } catch (error) {
+      console.error('Error fetching video summary:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The active video holding an upload's content
+   * @param {string} contentHash - SHA-256 hex digest
+   * @returns {Promise<Object|null>} videos row, or null if the content is new
+   */
+  async findByContentHash(contentHash) {
+    try {
+      const { data, error } = await this.supabase
+        .from('videos')
+        .select('*')
+        .eq('content_hash', contentHash)
+        .is('duplicate_of', null)
+        .eq('is_active', true)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error finding video by content hash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Videos whose original is stored at one of the given URLs, active or not
+   * @param {Array<string>} urls - Public URLs of stored objects
+   * @returns {Promise<Array>} id, title, gcs_url, content_hash, duplicate_of, uploaded_by, is_active, created_at
+   */
+  async listBySourceUrls(urls) {
+    try {
+      const { data, error } = await this.supabase
+        .from('videos')
+        .select('id, title, gcs_url, content_hash, duplicate_of, uploaded_by, is_active, created_at')
+        .in('gcs_url', urls);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error fetching videos by source URL:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Page through every video record, active or not, oldest first
+   * @param {number} limit - Number of videos to fetch
+   * @param {number} offset - Offset for pagination
+   * @returns {Promise<Array>} id, title, gcs_url, file_size, mime_type, metadata, duplicate_of, uploaded_by, is_active, deleted_at, created_at
+   */
+  async listSources(limit = 100, offset = 0) {
+    try {
+      const { data, error } = await this.supabase
+        .from('videos')
+        .select('id, title, gcs_url, file_size, mime_type, metadata, duplicate_of, uploaded_by, is_active, deleted_at, created_at')
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error fetching video sources:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a video in the trash
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object|null>} videos row, or null if it is not in the trash
+   */
+  async getTrashed(videoId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('videos')
+        .select('*')
+        .eq('id', videoId)
+        .eq('is_active', false)
+        .not('deleted_at', 'is', null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error fetching trashed video:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's videos in the trash, most recently deleted first
+   * @param {string} userId - Uploader
+   * @param {number} limit - Number of videos to fetch
+   * @param {number} offset - Offset for pagination
+   * @returns {Promise<Array>} videos rows
+   */
+  async listTrashed(userId, limit = 20, offset = 0) {
+    try {
+      const { data, error } = await this.supabase
+        .from('videos')
+        .select('*')
+        .eq('uploaded_by', userId)
+        .eq('is_active', false)
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error fetching trashed videos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List videos that went into the trash before a cutoff, oldest deletion first
+   * @param {string} cutoff - ISO timestamp
+   * @param {number} limit - Number of videos to fetch
+   * @returns {Promise<Array>} videos rows
+   */
+  async listTrashedBefore(cutoff, limit = 100) {
+    try {
+      const { data, error } = await this.supabase
+        .from('videos')
+        .select('*')
+        .eq('is_active', false)
+        .lt('deleted_at', cutoff)
+        .order('deleted_at', { ascending: true })
+        .limit(limit);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error fetching expired trashed videos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete a video row with its interactions and views; feedback is detached
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object>} { interactions, views, feedback, successor }
+   */
+  async purge(videoId) {
+    try {
+      const { data, error } = await this.supabase.rpc('purge_video', { p_video_id: videoId });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error purging video:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the videos created by an upload session with their processing state
+   * @param {string} sessionId - Upload session ID
+   * @returns {Promise<Array>} id, title, thumbnail_url, duration, processing_status, processing_error, processed_at
+   */
+  async listBySession(sessionId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('videos')
+        .select('id, title, thumbnail_url, duration, processing_status, processing_error, processed_at')
+        .eq('upload_session_id', sessionId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error fetching session videos:', error);
+      throw error;
+    }
+  }
+}
+
+// ============ INTERACTIONS & VIEWS ============
+
+class SupabaseInteractionRepository {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Record an interaction with a video
+   * @param {Object} identity - { userId } for accounts or { anonymousId } for guests
+   * @param {string} videoId - Video ID
+   * @param {string} interactionType - Type of interaction
+   * @param {Object} interactionData - Additional data
+   * @returns {Promise<Object>} Interaction record
+   */
+  async record(identity, videoId, interactionType, interactionData = {}) {
+    try {
+      const { data, error } = await this.supabase
+        .from('user_interactions')
+        .insert({
+          ...identityColumns(identity),
+          video_id: videoId,
+          interaction_type: interactionType,
+          interaction_data: interactionData,
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error recording interaction:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's interactions with a video
+   * @param {string} userId - User ID
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Array>} User interactions
+   */
+  async listForUser(userId, videoId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('user_interactions')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('video_id', videoId);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error fetching user interactions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fold a player heartbeat into the viewer's view session for a video
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @param {string} videoId - Video ID
+   * @param {Object} heartbeat - playbackId, position, watchedSeconds, duration, muted, loopCount
+   * @returns {Promise<Object>} Updated video_views row
+   */
+  async recordViewHeartbeat(identity, videoId, heartbeat) {
+    try {
+      const { user_id, anonymous_id } = identityColumns(identity);
+
+      const { data, error } = await this.supabase
+        .rpc('record_view_heartbeat', {
+          p_user_id: user_id,
+          p_anonymous_id: anonymous_id,
+          p_video_id: videoId,
+          p_playback_id: heartbeat.playbackId,
+          p_position: heartbeat.position,
+          p_watched_seconds: heartbeat.watchedSeconds,
+          p_duration: heartbeat.duration,
+          p_muted: heartbeat.muted,
+          p_loop_count: heartbeat.loopCount,
+        })
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error recording view heartbeat:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add streamed bytes to the viewer's view session for a video
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @param {string} videoId - Video ID
+   * @param {number} bytes - Bytes sent
+   * @returns {Promise<Object>} Updated video_views row
+   */
+  async recordBytesDelivered(identity, videoId, bytes) {
+    try {
+      const { user_id, anonymous_id } = identityColumns(identity);
+
+      const { data, error } = await this.supabase
+        .rpc('record_bytes_delivered', {
+          p_user_id: user_id,
+          p_anonymous_id: anonymous_id,
+          p_video_id: videoId,
+          p_bytes: bytes,
+        })
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error recording delivered bytes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Summarise view sessions of a video
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object>} View counts, watch time and completion stats
+   */
+  async getViewAnalytics(videoId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('video_views')
+        .select('total_watch_seconds, completion_percent, playback_count, rewatch_count, bytes_delivered')
+        .eq('video_id', videoId);
+
+      if (error) throw error;
+      return summarizeViews(data);
+    } catch (error) {
+      console.error('Error fetching view analytics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get reaction and view analytics of a video
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object>} Video analytics
+   */
+  async getVideoAnalytics(videoId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('user_interactions')
+        .select('interaction_type, interaction_data, created_at')
+        .eq('video_id', videoId);
+
+      if (error) throw error;
+      return summarizeInteractions(data, await this.getViewAnalytics(videoId));
+    } catch (error) {
+      console.error('Error fetching video analytics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Videos the identity watched or reacted to since a point in time
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @param {string|null} since - ISO timestamp, or null for all activity
+   * @returns {Promise<Array>} { videoId, lastActivityAt, reactions } sorted newest first
+   */
+  async getWatchedVideosSince(identity, since = null) {
+    try {
+      let viewsQuery = applyIdentityFilter(
+        this.supabase.from('video_views').select('video_id, last_heartbeat_at'),
+        identity
+      );
+      let interactionsQuery = applyIdentityFilter(
+        this.supabase.from('user_interactions').select('video_id, interaction_type, created_at'),
+        identity
+      );
+
+      if (since) {
+        viewsQuery = viewsQuery.gt('last_heartbeat_at', since);
+        interactionsQuery = interactionsQuery.gt('created_at', since);
+      }
+
+      const [views, interactions] = await Promise.all([viewsQuery, interactionsQuery]);
+      if (views.error) throw views.error;
+      if (interactions.error) throw interactions.error;
+
+      return collectWatchedVideos(views.data, interactions.data);
+    } catch (error) {
+      console.error('Error fetching watched videos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Engagement of the identity with the videos it was most recently active on, up to a point in time
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @param {string} until - ISO timestamp; activity after it is ignored
+   * @param {number} limit - Maximum number of view sessions and of reactions to read
+   * @returns {Promise<Array>} { videoId, tags, uploadedBy, likes, dislikes, emojis, completed, lastActivityAt } oldest first
+   */
+  async getPreferenceSignals(identity, until, limit = 500) {
+    try {
+      const withVideo = (row) => ({ ...row, tags: row.videos?.tags || [], uploaded_by: row.videos?.uploaded_by || null });
+
+      const [views, interactions] = await Promise.all([
+        applyIdentityFilter(
+          this.supabase.from('video_views').select('video_id, completed_at, videos(tags, uploaded_by)'),
+          identity
+        )
+          .lte('completed_at', until)
+          .order('completed_at', { ascending: false })
+          .limit(limit),
+        applyIdentityFilter(
+          this.supabase.from('user_interactions').select('video_id, interaction_type, created_at, videos(tags, uploaded_by)'),
+          identity
+        )
+          .neq('interaction_type', 'view')
+          .lte('created_at', until)
+          .order('created_at', { ascending: false })
+          .limit(limit),
+      ]);
+      if (views.error) throw views.error;
+      if (interactions.error) throw interactions.error;
+
+      return collectPreferenceSignals(views.data.map(withVideo), interactions.data.map(withVideo));
+    } catch (error) {
+      console.error('Error fetching preference signals:', error);
+      throw error;
+    }
+  }
+}
+
+// ============ FEEDBACK ============
+
+class SupabaseFeedbackRepository {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Submit feedback
+   * @param {Object} feedbackData - feedback row
+   * @returns {Promise<Object>} Feedback record
+   */
+  async submit(feedbackData) {
+    try {
+      const { data, error } = await this.supabase
+        .from('feedback')
+        .insert(feedbackData)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error submitting feedback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the time of the identity's most recent feedback
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @returns {Promise<string|null>} ISO timestamp or null if no feedback was given yet
+   */
+  async getLastAt(identity) {
+    try {
+      const { data, error } = await applyIdentityFilter(
+        this.supabase.from('feedback').select('created_at'),
+        identity
+      )
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data[0]?.created_at || null;
+    } catch (error) {
+      console.error('Error fetching last feedback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get IDs of videos the identity has already given feedback on
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @returns {Promise<Set<string>>} Video IDs
+   */
+  async getVideoIds(identity) {
+    try {
+      const { data, error } = await applyIdentityFilter(
+        this.supabase.from('feedback').select('video_id'),
+        identity
+      );
+
+      if (error) throw error;
+      return new Set(data.map(row => row.video_id).filter(Boolean));
+    } catch (error) {
+      console.error('Error fetching feedback videos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count feedback per video across all users
+   * @param {Array<string>} videoIds - Video IDs
+   * @returns {Promise<Object>} Map of video ID to feedback count
+   */
+  async getCounts(videoIds) {
+    if (videoIds.length === 0) return {};
+
+    try {
+      const { data, error } = await this.supabase
+        .from('feedback')
+        .select('video_id')
+        .in('video_id', videoIds);
+
+      if (error) throw error;
+
+      return data.reduce((counts, row) => {
+        counts[row.video_id] = (counts[row.video_id] || 0) + 1;
+        return counts;
+      }, {});
+    } catch (error) {
+      console.error('Error counting feedback:', error);
+      throw error;
+    }
+  }
+}
+
+// ============ VIDEO STATS ============
+
+class SupabaseVideoStatsRepository {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Insert or replace rolled-up stats
+   * @param {Array<Object>} rows - video_stats rows keyed by video_id
+   * @returns {Promise<number>} Number of rows written
+   */
+  async upsert(rows) {
+    if (rows.length === 0) return 0;
+
+    try {
+      const { error } = await this.supabase
+        .from('video_stats')
+        .upsert(rows, { onConflict: 'video_id' });
+
+      if (error) throw error;
+
+      return rows.length;
+    } catch (error) {
+      console.error('Error saving video stats:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get rolled-up stats of videos
+   * @param {Array<string>} videoIds - Video IDs
+   * @returns {Promise<Object>} Map of video ID to video_stats row
+   */
+  async getByIds(videoIds) {
+    if (videoIds.length === 0) return {};
+
+    try {
+      const { data, error } = await this.supabase
+        .from('video_stats')
+        .select('*')
+        .in('video_id', videoIds);
+
+      if (error) throw error;
+
+      return data.reduce((stats, row) => {
+        stats[row.video_id] = row;
+        return stats;
+      }, {});
+    } catch (error) {
+      console.error('Error fetching video stats:', error);
+      throw error;
+    }
+  }
+}
+
+// ============ VIDEO EDITS ============
+
+class SupabaseVideoEditRepository {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Record an edit of a video's metadata
+   * @param {Object} edit - video_id, edited_by, changes
+   * @returns {Promise<Object>} video_edits row
+   */
+  async create(edit) {
+    try {
+      const { data, error } = await this.supabase
+        .from('video_edits')
+        .insert({ video_id: edit.video_id, edited_by: edit.edited_by || null, changes: edit.changes })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error recording video edit:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the edits of a video, newest first
+   * @param {string} videoId - Video ID
+   * @param {number} limit - Number of edits to fetch
+   * @param {number} offset - Offset for pagination
+   * @returns {Promise<Array>} video_edits rows
+   */
+  async listByVideo(videoId, limit = 20, offset = 0) {
+    if (!isValidUUID(videoId)) return [];
+
+    try {
+      const { data, error } = await this.supabase
+        .from('video_edits')
+        .select('*')
+        .eq('video_id', videoId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error fetching video edits:', error);
+      throw error;
+    }
+  }
+}
+
+// ============ UPLOAD SESSIONS ============
+
+class SupabaseUploadSessionRepository {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Create an upload session
+   * @param {string} userId - User ID
+   * @param {string} sessionName - Session name
+   * @param {number} totalFiles - Total number of files
+   * @returns {Promise<Object>} Upload session
+   */
+  async create(userId, sessionName, totalFiles) {
+    try {
+      const { data, error } = await this.supabase
+        .from('upload_sessions')
+        .insert({
+          user_id: userId,
+          session_name: sessionName,
+          total_files: totalFiles,
+          uploaded_files: 0,
+          failed_files: 0,
+          status: 'in_progress',
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating upload session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an upload session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Upload session, or null if not found
+   */
+  async getById(sessionId) {
+    if (!isValidUUID(sessionId)) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('upload_sessions')
+        .select('*')
+        .eq('id', sessionId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error fetching upload session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update upload session progress
+   * @param {string} sessionId - Session ID
+   * @param {Object} updates - Updates to apply
+   * @returns {Promise<Object>} Updated session
+   */
+  async update(sessionId, updates) {
+    try {
+      const { data, error } = await this.supabase
+        .from('upload_sessions')
+        .update(updates)
+        .eq('id', sessionId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating upload session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge a progress event into the session's per-file state
+   * @param {string} sessionId - Session ID
+   * @param {string} fileId - Upload file ID
+   * @param {Object} state - Fields of the file's latest progress
+   * @returns {Promise<Object|null>} Updated session, or null if not found
+   */
+  async recordProgress(sessionId, fileId, state) {
+    try {
+      const { data, error } = await this.supabase
+        .rpc('record_upload_progress', {
+          p_session_id: sessionId,
+          p_file_id: fileId,
+          p_state: state,
+        })
+        .single();
+
+      if (error) throw error;
+      return data?.id ? data : null;
+    } catch (error) {
+      console.error('Error recording upload progress:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a file of an upload session
+   * @param {Object} file - upload_files row
+   * @returns {Promise<Object>} Created file record
+   */
+  async createFile(file) {
+    try {
+      const { data, error } = await this.supabase
+        .from('upload_files')
+        .insert(file)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating upload file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a file of an upload session
+   * @param {string} fileId - Upload file ID
+   * @returns {Promise<Object|null>} File record, or null if not found
+   */
+  async getFile(fileId) {
+    if (!isValidUUID(fileId)) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('upload_files')
+        .select('*')
+        .eq('id', fileId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error fetching upload file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a file of an upload session
+   * @param {string} fileId - Upload file ID
+   * @param {Object} updates - Updates to apply
+   * @returns {Promise<Object>} Updated file record
+   */
+  async updateFile(fileId, updates) {
+    try {
+      const { data, error } = await this.supabase
+        .from('upload_files')
+        .update(updates)
+        .eq('id', fileId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating upload file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the files of an upload session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array>} File records, oldest first
+   */
+  async listFiles(sessionId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('upload_files')
+        .select('*')
+        .eq('session_id', sessionId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error listing upload files:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unfinished files whose expiry has passed
+   * @param {string} before - ISO timestamp
+   * @returns {Promise<Array>} File records
+   */
+  async listExpiredFiles(before) {
+    try {
+      const { data, error } = await this.supabase
+        .from('upload_files')
+        .select('*')
+        .eq('status', 'uploading')
+        .lt('expires_at', before);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error listing expired upload files:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A user's imports of the given source paths that completed or are still pending
+   * @param {string} userId - User ID
+   * @param {Array<string>} sourcePaths - Absolute source paths
+   * @returns {Promise<Array>} File records
+   */
+  async listImportedFiles(userId, sourcePaths) {
+    try {
+      const { data, error } = await this.supabase
+        .from('upload_files')
+        .select('*')
+        .eq('user_id', userId)
+        .in('source_path', sourcePaths)
+        .not('status', 'in', '(failed,terminated)');
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error listing imported files:', error);
+      throw error;
+    }
+  }
+}
+
+// ============ PROFILES ============
+
+class SupabaseProfileRepository {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Get user profile
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} User profile
+   */
+  async getById(userId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('user_profiles')
+        .select('*')
+        .eq('id', userId)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error fetching user profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update user profile
+   * @param {string} userId - User ID
+   * @param {Object} updates - Profile updates
+   * @returns {Promise<Object>} Updated profile
+   */
+  async update(userId, updates) {
+    try {
+      const { data, error } = await this.supabase
+        .from('user_profiles')
+        .update(updates)
+        .eq('id', userId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating user profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a username is already used by another profile
+   * @param {string} username - Normalised (lowercase) username
+   * @param {string} excludeUserId - Profile to ignore, e.g. the caller's own
+   * @returns {Promise<boolean>} True if taken
+   */
+  async isUsernameTaken(username, excludeUserId = null) {
+    try {
+      let query = this.supabase
+        .from('user_profiles')
+        .select('id')
+        .eq('username', username)
+        .limit(1);
+
+      if (excludeUserId) {
+        query = query.neq('id', excludeUserId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data.length > 0;
+    } catch (error) {
+      console.error('Error checking username:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the profile holding a username
+   * @param {string} username - Normalised (lowercase) username
+   * @returns {Promise<Object|null>} User profile or null
+   */
+  async findByUsername(username) {
+    try {
+      const { data, error } = await this.supabase
+        .from('user_profiles')
+        .select('*')
+        .eq('username', username)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error fetching user profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get activity stats for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Reaction counts, feedback count, points and level
+   */
+  async getStats(userId) {
+    try {
+      const [interactions, feedback] = await Promise.all([
+        this.supabase
+          .from('user_interactions')
+          .select('interaction_type, interaction_data')
+          .eq('user_id', userId),
+        this.supabase
+          .from('feedback')
+          .select('id', { count: 'exact', head: true })
+          .eq('user_id', userId),
+      ]);
+
+      if (interactions.error) throw interactions.error;
+      if (feedback.error) throw feedback.error;
+
+      return computeUserStats(interactions.data, feedback.count || 0);
+    } catch (error) {
+      console.error('Error fetching user stats:', error);
+      throw error;
+    }
+  }
+}
+
+// ============ ANONYMOUS SESSIONS ============
+
+class SupabaseAnonymousSessionRepository {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Issue a new anonymous (guest) session
+   * @param {Object} details - Optional client details such as userAgent
+   * @returns {Promise<Object>} Anonymous session record
+   */
+  async create({ userAgent = null } = {}) {
+    try {
+      const { data, error } = await this.supabase
+        .from('anonymous_sessions')
+        .insert({ user_agent: userAgent })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating anonymous session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up an anonymous session that has not been merged yet and mark it as seen
+   * @param {string} anonymousId - Anonymous session ID
+   * @returns {Promise<Object|null>} Session record, or null if unknown or already merged
+   */
+  async getActive(anonymousId) {
+    if (!isValidUUID(anonymousId)) return null;
+
+    try {
+      const { data, error } = await this.supabase
+        .from('anonymous_sessions')
+        .update({ last_seen_at: new Date().toISOString() })
+        .eq('id', anonymousId)
+        .is('merged_into', null)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error fetching anonymous session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Move all interactions, views and feedback of a guest session onto an account
+   * @param {string} anonymousId - Anonymous session ID
+   * @param {string} userId - Account the guest signed up as
+   * @returns {Promise<Object>} Number of moved interactions, feedback and view rows
+   */
+  async merge(anonymousId, userId) {
+    try {
+      const { data, error } = await this.supabase.rpc('merge_anonymous_session', {
+        p_anonymous_id: anonymousId,
+        p_user_id: userId,
+      });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error merging anonymous session:', error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Repositories backed by the Supabase service-role client
+ * @param {Object} options - Optional existing Supabase client
+ * @returns {Object} videos, interactions, feedback, videoStats, videoEdits, uploadSessions, profiles, anonymousSessions
+ */
+function createSupabaseRepositories(options = {}) {
+  const supabase = options.supabase || createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+
+  return {
+    driver: 'supabase',
+    videos: new SupabaseVideoRepository(supabase),
+    interactions: new SupabaseInteractionRepository(supabase),
+    feedback: new SupabaseFeedbackRepository(supabase),
+    videoStats: new SupabaseVideoStatsRepository(supabase),
+    videoEdits: new SupabaseVideoEditRepository(supabase),
+    uploadSessions: new SupabaseUploadSessionRepository(supabase),
+    profiles: new SupabaseProfileRepository(supabase),
+    anonymousSessions: new SupabaseAnonymousSessionRepository(supabase),
+  };
+}
+
+module.exports = { createSupabaseRepositories };
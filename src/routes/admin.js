@@ -0,0 +1,111 @@
+const express = require('express');
+const { getJobQueue } = require('../services/queue');
+const { requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Scan storage for originals with identical content; the report is the job's result
+ * POST /api/admin/duplicates/scan
+ */
+router.post('/duplicates/scan', requireAdmin, async (req, res) => {
+  try {
+    const job = await getJobQueue().enqueue('storage.duplicates', { userId: req.userId });
+
+    res.status(202).json({
+      success: true,
+      message: 'Duplicate scan queued',
+      jobId: job.id,
+      statusUrl: `/api/admin/duplicates/scan/${job.id}`,
+    });
+  } catch (error) {
+    console.error('Error queueing duplicate scan:', error);
+    res.status(500).json({ success: false, message: 'Failed to queue duplicate scan', error: error.message });
+  }
+});
+
+/**
+ * State of a duplicate scan, with its report once completed
+ * GET /api/admin/duplicates/scan/:jobId
+ */
+router.get('/duplicates/scan/:jobId', requireAdmin, async (req, res) => {
+  try {
+    const job = await getJobQueue().getJob(req.params.jobId);
+    if (!job || job.type !== 'storage.duplicates') {
+      return res.status(404).json({ success: false, message: 'Scan not found' });
+    }
+
+    res.json({
+      success: true,
+      status: job.status,
+      error: job.error,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      report: job.result,
+    });
+  } catch (error) {
+    console.error('Error fetching duplicate scan:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch duplicate scan', error: error.message });
+  }
+});
+
+/**
+ * Check storage against the videos table; the report is the job's result.
+ * Body: deleteOrphans or importOrphans (imported videos are private to ownerId, default the caller),
+ * deactivateDangling. Without options nothing is changed.
+ * POST /api/admin/storage/reconcile
+ */
+router.post('/storage/reconcile', requireAdmin, async (req, res) => {
+  try {
+    const { deleteOrphans = false, importOrphans = false, deactivateDangling = false, ownerId = null } = req.body || {};
+
+    if (deleteOrphans && importOrphans) {
+      return res.status(400).json({ success: false, message: 'Orphans can be deleted or imported, not both' });
+    }
+
+    const job = await getJobQueue().enqueue('storage.reconcile', {
+      userId: req.userId,
+      deleteOrphans: Boolean(deleteOrphans),
+      importOrphans: Boolean(importOrphans),
+      deactivateDangling: Boolean(deactivateDangling),
+      ownerId,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Storage reconciliation queued',
+      jobId: job.id,
+      statusUrl: `/api/admin/storage/reconcile/${job.id}`,
+    });
+  } catch (error) {
+    console.error('Error queueing storage reconciliation:', error);
+    res.status(500).json({ success: false, message: 'Failed to queue storage reconciliation', error: error.message });
+  }
+});
+
+/**
+ * State of a storage reconciliation, with its report once completed
+ * GET /api/admin/storage/reconcile/:jobId
+ */
+router.get('/storage/reconcile/:jobId', requireAdmin, async (req, res) => {
+  try {
+    const job = await getJobQueue().getJob(req.params.jobId);
+    if (!job || job.type !== 'storage.reconcile') {
+      return res.status(404).json({ success: false, message: 'Reconciliation not found' });
+    }
+
+    res.json({
+      success: true,
+      status: job.status,
+      error: job.error,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      report: job.result,
+    });
+  } catch (error) {
+    console.error('Error fetching storage reconciliation:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch storage reconciliation', error: error.message });
+  }
+});
+
+module.exports = router;
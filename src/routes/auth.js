@@ -0,0 +1,363 @@
+const express = require('express');
+const SupabaseService = require('../services/supabaseService');
+const { getRepositories } = require('../repositories');
+const { isUniqueViolation } = require('../repositories/base');
+const { publicRoute, optionalAuth, requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+const supabaseService = new SupabaseService();
+const repositories = getRepositories();
+
+const USERNAME_PATTERN = /^[a-z0-9_]{3,30}$/;
+const MIN_PASSWORD_LENGTH = 6;
+const USERNAME_TAKEN = 'Username is already taken';
+
+/**
+ * Whether a failed write lost a race for its username against another request.
+ * Profile updates report the unique index violation (23505) directly. Sign-up creates the profile
+ * in the handle_new_user trigger, whose failure Supabase Auth reports as a generic server error,
+ * so the username is checked again.
+ * @param {Error} error - Error of the write
+ * @param {string|undefined} username - Username that was written
+ * @param {string|null} userId - Profile to ignore, e.g. the caller's own
+ * @returns {Promise<boolean>} True if the username is taken
+ */
+async function isUsernameConflict(error, username, userId = null) {
+  if (isUniqueViolation(error)) return true;
+  if (!username || !(error.status >= 500)) return false;
+  return repositories.profiles.isUsernameTaken(username, userId).catch(() => false);
+}
+
+/**
+ * User a failed sign-up created anyway. When Supabase Auth fails after the handle_new_user
+ * trigger ran, the username belongs to the new user, which has the email that was registered.
+ * @param {string|undefined} username - Username that was registered
+ * @param {string} email - Email that was registered
+ * @returns {Promise<string|null>} ID of that user, or null if the username belongs to someone else
+ */
+async function findSignUpUserId(username, email) {
+  if (!username) return null;
+  try {
+    const profile = await repositories.profiles.findByUsername(username);
+    if (!profile) return null;
+    const user = await supabaseService.getUserById(profile.id);
+    return user?.email?.toLowerCase() === String(email).toLowerCase() ? user.id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate and normalise profile fields shared by register and PATCH /me
+ * @param {Object} body - Request body
+ * @returns {{ updates: Object, errors: Array<string> }} Column updates and validation errors
+ */
+function parseProfileFields(body) {
+  const updates = {};
+  const errors = [];
+
+  if (body.username !== undefined) {
+    const username = String(body.username).trim().toLowerCase();
+    if (!USERNAME_PATTERN.test(username)) {
+      errors.push('username must be 3-30 characters of letters, numbers or underscores');
+    } else {
+      updates.username = username;
+    }
+  }
+
+  const fullName = body.fullName !== undefined ? body.fullName : body.full_name;
+  if (fullName !== undefined) {
+    if (fullName !== null && (typeof fullName !== 'string' || fullName.length > 100)) {
+      errors.push('fullName must be a string of at most 100 characters');
+    } else {
+      updates.full_name = fullName ? fullName.trim() : null;
+    }
+  }
+
+  const avatarUrl = body.avatarUrl !== undefined ? body.avatarUrl : body.avatar_url;
+  if (avatarUrl !== undefined) {
+    if (avatarUrl !== null && !/^https?:\/\/\S+$/i.test(String(avatarUrl))) {
+      errors.push('avatarUrl must be an http(s) URL');
+    } else {
+      updates.avatar_url = avatarUrl || null;
+    }
+  }
+
+  return { updates, errors };
+}
+
+/**
+ * Build the /me payload from the auth user, profile and stats
+ * @param {Object} user - Supabase auth user
+ * @param {Object} profile - user_profiles row
+ * @param {Object} stats - Result of getUserStats
+ * @returns {Object} Merged user payload
+ */
+function buildUserPayload(user, profile, stats) {
+  return {
+    id: user.id,
+    email: user.email,
+    username: profile?.username || null,
+    fullName: profile?.full_name || user.user_metadata?.full_name || null,
+    avatarUrl: profile?.avatar_url || user.user_metadata?.avatar_url || null,
+    createdAt: profile?.created_at || user.created_at,
+    updatedAt: profile?.updated_at || null,
+    stats,
+  };
+}
+
+// ============ REGISTRATION & LOGIN ============
+
+/**
+ * Register a new account
+ * POST /api/auth/register
+ */
+router.post('/register', publicRoute, async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password || req.body.username === undefined) {
+    return res.status(400).json({
+      success: false,
+      message: 'email, password and username are required',
+    });
+  }
+
+  if (String(password).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    });
+  }
+
+  const { updates, errors } = parseProfileFields(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, message: errors.join('; '), errors });
+  }
+
+  try {
+    if (await repositories.profiles.isUsernameTaken(updates.username)) {
+      return res.status(409).json({ success: false, message: USERNAME_TAKEN });
+    }
+
+    const { user, session } = await supabaseService.registerUser({
+      email,
+      password,
+      username: updates.username,
+      fullName: updates.full_name,
+    });
+
+    res.status(201).json({
+      success: true,
+      user: {
+        id: user.id,
+        email: user.email,
+        username: updates.username,
+        fullName: updates.full_name || null,
+      },
+      session: session ? {
+        access_token: session.access_token,
+        refresh_token: session.refresh_token,
+        expires_at: session.expires_at,
+      } : null,
+      message: session
+        ? 'Registration successful'
+        : 'Registration successful - check your email to confirm your account',
+    });
+  } catch (error) {
+    const signUpUserId = error.status >= 500 ? await findSignUpUserId(updates.username, email) : null;
+    if (await isUsernameConflict(error, updates.username, signUpUserId)) {
+      return res.status(409).json({ success: false, message: USERNAME_TAKEN });
+    }
+    console.error('Registration error:', error);
+    res.status(error.status === 422 || error.status === 400 ? 400 : 500).json({
+      success: false,
+      message: error.message || 'Registration failed',
+    });
+  }
+});
+
+/**
+ * Sign in with email and password
+ * POST /api/auth/login
+ */
+router.post('/login', publicRoute, async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email and password are required'
+    });
+  }
+
+  try {
+    const { user, session } = await supabaseService.signInWithPassword(email, password);
+
+    res.json({
+      success: true,
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.user_metadata?.full_name || user.email,
+      },
+      session: {
+        access_token: session.access_token,
+        refresh_token: session.refresh_token,
+        expires_at: session.expires_at
+      },
+      message: 'Login successful'
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(401).json({
+      success: false,
+      message: error.message || 'Invalid email or password'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ */
+router.post('/logout', optionalAuth, (req, res) => {
+  res.json({
+    success: true,
+    message: 'Logout successful'
+  });
+});
+
+// ============ ANONYMOUS SESSIONS ============
+
+/**
+ * Issue a persistent guest identity; clients store it and send it as X-Anonymous-Id
+ * POST /api/auth/anonymous
+ */
+router.post('/anonymous', publicRoute, async (req, res) => {
+  try {
+    const session = await repositories.anonymousSessions.create({
+      userAgent: req.get('user-agent') || null,
+    });
+
+    res.status(201).json({
+      success: true,
+      anonymousId: session.id,
+      createdAt: session.created_at,
+    });
+  } catch (error) {
+    console.error('Error creating anonymous session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start guest session',
+    });
+  }
+});
+
+/**
+ * Move a guest's interactions and feedback onto the signed-in account
+ * POST /api/auth/anonymous/merge
+ */
+router.post('/anonymous/merge', requireAuth, async (req, res) => {
+  const { anonymousId } = req.body;
+
+  if (!anonymousId) {
+    return res.status(400).json({
+      success: false,
+      message: 'anonymousId is required',
+    });
+  }
+
+  try {
+    const session = await repositories.anonymousSessions.getActive(anonymousId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest session not found or already merged',
+      });
+    }
+
+    const merged = await repositories.anonymousSessions.merge(session.id, req.userId);
+
+    res.json({
+      success: true,
+      merged,
+      message: 'Guest activity merged into your account',
+    });
+  } catch (error) {
+    console.error('Error merging anonymous session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge guest activity',
+    });
+  }
+});
+
+// ============ CURRENT USER ============
+
+/**
+ * Get the current user's profile merged with activity stats
+ * GET /api/auth/me
+ */
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const [profile, stats] = await Promise.all([
+      repositories.profiles.getById(req.userId).catch(() => null),
+      repositories.profiles.getStats(req.userId),
+    ]);
+
+    res.json({
+      success: true,
+      user: buildUserPayload(req.user, profile, stats),
+    });
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user profile',
+    });
+  }
+});
+
+/**
+ * Update username, full name or avatar of the current user
+ * PATCH /api/auth/me
+ */
+router.patch('/me', requireAuth, async (req, res) => {
+  const { updates, errors } = parseProfileFields(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, message: errors.join('; '), errors });
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Provide at least one of username, fullName or avatarUrl',
+    });
+  }
+
+  try {
+    if (updates.username && await repositories.profiles.isUsernameTaken(updates.username, req.userId)) {
+      return res.status(409).json({ success: false, message: USERNAME_TAKEN });
+    }
+
+    const profile = await repositories.profiles.update(req.userId, updates);
+    const stats = await repositories.profiles.getStats(req.userId);
+
+    res.json({
+      success: true,
+      user: buildUserPayload(req.user, profile, stats),
+      message: 'Profile updated successfully',
+    });
+  } catch (error) {
+    if (await isUsernameConflict(error, updates.username, req.userId)) {
+      return res.status(409).json({ success: false, message: USERNAME_TAKEN });
+    }
+    console.error('Error updating current user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user profile',
+    });
+  }
+});
+
+module.exports = router;
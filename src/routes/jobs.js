@@ -0,0 +1,110 @@
+const express = require('express');
+const { getJobQueue } = require('../services/queue');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Job fields returned to clients
+ * @param {Object} job - Job record
+ * @returns {Object} Job status
+ */
+function toJobStatus(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    error: job.error,
+    result: job.result,
+    runAt: job.runAt,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+/**
+ * Load a job owned by the requesting user
+ * @returns {Promise<Object|null>} Job, or null when missing or owned by someone else
+ */
+async function getOwnedJob(jobId, userId) {
+  const job = await getJobQueue().getJob(jobId);
+  return job && job.data?.userId === userId ? job : null;
+}
+
+/**
+ * Queue depth per job type
+ * GET /api/jobs/stats
+ */
+router.get('/stats', requireAuth, async (req, res) => {
+  try {
+    const stats = await getJobQueue().getStats();
+    res.json({ success: true, ...stats });
+  } catch (error) {
+    console.error('Error fetching job stats:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch job stats', error: error.message });
+  }
+});
+
+/**
+ * Dead-lettered jobs of the requesting user
+ * GET /api/jobs/dead
+ */
+router.get('/dead', requireAuth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const jobs = await getJobQueue().listDead(limit);
+
+    res.json({
+      success: true,
+      jobs: jobs.filter(job => job.data?.userId === req.userId).map(toJobStatus),
+    });
+  } catch (error) {
+    console.error('Error fetching dead jobs:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch dead jobs', error: error.message });
+  }
+});
+
+/**
+ * Status of a job
+ * GET /api/jobs/:jobId
+ */
+router.get('/:jobId', requireAuth, async (req, res) => {
+  try {
+    const job = await getOwnedJob(req.params.jobId, req.userId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    res.json({ success: true, job: toJobStatus(job) });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch job', error: error.message });
+  }
+});
+
+/**
+ * Run a dead-lettered job again
+ * POST /api/jobs/:jobId/retry
+ */
+router.post('/:jobId/retry', requireAuth, async (req, res) => {
+  try {
+    const job = await getOwnedJob(req.params.jobId, req.userId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    if (job.status !== 'dead') {
+      return res.status(409).json({ success: false, message: `Only dead jobs can be retried (job is ${job.status})` });
+    }
+
+    const requeued = await getJobQueue().retryDead(job.id);
+    res.status(202).json({ success: true, job: toJobStatus(requeued) });
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ success: false, message: 'Failed to retry job', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const path = require('path');
+const { getStorageService } = require('../services/storage');
+const { getRepositories } = require('../repositories');
+const { isVisibleTo } = require('../repositories/base');
+const { derivedPrefix } = require('../services/videoProcessingService');
+const { optionalAuth, getIdentity } = require('../middleware/auth');
+
+const router = express.Router();
+const storageService = getStorageService();
+const repositories = getRepositories();
+
+// Browser cache lifetime of streamed objects; ETag / Last-Modified revalidate them afterwards
+const STREAM_MAX_AGE_SECONDS = 60 * 60;
+
+/**
+ * Object a stream request reads: the original upload, or a file generated from it
+ * @param {Object} video - videos row
+ * @param {string|undefined} derivedPath - Path below the video's derived files, if any
+ * @returns {string|null} Object name, or null if the path leaves the video's derived files
+ */
+function resolveStreamObject(video, derivedPath) {
+  if (!derivedPath) return video.metadata?.gcsFileName || null;
+
+  const baseDir = derivedPrefix(video.id);
+  const objectName = path.posix.normalize(path.posix.join(baseDir, derivedPath));
+  return objectName.startsWith(`${baseDir}/`) ? objectName : null;
+}
+
+/**
+ * Whether the Range header still applies under If-Range: the client's copy must be the current one
+ * @param {Object} req - Express request
+ * @param {Object} object - Result of statObject
+ * @returns {boolean} Range applies
+ */
+function isRangeFresh(req, object) {
+  const ifRange = req.get('If-Range');
+  if (!ifRange) return true;
+
+  // Weak ETags never match If-Range
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return !object.etag.startsWith('W/') && ifRange === object.etag;
+  }
+
+  const since = Date.parse(ifRange);
+  return !Number.isNaN(since) && Math.floor(object.lastModified.getTime() / 1000) * 1000 <= since;
+}
+
+/**
+ * Credit streamed bytes to the caller's view of a video once the response ends.
+ * Only callers that identify themselves (bearer token or anonymous ID) have a view to credit.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} videoId - Video ID
+ * @param {stream.Readable} body - Object stream being sent
+ */
+function trackBytesDelivered(req, res, videoId, body) {
+  const identity = getIdentity(req);
+  if (!identity.userId && !identity.anonymousId) return;
+
+  let bytes = 0;
+  body.on('data', chunk => {
+    bytes += chunk.length;
+  });
+
+  res.on('close', () => {
+    if (bytes === 0) return;
+
+    repositories.interactions.recordBytesDelivered(identity, videoId, bytes).catch(error => {
+      console.error(`Error recording ${bytes} delivered bytes of video ${videoId}:`, error);
+    });
+  });
+}
+
+/**
+ * Stream a video's original file, or one of its generated files (HLS playlists and segments,
+ * poster, thumbnails), from storage. Supports Range requests and conditional requests;
+ * private videos are only streamed to their uploader.
+ * GET /api/videos/:videoId/stream
+ * GET /api/videos/:videoId/stream/*
+ */
+router.get(['/:videoId/stream', '/:videoId/stream/*'], optionalAuth, async (req, res) => {
+  const { videoId } = req.params;
+
+  try {
+    let video;
+    try {
+      video = await repositories.videos.getById(videoId);
+    } catch (error) {
+      video = null;
+    }
+    if (!video || !isVisibleTo(video, req.userId)) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+
+    const objectName = resolveStreamObject(video, req.params[0]);
+    const object = objectName ? await storageService.statObject(objectName) : null;
+    if (!object) {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
+
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Content-Type': object.contentType,
+      'ETag': object.etag,
+      'Last-Modified': object.lastModified.toUTCString(),
+      'Cache-Control': `${video.visibility === 'private' ? 'private' : 'public'}, max-age=${STREAM_MAX_AGE_SECONDS}`,
+    });
+
+    // If-None-Match / If-Modified-Since against the headers above
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    let start = 0;
+    let end = object.size - 1;
+    const ranges = isRangeFresh(req, object) ? req.range(object.size, { combine: true }) : undefined;
+
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${object.size}`);
+      return res.status(416).json({ success: false, message: 'Requested range not satisfiable' });
+    }
+    // Malformed and multi-range requests get the whole object
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      ({ start, end } = ranges[0]);
+      res.status(206).set('Content-Range', `bytes ${start}-${end}/${object.size}`);
+    }
+
+    res.set('Content-Length', String(object.size === 0 ? 0 : end - start + 1));
+    if (req.method === 'HEAD' || object.size === 0) {
+      return res.end();
+    }
+
+    const body = storageService.createReadStream(objectName, { start, end });
+    trackBytesDelivered(req, res, videoId, body);
+
+    body.on('error', error => {
+      console.error(`Error streaming ${objectName}:`, error);
+      res.destroy(error);
+    });
+    res.on('close', () => body.destroy());
+    body.pipe(res);
+  } catch (error) {
+    console.error('Error serving video stream:', error);
+    res.status(500).json({ success: false, message: 'Failed to stream video' });
+  }
+});
+
+module.exports = router;
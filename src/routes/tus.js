@@ -0,0 +1,173 @@
+const express = require('express');
+const cors = require('cors');
+const { getStorageService } = require('../services/storage');
+const { getRepositories } = require('../repositories');
+const { TusUploadService, TusError, parseUploadMetadata, formatUploadMetadata } = require('../services/tusUploadService');
+const { MediaProbeUnavailableError } = require('../services/mediaValidation');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+const tusUploadService = new TusUploadService(getRepositories(), getStorageService());
+
+const { TUS_VERSION, TUS_EXTENSIONS } = TusUploadService;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const EXPOSED_HEADERS = [
+  'Location', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size',
+  'Upload-Offset', 'Upload-Length', 'Upload-Metadata', 'Upload-Expires',
+];
+
+// Periodically discard uploads that were abandoned past their expiry
+setInterval(() => {
+  tusUploadService.cleanupExpired()
+    .then(count => count && console.log(`Expired ${count} abandoned uploads`))
+    .catch(error => console.error('Error cleaning up expired uploads:', error));
+}, CLEANUP_INTERVAL_MS).unref();
+
+/**
+ * Send a tus error with the JSON error shape used by the rest of the API
+ */
+function sendError(res, error) {
+  if (error instanceof TusError) {
+    return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+  }
+
+  console.error('tus upload error:', error);
+  res.status(error instanceof MediaProbeUnavailableError ? error.status : 500).json({ success: false, message: 'Upload failed', error: error.message });
+}
+
+/**
+ * Parse a non-negative integer header; returns null when missing or invalid
+ */
+function parseIntegerHeader(value) {
+  if (value === undefined || !/^\d+$/.test(value)) return null;
+  return Number(value);
+}
+
+// Browsers only see the protocol headers when they are exposed through CORS;
+// preflights continue so OPTIONS / can still report server capabilities
+router.use(cors({ exposedHeaders: EXPOSED_HEADERS, preflightContinue: true }));
+
+router.use((req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+
+  if (req.method !== 'OPTIONS' && req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    return res.status(412).json({ success: false, message: `Tus-Resumable ${TUS_VERSION} is required` });
+  }
+  next();
+});
+
+/**
+ * Server capabilities
+ * OPTIONS /api/upload/tus
+ */
+router.options('/', (req, res) => {
+  res.set({
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS.join(','),
+    'Tus-Max-Size': String(tusUploadService.maxSize),
+  });
+  res.status(204).end();
+});
+
+router.options('/:uploadId', (req, res) => {
+  res.status(204).end();
+});
+
+/**
+ * Create an upload
+ * POST /api/upload/tus
+ * Upload-Metadata keys: filename, filetype, title, description, tags, sessionId, sessionName
+ */
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const length = parseIntegerHeader(req.get('Upload-Length'));
+    if (length === null) {
+      return res.status(400).json({ success: false, message: 'Upload-Length header is required' });
+    }
+
+    const upload = await tusUploadService.createUpload(req.userId, {
+      length,
+      metadata: parseUploadMetadata(req.get('Upload-Metadata')),
+    });
+
+    res.set({
+      Location: `${req.protocol}://${req.get('host')}${req.baseUrl}/${upload.id}`,
+      'Upload-Expires': new Date(upload.expires_at).toUTCString(),
+      'Upload-Offset': '0',
+    });
+    res.status(201).json({
+      success: true,
+      upload: { id: upload.id, sessionId: upload.session_id },
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Current offset of an upload
+ * HEAD /api/upload/tus/:uploadId
+ */
+router.head('/:uploadId', requireAuth, async (req, res) => {
+  try {
+    const upload = await tusUploadService.getUpload(req.params.uploadId, req.userId);
+
+    res.set({
+      'Cache-Control': 'no-store',
+      'Upload-Offset': String(upload.upload_offset),
+      'Upload-Length': String(upload.upload_length),
+      'Upload-Metadata': formatUploadMetadata({ filename: upload.file_name, filetype: upload.mime_type }),
+    });
+    if (upload.status === 'uploading') {
+      res.set('Upload-Expires', new Date(upload.expires_at).toUTCString());
+    }
+    res.status(200).end();
+  } catch (error) {
+    res.status(error instanceof TusError ? error.status : 500).end();
+  }
+});
+
+/**
+ * Append a chunk
+ * PATCH /api/upload/tus/:uploadId
+ */
+router.patch('/:uploadId', requireAuth, async (req, res) => {
+  try {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).json({ success: false, message: 'Content-Type must be application/offset+octet-stream' });
+    }
+
+    const offset = parseIntegerHeader(req.get('Upload-Offset'));
+    if (offset === null) {
+      return res.status(400).json({ success: false, message: 'Upload-Offset header is required' });
+    }
+
+    const upload = await tusUploadService.getUpload(req.params.uploadId, req.userId);
+    const updated = await tusUploadService.appendChunk(upload, offset, req);
+
+    res.set('Upload-Offset', String(updated.upload_offset));
+    if (updated.status === 'uploading') {
+      res.set('Upload-Expires', new Date(updated.expires_at).toUTCString());
+    }
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Terminate an upload
+ * DELETE /api/upload/tus/:uploadId
+ */
+router.delete('/:uploadId', requireAuth, async (req, res) => {
+  try {
+    const upload = await tusUploadService.getUpload(req.params.uploadId, req.userId);
+    await tusUploadService.terminate(upload);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
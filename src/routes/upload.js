@@ -1,21 +1,45 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
-const GoogleCloudStorageService = require('../services/googleCloudStorage');
-const SupabaseService = require('../services/supabaseService');
+const fs = require('fs');
+const { getStorageService } = require('../services/storage');
+const { getRepositories } = require('../repositories');
+const { getJobQueue, hostJobType } = require('../services/queue');
+const { getUploadSessionService } = require('../services/uploadSessionService');
+const { getUploadProgressService } = require('../services/uploadProgressService');
+const { getBulkImportService } = require('../services/bulkImportService');
+const { getDeduplicationService, DUPLICATE_POLICIES } = require('../services/deduplicationService');
+const { getPlaybackUrlService, requestBaseUrl } = require('../services/playbackUrlService');
+const { parseManifest, detectManifestFormat } = require('../services/importManifest');
+const { MediaValidationError, MediaProbeUnavailableError, validateVideoFile } = require('../services/mediaValidation');
+const { getTrashService } = require('../services/trashService');
+const { getVideoEditService, parseVideoEdit, EDITABLE_FIELDS } = require('../services/videoEditService');
+const { getFeedService, FeedCursorError } = require('../services/feedService');
+const { DEFAULT_TEMP_DIR } = require('../services/tusUploadService');
+const { publicRoute, optionalAuth, requireAuth, isAdmin } = require('../middleware/auth');
 
 const router = express.Router();
-const gcsService = new GoogleCloudStorageService();
-const supabaseService = new SupabaseService();
+const storageService = getStorageService();
+const repositories = getRepositories();
+const uploadSessionService = getUploadSessionService();
+const uploadProgressService = getUploadProgressService();
+const bulkImportService = getBulkImportService();
+const deduplicationService = getDeduplicationService();
+const playbackUrlService = getPlaybackUrlService();
+const trashService = getTrashService();
+const videoEditService = getVideoEditService();
+const feedService = getFeedService();
+
+// Comment lines keep idle event streams open through proxies
+const SSE_KEEPALIVE_MS = 15 * 1000;
 
 // Test endpoint to verify server is running updated code
-router.get('/test', (req, res) => {
+router.get('/test', publicRoute, (req, res) => {
   res.json({ message: 'Upload routes updated - v2', timestamp: new Date().toISOString() });
 });
 
 // Configure multer for file uploads
-const upload = multer({
-  storage: multer.memoryStorage(),
+const uploadOptions = {
   limits: {
     fileSize: 500 * 1024 * 1024, // 500MB limit
   },
@@ -26,13 +50,15 @@ const upload = multer({
       fieldname: file.fieldname
     });
     
+    // Only a first pass: the claimed type and name are not trusted, every file is
+    // validated from its content once received (see validateVideoFile)
     const allowedTypes = [
       'video/mp4', 'video/avi', 'video/mov', 'video/wmv', 
       'video/flv', 'video/webm', 'video/mkv', 'video/x-m4v',
-      'video/quicktime', 'application/octet-stream' // Sometimes MP4 files are detected as octet-stream
+      'video/quicktime', 'video/x-msvideo', 'video/x-matroska', 'video/x-flv', 'video/x-ms-wmv'
     ];
     
-    // Also check file extension as fallback
+    // Also check file extension as fallback (covers files sent as application/octet-stream)
     const fileExtension = file.originalname.toLowerCase().split('.').pop();
     const allowedExtensions = ['mp4', 'avi', 'mov', 'wmv', 'flv', 'webm', 'mkv', 'm4v'];
     
@@ -43,7 +69,46 @@ const upload = multer({
       cb(new Error(`Invalid file type. Detected: ${file.mimetype}, Extension: ${fileExtension}. Only video files are allowed.`), false);
     }
   },
-});
+};
+
+// Uploads are written to disk so ffprobe can validate them before they are stored;
+// batches are then stored by upload.file jobs after the response
+const diskUpload = multer({ ...uploadOptions, dest: DEFAULT_TEMP_DIR });
+
+/**
+ * Validate the onDuplicate field of an upload request
+ * @param {string} value - Requested policy (defaults to existing)
+ * @returns {string|null} Policy, or null if it is not one of DUPLICATE_POLICIES
+ */
+function parseDuplicatePolicy(value) {
+  const policy = value || 'existing';
+  return DUPLICATE_POLICIES.includes(policy) ? policy : null;
+}
+
+const INVALID_DUPLICATE_POLICY = `onDuplicate must be one of: ${DUPLICATE_POLICIES.join(', ')}`;
+
+/**
+ * Delete a multer temp file
+ * @param {Object} file - Multer file
+ */
+async function removeTempFile(file) {
+  await fs.promises.unlink(file.path).catch(() => {});
+}
+
+/**
+ * Validate a received file's content and replace its client-supplied type with the detected one
+ * @param {Object} file - Multer file (on disk)
+ * @returns {Promise<Object>} { container, mimeType, media } from validateVideoFile
+ * @throws {MediaValidationError} When the file is not a usable video
+ */
+async function validateReceivedFile(file) {
+  const validated = await validateVideoFile(file.path);
+  if (validated.mimeType !== file.mimetype) {
+    console.log(`${file.originalname}: detected ${validated.container} (${validated.mimeType}), client sent ${file.mimetype}`);
+  }
+  file.mimetype = validated.mimeType;
+  return validated;
+}
 
 // ============ SINGLE VIDEO UPLOAD ============
 
@@ -51,15 +116,19 @@ const upload = multer({
  * Upload a single video file
  * POST /api/upload/video
  */
-router.post('/video', upload.single('video'), async (req, res) => {
+router.post('/video', requireAuth, diskUpload.single('video'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No video file provided' });
     }
 
-    // For MVP, we'll use a mock user ID (generate a valid UUID)
-    // In production, this would come from JWT token
-    const userId = req.body.userId || '00000000-0000-0000-0000-000000000001';
+    const userId = req.userId;
+    const onDuplicate = parseDuplicatePolicy(req.body.onDuplicate);
+    if (!onDuplicate) {
+      return res.status(400).json({ error: INVALID_DUPLICATE_POLICY });
+    }
+
+    await validateReceivedFile(req.file);
     
     const metadata = {
       title: req.body.title,
@@ -67,91 +136,144 @@ router.post('/video', upload.single('video'), async (req, res) => {
       tags: req.body.tags ? req.body.tags.split(',').map(tag => tag.trim()) : [],
     };
 
-    // Upload to Google Cloud Storage
-    console.log('Uploading video to GCS...');
-    const uploadResult = await gcsService.uploadVideo(req.file, metadata);
+    // Upload to the configured storage backend
+    console.log(`Uploading video to ${storageService.driver} storage...`);
+    const uploadResult = await storageService.uploadVideo(req.file, metadata);
 
-    // Create database record
+    // Create database record, unless this content is already stored
     console.log('Creating database record...');
-    const videoRecord = await supabaseService.createVideo({
-      ...uploadResult,
-      ...metadata,
-    }, userId);
+    const { video: videoRecord, created, duplicateOf } = await deduplicationService.createVideo(
+      uploadResult,
+      metadata,
+      userId,
+      { onDuplicate }
+    );
+
+    // Probe, generate thumbnails and transcode in the background
+    if (created) {
+      await getJobQueue().enqueue('video.analyze', { videoId: videoRecord.id, userId });
+    }
 
     res.json({
       success: true,
-      message: 'Video uploaded successfully',
+      message: created ? 'Video uploaded successfully' : 'Video already uploaded',
+      duplicate: Boolean(duplicateOf),
+      duplicateOf: duplicateOf ? duplicateOf.id : null,
       video: {
         id: videoRecord.id,
         title: videoRecord.title,
-        url: videoRecord.gcs_url,
+        url: await playbackUrlService.signUrl(videoRecord.gcs_url),
+        processingStatus: videoRecord.processing_status,
         uploadResult,
       },
     });
   } catch (error) {
+    if (error instanceof MediaValidationError) {
+      console.warn(`Rejected upload ${req.file.originalname}: ${error.check} check failed: ${error.message}`);
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Upload error:', error);
-    res.status(500).json({
+    res.status(error instanceof MediaProbeUnavailableError ? error.status : 500).json({
       error: 'Upload failed',
       message: error.message,
     });
+  } finally {
+    if (req.file) await removeTempFile(req.file);
   }
 });
 
 // ============ BATCH VIDEO UPLOAD ============
 
 /**
- * Upload multiple video files
+ * Upload multiple video files; each file is stored by a background job
  * POST /api/upload/batch
  */
-router.post('/batch', upload.array('videos', 100), async (req, res) => {
+router.post('/batch', requireAuth, diskUpload.array('videos', 100), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ error: 'No video files provided' });
     }
 
-    const userId = req.body.userId || '00000000-0000-0000-0000-000000000001';
+    const userId = req.userId;
     const sessionName = req.body.sessionName || `Batch Upload ${new Date().toISOString()}`;
+    const onDuplicate = parseDuplicatePolicy(req.body.onDuplicate);
+    if (!onDuplicate) {
+      await Promise.all(req.files.map(removeTempFile));
+      return res.status(400).json({ error: INVALID_DUPLICATE_POLICY });
+    }
+
+    // Rejected files are dropped; the rest of the batch goes ahead
+    const accepted = [];
+    const rejected = [];
+    for (const file of req.files) {
+      try {
+        accepted.push({ file, validated: await validateReceivedFile(file) });
+      } catch (error) {
+        if (!(error instanceof MediaValidationError)) {
+          await Promise.all(req.files.map(removeTempFile));
+          throw error;
+        }
+        await removeTempFile(file);
+        console.warn(`Rejected batch file ${file.originalname}: ${error.check} check failed: ${error.message}`);
+        rejected.push({ fileName: file.originalname, ...error.toJSON() });
+      }
+    }
+
+    if (accepted.length === 0) {
+      return res.status(422).json({ error: 'Invalid video', message: 'None of the files is a valid video', rejected });
+    }
 
     // Create upload session
-    const uploadSession = await supabaseService.createUploadSession(
-      null, // Set to null to avoid foreign key constraint for MVP
+    const uploadSession = await repositories.uploadSessions.create(
+      userId,
       sessionName,
-      req.files.length
+      accepted.length
     );
 
-    console.log(`Starting batch upload of ${req.files.length} files...`);
-
-    // Upload files to GCS
-    const uploadResults = await gcsService.uploadVideoBatch(req.files, (progress) => {
-      console.log(`Upload progress: ${progress.current}/${progress.total} - ${progress.fileName}`);
-    });
-
-    // Create database records for successful uploads
-    const dbResults = await supabaseService.batchCreateVideos(uploadResults, null);
+    console.log(`Queueing batch upload of ${accepted.length} files (${rejected.length} rejected)...`);
+
+    const queue = getJobQueue();
+    const jobs = [];
+    for (const { file, validated } of accepted) {
+      const uploadFile = await repositories.uploadSessions.createFile({
+        session_id: uploadSession.id,
+        user_id: userId,
+        file_name: file.originalname,
+        mime_type: file.mimetype,
+        upload_length: file.size,
+        upload_offset: file.size,
+        temp_path: file.path,
+        metadata: { onDuplicate, container: validated.container, media: validated.media },
+        status: 'queued',
+      });
+
+      await uploadProgressService.record(uploadSession.id, uploadFile.id, 'queued', {
+        fileName: file.originalname,
+        bytesUploaded: 0,
+        bytesTotal: file.size,
+      });
+
+      const job = await queue.enqueue(hostJobType('upload.file'), { uploadFileId: uploadFile.id, userId }, {
+        jobId: `upload.file:${uploadFile.id}`,
+      });
+      jobs.push({ jobId: job.id, uploadFileId: uploadFile.id, fileName: file.originalname });
+    }
 
-    // Update upload session
-    await supabaseService.updateUploadSession(uploadSession.id, {
-      uploaded_files: dbResults.totalCreated,
-      failed_files: dbResults.totalFailed,
-      status: dbResults.totalFailed === 0 ? 'completed' : 'completed_with_errors',
-      completed_at: new Date().toISOString(),
-    });
+    const session = await uploadSessionService.refresh(uploadSession.id);
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Batch upload completed',
-      session: uploadSession,
-      results: {
-        totalFiles: req.files.length,
-        successful: dbResults.totalCreated,
-        failed: dbResults.totalFailed,
-        uploadResults: uploadResults,
-        dbResults: dbResults,
-      },
+      message: 'Batch upload queued',
+      sessionId: session.id,
+      session,
+      jobs,
+      rejected,
+      statusUrl: `/api/upload/session/${session.id}`,
+      eventsUrl: `/api/upload/session/${session.id}/events`,
     });
   } catch (error) {
     console.error('Batch upload error:', error);
-    res.status(500).json({
+    res.status(error instanceof MediaProbeUnavailableError ? error.status : 500).json({
       error: 'Batch upload failed',
       message: error.message,
     });
@@ -161,58 +283,145 @@ router.post('/batch', upload.array('videos', 100), async (req, res) => {
 // ============ DIRECTORY UPLOAD ============
 
 /**
- * Upload videos from a local directory (for development/testing)
+ * Read the import manifest of a directory upload request
+ * @param {Object} body - manifest (text, or parsed JSON entries), manifestPath (file inside the import
+ *   directory, relative to it), manifestFormat
+ * @param {string} directoryPath - Absolute path of the import directory
+ * @returns {Promise<Object|null>} { entries, errors } from parseManifest, or null without a manifest
+ */
+async function readImportManifest({ manifest, manifestPath, manifestFormat }, directoryPath) {
+  if (manifestPath) {
+    // Symlinks are resolved too, so a link inside the directory cannot point the server elsewhere
+    const [root, filePath] = await Promise.all([
+      fs.promises.realpath(directoryPath),
+      fs.promises.realpath(path.resolve(directoryPath, String(manifestPath))).catch(() => null),
+    ]);
+    const relativePath = filePath ? path.relative(root, filePath) : '';
+    if (!filePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      throw new Error(`Manifest not found in the import directory: ${manifestPath}`);
+    }
+    const content = await fs.promises.readFile(filePath, 'utf8').catch(() => {
+      throw new Error(`Manifest not found in the import directory: ${manifestPath}`);
+    });
+    return parseManifest(content, manifestFormat || detectManifestFormat(filePath));
+  }
+
+  if (manifest === undefined || manifest === null) return null;
+  if (typeof manifest === 'string' && !manifestFormat) {
+    throw new Error('manifestFormat (csv, json or jsonl) is required with an inline manifest');
+  }
+  return parseManifest(manifest, manifestFormat || 'json');
+}
+
+/**
+ * Glob list from a request field that may be a single pattern
+ * @param {string|Array<string>} value - Pattern(s)
+ * @returns {Array<string>} Patterns
+ */
+function toPatternList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+/**
+ * Upload videos from a local directory (for development/testing); the directory is scanned by a background job.
+ * Optional: recursive, include / exclude globs, an import manifest (CSV, JSON or JSONL) giving each file's
+ * title, description, tags, visibility, order and custom metadata, and dryRun to report the plan instead.
+ * Files imported by earlier runs are skipped.
  * POST /api/upload/directory
  */
-router.post('/directory', async (req, res) => {
+router.post('/directory', requireAuth, async (req, res) => {
   try {
-    const { directoryPath, userId = '00000000-0000-0000-0000-000000000001', sessionName } = req.body;
+    const { directoryPath, sessionName, recursive = false, dryRun = false } = req.body;
+    const userId = req.userId;
 
     if (!directoryPath) {
       return res.status(400).json({ error: 'Directory path is required' });
     }
 
-    console.log(`Starting directory upload from: ${directoryPath}`);
+    const onDuplicate = parseDuplicatePolicy(req.body.onDuplicate);
+    if (!onDuplicate) {
+      return res.status(400).json({ error: INVALID_DUPLICATE_POLICY });
+    }
+
+    const stats = await fs.promises.stat(directoryPath).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      return res.status(400).json({ error: `Directory not found: ${directoryPath}` });
+    }
 
-    // Create upload session
-    const uploadSession = await supabaseService.createUploadSession(
-      null, // Set to null to avoid foreign key constraint for MVP
-      sessionName || `Directory Upload: ${path.basename(directoryPath)}`,
-      0 // Will be updated after counting files
-    );
+    // Only administrators may have the server read a manifest file; everyone else sends it inline
+    if (req.body.manifestPath && !isAdmin(userId)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'manifestPath requires administrator access; send the manifest inline instead',
+      });
+    }
 
-    // Upload from directory
-    const uploadResults = await gcsService.uploadFromDirectory(directoryPath, (progress) => {
-      console.log(`Upload progress: ${progress.current}/${progress.total} - ${progress.fileName}`);
-    });
+    let manifest;
+    try {
+      manifest = await readImportManifest(req.body, path.resolve(directoryPath));
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid manifest', message: error.message });
+    }
 
-    // Update session with actual file count
-    await supabaseService.updateUploadSession(uploadSession.id, {
-      total_files: uploadResults.totalUploaded + uploadResults.totalFailed,
-    });
+    const options = {
+      directoryPath: path.resolve(directoryPath),
+      recursive: Boolean(recursive),
+      include: toPatternList(req.body.include),
+      exclude: toPatternList(req.body.exclude),
+      manifest: manifest ? manifest.entries : null,
+    };
+
+    // Manifests are checked against the directory up front so a bad entry rejects the whole import
+    if (dryRun || manifest) {
+      const plan = await bulkImportService.plan(userId, options);
+      const errors = [...(manifest ? manifest.errors : []), ...plan.errors].sort((a, b) => (a.line || 0) - (b.line || 0));
+
+      if (dryRun) {
+        return res.json({
+          success: true,
+          dryRun: true,
+          valid: errors.length === 0,
+          directoryPath: options.directoryPath,
+          files: plan.files,
+          skipped: plan.skipped,
+          errors,
+          summary: { ...plan.summary, errors: errors.length },
+        });
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid manifest',
+          message: `${errors.length} manifest entries are invalid; nothing was imported`,
+          errors,
+        });
+      }
+    }
 
-    // Create database records
-    const dbResults = await supabaseService.batchCreateVideos(uploadResults, null);
+    console.log(`Queueing directory upload from: ${directoryPath}`);
 
-    // Final session update
-    await supabaseService.updateUploadSession(uploadSession.id, {
-      uploaded_files: dbResults.totalCreated,
-      failed_files: dbResults.totalFailed,
-      status: dbResults.totalFailed === 0 ? 'completed' : 'completed_with_errors',
-      completed_at: new Date().toISOString(),
+    // Create upload session; the job fills in the file count
+    const uploadSession = await repositories.uploadSessions.create(
+      userId,
+      sessionName || `Directory Upload: ${path.basename(directoryPath)}`,
+      0
+    );
+
+    const job = await getJobQueue().enqueue(hostJobType('upload.directory'), {
+      sessionId: uploadSession.id,
+      userId,
+      ...options,
+      onDuplicate,
     });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Directory upload completed',
+      message: 'Directory upload queued',
+      sessionId: uploadSession.id,
       session: uploadSession,
-      results: {
-        totalFiles: uploadResults.totalUploaded + uploadResults.totalFailed,
-        successful: dbResults.totalCreated,
-        failed: dbResults.totalFailed,
-        uploadResults: uploadResults,
-        dbResults: dbResults,
-      },
+      jobs: [{ jobId: job.id }],
+      statusUrl: `/api/upload/session/${uploadSession.id}`,
+      eventsUrl: `/api/upload/session/${uploadSession.id}/events`,
     });
   } catch (error) {
     console.error('Directory upload error:', error);
@@ -229,23 +438,30 @@ router.post('/directory', async (req, res) => {
  * Get upload session status
  * GET /api/upload/session/:sessionId
  */
-router.get('/session/:sessionId', async (req, res) => {
+router.get('/session/:sessionId', requireAuth, async (req, res) => {
   try {
     const { sessionId } = req.params;
     
-    const session = await supabaseService.supabase
-      .from('upload_sessions')
-      .select('*')
-      .eq('id', sessionId)
-      .single();
+    const session = await repositories.uploadSessions.getById(sessionId);
 
-    if (session.error) {
+    if (!session || session.user_id !== req.userId) {
       return res.status(404).json({ error: 'Upload session not found' });
     }
 
+    const files = await repositories.uploadSessions.listFiles(sessionId);
+    const videos = await repositories.videos.listBySession(sessionId);
+
+    const processing = { pending: 0, processing: 0, ready: 0, failed: 0 };
+    videos.forEach(video => {
+      processing[video.processing_status] = (processing[video.processing_status] || 0) + 1;
+    });
+
     res.json({
       success: true,
-      session: session.data,
+      session,
+      files,
+      videos,
+      processing,
     });
   } catch (error) {
     console.error('Error fetching upload session:', error);
@@ -256,28 +472,116 @@ router.get('/session/:sessionId', async (req, res) => {
   }
 });
 
+/**
+ * Stream upload progress as Server-Sent Events
+ * GET /api/upload/session/:sessionId/events
+ *
+ * Sends a `snapshot` of the persisted state on connect, then one event per file
+ * stage change, then `summary` once every file is done, after which the stream ends.
+ */
+router.get('/session/:sessionId/events', requireAuth, async (req, res) => {
+  const { sessionId } = req.params;
+  let unsubscribe = null;
+  let keepalive = null;
+
+  const send = (type, data) => {
+    if (data.id !== undefined) res.write(`id: ${data.id}\n`);
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const close = () => {
+    clearInterval(keepalive);
+    if (unsubscribe) {
+      unsubscribe().catch(error => console.error('Error closing upload event stream:', error.message));
+      unsubscribe = null;
+    }
+  };
+
+  try {
+    const session = await repositories.uploadSessions.getById(sessionId);
+
+    if (!session || session.user_id !== req.userId) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+    req.on('close', close);
+
+    // Subscribe before reading the snapshot so no event falls between the two;
+    // events the snapshot already reflects are skipped by their sequence number
+    let lastId = null;
+    const pending = [];
+    const deliver = ({ type, event }) => {
+      if (res.writableEnded) return;
+      if (lastId === null) return pending.push({ type, event });
+      if (type === 'summary') {
+        send('summary', event);
+        close();
+        return res.end();
+      }
+      if (event.id <= lastId) return;
+      lastId = event.id;
+      send(event.stage, event);
+    };
+    unsubscribe = await uploadProgressService.subscribe(sessionId, deliver);
+
+    const current = await repositories.uploadSessions.getById(sessionId);
+    send('snapshot', uploadProgressService.snapshot(current));
+    lastId = current.event_seq || 0;
+
+    if (uploadProgressService.isSettled(current)) {
+      send('summary', uploadProgressService.summarize(current));
+      close();
+      return res.end();
+    }
+
+    pending.splice(0).forEach(deliver);
+    keepalive = setInterval(() => res.write(': keepalive\n\n'), SSE_KEEPALIVE_MS);
+  } catch (error) {
+    console.error('Error streaming upload events:', error);
+    close();
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: 'Failed to stream upload events',
+        message: error.message,
+      });
+    }
+    res.end();
+  }
+});
+
 // ============ LIST VIDEOS ============
 
 /**
- * Get uploaded videos
+ * Get uploaded videos, one cursor page at a time
  * GET /api/upload/videos
  */
-router.get('/videos', async (req, res) => {
+router.get('/videos', optionalAuth, async (req, res) => {
   try {
-    const { limit = 20, offset = 0, userId } = req.query;
+    const { limit = 20, offset, cursor, snapshot } = req.query;
     
-    const videos = await supabaseService.getVideoFeed(userId, parseInt(limit), parseInt(offset));
+    const page = await feedService.getPage({ limit, offset, cursor, snapshot });
+    const videos = await Promise.all(page.videos.map(item => playbackUrlService.presentFeedItem(item, requestBaseUrl(req))));
     
     res.json({
       success: true,
       videos,
       pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
+        ...page.pagination,
         count: videos.length,
       },
     });
   } catch (error) {
+    if (error instanceof FeedCursorError) {
+      return res.status(error.status).json({ error: 'Invalid pagination', message: error.message });
+    }
     console.error('Error fetching videos:', error);
     res.status(500).json({
       error: 'Failed to fetch videos',
@@ -289,20 +593,43 @@ router.get('/videos', async (req, res) => {
 // ============ VIDEO MANAGEMENT ============
 
 /**
- * Update video metadata
+ * Whether a user may manage a video: its uploader, or an admin
+ * @param {Object} video - videos row
+ * @param {string} userId - Requesting user
+ * @returns {boolean} Permission flag
+ */
+function canManage(video, userId) {
+  return video.uploaded_by === userId || isAdmin(userId);
+}
+
+/**
+ * Edit a video's metadata: title, description, tags, visibility, thumbnailTime (one of the
+ * generated thumbnails, null for the poster) and customMetadata. Other fields are rejected.
+ * Changes are recorded in the video's edit history.
  * PUT /api/upload/video/:videoId
  */
-router.put('/video/:videoId', async (req, res) => {
+router.put('/video/:videoId', requireAuth, async (req, res) => {
   try {
-    const { videoId } = req.params;
-    const updates = req.body;
-    
-    const updatedVideo = await supabaseService.updateVideo(videoId, updates);
-    
+    const video = await repositories.videos.getById(req.params.videoId).catch(() => null);
+    if (!video || !canManage(video, req.userId)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const { fields, errors } = parseVideoEdit(req.body, video);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid video update', message: errors.join('; '), errors });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'Invalid video update', message: `Provide at least one of ${EDITABLE_FIELDS.join(', ')}` });
+    }
+
+    const { video: updatedVideo, changes } = await videoEditService.edit(video, fields, req.userId);
+
     res.json({
       success: true,
-      message: 'Video updated successfully',
-      video: updatedVideo,
+      message: Object.keys(changes).length > 0 ? 'Video updated successfully' : 'Nothing to change',
+      changes,
+      video: await playbackUrlService.presentVideo(updatedVideo, requestBaseUrl(req)),
     });
   } catch (error) {
     console.error('Error updating video:', error);
@@ -314,28 +641,60 @@ router.put('/video/:videoId', async (req, res) => {
 });
 
 /**
- * Delete video
+ * Edit history of a video, newest first; each edit lists the before and after value of the fields it changed
+ * GET /api/upload/video/:videoId/history
+ */
+router.get('/video/:videoId/history', requireAuth, async (req, res) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+
+    const video = await repositories.videos.getById(req.params.videoId).catch(() => null);
+    if (!video || !canManage(video, req.userId)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const edits = await videoEditService.listHistory(video.id, parseInt(limit), parseInt(offset));
+
+    res.json({
+      success: true,
+      videoId: video.id,
+      edits,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        count: edits.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching video history:', error);
+    res.status(500).json({
+      error: 'Failed to fetch video history',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Move a video to the trash; it can be restored until TRASH_RETENTION_DAYS have passed
  * DELETE /api/upload/video/:videoId
  */
-router.delete('/video/:videoId', async (req, res) => {
+router.delete('/video/:videoId', requireAuth, async (req, res) => {
   try {
     const { videoId } = req.params;
-    
-    // Get video info first
-    const video = await supabaseService.getVideo(videoId);
-    
-    // Soft delete in database
-    await supabaseService.updateVideo(videoId, { is_active: false });
-    
-    // Optionally delete from GCS (commented out for safety)
-    // const fileName = video.metadata?.gcsFileName;
-    // if (fileName) {
-    //   await gcsService.deleteVideo(fileName);
-    // }
-    
+
+    const video = await repositories.videos.getById(videoId).catch(() => null);
+    if (!video || !canManage(video, req.userId)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const trashed = await trashService.trash(videoId);
+
     res.json({
       success: true,
-      message: 'Video deleted successfully',
+      message: 'Video moved to trash',
+      videoId,
+      deletedAt: trashed.deleted_at,
+      purgeAt: trashService.purgeAt(trashed),
     });
   } catch (error) {
     console.error('Error deleting video:', error);
@@ -346,4 +705,92 @@ router.delete('/video/:videoId', async (req, res) => {
   }
 });
 
+/**
+ * Take a video out of the trash
+ * POST /api/upload/video/:videoId/restore
+ */
+router.post('/video/:videoId/restore', requireAuth, async (req, res) => {
+  try {
+    const video = await repositories.videos.getTrashed(req.params.videoId);
+    if (!video || !canManage(video, req.userId)) {
+      return res.status(404).json({ error: 'Video not found in trash' });
+    }
+
+    const { video: restored, duplicateOf } = await trashService.restore(video);
+
+    res.json({
+      success: true,
+      message: duplicateOf ? 'Video restored as a duplicate of a newer upload' : 'Video restored',
+      duplicateOf,
+      video: await playbackUrlService.presentVideo(restored, requestBaseUrl(req)),
+    });
+  } catch (error) {
+    console.error('Error restoring video:', error);
+    res.status(500).json({
+      error: 'Failed to restore video',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * List the requesting user's videos in the trash, most recently deleted first
+ * GET /api/upload/trash
+ */
+router.get('/trash', requireAuth, async (req, res) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+
+    const trashed = await repositories.videos.listTrashed(req.userId, parseInt(limit), parseInt(offset));
+    const videos = await Promise.all(trashed.map(async video => ({
+      ...await playbackUrlService.presentVideo(video, requestBaseUrl(req)),
+      purge_at: trashService.purgeAt(video),
+    })));
+
+    res.json({
+      success: true,
+      videos,
+      retentionDays: trashService.retentionDays,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        count: videos.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({
+      error: 'Failed to fetch trash',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Permanently delete a video in the trash, with its stored files
+ * DELETE /api/upload/trash/:videoId
+ */
+router.delete('/trash/:videoId', requireAuth, async (req, res) => {
+  try {
+    const video = await repositories.videos.getTrashed(req.params.videoId);
+    if (!video || !canManage(video, req.userId)) {
+      return res.status(404).json({ error: 'Video not found in trash' });
+    }
+
+    const result = await trashService.purge(video);
+
+    res.json({
+      success: true,
+      message: 'Video permanently deleted',
+      ...result,
+    });
+  } catch (error) {
+    console.error('Error purging video:', error);
+    res.status(500).json({
+      error: 'Failed to purge video',
+      message: error.message,
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
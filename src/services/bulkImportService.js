@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const minimatch = require('minimatch');
+const { getRepositories } = require('../repositories');
+const { extractTitleFromFileName } = require('../repositories/base');
+const { getStorageService } = require('./storage');
+
+// Source paths looked up per query when checking for earlier imports
+const IMPORTED_LOOKUP_CHUNK = 100;
+
+/**
+ * Plans directory imports: which files to create, which to skip and which are invalid.
+ * The same plan backs dry runs and the upload.directory job, so a dry run reports
+ * exactly what an import would do.
+ */
+class BulkImportService {
+  /**
+   * @param {Object} repositories - Repositories from src/repositories
+   * @param {Object} storageService - Storage driver (for video file detection)
+   */
+  constructor(repositories, storageService) {
+    this.repositories = repositories;
+    this.storageService = storageService;
+  }
+
+  /**
+   * Whether a path relative to the import directory passes the include/exclude globs.
+   * Patterns without a slash match the file name at any depth.
+   * @param {string} relativePath - Path relative to the import directory
+   * @param {Object} filters - include, exclude (glob lists)
+   * @returns {boolean} Included flag
+   */
+  matchesFilters(relativePath, { include = [], exclude = [] }) {
+    const posixPath = relativePath.split(path.sep).join('/');
+    const matches = pattern => minimatch(posixPath, pattern, { matchBase: true, dot: true });
+
+    if (include.length > 0 && !include.some(matches)) return false;
+    return !exclude.some(matches);
+  }
+
+  /**
+   * Video files of a directory that pass the filters, in path order
+   * @param {string} directoryPath - Absolute directory path
+   * @param {Object} options - recursive, include, exclude
+   * @returns {Promise<Array>} { path, relativePath, fileName, size }
+   */
+  async listVideoFiles(directoryPath, options = {}) {
+    const files = [];
+
+    const walk = async (currentPath) => {
+      const entries = await fs.promises.readdir(currentPath, { withFileTypes: true });
+
+      for (const entry of entries) {
+        const entryPath = path.join(currentPath, entry.name);
+        const relativePath = path.relative(directoryPath, entryPath);
+
+        if (entry.isDirectory()) {
+          if (options.recursive) await walk(entryPath);
+        } else if (entry.isFile() && this.storageService.isVideoFile(entry.name) && this.matchesFilters(relativePath, options)) {
+          const stats = await fs.promises.stat(entryPath);
+          files.push({ path: entryPath, relativePath, fileName: entry.name, size: stats.size });
+        }
+      }
+    };
+
+    await walk(directoryPath);
+    return files.sort((a, b) => a.relativePath.localeCompare(b.relativePath, undefined, { numeric: true }));
+  }
+
+  /**
+   * Resolve manifest entries against the directory's files
+   * @param {string} directoryPath - Absolute directory path
+   * @param {Array} entries - Entries from parseManifest, in import order
+   * @param {Array} videoFiles - Files from listVideoFiles
+   * @returns {Promise<Object>} { candidates, skipped, errors }
+   */
+  async matchManifest(directoryPath, entries, videoFiles) {
+    const filesByPath = new Map(videoFiles.map(file => [file.path, file]));
+    const listed = new Set();
+    const candidates = [];
+    const skipped = [];
+    const errors = [];
+
+    for (const entry of entries) {
+      const filePath = path.resolve(directoryPath, entry.path);
+      const relativePath = path.relative(directoryPath, filePath);
+      const error = (message) => errors.push({ line: entry.line, path: entry.path, message });
+
+      if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+        error('Path is outside the import directory');
+        continue;
+      }
+      listed.add(filePath);
+
+      const file = filesByPath.get(filePath);
+      if (file) {
+        candidates.push({ ...file, entry });
+        continue;
+      }
+
+      const stats = await fs.promises.stat(filePath).catch(() => null);
+      if (!stats || !stats.isFile()) {
+        error('File not found');
+      } else if (!this.storageService.isVideoFile(filePath)) {
+        error('Not a supported video file');
+      } else {
+        // Present but outside the recursion depth or the include/exclude globs
+        skipped.push({ path: filePath, relativePath, reason: 'excluded' });
+      }
+    }
+
+    for (const file of videoFiles) {
+      if (!listed.has(file.path)) {
+        skipped.push({ path: file.path, relativePath: file.relativePath, reason: 'not-in-manifest' });
+      }
+    }
+
+    return { candidates, skipped, errors };
+  }
+
+  /**
+   * Earlier imports of the given paths that completed or are still pending
+   * @param {string} userId - User ID
+   * @param {Array<string>} sourcePaths - Absolute paths
+   * @returns {Promise<Map>} source path -> upload_files row
+   */
+  async findImported(userId, sourcePaths) {
+    const imported = new Map();
+
+    for (let i = 0; i < sourcePaths.length; i += IMPORTED_LOOKUP_CHUNK) {
+      const files = await this.repositories.uploadSessions.listImportedFiles(
+        userId,
+        sourcePaths.slice(i, i + IMPORTED_LOOKUP_CHUNK)
+      );
+      files.forEach(file => imported.set(file.source_path, file));
+    }
+    return imported;
+  }
+
+  /**
+   * Work out what importing a directory would do, without changing anything
+   * @param {string} userId - Importing user
+   * @param {Object} options - directoryPath, recursive, include, exclude, manifest (entries from parseManifest)
+   * @returns {Promise<Object>} { files, skipped, errors, summary }; files are in import order and carry
+   *   the upload_files metadata (title, description, tags, visibility, custom) each video would get
+   */
+  async plan(userId, { directoryPath, recursive = false, include = [], exclude = [], manifest = null }) {
+    const videoFiles = await this.listVideoFiles(directoryPath, { recursive, include, exclude });
+
+    const { candidates, skipped, errors } = manifest
+      ? await this.matchManifest(directoryPath, manifest, videoFiles)
+      : { candidates: videoFiles.map(file => ({ ...file, entry: null })), skipped: [], errors: [] };
+
+    const imported = await this.findImported(userId, candidates.map(file => file.path));
+    const files = [];
+
+    for (const { entry, ...file } of candidates) {
+      const earlier = imported.get(file.path);
+      if (earlier) {
+        skipped.push({
+          path: file.path,
+          relativePath: file.relativePath,
+          reason: 'already-imported',
+          uploadFileId: earlier.id,
+          videoId: earlier.video_id,
+          status: earlier.status,
+        });
+        continue;
+      }
+
+      files.push({
+        ...file,
+        mimeType: this.storageService.getMimeType(file.fileName),
+        metadata: {
+          title: entry?.title || extractTitleFromFileName(file.fileName),
+          description: entry?.description || '',
+          tags: entry?.tags || [],
+          visibility: entry?.visibility || 'public',
+          custom: entry?.metadata || {},
+        },
+      });
+    }
+
+    return {
+      files,
+      skipped,
+      errors,
+      summary: {
+        toCreate: files.length,
+        skipped: skipped.length,
+        alreadyImported: skipped.filter(file => file.reason === 'already-imported').length,
+        errors: errors.length,
+        totalBytes: files.reduce((sum, file) => sum + file.size, 0),
+      },
+    };
+  }
+}
+
+let bulkImportService = null;
+
+/**
+ * Shared bulk import service for the configured repositories and storage
+ * @returns {BulkImportService} Service instance
+ */
+function getBulkImportService() {
+  if (!bulkImportService) {
+    bulkImportService = new BulkImportService(getRepositories(), getStorageService());
+  }
+  return bulkImportService;
+}
+
+module.exports = {
+  BulkImportService,
+  getBulkImportService,
+};
@@ -0,0 +1,88 @@
+const { getRepositories } = require('../repositories');
+const { isUniqueViolation } = require('../repositories/base');
+const { getStorageService } = require('./storage');
+
+// What an upload of content that is already stored turns into:
+// existing - the existing video is returned and no record is created
+// link     - a new record is created that points at the existing object
+const DUPLICATE_POLICIES = ['existing', 'link'];
+
+/**
+ * Creates videos rows for stored uploads, one per distinct content.
+ * Uploads are hashed while they stream into storage; when the hash is already
+ * taken the new object is deleted and the upload resolves to the existing video.
+ */
+class DeduplicationService {
+  /**
+   * @param {Object} repositories - Repositories from src/repositories
+   * @param {Object} storageService - Storage driver
+   */
+  constructor(repositories, storageService) {
+    this.repositories = repositories;
+    this.storageService = storageService;
+  }
+
+  /**
+   * Create the videos row for a stored upload, unless its content is already stored
+   * @param {Object} uploadResult - Result of storageService.uploadVideo (with contentHash)
+   * @param {Object} videoData - title, description, tags, visibility, customMetadata, uploadSessionId
+   * @param {string} userId - Uploading user
+   * @param {Object} options - onDuplicate: existing | link
+   * @returns {Promise<Object>} { video, created, duplicateOf }; duplicateOf is the existing video, or null
+   */
+  async createVideo(uploadResult, videoData, userId, { onDuplicate = 'existing' } = {}) {
+    const { contentHash } = uploadResult;
+    let existing = contentHash ? await this.repositories.videos.findByContentHash(contentHash) : null;
+
+    if (!existing) {
+      try {
+        const video = await this.repositories.videos.create({ ...uploadResult, ...videoData }, userId);
+        return { video, created: true, duplicateOf: null };
+      } catch (error) {
+        // Another upload of the same content won the race for the unique index
+        if (!isUniqueViolation(error)) throw error;
+        existing = await this.repositories.videos.findByContentHash(contentHash);
+        if (!existing) throw error;
+      }
+    }
+
+    console.log(`Upload ${uploadResult.fileName} duplicates video ${existing.id}; removing the new object`);
+    await this.storageService.deleteVideo(uploadResult.fileName);
+
+    // Someone else's private video is never handed out; the uploader gets a record of their own
+    const hidden = existing.visibility === 'private' && existing.uploaded_by !== userId;
+    if (onDuplicate !== 'link' && !hidden) {
+      return { video: existing, created: false, duplicateOf: existing };
+    }
+
+    const video = await this.repositories.videos.create({
+      ...uploadResult,
+      ...videoData,
+      fileName: existing.metadata?.gcsFileName,
+      publicUrl: existing.gcs_url,
+      size: existing.file_size,
+      contentType: existing.mime_type,
+      duplicateOf: existing.id,
+    }, userId);
+    return { video, created: true, duplicateOf: existing };
+  }
+}
+
+let deduplicationService = null;
+
+/**
+ * Shared deduplication service for the configured repositories and storage
+ * @returns {DeduplicationService} Service instance
+ */
+function getDeduplicationService() {
+  if (!deduplicationService) {
+    deduplicationService = new DeduplicationService(getRepositories(), getStorageService());
+  }
+  return deduplicationService;
+}
+
+module.exports = {
+  DeduplicationService,
+  getDeduplicationService,
+  DUPLICATE_POLICIES,
+};
@@ -0,0 +1,235 @@
+const { getRepositories } = require('../repositories');
+const { isValidUUID } = require('../repositories/base');
+
+// Largest page a client may ask for
+const MAX_PAGE_SIZE = 50;
+// Days a video the viewer reacted to or finished stays pushed to the end of their feed
+const DEFAULT_RESURFACE_AFTER_DAYS = 30;
+// Cursor phases: videos the viewer has not seen, then the ones they have
+const PHASE_UNSEEN = 'unseen';
+const PHASE_SEEN = 'seen';
+
+/**
+ * Thrown for a cursor or snapshot ID that was not issued by this API
+ */
+class FeedCursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FeedCursorError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Encode a token handed to clients; its contents are not part of the API
+ * @param {Object} payload - JSON payload
+ * @returns {string} base64url token
+ */
+function encodeToken(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a token from encodeToken
+ * @param {string} token - base64url token
+ * @returns {Object|null} Payload, or null if the token is malformed
+ */
+function decodeToken(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Snapshot time from a token's s field
+ * @param {Object|null} payload - Decoded token
+ * @returns {string|null} ISO timestamp, or null if missing or invalid
+ */
+function snapshotTime(payload) {
+  const at = payload && typeof payload.s === 'string' ? new Date(payload.s) : null;
+  return at && !Number.isNaN(at.getTime()) ? at.toISOString() : null;
+}
+
+/**
+ * Cursor pagination of the public feed.
+ * The feed is ordered newest first by (created_at, id), so every video has a fixed position.
+ * The first page fixes a snapshot time: later pages of the same scroll session only
+ * include videos created up to it. New uploads therefore cannot shift the pages.
+ * Cursors carry the snapshot time and the sort key of the last video served.
+ *
+ * For a known viewer (account or anonymous session) the feed comes in two phases: first the videos
+ * they have not seen, then, once those run out, the ones they reacted to or watched to completion.
+ * A video counts as seen for resurfaceAfterDays after that activity. Seen videos are looked up
+ * as of the snapshot time, so watching videos while scrolling does not reshuffle later pages.
+ */
+class FeedService {
+  /**
+   * @param {Object} repositories - Repositories from src/repositories
+   * @param {Object} options - resurfaceAfterDays (0 turns the seen phase off)
+   */
+  constructor(repositories, options = {}) {
+    this.repositories = repositories;
+    this.resurfaceAfterDays = parseFloat(
+      options.resurfaceAfterDays ?? process.env.FEED_RESURFACE_AFTER_DAYS ?? DEFAULT_RESURFACE_AFTER_DAYS
+    );
+  }
+
+  /**
+   * Cursor that continues the feed after a video
+   * @param {string} snapshotAt - Snapshot time
+   * @param {Object|null} last - { createdAt, id } of the last video served; null at the start of a phase
+   * @param {string} phase - PHASE_UNSEEN or PHASE_SEEN
+   * @returns {string} Opaque cursor
+   */
+  encodeCursor(snapshotAt, last, phase = PHASE_UNSEEN) {
+    return encodeToken({
+      s: snapshotAt,
+      ...(last ? { t: last.createdAt, i: last.id } : {}),
+      ...(phase === PHASE_SEEN ? { p: PHASE_SEEN } : {}),
+    });
+  }
+
+  /**
+   * Decode a cursor from encodeCursor
+   * @param {string} cursor - Opaque cursor
+   * @returns {Object} { snapshotAt, after: { createdAt, id } or null, phase }
+   * @throws {FeedCursorError} When the cursor is invalid
+   */
+  decodeCursor(cursor) {
+    const payload = decodeToken(cursor);
+    const snapshotAt = snapshotTime(payload);
+    const phase = payload && payload.p === PHASE_SEEN ? PHASE_SEEN : PHASE_UNSEEN;
+
+    // Only a cursor into the seen phase may point at its start
+    if (!snapshotAt || (payload.p !== undefined && payload.p !== PHASE_SEEN)) {
+      throw new FeedCursorError('Invalid cursor');
+    }
+    if (phase === PHASE_SEEN && payload.t === undefined && payload.i === undefined) {
+      return { snapshotAt, after: null, phase };
+    }
+    if (typeof payload.t !== 'string' || Number.isNaN(Date.parse(payload.t)) || !isValidUUID(payload.i)) {
+      throw new FeedCursorError('Invalid cursor');
+    }
+    return { snapshotAt, after: { createdAt: payload.t, id: payload.i }, phase };
+  }
+
+  /**
+   * ID clients can use to restart a scroll session from the top with the same snapshot
+   * @param {string} snapshotAt - Snapshot time
+   * @returns {string} Opaque snapshot ID
+   */
+  encodeSnapshot(snapshotAt) {
+    return encodeToken({ s: snapshotAt });
+  }
+
+  /**
+   * Decode a snapshot ID from encodeSnapshot
+   * @param {string} snapshotId - Opaque snapshot ID
+   * @returns {string} Snapshot time
+   * @throws {FeedCursorError} When the snapshot ID is invalid
+   */
+  decodeSnapshot(snapshotId) {
+    const snapshotAt = snapshotTime(decodeToken(snapshotId));
+    if (!snapshotAt) throw new FeedCursorError('Invalid snapshot');
+    return snapshotAt;
+  }
+
+  /**
+   * Window in which the viewer's activity marks a video as seen: the resurface window before the snapshot.
+   * Reaction and completion times never change, so a video's seen state is fixed for the whole snapshot.
+   * @param {Object|null} identity - { userId, anonymousId } of the viewer
+   * @param {string} snapshotAt - Snapshot time
+   * @returns {Object|null} { identity, since } for getFeedPage; null for unknown viewers or when the seen phase is off
+   */
+  getSeenWindow(identity, snapshotAt) {
+    if (!identity || (!identity.userId && !identity.anonymousId) || !(this.resurfaceAfterDays > 0)) {
+      return null;
+    }
+
+    const since = new Date(new Date(snapshotAt).getTime() - this.resurfaceAfterDays * 24 * 60 * 60 * 1000).toISOString();
+    return { identity, since };
+  }
+
+  /**
+   * One page of the public feed
+   * @param {Object} params - limit, identity of the viewer (optional), and one of: cursor (next page),
+   *   snapshot (first page of an existing snapshot), offset (deprecated position in the snapshot, served
+   *   without the seen phase). Without any, a new snapshot starts.
+   * @returns {Promise<Object>} { videos, pagination: { limit, hasMore, nextCursor, snapshotId, snapshotAt } }
+   * @throws {FeedCursorError} When the cursor or snapshot is invalid
+   */
+  async getPage({ limit = 10, cursor, snapshot, offset, identity = null } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_PAGE_SIZE);
+
+    let snapshotAt = new Date().toISOString();
+    let after = null;
+    let phase = PHASE_UNSEEN;
+    if (cursor) {
+      ({ snapshotAt, after, phase } = this.decodeCursor(cursor));
+    } else if (snapshot) {
+      snapshotAt = this.decodeSnapshot(snapshot);
+    }
+
+    const usesOffset = !cursor && offset !== undefined;
+    const pageOffset = usesOffset ? Math.max(parseInt(offset) || 0, 0) : 0;
+    const seenWindow = usesOffset ? null : this.getSeenWindow(identity, snapshotAt);
+
+    let videos = [];
+    let page = null;
+    if (phase === PHASE_UNSEEN) {
+      page = await this.repositories.videos.getFeedPage(pageSize, { snapshotAt, after, offset: pageOffset, seenWindow, seen: false });
+      videos = page.videos;
+
+      // Unseen videos ran out: fill the page with seen ones, from the newest
+      if (!page.hasMore && seenWindow) {
+        phase = PHASE_SEEN;
+        after = null;
+      }
+    }
+    if (phase === PHASE_SEEN) {
+      // A seen-phase cursor presented without the viewer's identity has nothing left to show
+      page = seenWindow
+        ? await this.repositories.videos.getFeedPage(pageSize - videos.length, { snapshotAt, after, seenWindow, seen: true })
+        : { videos: [], hasMore: false, last: null };
+      videos = videos.concat(page.videos);
+    }
+
+    return {
+      videos,
+      pagination: {
+        limit: pageSize,
+        ...(usesOffset ? { offset: pageOffset } : {}),
+        hasMore: page.hasMore,
+        nextCursor: page.hasMore ? this.encodeCursor(snapshotAt, page.last, phase) : null,
+        snapshotId: this.encodeSnapshot(snapshotAt),
+        snapshotAt,
+      },
+    };
+  }
+}
+
+let feedService = null;
+
+/**
+ * Shared feed service for the configured repositories
+ * @returns {FeedService} Service instance
+ */
+function getFeedService() {
+  if (!feedService) {
+    feedService = new FeedService(getRepositories());
+  }
+  return feedService;
+}
+
+module.exports = {
+  FeedService,
+  FeedCursorError,
+  getFeedService,
+  encodeToken,
+  decodeToken,
+  snapshotTime,
+  MAX_PAGE_SIZE,
+};
@@ -0,0 +1,114 @@
+/**
+ * Feedback Cadence Service
+ * Decides when a viewer owes feedback and which recently watched video to ask about
+ */
+
+const STRATEGIES = ['random', 'most_reacted', 'least_covered'];
+const DEFAULT_FEEDBACK_EVERY = 5;
+
+class FeedbackCadenceService {
+  /**
+   * @param {Object} repositories - Repositories from src/repositories
+   * @param {Object} options - feedbackEvery, strategy, candidateWindow
+   */
+  constructor(repositories, options = {}) {
+    this.repositories = repositories;
+    this.feedbackEvery = this.resolveFeedbackEvery(options.feedbackEvery ?? process.env.FEEDBACK_EVERY_N_VIDEOS);
+    this.strategy = this.resolveStrategy(options.strategy || process.env.FEEDBACK_TARGET_STRATEGY);
+    this.candidateWindow = options.candidateWindow || this.feedbackEvery;
+  }
+
+  /**
+   * Fall back to the default interval unless a positive whole number of videos is configured
+   * @param {number|string} feedbackEvery - Configured interval
+   * @returns {number} Videos between feedback requests
+   */
+  resolveFeedbackEvery(feedbackEvery) {
+    const every = Number(feedbackEvery);
+    if (Number.isInteger(every) && every > 0) return every;
+
+    if (feedbackEvery !== undefined && feedbackEvery !== null && feedbackEvery !== '') {
+      console.warn(`Invalid feedback interval "${feedbackEvery}", using ${DEFAULT_FEEDBACK_EVERY}`);
+    }
+    return DEFAULT_FEEDBACK_EVERY;
+  }
+
+  /**
+   * Fall back to random selection for unknown strategy names
+   * @param {string} strategy - Configured strategy name
+   * @returns {string} Supported strategy
+   */
+  resolveStrategy(strategy) {
+    if (STRATEGIES.includes(strategy)) return strategy;
+
+    if (strategy) {
+      console.warn(`Unknown feedback strategy "${strategy}", using "random"`);
+    }
+    return 'random';
+  }
+
+  /**
+   * Check whether the identity owes feedback and pick the video to ask about
+   * @param {Object} identity - { userId } or { anonymousId }
+   * @returns {Promise<Object>} required flag, progress counters and target video
+   */
+  async getFeedbackStatus(identity) {
+    const lastFeedbackAt = await this.repositories.feedback.getLastAt(identity);
+    const watched = await this.repositories.interactions.getWatchedVideosSince(identity, lastFeedbackAt);
+
+    const videosWatched = watched.length;
+    const required = videosWatched >= this.feedbackEvery;
+
+    const status = {
+      required,
+      videosWatched,
+      feedbackEvery: this.feedbackEvery,
+      remaining: required ? 0 : this.feedbackEvery - videosWatched,
+      lastFeedbackAt,
+      strategy: this.strategy,
+      targetVideo: null,
+    };
+
+    if (!required) return status;
+
+    const alreadyReviewed = await this.repositories.feedback.getVideoIds(identity);
+    const candidates = watched
+      .filter(video => !alreadyReviewed.has(video.videoId))
+      .slice(0, this.candidateWindow);
+
+    const target = await this.selectTarget(candidates.length > 0 ? candidates : watched.slice(0, this.candidateWindow));
+    if (target) {
+      status.targetVideo = await this.repositories.videos.getSummary(target.videoId) || { id: target.videoId };
+    }
+
+    return status;
+  }
+
+  /**
+   * Apply the configured strategy to the candidate videos
+   * @param {Array} candidates - { videoId, lastActivityAt, reactions }, newest first
+   * @returns {Promise<Object|null>} Selected candidate
+   */
+  async selectTarget(candidates) {
+    if (candidates.length === 0) return null;
+
+    switch (this.strategy) {
+      case 'most_reacted':
+        // Stable sort keeps the most recent video first among ties
+        return [...candidates].sort((a, b) => b.reactions - a.reactions)[0];
+
+      case 'least_covered': {
+        const counts = await this.repositories.feedback.getCounts(candidates.map(c => c.videoId));
+        return [...candidates].sort((a, b) => (counts[a.videoId] || 0) - (counts[b.videoId] || 0))[0];
+      }
+
+      case 'random':
+      default:
+        return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+  }
+}
+
+FeedbackCadenceService.STRATEGIES = STRATEGIES;
+
+module.exports = FeedbackCadenceService;
@@ -0,0 +1,129 @@
+const { execFile } = require('child_process');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+// Generous ceiling for a single ffmpeg/ffprobe invocation
+const DEFAULT_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * Run a binary and collect its output
+ * @param {string} binary - Executable path
+ * @param {Array<string>} args - Arguments
+ * @param {Object} options - timeout (ms)
+ * @returns {Promise<string>} stdout
+ * @throws {Error} With unavailable set when the binary could not run to completion, as opposed to rejecting its input
+ */
+function run(binary, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(binary, args, {
+      timeout: options.timeout || DEFAULT_TIMEOUT_MS,
+      maxBuffer: 16 * 1024 * 1024,
+    }, (error, stdout, stderr) => {
+      if (error) {
+        if (error.code === 'ENOENT') {
+          return reject(Object.assign(
+            new Error(`${binary} not found; install ffmpeg or set FFMPEG_PATH / FFPROBE_PATH`),
+            { unavailable: true }
+          ));
+        }
+        // The last stderr lines carry ffmpeg's actual complaint
+        const detail = String(stderr || '').trim().split('\n').slice(-3).join(' ');
+        // Without an exit code the binary never got to judge the input: it could not start, timed out or was killed
+        const unavailable = typeof error.code !== 'number';
+        const reason = error.signal ? `timed out or was killed (${error.signal})` : detail || error.message;
+        return reject(Object.assign(new Error(`${binary} failed: ${reason}`), { unavailable }));
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Run ffmpeg with the given arguments (output is overwritten, logging kept to errors)
+ * @param {Array<string>} args - ffmpeg arguments
+ * @param {Object} options - timeout (ms)
+ * @returns {Promise<string>} stdout
+ */
+function ffmpeg(args, options = {}) {
+  return run(FFMPEG_PATH, ['-hide_banner', '-loglevel', 'error', '-y', ...args], options);
+}
+
+/**
+ * Parse an ffprobe rational such as "30000/1001"
+ * @param {string} value - Rational string
+ * @returns {number|null} Value rounded to 3 decimals
+ */
+function parseRational(value) {
+  if (!value) return null;
+  const [numerator, denominator = '1'] = String(value).split('/');
+  const result = Number(numerator) / Number(denominator);
+  return Number.isFinite(result) && result > 0 ? Math.round(result * 1000) / 1000 : null;
+}
+
+/**
+ * Reduce ffprobe JSON to the media facts we store on a video
+ * @param {Object} data - ffprobe -show_format -show_streams output
+ * @returns {Object} duration, width, height, videoCodec, audioCodec, bitrate, frameRate, hasAudio, container
+ */
+function summarizeProbe(data) {
+  const streams = data.streams || [];
+  const format = data.format || {};
+  const video = streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+
+  if (!video) {
+    throw new Error('No video stream found');
+  }
+
+  // Phones record portrait video as landscape plus a rotation flag
+  const rotation = Math.abs(Number(video.tags?.rotate || video.side_data_list?.find(side => side.rotation !== undefined)?.rotation || 0));
+  const rotated = rotation === 90 || rotation === 270;
+  const duration = Number(format.duration || video.duration);
+
+  return {
+    duration: Number.isFinite(duration) ? Math.round(duration * 1000) / 1000 : null,
+    width: rotated ? video.height : video.width,
+    height: rotated ? video.width : video.height,
+    videoCodec: video.codec_name || null,
+    audioCodec: audio ? audio.codec_name : null,
+    bitrate: Number(format.bit_rate || video.bit_rate) || null,
+    frameRate: parseRational(video.avg_frame_rate) || parseRational(video.r_frame_rate),
+    hasAudio: Boolean(audio),
+    container: format.format_name || null,
+  };
+}
+
+/**
+ * Raw ffprobe description of a media file
+ * @param {string} filePath - Local file path
+ * @returns {Promise<Object>} ffprobe -show_format -show_streams output
+ */
+async function probeJson(filePath) {
+  const stdout = await run(FFPROBE_PATH, [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    filePath,
+  ], { timeout: 60 * 1000 });
+
+  return JSON.parse(stdout);
+}
+
+/**
+ * Probe a media file
+ * @param {string} filePath - Local file path
+ * @returns {Promise<Object>} Result of summarizeProbe
+ */
+async function probe(filePath) {
+  return summarizeProbe(await probeJson(filePath));
+}
+
+module.exports = {
+  ffmpeg,
+  probe,
+  probeJson,
+  summarizeProbe,
+  parseRational,
+};
@@ -1,9 +1,13 @@
 const { Storage } = require('@google-cloud/storage');
-const path = require('path');
-const fs = require('fs');
+const StorageDriver = require('./storageDriver');
 
-class GoogleCloudStorageService {
+// Uploads above this size go through a resumable session
+const RESUMABLE_THRESHOLD_BYTES = 8 * 1024 * 1024;
+
+class GoogleCloudStorageService extends StorageDriver {
   constructor() {
+    super('gcs');
+
     this.storage = new Storage({
       projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
       keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS,
@@ -14,223 +18,105 @@ class GoogleCloudStorageService {
   }
 
   /**
-   * Upload a single video file to Google Cloud Storage
-   * @param {Object} file - Multer file object
-   * @param {Object} metadata - Additional metadata for the video
+   * Upload a file or buffer to Google Cloud Storage; with public access the object is made world-readable
+   * @param {Object} file - { buffer } or { path }, plus mimetype
+   * @param {string} fileName - Destination object name
+   * @param {Object} metadata - Custom metadata stored with the object
+   * @param {Object} options - onProgress(bytesWritten) while a { path } file is sent
    * @returns {Promise<Object>} Upload result with public URL
    */
-  async uploadVideo(file, metadata = {}) {
-    try {
-      const fileName = this.generateFileName(file.originalname);
-      const fileUpload = this.bucket.file(fileName);
+  async uploadFile(file, fileName, metadata = {}, options = {}) {
+    const fileUpload = this.bucket.file(fileName);
+    const size = file.buffer ? file.buffer.length : Number(file.size || 0);
+
+    const stream = fileUpload.createWriteStream({
+      metadata: {
+        contentType: file.mimetype,
+        metadata,
+      },
+      // Large files use a GCS resumable session so a dropped connection does not restart the transfer
+      resumable: size > RESUMABLE_THRESHOLD_BYTES,
+    });
 
-      const stream = fileUpload.createWriteStream({
-        metadata: {
-          contentType: file.mimetype,
-          metadata: {
-            ...metadata,
-            originalName: file.originalname,
-            uploadedAt: new Date().toISOString(),
-          },
-        },
-        resumable: false,
-      });
+    let source = null;
 
-      return new Promise((resolve, reject) => {
-        stream.on('error', (error) => {
-          console.error('Upload error:', error);
-          reject(error);
-        });
+    return new Promise((resolve, reject) => {
+      stream.on('error', (error) => {
+        console.error('Upload error:', error);
+        reject(error);
+      });
 
-        stream.on('finish', async () => {
-          try {
-            // Always try to make the file publicly readable
-            try {
-              await fileUpload.makePublic();
-              console.log(`File ${fileName} made public successfully`);
-            } catch (error) {
-              console.warn('Could not make file public via makePublic():', error.message);
-              
-              // Try alternative method: set ACL directly
-              try {
-                await fileUpload.acl.add({
-                  entity: 'allUsers',
-                  role: 'READER'
-                });
-                console.log(`File ${fileName} made public via ACL`);
-              } catch (aclError) {
-                console.warn('Could not set public ACL:', aclError.message);
-                console.log('File may still be accessible if bucket has uniform access enabled');
-              }
-            }
-            
-            const publicUrl = `https://storage.googleapis.com/${this.bucketName}/${fileName}`;
-            
-            // Get file metadata
-            const [fileMetadata] = await fileUpload.getMetadata();
-            
-            resolve({
-              fileName,
-              publicUrl,
-              size: fileMetadata.size,
-              contentType: fileMetadata.contentType,
-              timeCreated: fileMetadata.timeCreated,
-              metadata: fileMetadata.metadata,
-            });
-          } catch (error) {
-            reject(error);
+      stream.on('finish', async () => {
+        try {
+          // Private buckets are read through signed URLs only
+          if (!this.isPrivate) {
+            await this.makeObjectPublic(fileUpload);
           }
-        });
 
-        // Upload the file
-        if (file.buffer) {
-          stream.end(file.buffer);
-        } else if (file.path) {
-          fs.createReadStream(file.path).pipe(stream);
-        } else {
-          reject(new Error('No file buffer or path provided'));
-        }
-      });
-    } catch (error) {
-      console.error('Error uploading video:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Upload multiple videos in batch
-   * @param {Array} files - Array of file objects
-   * @param {Function} progressCallback - Callback for upload progress
-   * @returns {Promise<Array>} Array of upload results
-   */
-  async uploadVideoBatch(files, progressCallback = null) {
-    const results = [];
-    const errors = [];
+          const publicUrl = this.getPublicUrl(fileName);
 
-    for (let i = 0; i < files.length; i++) {
-      try {
-        const result = await this.uploadVideo(files[i]);
-        results.push({
-          success: true,
-          file: files[i].originalname,
-          result,
-        });
+          // Get file metadata
+          const [fileMetadata] = await fileUpload.getMetadata();
 
-        if (progressCallback) {
-          progressCallback({
-            current: i + 1,
-            total: files.length,
-            fileName: files[i].originalname,
-            status: 'completed',
+          resolve({
+            fileName,
+            publicUrl,
+            size: fileMetadata.size,
+            contentType: fileMetadata.contentType,
+            timeCreated: fileMetadata.timeCreated,
+            metadata: fileMetadata.metadata,
+            contentHash: source ? source.contentHash() : this.hashBuffer(file.buffer),
           });
+        } catch (error) {
+          reject(error);
         }
-      } catch (error) {
-        errors.push({
-          success: false,
-          file: files[i].originalname,
-          error: error.message,
-        });
+      });
 
-        if (progressCallback) {
-          progressCallback({
-            current: i + 1,
-            total: files.length,
-            fileName: files[i].originalname,
-            status: 'failed',
-            error: error.message,
-          });
-        }
+      // Upload the file
+      if (file.buffer) {
+        stream.end(file.buffer);
+      } else if (file.path) {
+        source = this.createProgressStream(file.path, options.onProgress);
+        source.pipe(stream);
+      } else {
+        reject(new Error('No file buffer or path provided'));
       }
-    }
-
-    return {
-      successful: results,
-      failed: errors,
-      totalUploaded: results.length,
-      totalFailed: errors.length,
-    };
+    });
   }
 
   /**
-   * Upload videos from local directory
-   * @param {string} directoryPath - Path to directory containing videos
-   * @param {Function} progressCallback - Progress callback
-   * @returns {Promise<Object>} Upload results
+   * Make an object world-readable, falling back to an allUsers ACL.
+   * Failures are logged only: a bucket with uniform public access serves the object anyway.
+   * @param {File} fileUpload - Bucket file
    */
-  async uploadFromDirectory(directoryPath, progressCallback = null) {
+  async makeObjectPublic(fileUpload) {
     try {
-      const files = fs.readdirSync(directoryPath);
-      const videoFiles = files.filter(file => 
-        this.isVideoFile(file)
-      );
-
-      const fileObjects = videoFiles.map(fileName => {
-        const filePath = path.join(directoryPath, fileName);
-        const stats = fs.statSync(filePath);
-        
-        return {
-          originalname: fileName,
-          path: filePath,
-          size: stats.size,
-          mimetype: this.getMimeType(fileName),
-        };
-      });
-
-      console.log(`Found ${fileObjects.length} video files in directory`);
-      
-      return await this.uploadVideoBatch(fileObjects, progressCallback);
+      await fileUpload.makePublic();
+      console.log(`File ${fileUpload.name} made public successfully`);
     } catch (error) {
-      console.error('Error uploading from directory:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Generate a unique filename for storage
-   * @param {string} originalName - Original filename
-   * @returns {string} Generated filename
-   */
-  generateFileName(originalName) {
-    const timestamp = Date.now();
-    const randomString = Math.random().toString(36).substring(2, 15);
-    const extension = path.extname(originalName);
-    const baseName = path.basename(originalName, extension)
-      .replace(/[^a-zA-Z0-9]/g, '_')
-      .toLowerCase();
-    
-    return `videos/${timestamp}_${randomString}_${baseName}${extension}`;
-  }
+      console.warn('Could not make file public via makePublic():', error.message);
 
-  /**
-   * Check if file is a video
-   * @param {string} fileName - File name
-   * @returns {boolean} Is video file
-   */
-  isVideoFile(fileName) {
-    const videoExtensions = ['.mp4', '.avi', '.mov', '.wmv', '.flv', '.webm', '.mkv', '.m4v'];
-    const extension = path.extname(fileName).toLowerCase();
-    return videoExtensions.includes(extension);
+      // Try alternative method: set ACL directly
+      try {
+        await fileUpload.acl.add({
+          entity: 'allUsers',
+          role: 'READER'
+        });
+        console.log(`File ${fileUpload.name} made public via ACL`);
+      } catch (aclError) {
+        console.warn('Could not set public ACL:', aclError.message);
+        console.log('File may still be accessible if bucket has uniform access enabled');
+      }
+    }
   }
 
   /**
-   * Get MIME type for file
-   * @param {string} fileName - File name
-   * @returns {string} MIME type
+   * Public URL of an object in the bucket
+   * @param {string} fileName - Object name
+   * @returns {string} Public URL
    */
-  getMimeType(fileName) {
-    const extension = path.extname(fileName).toLowerCase();
-    const mimeTypes = {
-      '.mp4': 'video/mp4',
-      '.avi': 'video/x-msvideo',
-      '.mov': 'video/quicktime',
-      '.wmv': 'video/x-ms-wmv',
-      '.flv': 'video/x-flv',
-      '.webm': 'video/webm',
-      '.mkv': 'video/x-matroska',
-      '.m4v': 'video/x-m4v',
-    };
-    
-    return mimeTypes[extension] || 'video/mp4';
+  getPublicUrl(fileName) {
+    return `https://storage.googleapis.com/${this.bucketName}/${fileName}`;
   }
 
   /**
@@ -248,6 +134,21 @@ class GoogleCloudStorageService {
     }
   }
 
+  /**
+   * Delete every object under a prefix
+   * @param {string} prefix - Object name prefix, without a trailing slash
+   * @returns {Promise<boolean>} Success status
+   */
+  async deletePrefix(prefix) {
+    try {
+      await this.bucket.deleteFiles({ prefix: `${prefix}/`, force: true });
+      return true;
+    } catch (error) {
+      console.error(`Error deleting ${prefix}/:`, error);
+      return false;
+    }
+  }
+
   /**
    * Get signed URL for private video access
    * @param {string} fileName - File name
@@ -283,7 +184,7 @@ class GoogleCloudStorageService {
         .filter(file => this.isVideoFile(file.name))
         .map(file => ({
           name: file.name,
-          publicUrl: `https://storage.googleapis.com/${this.bucketName}/${file.name}`,
+          publicUrl: this.getPublicUrl(file.name),
           metadata: file.metadata,
         }));
     } catch (error) {
@@ -291,6 +192,63 @@ class GoogleCloudStorageService {
       throw error;
     }
   }
+
+  /**
+   * Check whether an object exists in the bucket
+   * @param {string} fileName - Object name
+   * @returns {Promise<boolean>} Exists flag
+   */
+  async exists(fileName) {
+    const [exists] = await this.bucket.file(fileName).exists();
+    return exists;
+  }
+
+  /**
+   * Download an object from the bucket to a local file
+   * @param {string} fileName - Object name
+   * @param {string} destination - Local file path
+   * @returns {Promise<string>} Destination path
+   */
+  async downloadFile(fileName, destination) {
+    await this.bucket.file(fileName).download({ destination });
+    return destination;
+  }
+
+  /**
+   * Read stream of an object in the bucket
+   * @param {string} fileName - Object name
+   * @param {Object} options - start, end: inclusive byte range to read
+   * @returns {stream.Readable} Object contents
+   */
+  createReadStream(fileName, options = {}) {
+    // Ranged reads cannot be validated against the whole object's checksum
+    const ranged = options.start !== undefined || options.end !== undefined;
+    return this.bucket.file(fileName).createReadStream({
+      start: options.start,
+      end: options.end,
+      validation: ranged ? false : undefined,
+    });
+  }
+
+  /**
+   * Size and cache validators of an object in the bucket
+   * @param {string} fileName - Object name
+   * @returns {Promise<Object|null>} { size, contentType, etag, lastModified }, or null if it does not exist
+   */
+  async statObject(fileName) {
+    try {
+      const [metadata] = await this.bucket.file(fileName).getMetadata();
+      return {
+        size: Number(metadata.size),
+        contentType: metadata.contentType || this.getContentType(fileName),
+        etag: `"${metadata.md5Hash || metadata.etag}"`,
+        lastModified: new Date(metadata.updated),
+      };
+    } catch (error) {
+      if (error.code === 404) return null;
+      throw error;
+    }
+  }
 }
 
 module.exports = GoogleCloudStorageService; 
\ No newline at end of file
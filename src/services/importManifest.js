@@ -0,0 +1,270 @@
+const path = require('path');
+const { VIDEO_VISIBILITIES } = require('../repositories/base');
+
+const MANIFEST_FORMATS = ['csv', 'json', 'jsonl'];
+
+// Manifest fields with a meaning of their own; any other field is custom metadata
+const KNOWN_FIELDS = ['path', 'title', 'description', 'tags', 'visibility', 'order', 'metadata'];
+const MAX_TITLE_LENGTH = 255;
+
+/**
+ * Manifest format implied by a file name
+ * @param {string} fileName - Manifest file name
+ * @returns {string|null} csv | json | jsonl, or null if unknown
+ */
+function detectManifestFormat(fileName) {
+  const extension = path.extname(fileName || '').toLowerCase();
+  if (extension === '.csv') return 'csv';
+  if (extension === '.json') return 'json';
+  if (extension === '.jsonl' || extension === '.ndjson') return 'jsonl';
+  return null;
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may hold commas, quotes and newlines)
+ * @param {string} text - CSV content
+ * @returns {Array<{ line: number, fields: Array<string> }>} Non-empty rows with their starting line
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.some(value => value.trim() !== '')) rows.push({ line: rowLine, fields });
+    fields = [];
+    field = '';
+    rowLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  if (field !== '' || fields.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Read CSV manifest records; the header row names the fields
+ * @param {string} text - CSV content
+ * @returns {Array<{ line: number, record: Object }>} Records
+ */
+function readCsv(text) {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+
+  const columns = header.fields.map(column => column.trim());
+  return rows.map(({ line, fields }) => {
+    const record = {};
+    columns.forEach((column, index) => {
+      const value = (fields[index] || '').trim();
+      if (column && value !== '') record[column] = value;
+    });
+    return { line, record };
+  });
+}
+
+/**
+ * Read JSON manifest records: an array of entries or { files: [...] }
+ * @param {string} text - JSON content
+ * @returns {Array<{ line: number, record: Object }>} Records; line is the entry's position
+ */
+function readJson(text) {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON manifest: ${error.message}`);
+  }
+
+  const entries = Array.isArray(document) ? document : document?.files;
+  if (!Array.isArray(entries)) {
+    throw new Error('JSON manifest must be an array of entries or an object with a "files" array');
+  }
+  return entries.map((record, index) => ({ line: index + 1, record }));
+}
+
+/**
+ * Read JSON Lines manifest records, one entry per line
+ * @param {string} text - JSONL content
+ * @returns {Array<{ line: number, record: Object }>} Records
+ */
+function readJsonLines(text) {
+  return text.split(/\r?\n/).flatMap((content, index) => {
+    if (!content.trim()) return [];
+
+    try {
+      return [{ line: index + 1, record: JSON.parse(content) }];
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Tags from an array or a string separated by ";", "|" or ","
+ * @param {Array|string} value - Raw tags
+ * @returns {Array<string>|null} Tags, or null if the value is not usable
+ */
+function normalizeTags(value) {
+  const tags = Array.isArray(value) ? value : String(value).split(/[;|,]/);
+  if (tags.some(tag => typeof tag !== 'string')) return null;
+  return [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+}
+
+/**
+ * Validate one manifest record and map it onto an import entry
+ * @param {Object} record - Raw record
+ * @param {string} format - Manifest format (CSV values are strings)
+ * @returns {{ entry: Object|null, error: string|null }} Entry or validation error
+ */
+function normalizeRecord(record, format) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { entry: null, error: 'Entry must be an object' };
+  }
+
+  const { path: filePath, title, description, tags, visibility, order, metadata } = record;
+
+  if (typeof filePath !== 'string' || !filePath.trim()) {
+    return { entry: null, error: 'path is required' };
+  }
+  if (title !== undefined && (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH)) {
+    return { entry: null, error: `title must be a string of at most ${MAX_TITLE_LENGTH} characters` };
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    return { entry: null, error: 'description must be a string' };
+  }
+  if (visibility !== undefined && !VIDEO_VISIBILITIES.includes(visibility)) {
+    return { entry: null, error: `visibility must be one of: ${VIDEO_VISIBILITIES.join(', ')}` };
+  }
+
+  const normalizedTags = tags === undefined ? [] : normalizeTags(tags);
+  if (!normalizedTags) {
+    return { entry: null, error: 'tags must be a list of strings' };
+  }
+
+  const normalizedOrder = order === undefined ? null : Number(order);
+  if (normalizedOrder !== null && (!Number.isFinite(normalizedOrder) || (typeof order !== 'number' && format !== 'csv'))) {
+    return { entry: null, error: 'order must be a number' };
+  }
+
+  // CSV carries structured metadata as a JSON column
+  let custom = metadata === undefined ? {} : metadata;
+  if (typeof custom === 'string' && format === 'csv') {
+    try {
+      custom = JSON.parse(custom);
+    } catch (error) {
+      return { entry: null, error: 'metadata must be a JSON object' };
+    }
+  }
+  if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+    return { entry: null, error: 'metadata must be an object' };
+  }
+
+  const extraFields = Object.fromEntries(
+    Object.entries(record).filter(([field]) => !KNOWN_FIELDS.includes(field))
+  );
+
+  return {
+    entry: {
+      path: filePath.trim(),
+      title: title?.trim() || null,
+      description: description ?? null,
+      tags: normalizedTags,
+      visibility: visibility || 'public',
+      order: normalizedOrder,
+      metadata: { ...extraFields, ...custom },
+    },
+    error: null,
+  };
+}
+
+/**
+ * Parse and validate an import manifest.
+ * Entries are returned in import order: by their order field, then as listed.
+ * @param {string|Array|Object} content - Manifest text, or already parsed JSON entries
+ * @param {string} format - csv | json | jsonl
+ * @returns {{ entries: Array<Object>, errors: Array<Object> }} Valid entries ({ line, path, title, description,
+ *   tags, visibility, order, metadata }) and per-entry errors ({ line, path, message })
+ */
+function parseManifest(content, format) {
+  if (!MANIFEST_FORMATS.includes(format)) {
+    throw new Error(`Unknown manifest format "${format}". Use one of: ${MANIFEST_FORMATS.join(', ')}`);
+  }
+
+  let records;
+  if (typeof content !== 'string') {
+    records = readJson(JSON.stringify(content));
+  } else if (format === 'csv') {
+    records = readCsv(content);
+  } else if (format === 'json') {
+    records = readJson(content);
+  } else {
+    records = readJsonLines(content);
+  }
+
+  const entries = [];
+  const errors = [];
+  const seen = new Map(); // path -> line of its first entry
+
+  for (const { line, record } of records) {
+    const { entry, error } = normalizeRecord(record, format);
+    if (error) {
+      errors.push({ line, path: typeof record?.path === 'string' ? record.path : null, message: error });
+      continue;
+    }
+
+    const key = path.normalize(entry.path);
+    if (seen.has(key)) {
+      errors.push({ line, path: entry.path, message: `Duplicate of the entry on line ${seen.get(key)}` });
+      continue;
+    }
+    seen.set(key, line);
+    entries.push({ line, ...entry });
+  }
+
+  if (records.length === 0) {
+    errors.push({ line: null, path: null, message: 'Manifest has no entries' });
+  }
+
+  // Stable sort: entries without an order keep their position after the ordered ones
+  entries.sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.line - b.line);
+  return { entries, errors };
+}
+
+module.exports = {
+  parseManifest,
+  detectManifestFormat,
+  normalizeTags,
+  MANIFEST_FORMATS,
+  MAX_TITLE_LENGTH,
+};
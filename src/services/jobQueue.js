@@ -0,0 +1,364 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+const DEFAULT_ATTEMPTS = 3;
+const DEFAULT_BACKOFF_MS = 5000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+
+/**
+ * Base class for job queues.
+ * Drivers implement push, claim, complete, retry, bury, requeue, getJob,
+ * listDead and countJobs; registration, concurrency limits, retries with
+ * exponential backoff and dead-lettering are shared here.
+ *
+ * Job record: { id, type, data, status, attempts, maxAttempts, backoff, runAt,
+ * error, result, createdAt, startedAt, finishedAt }
+ * Status: queued → active → completed, or → delayed (retry pending) → … → dead
+ *
+ * Events: 'active', 'completed', 'retrying', 'dead' with (job[, error])
+ *
+ * publish / subscribe carry messages between the processes sharing the queue
+ * (in-process for the memory driver).
+ */
+class JobQueue extends EventEmitter {
+  constructor(driver) {
+    super();
+    this.driver = driver;
+    this.handlers = new Map();
+    this.running = false;
+
+    // Channel listeners; kept apart from the job lifecycle events above
+    this.channels = new EventEmitter();
+    this.channels.setMaxListeners(0);
+  }
+
+  /**
+   * Register the handler of a job type
+   * @param {string} type - Job type, e.g. 'video.transcode'
+   * @param {Function} handler - async (job) => result
+   * @param {Object} options - concurrency, attempts, backoff (ms), onFailure(job, error) once attempts run out
+   */
+  register(type, handler, options = {}) {
+    this.handlers.set(type, {
+      type,
+      handler,
+      concurrency: options.concurrency || 1,
+      attempts: options.attempts || DEFAULT_ATTEMPTS,
+      backoff: options.backoff || DEFAULT_BACKOFF_MS,
+      onFailure: options.onFailure || null,
+      active: 0,
+      pumping: false,
+      pumpAgain: false,
+    });
+
+    if (this.running) this.pump(type);
+  }
+
+  /**
+   * Add a job
+   * @param {string} type - Job type
+   * @param {Object} data - JSON-serialisable payload
+   * @param {Object} options - jobId (deduplicates), delay (ms), attempts, backoff (ms)
+   * @returns {Promise<Object>} Job record (the existing one when jobId is already queued)
+   */
+  async enqueue(type, data = {}, options = {}) {
+    const registration = this.handlers.get(type);
+    const now = Date.now();
+    const delay = options.delay || 0;
+
+    const job = {
+      id: options.jobId || crypto.randomUUID(),
+      type,
+      data,
+      status: delay > 0 ? 'delayed' : 'queued',
+      attempts: 0,
+      maxAttempts: options.attempts || registration?.attempts || DEFAULT_ATTEMPTS,
+      backoff: options.backoff || registration?.backoff || DEFAULT_BACKOFF_MS,
+      runAt: new Date(now + delay).toISOString(),
+      error: null,
+      result: null,
+      createdAt: new Date(now).toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    };
+
+    const added = await this.push(job);
+    if (!added) {
+      return this.getJob(job.id);
+    }
+
+    if (job.status === 'queued') this.pump(type);
+    return job;
+  }
+
+  /**
+   * Start processing registered job types
+   */
+  async start() {
+    await this.connect();
+    this.running = true;
+    this.pumpAll();
+  }
+
+  /**
+   * Stop claiming new jobs; running handlers finish on their own
+   */
+  async stop() {
+    this.running = false;
+    await this.disconnect();
+  }
+
+  /**
+   * Claim jobs of every registered type up to their concurrency
+   */
+  pumpAll() {
+    for (const type of this.handlers.keys()) {
+      this.pump(type);
+    }
+  }
+
+  /**
+   * Claim and run jobs of one type until its concurrency limit is reached
+   * @param {string} type - Job type
+   */
+  async pump(type) {
+    const registration = this.handlers.get(type);
+    if (!this.running || !registration) return;
+
+    // Claims are async; only one loop per type may be claiming at a time
+    if (registration.pumping) {
+      registration.pumpAgain = true;
+      return;
+    }
+    registration.pumping = true;
+
+    try {
+      do {
+        registration.pumpAgain = false;
+        while (this.running && registration.active < registration.concurrency) {
+          const job = await this.claim(type);
+          if (!job) break;
+
+          registration.active++;
+          this.run(job, registration).finally(() => {
+            registration.active--;
+            this.pump(type);
+          });
+        }
+      } while (registration.pumpAgain && registration.active < registration.concurrency);
+    } catch (error) {
+      console.error(`Error claiming ${type} jobs:`, error);
+    } finally {
+      registration.pumping = false;
+    }
+  }
+
+  /**
+   * Run a claimed job and record its outcome
+   * @param {Object} job - Job record, already marked active by claim
+   * @param {Object} registration - Handler registration
+   */
+  async run(job, registration) {
+    this.emit('active', job);
+
+    try {
+      const result = await registration.handler(job);
+      const completed = {
+        ...job,
+        status: 'completed',
+        result: result === undefined ? null : result,
+        error: null,
+        finishedAt: new Date().toISOString(),
+      };
+      await this.complete(completed);
+      this.emit('completed', completed);
+    } catch (error) {
+      await this.fail(job, registration, error);
+    }
+  }
+
+  /**
+   * Schedule a retry with exponential backoff, or dead-letter the job once attempts run out.
+   * Errors with retryable === false dead-letter the job straight away.
+   * @param {Object} job - Job record
+   * @param {Object} registration - Handler registration
+   * @param {Error} error - Failure
+   */
+  async fail(job, registration, error) {
+    console.error(`Job ${job.type} ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+
+    try {
+      if (job.attempts < job.maxAttempts && error.retryable !== false) {
+        const delay = Math.min(job.backoff * 2 ** (job.attempts - 1), MAX_BACKOFF_MS);
+        const delayed = {
+          ...job,
+          status: 'delayed',
+          error: error.message,
+          runAt: new Date(Date.now() + delay).toISOString(),
+        };
+        await this.retry(delayed);
+        this.emit('retrying', delayed, error);
+        return;
+      }
+
+      const dead = {
+        ...job,
+        status: 'dead',
+        error: error.message,
+        finishedAt: new Date().toISOString(),
+      };
+      await this.bury(dead);
+      this.emit('dead', dead, error);
+
+      if (registration.onFailure) {
+        await registration.onFailure(dead, error);
+      }
+    } catch (recordError) {
+      console.error(`Error recording failure of job ${job.id}:`, recordError);
+    }
+  }
+
+  /**
+   * Put a dead-lettered job back in the queue with fresh attempts
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} Requeued job
+   */
+  async retryDead(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job) throw new Error('Job not found');
+    if (job.status !== 'dead') throw new Error(`Only dead jobs can be retried (job is ${job.status})`);
+
+    const requeued = {
+      ...job,
+      status: 'queued',
+      attempts: 0,
+      error: null,
+      finishedAt: null,
+      runAt: new Date().toISOString(),
+    };
+    await this.requeue(requeued);
+    this.pump(job.type);
+    return requeued;
+  }
+
+  /**
+   * Job counts per type and status
+   * @returns {Promise<Object>} { driver, types: { [type]: { queued, delayed, active, completed, dead } } }
+   */
+  async getStats() {
+    const types = {};
+    for (const type of this.handlers.keys()) {
+      types[type] = await this.countJobs(type);
+    }
+    return { driver: this.driver, types };
+  }
+
+  /**
+   * Send a message to every subscriber of a channel
+   * @param {string} channel - Channel name
+   * @param {Object} message - JSON-serialisable message
+   */
+  async publish(channel, message) {
+    this.channels.emit(channel, message);
+  }
+
+  /**
+   * Listen to a channel
+   * @param {string} channel - Channel name
+   * @param {Function} listener - (message) => void
+   * @returns {Promise<Function>} Async function that removes the listener
+   */
+  async subscribe(channel, listener) {
+    this.channels.on(channel, listener);
+    return async () => {
+      this.channels.off(channel, listener);
+    };
+  }
+
+  // ---- Driver interface ----
+
+  /** Connect to the backing store */
+  async connect() {}
+
+  /** Release the backing store */
+  async disconnect() {}
+
+  /**
+   * Store a new job and make it claimable (or delayed)
+   * @param {Object} job - Job record
+   * @returns {Promise<boolean>} False if a job with this ID already exists
+   */
+  async push(job) {
+    throw new Error(`${this.driver} queue does not implement push`);
+  }
+
+  /**
+   * Take the next runnable job of a type, marking it active and counting the attempt
+   * @param {string} type - Job type
+   * @returns {Promise<Object|null>} Job or null when none is waiting
+   */
+  async claim(type) {
+    throw new Error(`${this.driver} queue does not implement claim`);
+  }
+
+  /**
+   * Record a completed job
+   * @param {Object} job - Job record with status 'completed'
+   */
+  async complete(job) {
+    throw new Error(`${this.driver} queue does not implement complete`);
+  }
+
+  /**
+   * Record a failed attempt that will run again at job.runAt
+   * @param {Object} job - Job record with status 'delayed'
+   */
+  async retry(job) {
+    throw new Error(`${this.driver} queue does not implement retry`);
+  }
+
+  /**
+   * Move a job to the dead-letter list
+   * @param {Object} job - Job record with status 'dead'
+   */
+  async bury(job) {
+    throw new Error(`${this.driver} queue does not implement bury`);
+  }
+
+  /**
+   * Move a dead job back to the waiting list
+   * @param {Object} job - Job record with status 'queued'
+   */
+  async requeue(job) {
+    throw new Error(`${this.driver} queue does not implement requeue`);
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job or null
+   */
+  async getJob(jobId) {
+    throw new Error(`${this.driver} queue does not implement getJob`);
+  }
+
+  /**
+   * List dead-lettered jobs, newest first
+   * @param {number} limit - Maximum number of jobs
+   * @returns {Promise<Array>} Jobs
+   */
+  async listDead(limit = 50) {
+    throw new Error(`${this.driver} queue does not implement listDead`);
+  }
+
+  /**
+   * Count jobs of a type per status
+   * @param {string} type - Job type
+   * @returns {Promise<Object>} { queued, delayed, active, completed, dead }
+   */
+  async countJobs(type) {
+    throw new Error(`${this.driver} queue does not implement countJobs`);
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,313 @@
+const express = require('express');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const StorageDriver = require('./storageDriver');
+
+// Shared by every instance in the process so URLs signed by one verify in another
+const DEFAULT_SIGNING_SECRET = crypto.randomBytes(32).toString('hex');
+
+/**
+ * Stores objects on the local disk and serves them from the Express app under /media.
+ * Used for offline development against the clips in test/.
+ */
+class LocalDiskStorageService extends StorageDriver {
+  constructor(options = {}) {
+    super('local', options);
+
+    this.rootDir = path.resolve(options.rootDir || process.env.STORAGE_LOCAL_DIR || './storage');
+    this.mountPath = options.mountPath || '/media';
+    this.baseUrl = (options.baseUrl
+      || process.env.STORAGE_PUBLIC_URL
+      || process.env.SERVER_URL
+      || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+    this.signingSecret = options.signingSecret || process.env.STORAGE_SIGNING_SECRET || DEFAULT_SIGNING_SECRET;
+
+    fs.mkdirSync(this.rootDir, { recursive: true });
+  }
+
+  /**
+   * Resolve an object name to a path inside the storage root
+   * @param {string} fileName - Object name
+   * @returns {string} Absolute path
+   */
+  resolvePath(fileName) {
+    const filePath = path.resolve(this.rootDir, fileName);
+
+    if (filePath !== this.rootDir && !filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid object name: ${fileName}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Public URL of an object served by the media router
+   * @param {string} fileName - Object name
+   * @returns {string} Public URL
+   */
+  getPublicUrl(fileName) {
+    const encoded = fileName.split('/').map(encodeURIComponent).join('/');
+    return `${this.baseUrl}${this.mountPath}/${encoded}`;
+  }
+
+  /**
+   * Copy a file or write a buffer into the storage root
+   * @param {Object} file - { buffer } or { path }, plus mimetype
+   * @param {string} fileName - Destination object name
+   * @param {Object} metadata - Custom metadata returned with the result
+   * @returns {Promise<Object>} Upload result with public URL
+   */
+  async uploadFile(file, fileName, metadata = {}, options = {}) {
+    const filePath = this.resolvePath(fileName);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    let contentHash;
+    if (file.buffer) {
+      await fs.promises.writeFile(filePath, file.buffer);
+      contentHash = this.hashBuffer(file.buffer);
+    } else if (file.path) {
+      const source = this.createProgressStream(file.path, options.onProgress);
+      await pipeline(source, fs.createWriteStream(filePath));
+      contentHash = source.contentHash();
+    } else {
+      throw new Error('No file buffer or path provided');
+    }
+
+    const stats = await fs.promises.stat(filePath);
+
+    return {
+      fileName,
+      publicUrl: this.getPublicUrl(fileName),
+      size: stats.size,
+      contentType: file.mimetype || this.getMimeType(fileName),
+      timeCreated: stats.birthtime.toISOString(),
+      metadata,
+      contentHash,
+    };
+  }
+
+  /**
+   * Delete a video from the storage root
+   * @param {string} fileName - File name to delete
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteVideo(fileName) {
+    try {
+      await fs.promises.unlink(this.resolvePath(fileName));
+      return true;
+    } catch (error) {
+      console.error('Error deleting video:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete the directory holding every object under a prefix
+   * @param {string} prefix - Object name prefix, without a trailing slash
+   * @returns {Promise<boolean>} Success status
+   */
+  async deletePrefix(prefix) {
+    try {
+      const dirPath = this.resolvePath(prefix);
+      if (dirPath === this.rootDir) throw new Error('Refusing to delete the storage root');
+
+      await fs.promises.rm(dirPath, { recursive: true, force: true });
+      return true;
+    } catch (error) {
+      console.error(`Error deleting ${prefix}/:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get an HMAC-signed URL that the media router accepts until it expires
+   * @param {string} fileName - File name
+   * @param {number} expiresIn - Expiration time in minutes
+   * @returns {Promise<string>} Signed URL
+   */
+  async getSignedUrl(fileName, expiresIn = 60) {
+    const expires = Date.now() + expiresIn * 60 * 1000;
+    const signature = this.sign(fileName, expires);
+
+    return `${this.getPublicUrl(fileName)}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Sign an object name and expiry
+   * @param {string} fileName - Object name
+   * @param {number} expires - Expiry timestamp in ms
+   * @returns {string} Hex signature
+   */
+  sign(fileName, expires) {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${fileName}:${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Check a signature produced by getSignedUrl
+   * @param {string} fileName - Object name
+   * @param {string|number} expires - Expiry timestamp in ms
+   * @param {string} signature - Hex signature
+   * @returns {boolean} Whether the signature is valid and unexpired
+   */
+  verifySignature(fileName, expires, signature) {
+    if (!expires || !signature || Number(expires) < Date.now()) return false;
+
+    const expected = Buffer.from(this.sign(fileName, Number(expires)));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * List all videos under a prefix
+   * @param {string} prefix - Prefix to filter files
+   * @returns {Promise<Array>} List of video files
+   */
+  async listVideos(prefix = 'videos/') {
+    const files = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else {
+          files.push(path.relative(this.rootDir, fullPath).split(path.sep).join('/'));
+        }
+      }
+    };
+
+    try {
+      await walk(this.rootDir);
+
+      const matching = files.filter(name => name.startsWith(prefix) && this.isVideoFile(name));
+
+      return Promise.all(matching.map(async (name) => {
+        const stats = await fs.promises.stat(this.resolvePath(name));
+        return {
+          name,
+          publicUrl: this.getPublicUrl(name),
+          metadata: {
+            size: String(stats.size),
+            contentType: this.getMimeType(name),
+            timeCreated: stats.birthtime.toISOString(),
+            updated: stats.mtime.toISOString(),
+          },
+        };
+      }));
+    } catch (error) {
+      console.error('Error listing videos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether an object exists in the storage root
+   * @param {string} fileName - Object name
+   * @returns {Promise<boolean>} Exists flag
+   */
+  async exists(fileName) {
+    try {
+      const stats = await fs.promises.stat(this.resolvePath(fileName));
+      return stats.isFile();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Copy an object out of the storage root
+   * @param {string} fileName - Object name
+   * @param {string} destination - Local file path
+   * @returns {Promise<string>} Destination path
+   */
+  async downloadFile(fileName, destination) {
+    await fs.promises.copyFile(this.resolvePath(fileName), destination);
+    return destination;
+  }
+
+  /**
+   * Read stream of an object in the storage root
+   * @param {string} fileName - Object name
+   * @param {Object} options - start, end: inclusive byte range to read
+   * @returns {fs.ReadStream} Object contents
+   */
+  createReadStream(fileName, options = {}) {
+    return fs.createReadStream(this.resolvePath(fileName), { start: options.start, end: options.end });
+  }
+
+  /**
+   * Size and cache validators of an object in the storage root.
+   * The ETag has the same form as the one served under /media.
+   * @param {string} fileName - Object name
+   * @returns {Promise<Object|null>} { size, contentType, etag, lastModified }, or null if it does not exist
+   */
+  async statObject(fileName) {
+    let stats;
+    try {
+      stats = await fs.promises.stat(this.resolvePath(fileName));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    if (!stats.isFile()) return null;
+
+    return {
+      size: stats.size,
+      contentType: this.getContentType(fileName),
+      etag: `W/"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}"`,
+      lastModified: stats.mtime,
+    };
+  }
+
+  /**
+   * Router serving stored objects with Range, ETag and Last-Modified support.
+   * Requests carrying a signature are rejected once it is invalid or expired;
+   * with private access every request needs one.
+   * @returns {express.Router} Router to mount at this.mountPath
+   */
+  createMediaRouter() {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+      if (req.query.signature === undefined && !this.isPrivate) return next();
+
+      const fileName = decodeURIComponent(req.path.replace(/^\//, ''));
+      if (!this.verifySignature(fileName, req.query.expires, req.query.signature)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Signed URL is invalid or has expired',
+        });
+      }
+      next();
+    });
+
+    router.use(express.static(this.rootDir, {
+      acceptRanges: true,
+      dotfiles: 'deny',
+      index: false,
+    }));
+
+    router.use((req, res) => {
+      res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    });
+
+    return router;
+  }
+}
+
+module.exports = LocalDiskStorageService;
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const { probeJson, summarizeProbe } = require('./ffmpeg');
+
+// Bytes read from the start of a file to recognise its container
+const SIGNATURE_BYTES = 64;
+
+// Containers we accept, with the MIME type stored for them and the ffprobe
+// format_name entry that has to agree with the signature
+const CONTAINERS = {
+  mp4: { mimeType: 'video/mp4', probeFormat: 'mp4' },
+  m4v: { mimeType: 'video/x-m4v', probeFormat: 'mp4' },
+  quicktime: { mimeType: 'video/quicktime', probeFormat: 'mov' },
+  webm: { mimeType: 'video/webm', probeFormat: 'webm' },
+  matroska: { mimeType: 'video/x-matroska', probeFormat: 'matroska' },
+  avi: { mimeType: 'video/x-msvideo', probeFormat: 'avi' },
+  flv: { mimeType: 'video/x-flv', probeFormat: 'flv' },
+  asf: { mimeType: 'video/x-ms-wmv', probeFormat: 'asf' },
+};
+
+// Top-level QuickTime atoms that can open a .mov written without an ftyp box
+const QUICKTIME_ATOMS = ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+const EBML_MAGIC = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+const ASF_MAGIC = Buffer.from([0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11]);
+
+/**
+ * Upload rejected by content validation.
+ * check names the failed step: signature | probe | container | video-stream | duration
+ */
+class MediaValidationError extends Error {
+  constructor(check, message, details = {}) {
+    super(message);
+    this.name = 'MediaValidationError';
+    this.check = check;
+    this.details = details;
+    // An unrecognised file is the wrong media type; a recognised but broken one is unprocessable
+    this.status = check === 'signature' ? 415 : 422;
+    // Trying again cannot make the content valid
+    this.retryable = false;
+  }
+
+  /**
+   * Body of the structured error returned to clients
+   * @returns {Object} error, check, message, details
+   */
+  toJSON() {
+    return { error: 'Invalid video', check: this.check, message: this.message, details: this.details };
+  }
+}
+
+/**
+ * ffprobe could not be run (missing binary, failed spawn, timeout). Says nothing about the file,
+ * so uploads answer 503 and jobs retry.
+ */
+class MediaProbeUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MediaProbeUnavailableError';
+    this.status = 503;
+    this.retryable = true;
+  }
+}
+
+/**
+ * Recognise a video container from the first bytes of a file
+ * @param {Buffer} head - At least the first SIGNATURE_BYTES bytes (fewer for tiny files)
+ * @returns {Object|null} { container, mimeType }, or null if the bytes match no supported container
+ */
+function sniffContainer(head) {
+  const ascii = (start, end) => head.toString('latin1', start, end);
+
+  if (head.length >= 12 && ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'qt  ') return describe('quicktime');
+    if (brand === 'M4V ' || brand === 'M4VH' || brand === 'M4VP') return describe('m4v');
+    return describe('mp4');
+  }
+  if (head.length >= 8 && QUICKTIME_ATOMS.includes(ascii(4, 8))) {
+    return describe('quicktime');
+  }
+  if (head.subarray(0, 4).equals(EBML_MAGIC)) {
+    // The EBML header's DocType tells WebM from other Matroska files
+    return describe(head.includes('webm', 0, 'latin1') ? 'webm' : 'matroska');
+  }
+  if (head.length >= 12 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'AVI ') {
+    return describe('avi');
+  }
+  if (head.length >= 4 && ascii(0, 3) === 'FLV' && head[3] === 0x01) {
+    return describe('flv');
+  }
+  if (head.subarray(0, 8).equals(ASF_MAGIC)) {
+    return describe('asf');
+  }
+  return null;
+}
+
+/**
+ * @param {string} container - Key of CONTAINERS
+ * @returns {Object} { container, mimeType }
+ */
+function describe(container) {
+  return { container, mimeType: CONTAINERS[container].mimeType };
+}
+
+/**
+ * Read the first bytes of a file
+ * @param {string} filePath - Local file path
+ * @returns {Promise<Buffer>} Up to SIGNATURE_BYTES bytes
+ */
+async function readHead(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SIGNATURE_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SIGNATURE_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Check a file's signature only; cheap enough to run on the first bytes of an upload
+ * @param {Buffer} head - First bytes of the file
+ * @returns {Object} { container, mimeType }
+ * @throws {MediaValidationError} signature
+ */
+function assertVideoSignature(head) {
+  const detected = sniffContainer(head);
+  if (!detected) {
+    throw new MediaValidationError('signature', 'File content is not a supported video container', {
+      supported: Object.keys(CONTAINERS),
+    });
+  }
+  return detected;
+}
+
+/**
+ * Validate a received file: container signature, then a full ffprobe read
+ * @param {string} filePath - Local file path
+ * @returns {Promise<Object>} { container, mimeType, media } where media is the summarizeProbe result
+ * @throws {MediaValidationError} Naming the check that failed
+ * @throws {MediaProbeUnavailableError} When ffprobe could not be run
+ */
+async function validateVideoFile(filePath) {
+  const detected = assertVideoSignature(await readHead(filePath));
+
+  let data;
+  try {
+    data = await probeJson(filePath);
+  } catch (error) {
+    if (error.unavailable) {
+      throw new MediaProbeUnavailableError(`Could not validate the video: ${error.message}`);
+    }
+    throw new MediaValidationError('probe', `ffprobe could not read the file: ${error.message}`, {
+      container: detected.container,
+    });
+  }
+
+  const formats = String(data.format?.format_name || '').split(',');
+  if (!formats.includes(CONTAINERS[detected.container].probeFormat)) {
+    throw new MediaValidationError('container', 'File signature and ffprobe disagree about the container', {
+      container: detected.container,
+      probedFormat: data.format?.format_name || null,
+    });
+  }
+
+  let media;
+  try {
+    media = summarizeProbe(data);
+  } catch (error) {
+    throw new MediaValidationError('video-stream', error.message, { container: detected.container });
+  }
+
+  if (!media.duration || media.duration <= 0) {
+    throw new MediaValidationError('duration', 'Could not determine video duration', { container: detected.container });
+  }
+
+  return { ...detected, media };
+}
+
+module.exports = {
+  MediaValidationError,
+  MediaProbeUnavailableError,
+  sniffContainer,
+  readHead,
+  assertVideoSignature,
+  validateVideoFile,
+  SIGNATURE_BYTES,
+  CONTAINERS,
+};
@@ -0,0 +1,125 @@
+const JobQueue = require('./jobQueue');
+
+// Finished jobs kept for status queries before the oldest are dropped
+const COMPLETED_RETENTION = 1000;
+
+/**
+ * In-process job queue used when Redis is not configured.
+ * Jobs live in memory and are lost on restart.
+ */
+class MemoryJobQueue extends JobQueue {
+  constructor() {
+    super('memory');
+
+    this.jobs = new Map();
+    this.waiting = new Map(); // type -> [jobId]
+    this.timers = new Map(); // jobId -> timeout of a delayed job
+    this.completedIds = [];
+  }
+
+  async disconnect() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  async push(job) {
+    if (this.jobs.has(job.id)) return false;
+
+    this.jobs.set(job.id, { ...job });
+    if (job.status === 'delayed') {
+      this.schedule(job);
+    } else {
+      this.waitingList(job.type).push(job.id);
+    }
+    return true;
+  }
+
+  async claim(type) {
+    const jobId = this.waitingList(type).shift();
+    if (!jobId) return null;
+
+    const job = this.jobs.get(jobId);
+    Object.assign(job, {
+      status: 'active',
+      attempts: job.attempts + 1,
+      startedAt: new Date().toISOString(),
+    });
+    return { ...job };
+  }
+
+  async complete(job) {
+    this.jobs.set(job.id, { ...job });
+    this.completedIds.push(job.id);
+
+    while (this.completedIds.length > COMPLETED_RETENTION) {
+      this.jobs.delete(this.completedIds.shift());
+    }
+  }
+
+  async retry(job) {
+    this.jobs.set(job.id, { ...job });
+    this.schedule(job);
+  }
+
+  async bury(job) {
+    this.jobs.set(job.id, { ...job });
+  }
+
+  async requeue(job) {
+    this.jobs.set(job.id, { ...job });
+    this.waitingList(job.type).push(job.id);
+  }
+
+  async getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? { ...job } : null;
+  }
+
+  async listDead(limit = 50) {
+    return [...this.jobs.values()]
+      .filter(job => job.status === 'dead')
+      .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt))
+      .slice(0, limit)
+      .map(job => ({ ...job }));
+  }
+
+  async countJobs(type) {
+    const counts = { queued: 0, delayed: 0, active: 0, completed: 0, dead: 0 };
+    for (const job of this.jobs.values()) {
+      if (job.type === type) counts[job.status]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Waiting job IDs of a type, oldest first
+   * @param {string} type - Job type
+   * @returns {Array<string>} Mutable list
+   */
+  waitingList(type) {
+    if (!this.waiting.has(type)) this.waiting.set(type, []);
+    return this.waiting.get(type);
+  }
+
+  /**
+   * Move a delayed job to the waiting list once its runAt passes
+   * @param {Object} job - Delayed job
+   */
+  schedule(job) {
+    const delay = Math.max(0, new Date(job.runAt).getTime() - Date.now());
+    const timer = setTimeout(() => {
+      this.timers.delete(job.id);
+      const stored = this.jobs.get(job.id);
+      if (!stored || stored.status !== 'delayed') return;
+
+      stored.status = 'queued';
+      this.waitingList(job.type).push(job.id);
+      this.pump(job.type);
+    }, delay);
+
+    timer.unref();
+    this.timers.set(job.id, timer);
+  }
+}
+
+module.exports = MemoryJobQueue;
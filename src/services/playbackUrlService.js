@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const path = require('path');
+const { getStorageService } = require('./storage');
+
+// Lifetime of the signed URLs handed to players
+const DEFAULT_TTL_MINUTES = 60;
+// Cached URLs are re-signed once less than this share of their lifetime is left,
+// so every URL handed out stays valid for at least the rest of it
+const REFRESH_FRACTION = 0.25;
+// Signed URLs kept per process; the oldest are dropped first
+const MAX_CACHED_URLS = 10000;
+// Used when STORAGE_SIGNING_SECRET is unset; playlist URLs then only verify in this process
+const DEFAULT_SIGNING_SECRET = crypto.randomBytes(32).toString('hex');
+
+const HLS_PLAYLIST_EXTENSION = '.m3u8';
+
+/**
+ * URLs players use to fetch stored media.
+ * With public storage these are the objects' public URLs, unchanged. With private storage
+ * every object URL is replaced by a signed URL from the storage driver; signed URLs are cached
+ * and re-signed before they run out. HLS playlists reference their segments by relative path,
+ * which a signed playlist URL cannot cover, so they are served by the API instead
+ * (GET /api/videos/:videoId/hls/*) with every reference rewritten to a signed URL.
+ */
+class PlaybackUrlService {
+  /**
+   * @param {Object} storageService - Storage driver
+   * @param {Object} options - ttlMinutes, signingSecret
+   */
+  constructor(storageService, options = {}) {
+    this.storageService = storageService;
+    this.ttlMinutes = parseFloat(options.ttlMinutes || process.env.SIGNED_URL_TTL_MINUTES || DEFAULT_TTL_MINUTES);
+    this.signingSecret = options.signingSecret || process.env.STORAGE_SIGNING_SECRET || DEFAULT_SIGNING_SECRET;
+    this.cache = new Map(); // object name -> { url, expiresAt }
+    this.pending = new Map(); // object name -> Promise of a cache entry being signed
+  }
+
+  /**
+   * Whether URLs are signed (private storage)
+   * @returns {boolean} Signed flag
+   */
+  get enabled() {
+    return this.storageService.isPrivate;
+  }
+
+  /**
+   * Earliest time any URL handed out now can expire
+   * @returns {string|null} ISO timestamp, or null when URLs do not expire
+   */
+  validUntil() {
+    if (!this.enabled) return null;
+    return new Date(Date.now() + this.ttlMinutes * (1 - REFRESH_FRACTION) * 60 * 1000).toISOString();
+  }
+
+  /**
+   * Signed URL of an object, from the cache while it has enough lifetime left
+   * @param {string} objectName - Object name
+   * @returns {Promise<string>} Signed URL
+   */
+  async signObject(objectName) {
+    const cached = this.cache.get(objectName);
+    if (cached && cached.expiresAt - Date.now() > this.ttlMinutes * REFRESH_FRACTION * 60 * 1000) {
+      return cached.url;
+    }
+
+    // Concurrent requests for the same object share one signing call
+    if (!this.pending.has(objectName)) {
+      const expiresAt = Date.now() + this.ttlMinutes * 60 * 1000;
+      const signing = this.storageService.getSignedUrl(objectName, this.ttlMinutes)
+        .then((url) => {
+          this.remember(objectName, { url, expiresAt });
+          return url;
+        })
+        .finally(() => this.pending.delete(objectName));
+      this.pending.set(objectName, signing);
+    }
+    return this.pending.get(objectName);
+  }
+
+  /**
+   * Store a signed URL, dropping the oldest entries past MAX_CACHED_URLS
+   * @param {string} objectName - Object name
+   * @param {Object} entry - { url, expiresAt }
+   */
+  remember(objectName, entry) {
+    this.cache.delete(objectName);
+    this.cache.set(objectName, entry);
+
+    while (this.cache.size > MAX_CACHED_URLS) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * URL a player can read a stored object from
+   * @param {string} url - Public URL of the object
+   * @returns {Promise<string|null>} Signed URL; the URL unchanged with public storage or when it points elsewhere
+   */
+  async signUrl(url) {
+    if (!url || !this.enabled) return url || null;
+
+    const objectName = this.storageService.getObjectName(url);
+    return objectName ? this.signObject(objectName) : url;
+  }
+
+  /**
+   * HMAC of a playlist request
+   * @param {string} videoId - Video ID
+   * @param {string} playlistPath - Playlist path relative to the master playlist's directory
+   * @param {number} expires - Expiry timestamp in ms
+   * @returns {string} Hex signature
+   */
+  signPlaylistPath(videoId, playlistPath, expires) {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${videoId}/${playlistPath}:${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Signed API URL serving one of a video's HLS playlists
+   * @param {string} apiBaseUrl - Origin of the API (e.g. https://api.example.com)
+   * @param {string} videoId - Video ID
+   * @param {string} playlistPath - Playlist path relative to the master playlist's directory
+   * @returns {string} Playlist URL
+   */
+  playlistUrl(apiBaseUrl, videoId, playlistPath) {
+    const expires = Date.now() + this.ttlMinutes * 60 * 1000;
+    const signature = this.signPlaylistPath(videoId, playlistPath, expires);
+    const encodedPath = playlistPath.split('/').map(encodeURIComponent).join('/');
+
+    return `${apiBaseUrl}/api/videos/${videoId}/hls/${encodedPath}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Check a signature produced by playlistUrl
+   * @param {string} videoId - Video ID
+   * @param {string} playlistPath - Requested playlist path
+   * @param {string|number} expires - Expiry timestamp in ms
+   * @param {string} signature - Hex signature
+   * @returns {boolean} Whether the signature is valid and unexpired
+   */
+  verifyPlaylist(videoId, playlistPath, expires, signature) {
+    if (!expires || !signature || Number(expires) < Date.now()) return false;
+
+    const expected = Buffer.from(this.signPlaylistPath(videoId, playlistPath, Number(expires)));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Master playlist URL a player should load
+   * @param {Object} video - videos row
+   * @param {string} apiBaseUrl - Origin of the API
+   * @returns {string|null} Stream URL
+   */
+  streamUrl(video, apiBaseUrl) {
+    if (!video.stream_url || !this.enabled) return video.stream_url || null;
+    if (!this.storageService.getObjectName(video.stream_url)) return video.stream_url;
+
+    return this.playlistUrl(apiBaseUrl, video.id, path.posix.basename(video.stream_url.split(/[?#]/)[0]));
+  }
+
+  /**
+   * Object name of one of a video's HLS playlists
+   * @param {Object} video - videos row
+   * @param {string} playlistPath - Path relative to the master playlist's directory
+   * @returns {string|null} Object name, or null if the path leaves that directory
+   */
+  resolvePlaylistObject(video, playlistPath) {
+    const master = this.storageService.getObjectName(video.stream_url);
+    if (!master) return null;
+
+    const baseDir = path.posix.dirname(master);
+    const objectName = path.posix.normalize(path.posix.join(baseDir, playlistPath));
+    return objectName.startsWith(`${baseDir}/`) ? objectName : null;
+  }
+
+  /**
+   * Rewrite an HLS playlist so every reference is absolute and readable:
+   * nested playlists through playlistUrl, everything else (segments, keys, init maps) signed
+   * @param {string} content - Playlist text
+   * @param {Object} video - videos row
+   * @param {string} playlistPath - Path of this playlist relative to the master playlist's directory
+   * @param {string} apiBaseUrl - Origin of the API
+   * @returns {Promise<string>} Rewritten playlist
+   */
+  async rewritePlaylist(content, video, playlistPath, apiBaseUrl) {
+    const master = this.storageService.getObjectName(video.stream_url);
+    const baseDir = path.posix.dirname(master);
+    const playlistDir = path.posix.dirname(playlistPath);
+
+    const resolve = async (reference) => {
+      if (/^[a-z][a-z0-9+.-]*:/i.test(reference)) return reference;
+
+      const relativePath = path.posix.normalize(path.posix.join(playlistDir, reference.split(/[?#]/)[0]));
+      if (relativePath.startsWith('../')) return reference;
+
+      return relativePath.endsWith(HLS_PLAYLIST_EXTENSION)
+        ? this.playlistUrl(apiBaseUrl, video.id, relativePath)
+        : this.signObject(`${baseDir}/${relativePath}`);
+    };
+
+    const lines = [];
+    for (const line of content.split(/\r?\n/)) {
+      const trimmed = line.trim();
+
+      if (trimmed && !trimmed.startsWith('#')) {
+        lines.push(await resolve(trimmed));
+      } else if (trimmed.startsWith('#') && trimmed.includes('URI="')) {
+        const [, before, reference, after] = trimmed.match(/^(.*URI=")([^"]*)(".*)$/);
+        lines.push(`${before}${await resolve(reference)}${after}`);
+      } else {
+        lines.push(line);
+      }
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Feed item with playable URLs
+   * @param {Object} item - Result of toFeedItem
+   * @param {string} apiBaseUrl - Origin of the API
+   * @returns {Promise<Object>} Item with url, streamUrl, thumbnail and expiresAt (null when URLs do not expire)
+   */
+  async presentFeedItem(item, apiBaseUrl) {
+    if (!this.enabled) return { ...item, expiresAt: null };
+
+    return {
+      ...item,
+      url: await this.signUrl(item.url),
+      streamUrl: this.streamUrl({ id: item.id, stream_url: item.streamUrl }, apiBaseUrl),
+      thumbnail: await this.signUrl(item.thumbnail),
+      expiresAt: this.validUntil(),
+    };
+  }
+
+  /**
+   * videos row with playable URLs in place of the stored public ones
+   * @param {Object} video - videos row
+   * @param {string} apiBaseUrl - Origin of the API
+   * @returns {Promise<Object>} Row with gcs_url, mp4_url, stream_url, thumbnail_url, metadata thumbnails and sprite
+   *   replaced, plus urls_expire_at (null when URLs do not expire)
+   */
+  async presentVideo(video, apiBaseUrl) {
+    if (!this.enabled) return { ...video, urls_expire_at: null };
+
+    const metadata = { ...(video.metadata || {}) };
+    if (Array.isArray(metadata.thumbnails)) {
+      metadata.thumbnails = await Promise.all(metadata.thumbnails.map(async thumbnail => ({
+        ...thumbnail,
+        url: await this.signUrl(thumbnail.url),
+      })));
+    }
+    if (metadata.sprite) {
+      metadata.sprite = {
+        ...metadata.sprite,
+        url: await this.signUrl(metadata.sprite.url),
+        vttUrl: await this.signUrl(metadata.sprite.vttUrl),
+      };
+    }
+
+    return {
+      ...video,
+      gcs_url: await this.signUrl(video.gcs_url),
+      mp4_url: await this.signUrl(video.mp4_url),
+      stream_url: this.streamUrl(video, apiBaseUrl),
+      thumbnail_url: await this.signUrl(video.thumbnail_url),
+      metadata,
+      urls_expire_at: this.validUntil(),
+    };
+  }
+}
+
+/**
+ * Origin of the API as seen by clients, for URLs that point back at it
+ * @param {Object} req - Express request
+ * @returns {string} Base URL without a trailing slash (SERVER_URL when set)
+ */
+function requestBaseUrl(req) {
+  return (process.env.SERVER_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+let playbackUrlService = null;
+
+/**
+ * Shared playback URL service for the configured storage
+ * @returns {PlaybackUrlService} Service instance
+ */
+function getPlaybackUrlService() {
+  if (!playbackUrlService) {
+    playbackUrlService = new PlaybackUrlService(getStorageService());
+  }
+  return playbackUrlService;
+}
+
+module.exports = {
+  PlaybackUrlService,
+  getPlaybackUrlService,
+  requestBaseUrl,
+};
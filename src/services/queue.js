@@ -0,0 +1,95 @@
+const os = require('os');
+const MemoryJobQueue = require('./memoryJobQueue');
+const RedisJobQueue = require('./redisJobQueue');
+
+const DRIVERS = {
+  memory: MemoryJobQueue,
+  redis: RedisJobQueue,
+};
+
+let sharedQueue = null;
+
+// Names this host in host-scoped job types; must stay the same across restarts that keep UPLOAD_TEMP_DIR
+const HOST_ID = (process.env.QUEUE_HOST_ID || os.hostname()).trim();
+
+/**
+ * Driver name from QUEUE_DRIVER; defaults to Redis when REDIS_URL is set
+ * @returns {string} Driver name
+ */
+function resolveDriverName() {
+  const configured = (process.env.QUEUE_DRIVER || '').trim().toLowerCase();
+  if (configured) return configured;
+
+  return process.env.REDIS_URL ? 'redis' : 'memory';
+}
+
+/**
+ * Job type that only processes on this host can claim, for jobs reading files from its local disk
+ * (received uploads in UPLOAD_TEMP_DIR, directory imports). Other job types go to any process.
+ * @param {string} type - Job type, e.g. 'upload.file'
+ * @returns {string} Host-scoped job type, e.g. 'upload.file@api-1'
+ */
+function hostJobType(type) {
+  return `${type}@${HOST_ID}`;
+}
+
+/**
+ * Construct a job queue
+ * @param {string} driverName - redis | memory (defaults to configuration)
+ * @returns {JobQueue} Job queue instance
+ */
+function createJobQueue(driverName = resolveDriverName()) {
+  const Driver = DRIVERS[driverName];
+
+  if (!Driver) {
+    throw new Error(`Unknown QUEUE_DRIVER "${driverName}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+
+  return new Driver();
+}
+
+/**
+ * Job queue shared by this process.
+ * Look it up when enqueuing rather than caching it: startJobQueue may swap in the
+ * in-process queue when Redis is unreachable.
+ * @returns {JobQueue} Job queue instance
+ */
+function getJobQueue() {
+  if (!sharedQueue) {
+    sharedQueue = createJobQueue();
+  }
+  return sharedQueue;
+}
+
+/**
+ * Register handlers and start the shared queue, falling back to the
+ * in-process queue if Redis cannot be reached
+ * @param {Function} registerHandlers - (queue) => void
+ * @returns {Promise<JobQueue>} Started queue
+ */
+async function startJobQueue(registerHandlers) {
+  const queue = getJobQueue();
+  registerHandlers(queue);
+
+  try {
+    await queue.start();
+    return queue;
+  } catch (error) {
+    if (queue.driver === 'memory') throw error;
+
+    console.error(`Job queue "${queue.driver}" unavailable, using the in-process queue instead:`, error.message);
+    sharedQueue = createJobQueue('memory');
+    registerHandlers(sharedQueue);
+    await sharedQueue.start();
+    return sharedQueue;
+  }
+}
+
+module.exports = {
+  createJobQueue,
+  getJobQueue,
+  startJobQueue,
+  resolveDriverName,
+  hostJobType,
+  DRIVERS,
+};
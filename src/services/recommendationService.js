@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const { getRepositories } = require('../repositories');
+const { RLEngine } = require('../RLengine');
+const { getFeedService, FeedCursorError, encodeToken, decodeToken, snapshotTime, MAX_PAGE_SIZE } = require('./feedService');
+
+// Newest videos of the snapshot that are ranked; older ones are left to the latest feed
+const DEFAULT_CANDIDATE_LIMIT = 200;
+// View sessions and reactions read to build a viewer's preferences
+const SIGNAL_LIMIT = 500;
+// Cursor mode marker, so latest and for_you cursors cannot be mixed up
+const FOR_YOU_MODE = 'for_you';
+
+/**
+ * Repeatable pseudo-random numbers (mulberry32) seeded from a string
+ * @param {string} seed - Seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = crypto.createHash('sha256').update(seed).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Features a video is described by in preference vectors
+ * @param {Array<string>} tags - Video tags
+ * @param {string|null} uploaderId - Uploader user ID
+ * @returns {Array<string>} 'tag:<tag>' and 'uploader:<id>' features
+ */
+function videoFeatures(tags, uploaderId) {
+  return [...tags.map(tag => `tag:${tag}`), ...(uploaderId ? [`uploader:${uploaderId}`] : [])];
+}
+
+/**
+ * "For You" feed: the newest videos of a snapshot ranked by RLEngine against the viewer's
+ * preference vector over tags and uploaders, learned from their likes, dislikes, emoji reactions
+ * and completed views. Videos the viewer has already seen (see FeedService) are ranked after the rest.
+ * Everything is read as of the snapshot time and exploration is seeded per viewer and snapshot,
+ * so every page of a scroll session comes from the same ranking.
+ */
+class RecommendationService {
+  /**
+   * @param {Object} repositories - Repositories from src/repositories
+   * @param {Object} feedService - Feed service, for snapshots and seen videos
+   * @param {RLEngine} engine - Ranking engine
+   * @param {Object} options - candidateLimit
+   */
+  constructor(repositories, feedService, engine = new RLEngine(), options = {}) {
+    this.repositories = repositories;
+    this.feedService = feedService;
+    this.engine = engine;
+    this.candidateLimit = parseInt(options.candidateLimit ?? process.env.FOR_YOU_CANDIDATES ?? DEFAULT_CANDIDATE_LIMIT);
+  }
+
+  /**
+   * Cursor that continues the ranking at a position
+   * @param {string} snapshotAt - Snapshot time
+   * @param {number} offset - Position in the ranking
+   * @returns {string} Opaque cursor
+   */
+  encodeCursor(snapshotAt, offset) {
+    return encodeToken({ s: snapshotAt, m: FOR_YOU_MODE, o: offset });
+  }
+
+  /**
+   * Decode a cursor from encodeCursor
+   * @param {string} cursor - Opaque cursor
+   * @returns {Object} { snapshotAt, offset }
+   * @throws {FeedCursorError} When the cursor is invalid
+   */
+  decodeCursor(cursor) {
+    const payload = decodeToken(cursor);
+    const snapshotAt = snapshotTime(payload);
+
+    if (!snapshotAt || payload.m !== FOR_YOU_MODE || !Number.isInteger(payload.o) || payload.o < 0) {
+      throw new FeedCursorError('Invalid cursor');
+    }
+    return { snapshotAt, offset: payload.o };
+  }
+
+  /**
+   * Preference vector of a viewer as of a point in time
+   * @param {Object|null} identity - { userId, anonymousId } of the viewer
+   * @param {string} snapshotAt - Snapshot time
+   * @returns {Promise<Object>} Result of RLEngine.buildPreferenceVector; empty for unknown viewers
+   */
+  async getPreferences(identity, snapshotAt) {
+    if (!identity || (!identity.userId && !identity.anonymousId)) return {};
+
+    const signals = await this.repositories.interactions.getPreferenceSignals(identity, snapshotAt, SIGNAL_LIMIT);
+    return this.engine.buildPreferenceVector(signals.map(signal => ({
+      features: videoFeatures(signal.tags, signal.uploadedBy),
+      reward: this.engine.calculateVideoReward(signal),
+    })));
+  }
+
+  /**
+   * Rank the candidate videos of a snapshot for a viewer
+   * @param {Object|null} identity - { userId, anonymousId } of the viewer
+   * @param {string} snapshotAt - Snapshot time
+   * @returns {Promise<Array>} { id, score, reason } best first; seen videos last
+   */
+  async rank(identity, snapshotAt) {
+    const [candidates, vector] = await Promise.all([
+      this.repositories.videos.listRankingCandidates(snapshotAt, this.candidateLimit, this.feedService.getSeenWindow(identity, snapshotAt)),
+      this.getPreferences(identity, snapshotAt),
+    ]);
+
+    const snapshotTimeMs = new Date(snapshotAt).getTime();
+    const videos = candidates.map(video => ({
+      id: video.id,
+      tags: video.tags || [],
+      uploaderId: video.uploaded_by || null,
+      ageDays: (snapshotTimeMs - new Date(video.created_at).getTime()) / (24 * 60 * 60 * 1000),
+    }));
+    const seen = new Set(candidates.filter(video => video.seen).map(video => video.id));
+    const random = seededRandom(`${identity?.userId || identity?.anonymousId || 'guest'}:${snapshotAt}`);
+
+    const unseenRanking = this.engine.rankVideos(vector, videos.filter(video => !seen.has(video.id)), random);
+    const seenRanking = this.engine.rankVideos(vector, videos.filter(video => seen.has(video.id)), random)
+      .map(item => ({ ...item, reason: { type: 'seen', text: 'You have seen this before' } }));
+
+    return [...unseenRanking, ...seenRanking];
+  }
+
+  /**
+   * One page of the "For You" feed
+   * @param {Object} params - limit, identity of the viewer, and one of: cursor (next page),
+   *   snapshot (first page of an existing snapshot). Without either, a new snapshot starts.
+   * @returns {Promise<Object>} { videos (feed items with score and reason), pagination: { mode, limit, hasMore,
+   *   nextCursor, snapshotId, snapshotAt } }
+   * @throws {FeedCursorError} When the cursor or snapshot is invalid
+   */
+  async getPage({ limit = 10, cursor, snapshot, identity = null } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_PAGE_SIZE);
+
+    let snapshotAt = new Date().toISOString();
+    let offset = 0;
+    if (cursor) {
+      ({ snapshotAt, offset } = this.decodeCursor(cursor));
+    } else if (snapshot) {
+      snapshotAt = this.feedService.decodeSnapshot(snapshot);
+    }
+
+    const ranking = await this.rank(identity, snapshotAt);
+    const slice = ranking.slice(offset, offset + pageSize);
+
+    // Videos deactivated since the snapshot drop out of the page
+    const page = await this.repositories.videos.getFeedPage(slice.length, { snapshotAt, onlyIds: slice.map(item => item.id) });
+    const itemsById = new Map(page.videos.map(item => [item.id, item]));
+    const videos = slice
+      .filter(item => itemsById.has(item.id))
+      .map(item => ({ ...itemsById.get(item.id), score: item.score, reason: item.reason }));
+
+    const hasMore = offset + pageSize < ranking.length;
+    return {
+      videos,
+      pagination: {
+        mode: FOR_YOU_MODE,
+        limit: pageSize,
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor(snapshotAt, offset + pageSize) : null,
+        snapshotId: this.feedService.encodeSnapshot(snapshotAt),
+        snapshotAt,
+      },
+    };
+  }
+}
+
+let recommendationService = null;
+
+/**
+ * Shared recommendation service for the configured repositories
+ * @returns {RecommendationService} Service instance
+ */
+function getRecommendationService() {
+  if (!recommendationService) {
+    recommendationService = new RecommendationService(getRepositories(), getFeedService());
+  }
+  return recommendationService;
+}
+
+module.exports = {
+  RecommendationService,
+  getRecommendationService,
+  FOR_YOU_MODE,
+};
@@ -0,0 +1,242 @@
+const path = require('path');
+const { getRepositories } = require('../repositories');
+const { getStorageService } = require('./storage');
+const { getDeduplicationService } = require('./deduplicationService');
+
+// Prefix under which uploads are stored
+const UPLOAD_PREFIX = 'videos/';
+// Objects younger than this may belong to an upload whose record is still being created
+const DEFAULT_ORPHAN_GRACE_MINUTES = 60;
+// Video records read per query
+const RECORD_PAGE_SIZE = 500;
+
+/**
+ * Media type without parameters, for comparing content types
+ * @param {string|null} contentType - Content type
+ * @returns {string} Lower-case type/subtype, or an empty string
+ */
+function baseContentType(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Cross-checks stored uploads against videos records:
+ * - orphaned objects: objects under videos/ that no record points at
+ * - dangling records: records whose original is missing from storage
+ * - mismatches: records whose file_size or mime_type disagree with the stored object
+ * Reports can optionally be acted on: orphans deleted or imported as new records, dangling records deactivated.
+ */
+class ReconciliationService {
+  /**
+   * @param {Object} repositories - Repositories from src/repositories
+   * @param {Object} storageService - Storage driver
+   * @param {Object} deduplicationService - Creates records for imported orphans
+   * @param {Object} options - orphanGraceMinutes
+   */
+  constructor(repositories, storageService, deduplicationService, options = {}) {
+    this.repositories = repositories;
+    this.storageService = storageService;
+    this.deduplicationService = deduplicationService;
+    this.orphanGraceMinutes = parseFloat(
+      options.orphanGraceMinutes ?? process.env.STORAGE_ORPHAN_GRACE_MINUTES ?? DEFAULT_ORPHAN_GRACE_MINUTES
+    );
+  }
+
+  /**
+   * Every video record with the object name of its original
+   * @returns {Promise<Array>} Rows from listSources plus objectName (null when stored elsewhere, e.g. demo URLs)
+   */
+  async listRecords() {
+    const records = [];
+
+    for (let offset = 0; ; offset += RECORD_PAGE_SIZE) {
+      const page = await this.repositories.videos.listSources(RECORD_PAGE_SIZE, offset);
+      page.forEach(video => records.push({
+        ...video,
+        objectName: video.gcs_url ? this.storageService.getObjectName(video.gcs_url) : video.metadata?.gcsFileName || null,
+      }));
+      if (page.length < RECORD_PAGE_SIZE) break;
+    }
+    return records;
+  }
+
+  /**
+   * Compare storage with the videos table
+   * @returns {Promise<Object>} { scannedAt, objectsScanned, recordsScanned, externalRecords, recentObjects,
+   *   orphanedObjects, danglingRecords, mismatches }
+   */
+  async scan() {
+    const scannedAt = new Date();
+    // Objects are listed before records, so a record created during the scan finds its object listed
+    const objects = await this.storageService.listVideos(UPLOAD_PREFIX);
+    const records = await this.listRecords();
+
+    const objectsByName = new Map(objects.map(object => [object.name, object]));
+    const referenced = new Set(records.map(record => record.objectName).filter(Boolean));
+    const graceCutoff = scannedAt.getTime() - this.orphanGraceMinutes * 60 * 1000;
+
+    const orphanedObjects = [];
+    let recentObjects = 0;
+    for (const object of objects) {
+      if (referenced.has(object.name)) continue;
+
+      const timeCreated = object.metadata?.timeCreated || null;
+      if (timeCreated && new Date(timeCreated).getTime() > graceCutoff) {
+        recentObjects++;
+        continue;
+      }
+      orphanedObjects.push({
+        name: object.name,
+        publicUrl: object.publicUrl,
+        size: Number(object.metadata?.size || 0),
+        contentType: object.metadata?.contentType || null,
+        timeCreated,
+      });
+    }
+
+    const danglingRecords = [];
+    const mismatches = [];
+    for (const record of records.filter(record => record.objectName)) {
+      const object = objectsByName.get(record.objectName);
+
+      // Originals outside the listing (other prefixes, names without a video extension) are checked one by one
+      if (!object) {
+        if (!await this.storageService.exists(record.objectName)) {
+          danglingRecords.push({
+            videoId: record.id,
+            title: record.title,
+            objectName: record.objectName,
+            isActive: record.is_active,
+            inTrash: Boolean(record.deleted_at),
+          });
+        }
+        continue;
+      }
+
+      const storedSize = Number(object.metadata?.size);
+      if (record.file_size != null && Number.isFinite(storedSize) && Number(record.file_size) !== storedSize) {
+        mismatches.push({ videoId: record.id, objectName: record.objectName, field: 'size', recorded: Number(record.file_size), stored: storedSize });
+      }
+
+      const storedType = baseContentType(object.metadata?.contentType);
+      if (record.mime_type && storedType && baseContentType(record.mime_type) !== storedType) {
+        mismatches.push({ videoId: record.id, objectName: record.objectName, field: 'contentType', recorded: record.mime_type, stored: object.metadata.contentType });
+      }
+    }
+
+    return {
+      scannedAt: scannedAt.toISOString(),
+      objectsScanned: objects.length,
+      recordsScanned: records.length,
+      externalRecords: records.filter(record => !record.objectName).length,
+      recentObjects,
+      orphanedObjects,
+      danglingRecords,
+      mismatches,
+    };
+  }
+
+  /**
+   * Create a record for an orphaned object. Content that another record already holds is
+   * deleted instead, through the same deduplication as uploads.
+   * @param {Object} object - Orphaned object from scan
+   * @param {string} ownerId - User the record belongs to
+   * @returns {Promise<Object>} { name, videoId, created, duplicateOf }
+   */
+  async importOrphan(object, ownerId) {
+    const contentHash = await this.storageService.hashObject(object.name);
+    const fileName = path.posix.basename(object.name);
+
+    const { video, created, duplicateOf } = await this.deduplicationService.createVideo({
+      fileName: object.name,
+      publicUrl: object.publicUrl,
+      size: object.size,
+      contentType: object.contentType,
+      contentHash,
+      timeCreated: object.timeCreated,
+      metadata: { originalName: fileName },
+    }, {
+      // Nothing is known about who meant to publish it; the owner decides after reviewing it
+      visibility: 'private',
+      customMetadata: { reconciledAt: new Date().toISOString() },
+    }, ownerId);
+
+    return { name: object.name, videoId: video.id, created, duplicateOf: duplicateOf ? duplicateOf.id : null };
+  }
+
+  /**
+   * Scan, then apply the requested fixes
+   * @param {Object} options - deleteOrphans, importOrphans (exclusive), deactivateDangling, ownerId (required to import)
+   * @returns {Promise<Object>} Report from scan plus actions: { deleted, imported, deactivated, failed }
+   */
+  async run({ deleteOrphans = false, importOrphans = false, deactivateDangling = false, ownerId = null } = {}) {
+    if (deleteOrphans && importOrphans) {
+      throw new Error('Orphans can be deleted or imported, not both');
+    }
+    if (importOrphans && !ownerId) {
+      throw new Error('Importing orphans needs an owner for the new records');
+    }
+
+    const report = await this.scan();
+    const actions = { deleted: [], imported: [], deactivated: [], failed: [] };
+    const attempt = async (action, target, fn) => {
+      try {
+        await fn();
+      } catch (error) {
+        console.error(`Reconciliation could not ${action} ${target}:`, error);
+        actions.failed.push({ action, target, error: error.message });
+      }
+    };
+
+    for (const object of report.orphanedObjects) {
+      if (deleteOrphans) {
+        await attempt('delete', object.name, async () => {
+          if (!await this.storageService.deleteVideo(object.name)) throw new Error('Storage refused the delete');
+          actions.deleted.push(object.name);
+        });
+      } else if (importOrphans) {
+        await attempt('import', object.name, async () => {
+          actions.imported.push(await this.importOrphan(object, ownerId));
+        });
+      }
+    }
+
+    if (deactivateDangling) {
+      for (const record of report.danglingRecords.filter(record => record.isActive)) {
+        await attempt('deactivate', record.videoId, async () => {
+          await this.repositories.videos.update(record.videoId, {
+            is_active: false,
+            processing_status: 'failed',
+            processing_error: `Original ${record.objectName} is missing from storage`,
+          });
+          actions.deactivated.push(record.videoId);
+        });
+      }
+    }
+
+    console.log(
+      `Storage reconciliation: ${report.orphanedObjects.length} orphaned objects, ${report.danglingRecords.length} dangling records, ` +
+      `${report.mismatches.length} mismatches; ${actions.deleted.length} deleted, ${actions.imported.length} imported, ` +
+      `${actions.deactivated.length} deactivated, ${actions.failed.length} failed`
+    );
+    return { ...report, actions };
+  }
+}
+
+let reconciliationService = null;
+
+/**
+ * Shared reconciliation service for the configured repositories and storage
+ * @returns {ReconciliationService} Service instance
+ */
+function getReconciliationService() {
+  if (!reconciliationService) {
+    reconciliationService = new ReconciliationService(getRepositories(), getStorageService(), getDeduplicationService());
+  }
+  return reconciliationService;
+}
+
+module.exports = {
+  ReconciliationService,
+  getReconciliationService,
+};
@@ -0,0 +1,298 @@
+const { createClient } = require('redis');
+const JobQueue = require('./jobQueue');
+
+// How often delayed jobs are promoted and idle types polled
+const POLL_INTERVAL_MS = 1000;
+// Workers refresh a heartbeat for their active jobs; silent jobs are requeued
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const STALLED_AFTER_MS = 2 * 60 * 1000;
+// Completed jobs stay queryable for a week
+const COMPLETED_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+// Give up on the initial connection after this many attempts
+const CONNECT_ATTEMPTS = 3;
+
+/**
+ * Job queue on Redis, shared by every API process pointing at REDIS_URL.
+ *
+ * Keys (prefix from QUEUE_PREFIX, default "scrollnet:jobs"):
+ * - job:<id>          JSON job record
+ * - <type>:waiting    list of claimable job IDs (LPUSH / LMOVE from the right)
+ * - <type>:active     list of claimed job IDs
+ * - <type>:delayed    sorted set of job IDs by runAt
+ * - heartbeat         sorted set of active job IDs by last heartbeat
+ * - dead              list of dead-lettered job IDs, newest first
+ * - stats             hash of "<type>:completed" / "<type>:dead" counters
+ * - channel:<name>    pub/sub channel used by publish / subscribe
+ */
+class RedisJobQueue extends JobQueue {
+  constructor(options = {}) {
+    super('redis');
+
+    this.url = options.url || process.env.REDIS_URL || 'redis://localhost:6379';
+    this.prefix = options.prefix || process.env.QUEUE_PREFIX || 'scrollnet:jobs';
+    this.connected = false;
+    this.localJobs = new Set();
+    this.timers = [];
+    this.subscriber = null; // Promise of the subscriber connection
+    this.subscribedChannels = new Set();
+
+    this.client = createClient({
+      url: this.url,
+      socket: {
+        // Fail fast on startup so the server can fall back; reconnect patiently afterwards
+        reconnectStrategy: (retries) => {
+          if (!this.connected && retries >= CONNECT_ATTEMPTS) {
+            return new Error(`Could not connect to Redis at ${this.url}`);
+          }
+          return Math.min(retries * 500, 5000);
+        },
+      },
+    });
+    this.client.on('error', (error) => {
+      console.error('Redis queue error:', error.message);
+    });
+  }
+
+  key(...parts) {
+    return [this.prefix, ...parts].join(':');
+  }
+
+  async connect() {
+    await this.client.connect();
+    this.connected = true;
+
+    const poll = setInterval(() => {
+      this.promoteDelayed()
+        .then(() => this.pumpAll())
+        .catch(error => console.error('Error polling Redis queue:', error.message));
+    }, POLL_INTERVAL_MS);
+
+    const heartbeat = setInterval(() => {
+      this.sendHeartbeats()
+        .then(() => this.recoverStalled())
+        .catch(error => console.error('Error checking stalled jobs:', error.message));
+    }, HEARTBEAT_INTERVAL_MS);
+
+    this.timers = [poll, heartbeat];
+    this.timers.forEach(timer => timer.unref());
+  }
+
+  async disconnect() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+
+    if (this.subscriber) {
+      const subscriber = await this.subscriber;
+      this.subscriber = null;
+      this.subscribedChannels.clear();
+      await subscriber.quit();
+    }
+    if (this.connected) {
+      this.connected = false;
+      await this.client.quit();
+    }
+  }
+
+  async publish(channel, message) {
+    await this.client.publish(this.key('channel', channel), JSON.stringify(message));
+  }
+
+  async subscribe(channel, listener) {
+    const redisChannel = this.key('channel', channel);
+    const subscriber = await this.getSubscriber();
+
+    this.channels.on(channel, listener);
+    if (!this.subscribedChannels.has(channel)) {
+      this.subscribedChannels.add(channel);
+      await subscriber.subscribe(redisChannel, (message) => {
+        this.channels.emit(channel, JSON.parse(message));
+      });
+    }
+
+    return async () => {
+      this.channels.off(channel, listener);
+      if (this.channels.listenerCount(channel) === 0 && this.subscribedChannels.delete(channel)) {
+        await subscriber.unsubscribe(redisChannel);
+      }
+    };
+  }
+
+  /**
+   * Connection used for channel subscriptions; a connection in subscriber mode
+   * cannot run other commands, so it is separate from the job connection
+   * @returns {Promise<Object>} Connected Redis client
+   */
+  getSubscriber() {
+    if (!this.subscriber) {
+      const subscriber = this.client.duplicate();
+      subscriber.on('error', (error) => {
+        console.error('Redis subscriber error:', error.message);
+      });
+      this.subscriber = subscriber.connect().then(() => subscriber);
+    }
+    return this.subscriber;
+  }
+
+  async push(job) {
+    const added = await this.client.set(this.key('job', job.id), JSON.stringify(job), { NX: true });
+    if (!added) return false;
+
+    if (job.status === 'delayed') {
+      await this.client.zAdd(this.key(job.type, 'delayed'), { score: new Date(job.runAt).getTime(), value: job.id });
+    } else {
+      await this.client.lPush(this.key(job.type, 'waiting'), job.id);
+    }
+    return true;
+  }
+
+  async claim(type) {
+    const jobId = await this.client.lMove(this.key(type, 'waiting'), this.key(type, 'active'), 'RIGHT', 'LEFT');
+    if (!jobId) return null;
+
+    const stored = await this.getJob(jobId);
+    if (!stored) {
+      // Record expired or was removed; drop the orphaned ID
+      await this.client.lRem(this.key(type, 'active'), 1, jobId);
+      return this.claim(type);
+    }
+
+    const job = {
+      ...stored,
+      status: 'active',
+      attempts: stored.attempts + 1,
+      startedAt: new Date().toISOString(),
+    };
+
+    await this.client.multi()
+      .set(this.key('job', job.id), JSON.stringify(job))
+      .zAdd(this.key('heartbeat'), { score: Date.now(), value: job.id })
+      .exec();
+    this.localJobs.add(job.id);
+    return job;
+  }
+
+  async complete(job) {
+    this.localJobs.delete(job.id);
+    await this.client.multi()
+      .set(this.key('job', job.id), JSON.stringify(job), { EX: COMPLETED_RETENTION_SECONDS })
+      .lRem(this.key(job.type, 'active'), 1, job.id)
+      .zRem(this.key('heartbeat'), job.id)
+      .hIncrBy(this.key('stats'), `${job.type}:completed`, 1)
+      .exec();
+  }
+
+  async retry(job) {
+    this.localJobs.delete(job.id);
+    await this.client.multi()
+      .set(this.key('job', job.id), JSON.stringify(job))
+      .lRem(this.key(job.type, 'active'), 1, job.id)
+      .zRem(this.key('heartbeat'), job.id)
+      .zAdd(this.key(job.type, 'delayed'), { score: new Date(job.runAt).getTime(), value: job.id })
+      .exec();
+  }
+
+  async bury(job) {
+    this.localJobs.delete(job.id);
+    await this.client.multi()
+      .set(this.key('job', job.id), JSON.stringify(job))
+      .lRem(this.key(job.type, 'active'), 1, job.id)
+      .zRem(this.key('heartbeat'), job.id)
+      .lPush(this.key('dead'), job.id)
+      .hIncrBy(this.key('stats'), `${job.type}:dead`, 1)
+      .exec();
+  }
+
+  async requeue(job) {
+    await this.client.multi()
+      .set(this.key('job', job.id), JSON.stringify(job))
+      .lRem(this.key('dead'), 1, job.id)
+      .hIncrBy(this.key('stats'), `${job.type}:dead`, -1)
+      .lPush(this.key(job.type, 'waiting'), job.id)
+      .exec();
+  }
+
+  async getJob(jobId) {
+    const value = await this.client.get(this.key('job', jobId));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async listDead(limit = 50) {
+    const ids = await this.client.lRange(this.key('dead'), 0, limit - 1);
+    if (ids.length === 0) return [];
+
+    const values = await this.client.mGet(ids.map(id => this.key('job', id)));
+    return values.filter(Boolean).map(value => JSON.parse(value));
+  }
+
+  async countJobs(type) {
+    const [queued, active, delayed, stats] = await Promise.all([
+      this.client.lLen(this.key(type, 'waiting')),
+      this.client.lLen(this.key(type, 'active')),
+      this.client.zCard(this.key(type, 'delayed')),
+      this.client.hmGet(this.key('stats'), [`${type}:completed`, `${type}:dead`]),
+    ]);
+
+    return {
+      queued,
+      delayed,
+      active,
+      completed: Number(stats[0] || 0),
+      dead: Number(stats[1] || 0),
+    };
+  }
+
+  /**
+   * Move delayed jobs whose runAt has passed to their waiting list
+   */
+  async promoteDelayed() {
+    for (const type of this.handlers.keys()) {
+      const delayedKey = this.key(type, 'delayed');
+      const due = await this.client.zRangeByScore(delayedKey, 0, Date.now());
+
+      for (const jobId of due) {
+        // Only the process that removes the entry promotes it
+        if (await this.client.zRem(delayedKey, jobId)) {
+          const job = await this.getJob(jobId);
+          if (job) {
+            await this.client.set(this.key('job', jobId), JSON.stringify({ ...job, status: 'queued' }));
+          }
+          await this.client.lPush(this.key(type, 'waiting'), jobId);
+        }
+      }
+    }
+  }
+
+  /**
+   * Refresh the heartbeat of jobs running in this process
+   */
+  async sendHeartbeats() {
+    if (this.localJobs.size === 0) return;
+
+    const now = Date.now();
+    await this.client.zAdd(this.key('heartbeat'), [...this.localJobs].map(jobId => ({ score: now, value: jobId })));
+  }
+
+  /**
+   * Requeue active jobs whose worker stopped sending heartbeats (e.g. a crashed process)
+   */
+  async recoverStalled() {
+    const heartbeatKey = this.key('heartbeat');
+    const stalled = await this.client.zRangeByScore(heartbeatKey, 0, Date.now() - STALLED_AFTER_MS);
+
+    for (const jobId of stalled) {
+      if (this.localJobs.has(jobId) || !(await this.client.zRem(heartbeatKey, jobId))) continue;
+
+      const job = await this.getJob(jobId);
+      if (!job) continue;
+
+      console.warn(`Requeuing stalled job ${job.type} ${job.id}`);
+      await this.client.multi()
+        .set(this.key('job', job.id), JSON.stringify({ ...job, status: 'queued' }))
+        .lRem(this.key(job.type, 'active'), 1, job.id)
+        .lPush(this.key(job.type, 'waiting'), job.id)
+        .exec();
+    }
+  }
+}
+
+module.exports = RedisJobQueue;
@@ -0,0 +1,53 @@
+const GoogleCloudStorageService = require('./googleCloudStorage');
+const LocalDiskStorageService = require('./localDiskStorage');
+
+const DRIVERS = {
+  gcs: GoogleCloudStorageService,
+  local: LocalDiskStorageService,
+};
+
+let sharedStorage = null;
+
+/**
+ * Driver name from STORAGE_DRIVER; defaults to GCS when a bucket is configured
+ * @returns {string} Driver name
+ */
+function resolveDriverName() {
+  const configured = (process.env.STORAGE_DRIVER || '').trim().toLowerCase();
+  if (configured) return configured;
+
+  return process.env.GOOGLE_CLOUD_STORAGE_BUCKET ? 'gcs' : 'local';
+}
+
+/**
+ * Construct a storage driver
+ * @param {string} driverName - gcs | local (defaults to configuration)
+ * @returns {StorageDriver} Storage driver instance
+ */
+function createStorageService(driverName = resolveDriverName()) {
+  const Driver = DRIVERS[driverName];
+
+  if (!Driver) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driverName}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+
+  return new Driver();
+}
+
+/**
+ * Storage driver shared by the routes of this process
+ * @returns {StorageDriver} Storage driver instance
+ */
+function getStorageService() {
+  if (!sharedStorage) {
+    sharedStorage = createStorageService();
+  }
+  return sharedStorage;
+}
+
+module.exports = {
+  createStorageService,
+  getStorageService,
+  resolveDriverName,
+  DRIVERS,
+};
@@ -0,0 +1,368 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const VIDEO_EXTENSIONS = ['.mp4', '.avi', '.mov', '.wmv', '.flv', '.webm', '.mkv', '.m4v'];
+
+const MIME_TYPES = {
+  '.mp4': 'video/mp4',
+  '.avi': 'video/x-msvideo',
+  '.mov': 'video/quicktime',
+  '.wmv': 'video/x-ms-wmv',
+  '.flv': 'video/x-flv',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.m4v': 'video/x-m4v',
+};
+
+// Files generated by video processing, for drivers that do not keep a content type per object
+const DERIVED_MIME_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.m4s': 'video/iso.segment',
+  '.jpg': 'image/jpeg',
+  '.vtt': 'text/vtt',
+};
+
+// public: objects are world-readable at their public URL
+// private: objects are only readable through signed URLs
+const ACCESS_MODES = ['public', 'private'];
+
+/**
+ * Base class for storage backends.
+ * Drivers implement uploadFile, getPublicUrl, deleteVideo, getSignedUrl, listVideos, exists, downloadFile,
+ * createReadStream, statObject and deletePrefix; naming, hashing, batching and directory handling are shared here.
+ */
+class StorageDriver {
+  /**
+   * @param {string} driver - Driver name
+   * @param {Object} options - access: public | private (defaults to STORAGE_ACCESS, then public)
+   */
+  constructor(driver, options = {}) {
+    this.driver = driver;
+    this.access = (options.access || process.env.STORAGE_ACCESS || 'public').trim().toLowerCase();
+
+    if (!ACCESS_MODES.includes(this.access)) {
+      throw new Error(`Unknown STORAGE_ACCESS "${this.access}". Use one of: ${ACCESS_MODES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Whether objects can only be read through signed URLs
+   * @returns {boolean} Private flag
+   */
+  get isPrivate() {
+    return this.access === 'private';
+  }
+
+  /**
+   * Object name behind a public URL produced by this driver
+   * @param {string} url - Public URL
+   * @returns {string|null} Object name, or null if the URL does not point into this storage
+   */
+  getObjectName(url) {
+    const prefix = this.getPublicUrl('');
+    if (typeof url !== 'string' || !url.startsWith(prefix)) return null;
+
+    const objectName = decodeURIComponent(url.slice(prefix.length).split(/[?#]/)[0]);
+    return objectName || null;
+  }
+
+  /**
+   * Store a file or buffer under the given object name
+   * @param {Object} file - { buffer } or { path }, plus mimetype
+   * @param {string} fileName - Destination object name
+   * @param {Object} metadata - Custom metadata stored with the object
+   * @param {Object} options - onProgress(bytesWritten) while a { path } file is copied
+   * @returns {Promise<Object>} fileName, publicUrl, size, contentType, timeCreated, metadata,
+   *   contentHash (SHA-256 of the stored bytes, hex)
+   */
+  async uploadFile(file, fileName, metadata = {}, options = {}) {
+    throw new Error(`${this.driver} storage does not implement uploadFile`);
+  }
+
+  /**
+   * Unsigned URL of an object (readable only when access is public)
+   * @param {string} fileName - Object name
+   * @returns {string} Public URL
+   */
+  getPublicUrl(fileName) {
+    throw new Error(`${this.driver} storage does not implement getPublicUrl`);
+  }
+
+  /**
+   * Delete an object
+   * @param {string} fileName - Object name
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteVideo(fileName) {
+    throw new Error(`${this.driver} storage does not implement deleteVideo`);
+  }
+
+  /**
+   * Delete every object under a prefix
+   * @param {string} prefix - Object name prefix, without a trailing slash
+   * @returns {Promise<boolean>} Success status
+   */
+  async deletePrefix(prefix) {
+    throw new Error(`${this.driver} storage does not implement deletePrefix`);
+  }
+
+  /**
+   * Get a time-limited URL for reading an object
+   * @param {string} fileName - Object name
+   * @param {number} expiresIn - Expiration time in minutes
+   * @returns {Promise<string>} Signed URL
+   */
+  async getSignedUrl(fileName, expiresIn = 60) {
+    throw new Error(`${this.driver} storage does not implement getSignedUrl`);
+  }
+
+  /**
+   * List stored videos
+   * @param {string} prefix - Prefix to filter objects
+   * @returns {Promise<Array>} { name, publicUrl, metadata }
+   */
+  async listVideos(prefix = 'videos/') {
+    throw new Error(`${this.driver} storage does not implement listVideos`);
+  }
+
+  /**
+   * Check whether an object exists
+   * @param {string} fileName - Object name
+   * @returns {Promise<boolean>} Exists flag
+   */
+  async exists(fileName) {
+    throw new Error(`${this.driver} storage does not implement exists`);
+  }
+
+  /**
+   * Copy an object to a local file
+   * @param {string} fileName - Object name
+   * @param {string} destination - Local file path
+   * @returns {Promise<string>} Destination path
+   */
+  async downloadFile(fileName, destination) {
+    throw new Error(`${this.driver} storage does not implement downloadFile`);
+  }
+
+  /**
+   * Read stream of an object
+   * @param {string} fileName - Object name
+   * @param {Object} options - start, end: inclusive byte range to read (whole object by default)
+   * @returns {stream.Readable} Object contents
+   */
+  createReadStream(fileName, options = {}) {
+    throw new Error(`${this.driver} storage does not implement createReadStream`);
+  }
+
+  /**
+   * Size and cache validators of an object
+   * @param {string} fileName - Object name
+   * @returns {Promise<Object|null>} { size, contentType, etag, lastModified (Date) }, or null if it does not exist
+   */
+  async statObject(fileName) {
+    throw new Error(`${this.driver} storage does not implement statObject`);
+  }
+
+  /**
+   * SHA-256 of a stored object, read from storage
+   * @param {string} fileName - Object name
+   * @returns {Promise<string>} Hex digest
+   */
+  async hashObject(fileName) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of this.createReadStream(fileName)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * SHA-256 of an in-memory file
+   * @param {Buffer} buffer - File contents
+   * @returns {string} Hex digest
+   */
+  hashBuffer(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Upload a single video file under a generated name
+   * @param {Object} file - Multer file object
+   * @param {Object} metadata - Additional metadata for the video
+   * @param {Object} options - Passed to uploadFile (onProgress)
+   * @returns {Promise<Object>} Upload result with public URL
+   */
+  async uploadVideo(file, metadata = {}, options = {}) {
+    try {
+      const fileName = this.generateFileName(file.originalname);
+
+      return await this.uploadFile(file, fileName, {
+        ...metadata,
+        originalName: file.originalname,
+        uploadedAt: new Date().toISOString(),
+      }, options);
+    } catch (error) {
+      console.error('Error uploading video:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read stream of a local file that hashes the bytes as they pass and reports the bytes read so far.
+   * Once the stream has been consumed, stream.contentHash() returns the SHA-256 hex digest.
+   * @param {string} filePath - Local file path
+   * @param {Function} onProgress - (bytesRead) => void, optional
+   * @returns {fs.ReadStream} Read stream
+   */
+  createProgressStream(filePath, onProgress = null) {
+    const stream = fs.createReadStream(filePath);
+    const hash = crypto.createHash('sha256');
+    let bytesRead = 0;
+
+    stream.on('data', (chunk) => {
+      hash.update(chunk);
+      bytesRead += chunk.length;
+      if (onProgress) onProgress(bytesRead);
+    });
+    stream.contentHash = () => hash.digest('hex');
+    return stream;
+  }
+
+  /**
+   * Upload multiple videos in batch
+   * @param {Array} files - Array of file objects
+   * @param {Function} progressCallback - Callback for upload progress
+   * @returns {Promise<Array>} Array of upload results
+   */
+  async uploadVideoBatch(files, progressCallback = null) {
+    const results = [];
+    const errors = [];
+
+    for (let i = 0; i < files.length; i++) {
+      try {
+        const result = await this.uploadVideo(files[i]);
+        results.push({
+          success: true,
+          file: files[i].originalname,
+          result,
+        });
+
+        if (progressCallback) {
+          progressCallback({
+            current: i + 1,
+            total: files.length,
+            fileName: files[i].originalname,
+            status: 'completed',
+          });
+        }
+      } catch (error) {
+        errors.push({
+          success: false,
+          file: files[i].originalname,
+          error: error.message,
+        });
+
+        if (progressCallback) {
+          progressCallback({
+            current: i + 1,
+            total: files.length,
+            fileName: files[i].originalname,
+            status: 'failed',
+            error: error.message,
+          });
+        }
+      }
+    }
+
+    return {
+      successful: results,
+      failed: errors,
+      totalUploaded: results.length,
+      totalFailed: errors.length,
+    };
+  }
+
+  /**
+   * Upload videos from local directory
+   * @param {string} directoryPath - Path to directory containing videos
+   * @param {Function} progressCallback - Progress callback
+   * @returns {Promise<Object>} Upload results
+   */
+  async uploadFromDirectory(directoryPath, progressCallback = null) {
+    try {
+      const files = fs.readdirSync(directoryPath);
+      const videoFiles = files.filter(file =>
+        this.isVideoFile(file)
+      );
+
+      const fileObjects = videoFiles.map(fileName => {
+        const filePath = path.join(directoryPath, fileName);
+        const stats = fs.statSync(filePath);
+
+        return {
+          originalname: fileName,
+          path: filePath,
+          size: stats.size,
+          mimetype: this.getMimeType(fileName),
+        };
+      });
+
+      console.log(`Found ${fileObjects.length} video files in directory`);
+
+      return await this.uploadVideoBatch(fileObjects, progressCallback);
+    } catch (error) {
+      console.error('Error uploading from directory:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a unique filename for storage
+   * @param {string} originalName - Original filename
+   * @returns {string} Generated filename
+   */
+  generateFileName(originalName) {
+    const timestamp = Date.now();
+    const randomString = Math.random().toString(36).substring(2, 15);
+    const extension = path.extname(originalName);
+    const baseName = path.basename(originalName, extension)
+      .replace(/[^a-zA-Z0-9]/g, '_')
+      .toLowerCase();
+
+    return `videos/${timestamp}_${randomString}_${baseName}${extension}`;
+  }
+
+  /**
+   * Check if file is a video
+   * @param {string} fileName - File name
+   * @returns {boolean} Is video file
+   */
+  isVideoFile(fileName) {
+    const extension = path.extname(fileName).toLowerCase();
+    return VIDEO_EXTENSIONS.includes(extension);
+  }
+
+  /**
+   * Get MIME type for file
+   * @param {string} fileName - File name
+   * @returns {string} MIME type
+   */
+  getMimeType(fileName) {
+    const extension = path.extname(fileName).toLowerCase();
+    return MIME_TYPES[extension] || 'video/mp4';
+  }
+
+  /**
+   * Content type of any stored object: uploads and the files generated from them
+   * @param {string} fileName - Object name
+   * @returns {string} MIME type
+   */
+  getContentType(fileName) {
+    const extension = path.extname(fileName).toLowerCase();
+    return DERIVED_MIME_TYPES[extension] || MIME_TYPES[extension] || 'application/octet-stream';
+  }
+}
+
+module.exports = StorageDriver;
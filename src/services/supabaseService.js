@@ -1,448 +1,145 @@
 const { createClient } = require('@supabase/supabase-js');
+const { resolveDriverName } = require('../repositories');
+const { isValidUUID } = require('../repositories/base');
+
+// Access token accepted in place of a Supabase one when dev auth is on (see devAuthUserId)
+const DEV_ACCESS_TOKEN = 'dev';
+
+/**
+ * User the "dev" access token signs in as, for the offline loop (memory data, local storage).
+ * Only honoured without Supabase Auth, with the memory data driver and outside production,
+ * so setting DEV_AUTH_USER_ID cannot open a real deployment.
+ * @returns {string|null} User ID from DEV_AUTH_USER_ID, or null when dev auth is off
+ */
+function devAuthUserId() {
+  const userId = (process.env.DEV_AUTH_USER_ID || '').trim();
+  if (!userId) return null;
+
+  if (!isValidUUID(userId)) {
+    throw new Error('DEV_AUTH_USER_ID must be a UUID');
+  }
+  const supabaseConfigured = Boolean(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY);
+  if (supabaseConfigured || resolveDriverName() !== 'memory' || process.env.NODE_ENV === 'production') {
+    return null;
+  }
+  return userId;
+}
 
+/**
+ * Supabase Auth: token verification, sign-in and registration.
+ * Table access goes through the repositories in src/repositories.
+ */
 class SupabaseService {
   constructor() {
-    this.supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_ROLE_KEY
-    );
+    this.configured = Boolean(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY);
+    this.supabase = this.configured
+      ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+      : null;
+    this.devUserId = devAuthUserId();
   }
 
-  // ============ VIDEO OPERATIONS ============
-
   /**
-   * Create a new video record in the database
-   * @param {Object} videoData - Video data from GCS upload
-   * @param {string} userId - User ID who uploaded the video
-   * @returns {Promise<Object>} Created video record
+   * Fail auth calls clearly when running without Supabase (e.g. demo mode)
    */
-  async createVideo(videoData, userId) {
-    try {
-      const { data, error } = await this.supabase
-        .from('videos')
-        .insert({
-          title: videoData.title || this.extractTitleFromFileName(videoData.fileName),
-          description: videoData.description || '',
-          gcs_url: videoData.publicUrl,
-          thumbnail_url: videoData.thumbnailUrl || null,
-          duration: videoData.duration || null,
-          file_size: parseInt(videoData.size),
-          mime_type: videoData.contentType,
-          tags: videoData.tags || [],
-          metadata: {
-            originalFileName: videoData.metadata?.originalName || videoData.fileName,
-            uploadedAt: videoData.timeCreated,
-            gcsFileName: videoData.fileName,
-          },
-          uploaded_by: userId === '00000000-0000-0000-0000-000000000001' ? null : userId, // Skip foreign key for MVP
-          is_active: true,
-        })
-        .select()
-        .single();
-
-      if (error) throw error;
-      return data;
-    } catch (error) {
-      console.error('Error creating video record:', error);
-      throw error;
+  assertConfigured() {
+    if (!this.configured) {
+      throw new Error('Supabase Auth is not configured (set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY)');
     }
   }
 
-  /**
-   * Get videos for the feed
-   * @param {string} userId - User ID for personalization
-   * @param {number} limit - Number of videos to fetch
-   * @param {number} offset - Offset for pagination
-   * @returns {Promise<Array>} Array of videos
-   */
-  async getVideoFeed(userId = null, limit = 10, offset = 0) {
-    try {
-      // Simple query without joins to avoid foreign key issues
-      const { data, error } = await this.supabase
-        .from('videos')
-        .select(`
-          id,
-          title,
-          description,
-          gcs_url,
-          thumbnail_url,
-          duration,
-          tags,
-          created_at,
-          uploaded_by
-        `)
-        .eq('is_active', true)
-        .order('created_at', { ascending: false })
-        .range(offset, offset + limit - 1);
-
-      if (error) throw error;
-
-      // Transform data for frontend compatibility
-      return data.map(video => ({
-        id: video.id,
-        title: video.title,
-        description: video.description,
-        url: video.gcs_url,
-        thumbnail: video.thumbnail_url,
-        duration: video.duration,
-        tags: video.tags || [],
-        uploader: 'ScrollNet User', // Generic uploader name for MVP
-        createdAt: video.created_at,
-      }));
-    } catch (error) {
-      console.error('Error fetching video feed:', error);
-      throw error;
-    }
-  }
+  // ============ AUTH OPERATIONS ============
 
   /**
-   * Get a specific video by ID
-   * @param {string} videoId - Video ID
-   * @returns {Promise<Object>} Video data
+   * Validate a Supabase access token and return its user
+   * @param {string} accessToken - JWT from the Authorization header
+   * @returns {Promise<Object>} Supabase auth user
+   * @throws {Error} With status 401 when Supabase rejects the token; other errors mean it could not be checked
    */
-  async getVideo(videoId) {
-    try {
-      const { data, error } = await this.supabase
-        .from('videos')
-        .select(`
-          *,
-          user_profiles!videos_uploaded_by_fkey(username, full_name, avatar_url)
-        `)
-        .eq('id', videoId)
-        .eq('is_active', true)
-        .single();
-
-      if (error) throw error;
-      return data;
-    } catch (error) {
-      console.error('Error fetching video:', error);
-      throw error;
+  async verifyAccessToken(accessToken) {
+    if (this.devUserId && accessToken === DEV_ACCESS_TOKEN) {
+      return { id: this.devUserId, email: 'dev@localhost', user_metadata: {} };
     }
-  }
 
-  /**
-   * Update video metadata
-   * @param {string} videoId - Video ID
-   * @param {Object} updates - Updates to apply
-   * @returns {Promise<Object>} Updated video
-   */
-  async updateVideo(videoId, updates) {
-    try {
-      const { data, error } = await this.supabase
-        .from('videos')
-        .update(updates)
-        .eq('id', videoId)
-        .select()
-        .single();
+    this.assertConfigured();
+    const { data, error } = await this.supabase.auth.getUser(accessToken);
 
-      if (error) throw error;
-      return data;
-    } catch (error) {
-      console.error('Error updating video:', error);
+    // Network failures and Supabase outages carry no status or a 5xx; the token may well be valid
+    if (error && !(error.status >= 400 && error.status < 500)) {
       throw error;
     }
-  }
-
-  // ============ USER INTERACTION OPERATIONS ============
-
-  /**
-   * Record user interaction with a video
-   * @param {string} userId - User ID
-   * @param {string} videoId - Video ID
-   * @param {string} interactionType - Type of interaction
-   * @param {Object} interactionData - Additional data
-   * @returns {Promise<Object>} Interaction record
-   */
-  async recordInteraction(userId, videoId, interactionType, interactionData = {}) {
-    try {
-      // Handle anonymous users by generating a session-based UUID
-      let finalUserId = userId;
-      if (!userId || userId === 'anonymous-user' || !this.isValidUUID(userId)) {
-        // Generate a consistent anonymous user ID for this session
-        finalUserId = this.generateAnonymousUserId();
-        console.log('Generated anonymous user ID:', finalUserId);
-      }
-
-      const { data, error } = await this.supabase
-        .from('user_interactions')
-        .insert({
-          user_id: finalUserId,
-          video_id: videoId,
-          interaction_type: interactionType,
-          interaction_data: interactionData,
-          created_at: new Date().toISOString()
-        })
-        .select()
-        .single();
-
-      if (error) throw error;
-      return data;
-    } catch (error) {
-      console.error('Error recording interaction:', error);
-      // For MVP, return success even if database fails
-      return { 
-        success: true, 
-        message: 'Interaction logged (MVP mode)',
-        fallback: true 
-      };
+    if (error || !data?.user) {
+      const rejected = new Error(error?.message || 'Invalid or expired access token');
+      rejected.status = 401;
+      throw rejected;
     }
-  }
 
-  /**
-   * Generate a consistent anonymous user ID for the session
-   * @returns {string} UUID for anonymous user
-   */
-  generateAnonymousUserId() {
-    // Generate a UUID v4 for anonymous users
-    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-      const r = Math.random() * 16 | 0;
-      const v = c == 'x' ? r : (r & 0x3 | 0x8);
-      return v.toString(16);
-    });
-  }
-
-  /**
-   * Check if a string is a valid UUID
-   * @param {string} str - String to check
-   * @returns {boolean} True if valid UUID
-   */
-  isValidUUID(str) {
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    return uuidRegex.test(str);
+    return data.user;
   }
 
   /**
-   * Get user interactions for a video
+   * Look up a user with the service-role client
    * @param {string} userId - User ID
-   * @param {string} videoId - Video ID
-   * @returns {Promise<Array>} User interactions
+   * @returns {Promise<Object>} Supabase auth user
    */
-  async getUserInteractions(userId, videoId) {
-    try {
-      const { data, error } = await this.supabase
-        .from('user_interactions')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('video_id', videoId);
+  async getUserById(userId) {
+    this.assertConfigured();
+    const { data, error } = await this.supabase.auth.admin.getUserById(userId);
 
-      if (error) throw error;
-      return data;
-    } catch (error) {
-      console.error('Error fetching user interactions:', error);
-      throw error;
-    }
+    if (error) throw error;
+    return data.user;
   }
 
-  // ============ FEEDBACK OPERATIONS ============
-
   /**
-   * Submit user feedback
-   * @param {Object} feedbackData - Feedback data
-   * @returns {Promise<Object>} Feedback record
+   * Sign in with email and password
+   * Uses a throwaway client so the service-role client never carries a user session
+   * @param {string} email - User email
+   * @param {string} password - User password
+   * @returns {Promise<Object>} Supabase user and session
    */
-  async submitFeedback(feedbackData) {
-    try {
-      const { data, error } = await this.supabase
-        .from('feedback')
-        .insert(feedbackData)
-        .select()
-        .single();
+  async signInWithPassword(email, password) {
+    this.assertConfigured();
+    const authClient = this.createAuthClient();
+    const { data, error } = await authClient.auth.signInWithPassword({ email, password });
 
-      if (error) throw error;
-      return data;
-    } catch (error) {
-      console.error('Error submitting feedback:', error);
-      throw error;
-    }
+    if (error) throw error;
+    return data;
   }
 
-  // ============ UPLOAD SESSION OPERATIONS ============
-
   /**
-   * Create an upload session
-   * @param {string} userId - User ID
-   * @param {string} sessionName - Session name
-   * @param {number} totalFiles - Total number of files
-   * @returns {Promise<Object>} Upload session
+   * Register a new user through Supabase Auth
+   * The handle_new_user trigger creates the matching user_profiles row
+   * @param {Object} registration - email, password, username, fullName
+   * @returns {Promise<Object>} Supabase user and session (session is null until email is confirmed)
    */
-  async createUploadSession(userId, sessionName, totalFiles) {
-    try {
-      const finalUserId = userId === '00000000-0000-0000-0000-000000000001' ? null : userId;
-      console.log('Creating upload session with userId:', userId, '-> finalUserId:', finalUserId);
-      
-      const { data, error } = await this.supabase
-        .from('upload_sessions')
-        .insert({
-          user_id: finalUserId, // Skip foreign key for MVP
-          session_name: sessionName,
-          total_files: totalFiles,
-          uploaded_files: 0,
-          failed_files: 0,
-          status: 'in_progress',
-        })
-        .select()
-        .single();
-
-      if (error) throw error;
-      return data;
-    } catch (error) {
-      console.error('Error creating upload session:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Update upload session progress
-   * @param {string} sessionId - Session ID
-   * @param {Object} updates - Updates to apply
-   * @returns {Promise<Object>} Updated session
-   */
-  async updateUploadSession(sessionId, updates) {
-    try {
-      const { data, error } = await this.supabase
-        .from('upload_sessions')
-        .update(updates)
-        .eq('id', sessionId)
-        .select()
-        .single();
-
-      if (error) throw error;
-      return data;
-    } catch (error) {
-      console.error('Error updating upload session:', error);
-      throw error;
-    }
-  }
-
-  // ============ USER OPERATIONS ============
-
-  /**
-   * Get user profile
-   * @param {string} userId - User ID
-   * @returns {Promise<Object>} User profile
-   */
-  async getUserProfile(userId) {
-    try {
-      const { data, error } = await this.supabase
-        .from('user_profiles')
-        .select('*')
-        .eq('id', userId)
-        .single();
-
-      if (error) throw error;
-      return data;
-    } catch (error) {
-      console.error('Error fetching user profile:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Update user profile
-   * @param {string} userId - User ID
-   * @param {Object} updates - Profile updates
-   * @returns {Promise<Object>} Updated profile
-   */
-  async updateUserProfile(userId, updates) {
-    try {
-      const { data, error } = await this.supabase
-        .from('user_profiles')
-        .update(updates)
-        .eq('id', userId)
-        .select()
-        .single();
-
-      if (error) throw error;
-      return data;
-    } catch (error) {
-      console.error('Error updating user profile:', error);
-      throw error;
-    }
-  }
-
-  // ============ ANALYTICS OPERATIONS ============
-
-  /**
-   * Get video analytics
-   * @param {string} videoId - Video ID
-   * @returns {Promise<Object>} Video analytics
-   */
-  async getVideoAnalytics(videoId) {
-    try {
-      const { data, error } = await this.supabase
-        .from('user_interactions')
-        .select('interaction_type, interaction_data, created_at')
-        .eq('video_id', videoId);
-
-      if (error) throw error;
-
-      // Process analytics
-      const analytics = {
-        totalInteractions: data.length,
-        likes: data.filter(i => i.interaction_type === 'like').length,
-        dislikes: data.filter(i => i.interaction_type === 'dislike').length,
-        emojiReactions: data.filter(i => i.interaction_type === 'emoji'),
-        views: data.filter(i => i.interaction_type === 'view').length,
-      };
-
-      return analytics;
-    } catch (error) {
-      console.error('Error fetching video analytics:', error);
-      throw error;
-    }
-  }
-
-  // ============ UTILITY METHODS ============
+  async registerUser({ email, password, username, fullName }) {
+    this.assertConfigured();
+    const authClient = this.createAuthClient();
+    const { data, error } = await authClient.auth.signUp({
+      email,
+      password,
+      options: {
+        data: {
+          username,
+          full_name: fullName || null,
+        },
+      },
+    });
 
-  /**
-   * Extract title from filename
-   * @param {string} fileName - File name
-   * @returns {string} Extracted title
-   */
-  extractTitleFromFileName(fileName) {
-    const baseName = fileName.split('/').pop(); // Remove path
-    const nameWithoutExt = baseName.replace(/\.[^/.]+$/, ''); // Remove extension
-    const cleanName = nameWithoutExt
-      .replace(/^\d+_[a-z0-9]+_/, '') // Remove timestamp and random string
-      .replace(/_/g, ' ') // Replace underscores with spaces
-      .replace(/\b\w/g, l => l.toUpperCase()); // Capitalize words
-    
-    return cleanName || 'Untitled Video';
+    if (error) throw error;
+    return data;
   }
 
   /**
-   * Batch create videos from upload results
-   * @param {Array} uploadResults - Results from GCS batch upload
-   * @param {string} userId - User ID
-   * @returns {Promise<Object>} Batch creation results
+   * Create a stateless Supabase client for end-user auth flows
+   * @returns {Object} Supabase client
    */
-  async batchCreateVideos(uploadResults, userId) {
-    const successful = [];
-    const failed = [];
-
-    for (const result of uploadResults.successful) {
-      try {
-        const videoRecord = await this.createVideo(result.result, userId);
-        successful.push({
-          file: result.file,
-          videoId: videoRecord.id,
-          videoRecord,
-        });
-      } catch (error) {
-        failed.push({
-          file: result.file,
-          error: error.message,
-        });
-      }
-    }
-
-    return {
-      successful,
-      failed,
-      totalCreated: successful.length,
-      totalFailed: failed.length + uploadResults.failed.length,
-    };
+  createAuthClient() {
+    return createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY,
+      { auth: { persistSession: false, autoRefreshToken: false } }
+    );
   }
 }
 
-module.exports = SupabaseService; 
\ No newline at end of file
+module.exports = SupabaseService;
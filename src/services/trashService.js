@@ -0,0 +1,128 @@
+const { getRepositories } = require('../repositories');
+const { isUniqueViolation } = require('../repositories/base');
+const { getStorageService } = require('./storage');
+const { derivedPrefix } = require('./videoProcessingService');
+
+// Days a deleted video stays restorable before trash.purge removes it
+const DEFAULT_RETENTION_DAYS = 30;
+// Expired videos purged per trash.purge run
+const PURGE_BATCH_SIZE = 100;
+
+/**
+ * Trash lifecycle of videos: deleting moves a video to the trash, where it can be restored until
+ * the retention period runs out; purging removes the row and its stored objects for good.
+ */
+class TrashService {
+  /**
+   * @param {Object} repositories - Repositories from src/repositories
+   * @param {Object} storageService - Storage driver
+   * @param {Object} options - retentionDays
+   */
+  constructor(repositories, storageService, options = {}) {
+    this.repositories = repositories;
+    this.storageService = storageService;
+    this.retentionDays = parseFloat(options.retentionDays || process.env.TRASH_RETENTION_DAYS || DEFAULT_RETENTION_DAYS);
+  }
+
+  /**
+   * When a trashed video is purged automatically
+   * @param {Object} video - videos row with deleted_at
+   * @returns {string} ISO timestamp
+   */
+  purgeAt(video) {
+    return new Date(new Date(video.deleted_at).getTime() + this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  /**
+   * Move a video to the trash
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object>} Updated videos row
+   */
+  async trash(videoId) {
+    return this.repositories.videos.update(videoId, { is_active: false, deleted_at: new Date().toISOString() });
+  }
+
+  /**
+   * Take a video out of the trash.
+   * If its content was uploaded again in the meantime, the video comes back as a duplicate of that upload.
+   * @param {Object} video - Trashed videos row
+   * @returns {Promise<Object>} { video, duplicateOf }; duplicateOf is the ID of the other upload, or null
+   */
+  async restore(video) {
+    const restored = { is_active: true, deleted_at: null };
+
+    try {
+      return { video: await this.repositories.videos.update(video.id, restored), duplicateOf: null };
+    } catch (error) {
+      if (!isUniqueViolation(error)) throw error;
+
+      const existing = await this.repositories.videos.findByContentHash(video.content_hash);
+      if (!existing) throw error;
+
+      const updated = await this.repositories.videos.update(video.id, { ...restored, duplicate_of: existing.id });
+      return { video: updated, duplicateOf: existing.id };
+    }
+  }
+
+  /**
+   * Permanently delete a video: the row with its interactions and views, its generated files, and
+   * the original unless another record still uses it. The row goes first, so a storage failure
+   * leaves orphaned objects rather than records pointing at missing files.
+   * @param {Object} video - videos row
+   * @returns {Promise<Object>} { videoId, interactions, views, feedback, successor, originalDeleted, derivedDeleted }
+   */
+  async purge(video) {
+    const result = await this.repositories.videos.purge(video.id);
+
+    const fileName = video.metadata?.gcsFileName;
+    const sharedWith = video.gcs_url ? await this.repositories.videos.listBySourceUrls([video.gcs_url]) : [];
+    const originalDeleted = fileName && sharedWith.length === 0
+      ? await this.storageService.deleteVideo(fileName)
+      : false;
+    const derivedDeleted = await this.storageService.deletePrefix(derivedPrefix(video.id));
+
+    console.log(`Purged video ${video.id}${sharedWith.length > 0 ? ` (original kept for ${sharedWith.length} other records)` : ''}`);
+    return { videoId: video.id, ...result, originalDeleted, derivedDeleted };
+  }
+
+  /**
+   * Purge videos whose retention period has run out
+   * @param {number} limit - Maximum number of videos to purge
+   * @returns {Promise<Object>} { cutoff, purged, failed }
+   */
+  async purgeExpired(limit = PURGE_BATCH_SIZE) {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const videos = await this.repositories.videos.listTrashedBefore(cutoff, limit);
+    const purged = [];
+    const failed = [];
+
+    for (const video of videos) {
+      try {
+        purged.push(await this.purge(video));
+      } catch (error) {
+        console.error(`Error purging video ${video.id}:`, error);
+        failed.push({ videoId: video.id, error: error.message });
+      }
+    }
+
+    return { cutoff, purged, failed };
+  }
+}
+
+let trashService = null;
+
+/**
+ * Shared trash service for the configured repositories and storage
+ * @returns {TrashService} Service instance
+ */
+function getTrashService() {
+  if (!trashService) {
+    trashService = new TrashService(getRepositories(), getStorageService());
+  }
+  return trashService;
+}
+
+module.exports = {
+  TrashService,
+  getTrashService,
+};
@@ -0,0 +1,398 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { UploadSessionService } = require('./uploadSessionService');
+const { UploadProgressService } = require('./uploadProgressService');
+const { getJobQueue, hostJobType } = require('./queue');
+const { DUPLICATE_POLICIES } = require('./deduplicationService');
+const { MediaValidationError, readHead, assertVideoSignature, validateVideoFile, SIGNATURE_BYTES } = require('./mediaValidation');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'termination', 'expiration'];
+// Received files wait here until the upload.file job moves them into storage
+const DEFAULT_TEMP_DIR = process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), 'scrollnet-uploads');
+
+/**
+ * Error carrying the HTTP status a tus route should answer with,
+ * plus optional fields for the response body
+ */
+class TusError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'TusError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Parse a tus Upload-Metadata header ("key base64value,key2 base64value2")
+ * @param {string} header - Header value
+ * @returns {Object} Decoded key/value pairs
+ */
+function parseUploadMetadata(header) {
+  const metadata = {};
+  if (!header) return metadata;
+
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (!key) continue;
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+  return metadata;
+}
+
+/**
+ * Encode metadata back into an Upload-Metadata header
+ * @param {Object} metadata - Key/value pairs
+ * @returns {string} Header value
+ */
+function formatUploadMetadata(metadata) {
+  return Object.entries(metadata)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key} ${Buffer.from(String(value)).toString('base64')}`)
+    .join(',');
+}
+
+/**
+ * Resumable uploads following the tus protocol.
+ * Chunks are appended to a temp file; once complete an upload.file job moves the
+ * file into the storage backend and creates its videos row.
+ */
+class TusUploadService {
+  /**
+   * @param {Object} repositories - Repositories from src/repositories
+   * @param {Object} storageService - Storage driver
+   * @param {Object} options - tempDir, maxSize, expirationHours
+   */
+  constructor(repositories, storageService, options = {}) {
+    this.repositories = repositories;
+    this.storageService = storageService;
+    this.uploadSessionService = new UploadSessionService(repositories);
+    this.uploadProgressService = new UploadProgressService(repositories);
+    this.tempDir = path.resolve(options.tempDir || DEFAULT_TEMP_DIR);
+    this.maxSize = parseInt(options.maxSize || process.env.UPLOAD_MAX_BYTES || 5 * 1024 * 1024 * 1024);
+    this.expirationHours = parseFloat(options.expirationHours || process.env.UPLOAD_EXPIRATION_HOURS || 24);
+
+    // Uploads with a PATCH in flight; a second concurrent PATCH is refused
+    this.locks = new Set();
+
+    fs.mkdirSync(this.tempDir, { recursive: true });
+  }
+
+  /**
+   * Create an upload, attaching it to an existing session or a new one
+   * @param {string} userId - Uploading user
+   * @param {Object} params - length (bytes) and metadata (decoded Upload-Metadata)
+   * @returns {Promise<Object>} upload_files record
+   */
+  async createUpload(userId, { length, metadata = {} }) {
+    // An empty upload would never receive the chunk that finalizes it, and is no video anyway
+    if (!Number.isSafeInteger(length) || length < 1) {
+      throw new TusError(400, 'Upload-Length must be a positive integer');
+    }
+    if (length > this.maxSize) {
+      throw new TusError(413, `Upload exceeds the maximum size of ${this.maxSize} bytes`);
+    }
+
+    const fileName = metadata.filename || metadata.name || 'video.mp4';
+    if (!this.storageService.isVideoFile(fileName)) {
+      throw new TusError(415, `"${fileName}" is not a supported video file`);
+    }
+
+    const onDuplicate = metadata.onDuplicate || 'existing';
+    if (!DUPLICATE_POLICIES.includes(onDuplicate)) {
+      throw new TusError(400, `onDuplicate must be one of: ${DUPLICATE_POLICIES.join(', ')}`);
+    }
+
+    let sessionId = metadata.sessionId || null;
+    if (sessionId) {
+      const session = await this.repositories.uploadSessions.getById(sessionId);
+      if (!session || session.user_id !== userId) {
+        throw new TusError(404, 'Upload session not found');
+      }
+    } else {
+      const session = await this.repositories.uploadSessions.create(userId, metadata.sessionName || `Upload: ${fileName}`, 1);
+      sessionId = session.id;
+    }
+
+    const upload = await this.repositories.uploadSessions.createFile({
+      session_id: sessionId,
+      user_id: userId,
+      file_name: fileName,
+      mime_type: metadata.filetype || this.storageService.getMimeType(fileName),
+      upload_length: length,
+      upload_offset: 0,
+      metadata: {
+        title: metadata.title,
+        description: metadata.description,
+        tags: metadata.tags ? metadata.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+        onDuplicate,
+      },
+      status: 'uploading',
+      expires_at: new Date(Date.now() + this.expirationHours * 60 * 60 * 1000).toISOString(),
+    });
+
+    const tempPath = path.join(this.tempDir, upload.id);
+    await fs.promises.writeFile(tempPath, Buffer.alloc(0));
+    const created = await this.repositories.uploadSessions.updateFile(upload.id, { temp_path: tempPath });
+    await this.uploadSessionService.refresh(sessionId);
+    await this.uploadProgressService.record(sessionId, upload.id, 'uploading', {
+      fileName,
+      bytesUploaded: 0,
+      bytesTotal: length,
+    });
+
+    return created;
+  }
+
+  /**
+   * Load an upload owned by the user
+   * @param {string} uploadId - Upload ID
+   * @param {string} userId - Requesting user
+   * @returns {Promise<Object>} upload_files record
+   */
+  async getUpload(uploadId, userId) {
+    const upload = await this.repositories.uploadSessions.getFile(uploadId);
+
+    if (!upload || upload.user_id !== userId) {
+      throw new TusError(404, 'Upload not found');
+    }
+    if (upload.status === 'terminated') {
+      throw new TusError(410, 'Upload was terminated');
+    }
+    if (upload.status === 'uploading' && upload.expires_at && new Date(upload.expires_at) < new Date()) {
+      await this.expire(upload);
+      throw new TusError(410, 'Upload has expired');
+    }
+    return upload;
+  }
+
+  /**
+   * Append a chunk at the given offset
+   * @param {Object} upload - upload_files record
+   * @param {number} offset - Client's Upload-Offset
+   * @param {stream.Readable} body - Request body
+   * @returns {Promise<Object>} Updated upload record (finalised when complete)
+   */
+  async appendChunk(upload, offset, body) {
+    if (upload.status !== 'uploading') {
+      throw new TusError(409, `Upload is ${upload.status}`);
+    }
+    if (offset !== Number(upload.upload_offset)) {
+      throw new TusError(409, `Upload-Offset ${offset} does not match current offset ${upload.upload_offset}`);
+    }
+    if (this.locks.has(upload.id)) {
+      throw new TusError(423, 'Another request is writing to this upload');
+    }
+
+    this.locks.add(upload.id);
+    const length = Number(upload.upload_length);
+    const remaining = length - offset;
+    const progress = this.uploadProgressService;
+    let received = 0;
+    let bytesReported = Promise.resolve();
+
+    try {
+      const limiter = async function* (source) {
+        for await (const chunk of source) {
+          received += chunk.length;
+          if (received > remaining) {
+            throw new TusError(413, 'Chunk exceeds the declared Upload-Length');
+          }
+          const bytesUploaded = offset + received;
+          bytesReported = bytesReported.then(() => progress.recordBytes(upload.session_id, upload.id, bytesUploaded, length));
+          yield chunk;
+        }
+      };
+
+      try {
+        await pipeline(body, limiter, fs.createWriteStream(upload.temp_path, { flags: 'r+', start: offset }));
+      } catch (error) {
+        // Keep whatever reached the disk so the client can resume from there
+        if (error instanceof TusError) throw error;
+        console.warn(`Upload ${upload.id} interrupted: ${error.message}`);
+      }
+
+      await bytesReported;
+
+      // The file size is the source of truth for how much was persisted
+      const { size } = await fs.promises.stat(upload.temp_path);
+      const newOffset = Math.min(size, Number(upload.upload_length));
+
+      // Refuse a disguised file as soon as its first bytes are in, not after the whole upload
+      const signatureBytes = Math.min(SIGNATURE_BYTES, Number(upload.upload_length));
+      if (offset < signatureBytes && newOffset >= signatureBytes) {
+        await this.checkSignature(upload);
+      }
+
+      let updated = await this.repositories.uploadSessions.updateFile(upload.id, { upload_offset: newOffset });
+
+      if (newOffset === Number(upload.upload_length)) {
+        updated = await this.finalize(updated);
+      }
+      return updated;
+    } finally {
+      this.locks.delete(upload.id);
+    }
+  }
+
+  /**
+   * Check the container signature of an upload's first bytes
+   * @param {Object} upload - upload_files record
+   * @throws {TusError} 415 after rejecting the upload when the bytes are not a video
+   */
+  async checkSignature(upload) {
+    const head = await readHead(upload.temp_path);
+
+    try {
+      assertVideoSignature(head);
+    } catch (error) {
+      throw await this.reject(upload, error);
+    }
+  }
+
+  /**
+   * Fail an upload whose content did not pass validation and discard its data
+   * @param {Object} upload - upload_files record
+   * @param {MediaValidationError} error - Failed check
+   * @returns {Promise<TusError>} Error for the route to answer with
+   */
+  async reject(upload, error) {
+    console.warn(`Rejected upload ${upload.id} (${upload.file_name}): ${error.check} check failed: ${error.message}`);
+
+    await this.removeTempFile(upload);
+    await this.repositories.uploadSessions.updateFile(upload.id, {
+      status: 'failed',
+      error: error.message,
+      temp_path: null,
+    });
+    await this.uploadSessionService.refresh(upload.session_id);
+    await this.uploadProgressService.record(upload.session_id, upload.id, 'failed', {
+      error: error.message,
+      check: error.check,
+    });
+    return new TusError(error.status, error.message, { check: error.check, details: error.details });
+  }
+
+  /**
+   * Validate a completed upload and hand it to the job queue, which stores it and creates its videos row.
+   * The detected container replaces the client-supplied file type.
+   * @param {Object} upload - upload_files record with all bytes received
+   * @returns {Promise<Object>} Updated upload record with status 'queued'
+   */
+  async finalize(upload) {
+    let validated;
+    try {
+      validated = await validateVideoFile(upload.temp_path);
+    } catch (error) {
+      if (error instanceof MediaValidationError) throw await this.reject(upload, error);
+      throw error;
+    }
+
+    const queued = await this.repositories.uploadSessions.updateFile(upload.id, {
+      status: 'queued',
+      mime_type: validated.mimeType,
+      metadata: { ...upload.metadata, container: validated.container, media: validated.media },
+    });
+
+    try {
+      await getJobQueue().enqueue(hostJobType('upload.file'), { uploadFileId: upload.id, userId: upload.user_id }, {
+        jobId: `upload.file:${upload.id}`,
+      });
+      await this.uploadProgressService.record(upload.session_id, upload.id, 'queued', {
+        bytesUploaded: Number(upload.upload_length),
+      });
+      return queued;
+    } catch (error) {
+      console.error(`Error queueing upload ${upload.id}:`, error);
+      await this.repositories.uploadSessions.updateFile(upload.id, { status: 'failed', error: error.message });
+      await this.uploadSessionService.refresh(upload.session_id);
+      await this.uploadProgressService.record(upload.session_id, upload.id, 'failed', { error: error.message });
+      throw new TusError(500, `Upload received but could not be queued: ${error.message}`);
+    }
+  }
+
+  /**
+   * Terminate an upload and discard its partial data
+   * @param {Object} upload - upload_files record
+   * @returns {Promise<Object>} Updated upload record
+   */
+  async terminate(upload) {
+    if (upload.status === 'completed') {
+      throw new TusError(409, 'Completed uploads cannot be terminated; delete the video instead');
+    }
+    if (upload.status === 'queued' || upload.status === 'finalizing') {
+      throw new TusError(409, 'Upload is already being stored');
+    }
+
+    await this.removeTempFile(upload);
+    const terminated = await this.repositories.uploadSessions.updateFile(upload.id, {
+      status: 'terminated',
+      temp_path: null,
+    });
+    await this.uploadSessionService.refresh(upload.session_id);
+    await this.uploadProgressService.record(upload.session_id, upload.id, 'terminated');
+    return terminated;
+  }
+
+  /**
+   * Discard an upload whose expiry has passed
+   * @param {Object} upload - upload_files record
+   */
+  async expire(upload) {
+    await this.removeTempFile(upload);
+    await this.repositories.uploadSessions.updateFile(upload.id, {
+      status: 'failed',
+      error: 'Upload expired before it was completed',
+      temp_path: null,
+    });
+    await this.uploadSessionService.refresh(upload.session_id);
+    await this.uploadProgressService.record(upload.session_id, upload.id, 'failed', {
+      error: 'Upload expired before it was completed',
+    });
+  }
+
+  /**
+   * Discard all expired uploads
+   * @returns {Promise<number>} Number of expired uploads
+   */
+  async cleanupExpired() {
+    const expired = await this.repositories.uploadSessions.listExpiredFiles(new Date().toISOString());
+
+    for (const upload of expired) {
+      if (!this.locks.has(upload.id)) {
+        await this.expire(upload);
+      }
+    }
+    return expired.length;
+  }
+
+  /**
+   * Delete the partial file of an upload if it is still on disk
+   * @param {Object} upload - upload_files record
+   */
+  async removeTempFile(upload) {
+    if (!upload.temp_path) return;
+
+    try {
+      await fs.promises.unlink(upload.temp_path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not remove temp file ${upload.temp_path}:`, error.message);
+      }
+    }
+  }
+}
+
+TusUploadService.TUS_VERSION = TUS_VERSION;
+TusUploadService.TUS_EXTENSIONS = TUS_EXTENSIONS;
+
+module.exports = {
+  TusUploadService,
+  DEFAULT_TEMP_DIR,
+  TusError,
+  parseUploadMetadata,
+  formatUploadMetadata,
+};
@@ -0,0 +1,181 @@
+const { getRepositories } = require('../repositories');
+const { getJobQueue } = require('./queue');
+
+// Stages after which a file produces no more events
+const FINAL_STAGES = ['ready', 'failed', 'terminated'];
+// Byte counts are persisted and published at most this often per file
+const BYTES_INTERVAL_MS = 1000;
+
+/**
+ * Per-file progress of upload sessions.
+ * Every event is merged into upload_sessions.progress (so reconnecting clients
+ * get the current state) and published on the job queue's channel for the
+ * session, which reaches subscribers in every API process.
+ *
+ * Stages: queued → uploading → db-record-created → processing → ready,
+ * or failed / terminated at any point. Resumable uploads report uploading
+ * (client bytes) before queued; batch and directory files report it while
+ * the file is copied into storage.
+ */
+class UploadProgressService {
+  /**
+   * @param {Object} repositories - Repositories from src/repositories
+   */
+  constructor(repositories) {
+    this.repositories = repositories;
+    this.lastBytesAt = new Map(); // fileId -> time of the last byte event
+  }
+
+  /**
+   * Queue channel carrying a session's events
+   * @param {string} sessionId - Session ID
+   * @returns {string} Channel name
+   */
+  channel(sessionId) {
+    return `upload-session:${sessionId}`;
+  }
+
+  /**
+   * Record a file's progress and publish it. Failures are logged, never thrown,
+   * so progress reporting cannot fail an upload.
+   * @param {string} sessionId - Session ID
+   * @param {string} fileId - upload_files ID
+   * @param {string} stage - queued | uploading | db-record-created | processing | ready | failed | terminated
+   * @param {Object} details - fileName, bytesUploaded, bytesTotal, videoId, step, error
+   * @returns {Promise<Object|null>} Published event
+   */
+  async record(sessionId, fileId, stage, details = {}) {
+    if (!sessionId || !fileId) return null;
+
+    try {
+      const state = { ...details, stage, updatedAt: new Date().toISOString() };
+      if (stage !== 'failed') state.error = null;
+
+      const session = await this.repositories.uploadSessions.recordProgress(sessionId, fileId, state);
+      if (!session) return null;
+
+      if (FINAL_STAGES.includes(stage)) this.lastBytesAt.delete(fileId);
+
+      const event = { id: session.event_seq, sessionId, fileId, ...session.progress[fileId] };
+      await getJobQueue().publish(this.channel(sessionId), { type: 'progress', event });
+
+      await this.publishSummaryIfSettled(session);
+      return event;
+    } catch (error) {
+      console.error(`Error recording ${stage} progress of upload ${fileId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record byte progress, throttled to one event per BYTES_INTERVAL_MS per file
+   * @param {string} sessionId - Session ID
+   * @param {string} fileId - upload_files ID
+   * @param {number} bytesUploaded - Bytes transferred so far
+   * @param {number} bytesTotal - File size
+   * @returns {Promise<Object|null>} Published event, or null when throttled
+   */
+  async recordBytes(sessionId, fileId, bytesUploaded, bytesTotal) {
+    const now = Date.now();
+    const finished = bytesUploaded >= bytesTotal;
+
+    if (!finished && now - (this.lastBytesAt.get(fileId) || 0) < BYTES_INTERVAL_MS) {
+      return null;
+    }
+    this.lastBytesAt.set(fileId, now);
+
+    return this.record(sessionId, fileId, 'uploading', { bytesUploaded, bytesTotal });
+  }
+
+  /**
+   * Publish the final summary once the session is closed and every file reached a final stage
+   * @param {Object|string} sessionOrId - upload_sessions row or ID
+   */
+  async publishSummaryIfSettled(sessionOrId) {
+    try {
+      const session = typeof sessionOrId === 'string'
+        ? await this.repositories.uploadSessions.getById(sessionOrId)
+        : sessionOrId;
+
+      if (session && this.isSettled(session)) {
+        await getJobQueue().publish(this.channel(session.id), { type: 'summary', event: this.summarize(session) });
+      }
+    } catch (error) {
+      console.error('Error publishing upload summary:', error.message);
+    }
+  }
+
+  /**
+   * Listen to a session's progress and summary messages
+   * @param {string} sessionId - Session ID
+   * @param {Function} listener - ({ type: 'progress' | 'summary', event }) => void
+   * @returns {Promise<Function>} Async function that stops listening
+   */
+  subscribe(sessionId, listener) {
+    return getJobQueue().subscribe(this.channel(sessionId), listener);
+  }
+
+  /**
+   * Whether no more events will follow
+   * @param {Object} session - upload_sessions row
+   * @returns {boolean} Settled flag
+   */
+  isSettled(session) {
+    if (session.status === 'in_progress') return false;
+    return Object.values(session.progress || {}).every(file => FINAL_STAGES.includes(file.stage));
+  }
+
+  /**
+   * Current state of a session, as sent to clients when they (re)connect
+   * @param {Object} session - upload_sessions row
+   * @returns {Object} Snapshot
+   */
+  snapshot(session) {
+    return {
+      id: session.event_seq || 0,
+      sessionId: session.id,
+      status: session.status,
+      totalFiles: session.total_files,
+      uploadedFiles: session.uploaded_files,
+      failedFiles: session.failed_files,
+      files: Object.entries(session.progress || {}).map(([fileId, file]) => ({ fileId, ...file })),
+    };
+  }
+
+  /**
+   * Final summary of a settled session
+   * @param {Object} session - upload_sessions row
+   * @returns {Object} Summary
+   */
+  summarize(session) {
+    const files = Object.values(session.progress || {});
+    const count = (stage) => files.filter(file => file.stage === stage).length;
+
+    return {
+      ...this.snapshot(session),
+      ready: count('ready'),
+      failed: count('failed'),
+      terminated: count('terminated'),
+      completedAt: session.completed_at,
+    };
+  }
+}
+
+let uploadProgressService = null;
+
+/**
+ * Shared upload progress service for the configured repositories
+ * @returns {UploadProgressService} Service instance
+ */
+function getUploadProgressService() {
+  if (!uploadProgressService) {
+    uploadProgressService = new UploadProgressService(getRepositories());
+  }
+  return uploadProgressService;
+}
+
+module.exports = {
+  UploadProgressService,
+  getUploadProgressService,
+  FINAL_STAGES,
+};
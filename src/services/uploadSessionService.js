@@ -0,0 +1,59 @@
+const { getRepositories } = require('../repositories');
+
+// upload_files statuses that still have work ahead of them
+const PENDING_FILE_STATUSES = ['queued', 'uploading', 'finalizing'];
+
+/**
+ * Keeps upload_sessions counters in step with the session's upload_files rows
+ */
+class UploadSessionService {
+  /**
+   * @param {Object} repositories - Repositories from src/repositories
+   */
+  constructor(repositories) {
+    this.repositories = repositories;
+  }
+
+  /**
+   * Recount a session's files and close it once none are pending
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Updated session
+   */
+  async refresh(sessionId) {
+    const files = (await this.repositories.uploadSessions.listFiles(sessionId))
+      .filter(file => file.status !== 'terminated');
+    const uploaded = files.filter(file => file.status === 'completed').length;
+    const failed = files.filter(file => file.status === 'failed').length;
+    const pending = files.some(file => PENDING_FILE_STATUSES.includes(file.status));
+
+    const updates = { total_files: files.length, uploaded_files: uploaded, failed_files: failed };
+    if (pending) {
+      updates.status = 'in_progress';
+      updates.completed_at = null;
+    } else {
+      updates.status = failed === 0 ? 'completed' : 'completed_with_errors';
+      updates.completed_at = new Date().toISOString();
+    }
+
+    return this.repositories.uploadSessions.update(sessionId, updates);
+  }
+}
+
+let uploadSessionService = null;
+
+/**
+ * Shared upload session service for the configured repositories
+ * @returns {UploadSessionService} Service instance
+ */
+function getUploadSessionService() {
+  if (!uploadSessionService) {
+    uploadSessionService = new UploadSessionService(getRepositories());
+  }
+  return uploadSessionService;
+}
+
+module.exports = {
+  UploadSessionService,
+  getUploadSessionService,
+  PENDING_FILE_STATUSES,
+};
@@ -0,0 +1,245 @@
+const { getRepositories } = require('../repositories');
+const { VIDEO_VISIBILITIES } = require('../repositories/base');
+const { getStorageService } = require('./storage');
+const { normalizeTags, MAX_TITLE_LENGTH } = require('./importManifest');
+
+// Fields a video's uploader (or an admin) may change; everything else is managed by the server
+const EDITABLE_FIELDS = ['title', 'description', 'tags', 'visibility', 'thumbnailTime', 'customMetadata'];
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 50;
+// Size limit of customMetadata, serialised as JSON
+const MAX_CUSTOM_METADATA_BYTES = 16 * 1024;
+
+/**
+ * Whether a value is a plain JSON object
+ * @param {*} value - Value to check
+ * @returns {boolean} Object flag
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep equality of JSON values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Equal flag
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Validate and normalise the fields of a video edit
+ * @param {Object} body - Request body
+ * @param {Object} video - videos row being edited (thumbnailTime must match one of its thumbnails)
+ * @returns {{ fields: Object, errors: Array<string> }} Normalised fields by name and validation errors
+ */
+function parseVideoEdit(body, video) {
+  const fields = {};
+  const errors = [];
+
+  if (!isPlainObject(body)) {
+    return { fields, errors: ['Body must be a JSON object'] };
+  }
+
+  const unknown = Object.keys(body).filter(field => !EDITABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    errors.push(`Cannot edit ${unknown.join(', ')}; editable fields are ${EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  if (body.title !== undefined) {
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+      errors.push(`title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters`);
+    } else {
+      fields.title = title;
+    }
+  }
+
+  if (body.description !== undefined) {
+    const { description } = body;
+    if (description !== null && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+      errors.push(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    } else {
+      fields.description = description ? description.trim() : '';
+    }
+  }
+
+  if (body.tags !== undefined) {
+    const tags = body.tags === null ? [] : normalizeTags(body.tags);
+    if (!tags) {
+      errors.push('tags must be a list of strings');
+    } else if (tags.length > MAX_TAGS || tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      errors.push(`tags must be at most ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters`);
+    } else {
+      fields.tags = tags;
+    }
+  }
+
+  if (body.visibility !== undefined) {
+    if (!VIDEO_VISIBILITIES.includes(body.visibility)) {
+      errors.push(`visibility must be one of: ${VIDEO_VISIBILITIES.join(', ')}`);
+    } else {
+      fields.visibility = body.visibility;
+    }
+  }
+
+  // One of the generated thumbnails by its time, or null for the poster
+  if (body.thumbnailTime !== undefined) {
+    const thumbnails = video.metadata?.thumbnails || [];
+    if (body.thumbnailTime === null) {
+      fields.thumbnailTime = null;
+    } else if (thumbnails.length === 0) {
+      errors.push('thumbnailTime cannot be set before thumbnails have been generated');
+    } else if (!thumbnails.some(thumbnail => thumbnail.time === body.thumbnailTime)) {
+      errors.push(`thumbnailTime must be one of: ${thumbnails.map(thumbnail => thumbnail.time).join(', ')}`);
+    } else {
+      fields.thumbnailTime = body.thumbnailTime;
+    }
+  }
+
+  // Replaces the custom metadata given at upload; null removes it
+  if (body.customMetadata !== undefined) {
+    const custom = body.customMetadata;
+    if (custom !== null && !isPlainObject(custom)) {
+      errors.push('customMetadata must be an object');
+    } else if (Buffer.byteLength(JSON.stringify(custom)) > MAX_CUSTOM_METADATA_BYTES) {
+      errors.push(`customMetadata must be at most ${MAX_CUSTOM_METADATA_BYTES} bytes as JSON`);
+    } else {
+      fields.customMetadata = custom;
+    }
+  }
+
+  return { fields, errors };
+}
+
+/**
+ * Edits of a video's metadata. Only EDITABLE_FIELDS can be changed; each edit that changes
+ * something is recorded in video_edits with the before and after value of every changed field.
+ */
+class VideoEditService {
+  /**
+   * @param {Object} repositories - Repositories from src/repositories
+   * @param {Object} storageService - Storage driver, for the poster URL
+   */
+  constructor(repositories, storageService) {
+    this.repositories = repositories;
+    this.storageService = storageService;
+  }
+
+  /**
+   * Current values of the editable fields
+   * @param {Object} video - videos row
+   * @returns {Object} Values by field name
+   */
+  editableValues(video) {
+    return {
+      title: video.title,
+      description: video.description || '',
+      tags: video.tags || [],
+      visibility: video.visibility || 'public',
+      thumbnailTime: video.metadata?.thumbnailTime ?? null,
+      customMetadata: video.metadata?.custom ?? null,
+    };
+  }
+
+  /**
+   * Column updates that apply changed fields
+   * @param {Object} video - videos row
+   * @param {Object} changed - Changed fields by name
+   * @returns {Object} videos column values
+   */
+  toColumns(video, changed) {
+    const columns = {};
+    ['title', 'description', 'tags', 'visibility'].forEach(field => {
+      if (field in changed) columns[field] = changed[field];
+    });
+
+    if ('thumbnailTime' in changed || 'customMetadata' in changed) {
+      const metadata = { ...(video.metadata || {}) };
+
+      if ('thumbnailTime' in changed) {
+        const time = changed.thumbnailTime;
+        const thumbnail = (metadata.thumbnails || []).find(candidate => candidate.time === time);
+        if (thumbnail) {
+          metadata.thumbnailTime = time;
+          columns.thumbnail_url = thumbnail.url;
+        } else {
+          delete metadata.thumbnailTime;
+          if (metadata.poster) columns.thumbnail_url = this.storageService.getPublicUrl(metadata.poster);
+        }
+      }
+
+      if ('customMetadata' in changed) {
+        if (changed.customMetadata) metadata.custom = changed.customMetadata;
+        else delete metadata.custom;
+      }
+      columns.metadata = metadata;
+    }
+
+    return columns;
+  }
+
+  /**
+   * Apply validated fields to a video and record the edit
+   * @param {Object} video - videos row
+   * @param {Object} fields - Result of parseVideoEdit
+   * @param {string} userId - User making the edit
+   * @returns {Promise<Object>} { video, changes }; changes maps each changed field to { before, after }
+   *   and is empty when nothing changed (then no edit is recorded)
+   */
+  async edit(video, fields, userId) {
+    const current = this.editableValues(video);
+    const changes = {};
+    const changed = {};
+
+    Object.entries(fields).forEach(([field, value]) => {
+      if (sameValue(current[field], value)) return;
+      changes[field] = { before: current[field], after: value };
+      changed[field] = value;
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return { video, changes };
+    }
+
+    const updated = await this.repositories.videos.update(video.id, this.toColumns(video, changed));
+    await this.repositories.videoEdits.create({ video_id: video.id, edited_by: userId, changes });
+
+    console.log(`Video ${video.id} edited by ${userId}: ${Object.keys(changes).join(', ')}`);
+    return { video: updated, changes };
+  }
+
+  /**
+   * Edit history of a video, newest first
+   * @param {string} videoId - Video ID
+   * @param {number} limit - Number of edits to fetch
+   * @param {number} offset - Offset for pagination
+   * @returns {Promise<Array>} video_edits rows
+   */
+  async listHistory(videoId, limit = 20, offset = 0) {
+    return this.repositories.videoEdits.listByVideo(videoId, limit, offset);
+  }
+}
+
+let videoEditService = null;
+
+/**
+ * Shared video edit service for the configured repositories and storage
+ * @returns {VideoEditService} Service instance
+ */
+function getVideoEditService() {
+  if (!videoEditService) {
+    videoEditService = new VideoEditService(getRepositories(), getStorageService());
+  }
+  return videoEditService;
+}
+
+module.exports = {
+  VideoEditService,
+  getVideoEditService,
+  parseVideoEdit,
+  EDITABLE_FIELDS,
+};
@@ -0,0 +1,448 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const { ffmpeg, probe } = require('./ffmpeg');
+const { getStorageService } = require('./storage');
+const { getRepositories } = require('../repositories');
+
+const THUMBNAIL_COUNT = 5;
+const THUMBNAIL_WIDTH = 320;
+const POSTER_MAX_WIDTH = 1280;
+
+// Scrub sprite: at most SPRITE_MAX_TILES frames of SPRITE_TILE_WIDTH px in SPRITE_COLUMNS columns
+const SPRITE_TILE_WIDTH = 160;
+const SPRITE_COLUMNS = 10;
+const SPRITE_MAX_TILES = 100;
+
+// HLS ladder, keyed by the short side so portrait videos get the same quality steps
+const RENDITIONS = [
+  { name: '360p', shortSide: 360, videoBitrate: 800, audioBitrate: 96 },
+  { name: '720p', shortSide: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '1080p', shortSide: 1080, videoBitrate: 5000, audioBitrate: 160 },
+];
+const HLS_SEGMENT_SECONDS = 6;
+// The progressive MP4 fallback is written alongside the largest rendition up to this size
+const MP4_FALLBACK_MAX_SHORT_SIDE = 720;
+
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.mp4': 'video/mp4',
+};
+
+/**
+ * Storage prefix of the files generated from a video (poster, thumbnails, sprite, renditions)
+ * @param {string} videoId - Video ID
+ * @returns {string} Object name prefix, without a trailing slash
+ */
+function derivedPrefix(videoId) {
+  return `derived/${videoId}`;
+}
+
+/**
+ * Format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Timestamp
+ */
+function formatVttTime(seconds) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+}
+
+/**
+ * Build the WebVTT index mapping time ranges to sprite tiles
+ * @param {Object} sprite - interval, tiles, columns, tileWidth, tileHeight, duration
+ * @param {string} spriteUrl - URL of the sprite image
+ * @returns {string} WebVTT document
+ */
+function buildSpriteVtt(sprite, spriteUrl) {
+  const lines = ['WEBVTT', ''];
+
+  for (let index = 0; index < sprite.tiles; index++) {
+    const start = index * sprite.interval;
+    const end = Math.min((index + 1) * sprite.interval, sprite.duration);
+    const x = (index % sprite.columns) * sprite.tileWidth;
+    const y = Math.floor(index / sprite.columns) * sprite.tileHeight;
+
+    lines.push(`${formatVttTime(start)} --> ${formatVttTime(end)}`);
+    lines.push(`${spriteUrl}#xywh=${x},${y},${sprite.tileWidth},${sprite.tileHeight}`);
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Pick the renditions to encode; sources smaller than the lowest rung get one rendition at their own size
+ * @param {Object} media - Probe result with width and height
+ * @returns {Array} Renditions with name, width, height and bitrates
+ */
+function selectRenditions(media) {
+  const sourceShortSide = Math.min(media.width, media.height);
+  const even = value => Math.max(2, Math.round(value / 2) * 2);
+  const ladder = RENDITIONS.filter(rendition => rendition.shortSide <= sourceShortSide);
+  const selected = ladder.length > 0
+    ? ladder
+    : [{ ...RENDITIONS[0], name: `${even(sourceShortSide)}p`, shortSide: even(sourceShortSide) }];
+
+  return selected.map(rendition => {
+    const scale = rendition.shortSide / sourceShortSide;
+    return {
+      ...rendition,
+      width: media.width <= media.height ? rendition.shortSide : even(media.width * scale),
+      height: media.width <= media.height ? even(media.height * scale) : rendition.shortSide,
+    };
+  });
+}
+
+/**
+ * Build the HLS master playlist pointing at each rendition's playlist
+ * @param {Array} renditions - Encoded renditions
+ * @param {boolean} hasAudio - Whether renditions carry audio
+ * @returns {string} m3u8 document
+ */
+function buildMasterPlaylist(renditions, hasAudio) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+  for (const rendition of renditions) {
+    const averageBandwidth = (rendition.videoBitrate + (hasAudio ? rendition.audioBitrate : 0)) * 1000;
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${Math.round(averageBandwidth * 1.1)},AVERAGE-BANDWIDTH=${averageBandwidth},RESOLUTION=${rendition.width}x${rendition.height}`,
+      `${rendition.name}/index.m3u8`
+    );
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Post-upload processing, run as two queue jobs:
+ * - analyze: probe the original with ffprobe, render a poster, thumbnails and a scrub sprite
+ * - transcode: encode H.264/AAC HLS renditions and an MP4 fallback with ffmpeg
+ * Outputs are stored next to the original. Progress is tracked in
+ * videos.processing_status (pending → processing → ready | failed).
+ */
+class VideoProcessingService {
+  /**
+   * @param {Object} repositories - Repositories from src/repositories
+   * @param {Object} storageService - Storage driver
+   */
+  constructor(repositories, storageService) {
+    this.repositories = repositories;
+    this.storageService = storageService;
+  }
+
+  /**
+   * Probe a video and generate its poster, thumbnails and scrub sprite
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object>} Updated video record (still 'processing' until transcoded)
+   */
+  async analyze(videoId) {
+    const video = await this.repositories.videos.getById(videoId);
+    await this.repositories.videos.update(videoId, { processing_status: 'processing', processing_error: null });
+
+    return this.withSource(video, async (sourcePath, workDir) => {
+      const media = await probe(sourcePath);
+      if (!media.duration) {
+        throw new Error('Could not determine video duration');
+      }
+
+      const outputPrefix = derivedPrefix(videoId);
+      const poster = await this.generatePoster(sourcePath, workDir, media, outputPrefix);
+      const thumbnails = await this.generateThumbnails(sourcePath, workDir, media, outputPrefix);
+      const sprite = await this.generateSprite(sourcePath, workDir, media, outputPrefix);
+
+      // A thumbnail picked by the uploader stays selected if it was generated again
+      const { thumbnailTime, ...metadata } = video.metadata || {};
+      const selected = thumbnails.find(thumbnail => thumbnail.time === thumbnailTime);
+
+      return this.repositories.videos.update(videoId, {
+        duration: Math.round(media.duration),
+        thumbnail_url: selected ? selected.publicUrl : poster.publicUrl,
+        metadata: {
+          ...metadata,
+          ...(selected ? { thumbnailTime } : {}),
+          media,
+          poster: poster.fileName,
+          thumbnails: thumbnails.map(thumbnail => ({ time: thumbnail.time, url: thumbnail.publicUrl })),
+          sprite,
+        },
+      });
+    });
+  }
+
+  /**
+   * Transcode an analysed video for streaming and mark it ready
+   * @param {string} videoId - Video ID
+   * @returns {Promise<Object>} Updated video record
+   */
+  async transcode(videoId) {
+    const video = await this.repositories.videos.getById(videoId);
+
+    return this.withSource(video, async (sourcePath, workDir) => {
+      const media = video.metadata?.media || await probe(sourcePath);
+      const streaming = await this.encodeRenditions(sourcePath, workDir, media, derivedPrefix(videoId));
+
+      return this.repositories.videos.update(videoId, {
+        stream_url: streaming.streamUrl,
+        mp4_url: streaming.mp4Url,
+        metadata: { ...video.metadata, media, renditions: streaming.renditions },
+        processing_status: 'ready',
+        processing_error: null,
+        processed_at: new Date().toISOString(),
+      });
+    });
+  }
+
+  /**
+   * Record that processing gave up on a video
+   * @param {string} videoId - Video ID
+   * @param {Error} error - Last failure
+   */
+  async markFailed(videoId, error) {
+    await this.repositories.videos.update(videoId, {
+      processing_status: 'failed',
+      processing_error: error.message,
+    });
+  }
+
+  /**
+   * Download a video's original into a scratch directory for the duration of a task
+   * @param {Object} video - videos row
+   * @param {Function} task - async (sourcePath, workDir) => result
+   * @returns {Promise<*>} Result of task
+   */
+  async withSource(video, task) {
+    const sourceName = video.metadata?.gcsFileName;
+    if (!sourceName) {
+      throw new Error('Video has no stored source file');
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'scrollnet-processing-'));
+    try {
+      const sourcePath = path.join(workDir, `source${path.extname(sourceName)}`);
+      await this.storageService.downloadFile(sourceName, sourcePath);
+      return await task(sourcePath, workDir);
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Render the poster frame, 10% into the video (capped at 3 seconds)
+   * @returns {Promise<Object>} Storage upload result
+   */
+  async generatePoster(sourcePath, workDir, media, outputPrefix) {
+    const output = path.join(workDir, 'poster.jpg');
+    const time = Math.min(media.duration * 0.1, 3);
+
+    await ffmpeg([
+      '-ss', time.toFixed(3),
+      '-i', sourcePath,
+      '-frames:v', '1',
+      '-vf', `scale='min(${POSTER_MAX_WIDTH},iw)':-2`,
+      '-q:v', '3',
+      output,
+    ]);
+
+    return this.store(output, `${outputPrefix}/poster.jpg`, 'image/jpeg');
+  }
+
+  /**
+   * Render evenly spaced thumbnails
+   * @returns {Promise<Array>} Storage upload results with their time
+   */
+  async generateThumbnails(sourcePath, workDir, media, outputPrefix) {
+    const thumbnails = [];
+
+    for (let index = 0; index < THUMBNAIL_COUNT; index++) {
+      const time = Math.round(media.duration * (index + 1) / (THUMBNAIL_COUNT + 1) * 1000) / 1000;
+      const name = `thumb_${String(index + 1).padStart(2, '0')}.jpg`;
+      const output = path.join(workDir, name);
+
+      await ffmpeg([
+        '-ss', time.toFixed(3),
+        '-i', sourcePath,
+        '-frames:v', '1',
+        '-vf', `scale=${THUMBNAIL_WIDTH}:-2`,
+        '-q:v', '4',
+        output,
+      ]);
+
+      const result = await this.store(output, `${outputPrefix}/${name}`, 'image/jpeg');
+      thumbnails.push({ ...result, time });
+    }
+
+    return thumbnails;
+  }
+
+  /**
+   * Render a sprite sheet of small frames plus a WebVTT index for scrub previews
+   * @returns {Promise<Object>} url, vttUrl, interval, tiles, columns, rows, tileWidth, tileHeight
+   */
+  async generateSprite(sourcePath, workDir, media, outputPrefix) {
+    const interval = Math.max(1, Math.ceil(media.duration / SPRITE_MAX_TILES));
+    const tiles = Math.max(1, Math.ceil(media.duration / interval));
+    const columns = Math.min(SPRITE_COLUMNS, tiles);
+    const rows = Math.ceil(tiles / columns);
+    const tileWidth = SPRITE_TILE_WIDTH;
+    const tileHeight = Math.max(2, Math.round((tileWidth * media.height) / media.width / 2) * 2);
+
+    const spritePath = path.join(workDir, 'sprite.jpg');
+    await ffmpeg([
+      '-i', sourcePath,
+      '-vf', `fps=1/${interval},scale=${tileWidth}:${tileHeight},tile=${columns}x${rows}`,
+      '-frames:v', '1',
+      '-q:v', '5',
+      spritePath,
+    ]);
+    const spriteResult = await this.store(spritePath, `${outputPrefix}/sprite.jpg`, 'image/jpeg');
+
+    const sprite = { interval, tiles, columns, rows, tileWidth, tileHeight, duration: media.duration };
+
+    // Cues reference the sprite relative to the VTT so both can move together
+    const vttPath = path.join(workDir, 'sprite.vtt');
+    await fs.promises.writeFile(vttPath, buildSpriteVtt(sprite, 'sprite.jpg'));
+    const vttResult = await this.store(vttPath, `${outputPrefix}/sprite.vtt`, 'text/vtt');
+
+    return {
+      url: spriteResult.publicUrl,
+      vttUrl: vttResult.publicUrl,
+      interval,
+      tiles,
+      columns,
+      rows,
+      tileWidth,
+      tileHeight,
+    };
+  }
+
+  /**
+   * Encode the HLS renditions and MP4 fallback, then write the master playlist
+   * @returns {Promise<Object>} streamUrl, mp4Url and renditions
+   */
+  async encodeRenditions(sourcePath, workDir, media, outputPrefix) {
+    const renditions = selectRenditions(media);
+    const fallback = [...renditions].reverse()
+      .find(rendition => rendition.shortSide <= MP4_FALLBACK_MAX_SHORT_SIDE) || renditions[0];
+    const hlsDir = path.join(workDir, 'hls');
+    const mp4Path = path.join(workDir, `${fallback.name}.mp4`);
+
+    for (const rendition of renditions) {
+      const renditionDir = path.join(hlsDir, rendition.name);
+      await fs.promises.mkdir(renditionDir, { recursive: true });
+
+      const segmentPattern = path.join(renditionDir, 'segment_%04d.ts');
+      const playlistPath = path.join(renditionDir, 'index.m3u8');
+      // The fallback rendition is encoded once and muxed to both HLS and MP4
+      const output = rendition === fallback
+        ? ['-f', 'tee', `[f=hls:hls_time=${HLS_SEGMENT_SECONDS}:hls_playlist_type=vod:hls_segment_filename=${segmentPattern}]${playlistPath}|[f=mp4:movflags=+faststart]${mp4Path}`]
+        : ['-f', 'hls', '-hls_time', String(HLS_SEGMENT_SECONDS), '-hls_playlist_type', 'vod', '-hls_segment_filename', segmentPattern, playlistPath];
+
+      await ffmpeg([
+        '-i', sourcePath,
+        '-map', '0:v:0',
+        ...(media.hasAudio ? ['-map', '0:a:0'] : []),
+        '-vf', `scale=${rendition.width}:${rendition.height}`,
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-profile:v', 'main',
+        '-pix_fmt', 'yuv420p',
+        '-b:v', `${rendition.videoBitrate}k`,
+        '-maxrate', `${Math.round(rendition.videoBitrate * 1.07)}k`,
+        '-bufsize', `${rendition.videoBitrate * 2}k`,
+        // Keyframes on segment boundaries keep renditions switchable at every segment
+        '-force_key_frames', `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+        ...(media.hasAudio
+          ? ['-c:a', 'aac', '-b:a', `${rendition.audioBitrate}k`, '-ac', '2', '-ar', '48000']
+          : ['-an']),
+        ...output,
+      ]);
+    }
+
+    await fs.promises.writeFile(path.join(hlsDir, 'master.m3u8'), buildMasterPlaylist(renditions, media.hasAudio));
+
+    let master = null;
+    for (const filePath of await this.listFiles(hlsDir)) {
+      const relativeName = path.relative(hlsDir, filePath).split(path.sep).join('/');
+      const result = await this.store(filePath, `${outputPrefix}/hls/${relativeName}`, CONTENT_TYPES[path.extname(filePath)]);
+      if (relativeName === 'master.m3u8') master = result;
+    }
+    const mp4 = await this.store(mp4Path, `${outputPrefix}/${fallback.name}.mp4`, CONTENT_TYPES['.mp4']);
+
+    return {
+      streamUrl: master.publicUrl,
+      mp4Url: mp4.publicUrl,
+      renditions: renditions.map(rendition => ({
+        name: rendition.name,
+        width: rendition.width,
+        height: rendition.height,
+        videoBitrate: rendition.videoBitrate,
+        audioBitrate: media.hasAudio ? rendition.audioBitrate : null,
+        playlist: `${outputPrefix}/hls/${rendition.name}/index.m3u8`,
+      })),
+    };
+  }
+
+  /**
+   * Recursively list files under a directory
+   * @param {string} dir - Directory
+   * @returns {Promise<Array<string>>} File paths
+   */
+  async listFiles(dir) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.listFiles(entryPath));
+      } else {
+        files.push(entryPath);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Upload a generated file through the storage backend
+   * @param {string} filePath - Local file
+   * @param {string} fileName - Destination object name
+   * @param {string} mimetype - Content type
+   * @returns {Promise<Object>} Storage upload result
+   */
+  async store(filePath, fileName, mimetype) {
+    const { size } = await fs.promises.stat(filePath);
+    return this.storageService.uploadFile({ path: filePath, mimetype, size }, fileName, {
+      generatedAt: new Date().toISOString(),
+    });
+  }
+}
+
+let videoProcessingService = null;
+
+/**
+ * Shared processing service for the configured repositories and storage
+ * @returns {VideoProcessingService} Service instance
+ */
+function getVideoProcessingService() {
+  if (!videoProcessingService) {
+    videoProcessingService = new VideoProcessingService(getRepositories(), getStorageService());
+  }
+  return videoProcessingService;
+}
+
+module.exports = {
+  VideoProcessingService,
+  getVideoProcessingService,
+  derivedPrefix,
+  buildSpriteVtt,
+  buildMasterPlaylist,
+  formatVttTime,
+  selectRenditions,
+};
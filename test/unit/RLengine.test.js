@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RLEngine } = require('../../src/RLengine');
+
+const VIDEOS = [
+  { id: 'cats-old', tags: ['cats'], uploaderId: 'u1', ageDays: 9 },
+  { id: 'news', tags: ['news'], uploaderId: 'u2', ageDays: 1 },
+  { id: 'cats-new', tags: ['cats', 'funny'], uploaderId: 'u3', ageDays: 3 },
+  { id: 'cooking', tags: ['cooking'], uploaderId: 'u4', ageDays: 5 },
+  { id: 'untagged', tags: [], uploaderId: null, ageDays: 0 },
+];
+
+// Exploration never triggers with 0.99 and always with 0
+const NEVER = () => 0.99;
+const ALWAYS = () => 0;
+
+/**
+ * A viewer who liked two cat videos and skipped a news video
+ */
+function catLover(engine) {
+  return engine.buildPreferenceVector([
+    { features: ['tag:cats', 'uploader:u9'], reward: 1 },
+    { features: ['tag:news'], reward: -1 },
+    { features: ['tag:cats'], reward: 1 },
+  ]);
+}
+
+describe('RLEngine.rankVideos', () => {
+  it('orders by recency before the viewer has engaged with anything', () => {
+    const ranked = new RLEngine().rankVideos({}, VIDEOS, ALWAYS);
+    assert.deepEqual(ranked.map(item => item.id), ['untagged', 'news', 'cats-new', 'cooking', 'cats-old']);
+    assert.ok(ranked.every(item => item.reason.type === 'recent'));
+  });
+
+  it('ranks videos with liked tags first and says why', () => {
+    const engine = new RLEngine();
+    const ranked = engine.rankVideos(catLover(engine), VIDEOS, NEVER);
+
+    assert.deepEqual(ranked.slice(0, 2).map(item => item.id), ['cats-new', 'cats-old']);
+    assert.equal(ranked[0].reason.type, 'tags');
+    assert.deepEqual(ranked[0].reason.tags, ['cats']);
+    assert.equal(ranked.at(-1).id, 'news');
+  });
+
+  it('gives exploration slots to the newest videos with unexplored tags', () => {
+    const engine = new RLEngine();
+    const ranked = engine.rankVideos(catLover(engine), VIDEOS, ALWAYS);
+
+    assert.equal(ranked[0].id, 'cooking');
+    assert.deepEqual(ranked[0].reason, { type: 'explore', text: 'Something new for you: #cooking', tags: ['cooking'] });
+    assert.equal(ranked.filter(item => item.reason.type === 'explore').length, 1);
+  });
+
+  it('repeats a ranking for the same random source', () => {
+    const engine = new RLEngine();
+    const vector = catLover(engine);
+    const seeded = () => {
+      let state = 7;
+      return () => (state = (state * 16807) % 2147483647) / 2147483647;
+    };
+
+    assert.deepEqual(engine.rankVideos(vector, VIDEOS, seeded()), engine.rankVideos(vector, VIDEOS, seeded()));
+  });
+
+  it('places every video exactly once', () => {
+    const engine = new RLEngine();
+    for (const random of [ALWAYS, NEVER, Math.random]) {
+      const ranked = engine.rankVideos(catLover(engine), VIDEOS, random);
+      assert.deepEqual(ranked.map(item => item.id).sort(), VIDEOS.map(video => video.id).sort());
+    }
+  });
+});
@@ -0,0 +1,138 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryRepositories } = require('../../src/repositories/memoryRepositories');
+const { FeedService, FeedCursorError, encodeToken } = require('../../src/services/feedService');
+
+const USER = { userId: '11111111-1111-4111-8111-111111111111', anonymousId: null };
+
+/**
+ * Memory repositories holding `count` public videos, v0 oldest; ids[i] is the ID of v<i>
+ */
+function createCatalogue(count) {
+  const repositories = createMemoryRepositories({ seed: false });
+  const start = Date.now() - 60 * 60 * 1000;
+  const ids = [];
+  for (let i = 0; i < count; i++) {
+    const createdAt = new Date(start + i * 1000).toISOString();
+    ids.push(repositories.videos.insert({ title: `v${i}`, created_at: createdAt }).id);
+  }
+  return { repositories, ids };
+}
+
+/**
+ * Let the clock move past a snapshot taken just before, which has millisecond precision
+ */
+function tick() {
+  return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+/**
+ * Titles of every page of a scroll session, following cursors until the last page
+ */
+async function scroll(feed, params) {
+  const pages = [];
+  let page = await feed.getPage(params);
+  pages.push(page.videos.map(video => video.title));
+  while (page.pagination.nextCursor) {
+    page = await feed.getPage({ ...params, cursor: page.pagination.nextCursor });
+    pages.push(page.videos.map(video => video.title));
+  }
+  return pages;
+}
+
+describe('FeedService cursors', () => {
+  const feed = new FeedService(createMemoryRepositories({ seed: false }));
+  const snapshotAt = '2026-01-02T03:04:05.678Z';
+  const last = { createdAt: '2026-01-01T00:00:00.123456Z', id: '22222222-2222-4222-8222-222222222222' };
+
+  it('round-trips the snapshot, position and phase', () => {
+    assert.deepEqual(feed.decodeCursor(feed.encodeCursor(snapshotAt, last)), { snapshotAt, after: last, phase: 'unseen' });
+    assert.deepEqual(feed.decodeCursor(feed.encodeCursor(snapshotAt, last, 'seen')), { snapshotAt, after: last, phase: 'seen' });
+  });
+
+  it('lets only the seen phase start without a position', () => {
+    assert.deepEqual(feed.decodeCursor(feed.encodeCursor(snapshotAt, null, 'seen')), { snapshotAt, after: null, phase: 'seen' });
+    assert.throws(() => feed.decodeCursor(feed.encodeCursor(snapshotAt, null)), FeedCursorError);
+  });
+
+  it('rejects malformed cursors', () => {
+    const invalid = [
+      'not base64 json',
+      encodeToken({ s: 'yesterday', t: last.createdAt, i: last.id }),
+      encodeToken({ s: snapshotAt, t: last.createdAt, i: 'not-a-uuid' }),
+      encodeToken({ s: snapshotAt, t: 'soon', i: last.id }),
+      encodeToken({ s: snapshotAt, t: last.createdAt, i: last.id, p: 'later' }),
+    ];
+    invalid.forEach(cursor => assert.throws(() => feed.decodeCursor(cursor), FeedCursorError, cursor));
+  });
+
+  it('round-trips snapshot IDs', () => {
+    assert.equal(feed.decodeSnapshot(feed.encodeSnapshot(snapshotAt)), snapshotAt);
+    assert.throws(() => feed.decodeSnapshot(encodeToken({})), FeedCursorError);
+  });
+});
+
+describe('FeedService.getPage', () => {
+  let repositories;
+  let ids;
+  let feed;
+
+  beforeEach(() => {
+    ({ repositories, ids } = createCatalogue(5));
+    feed = new FeedService(repositories, { resurfaceAfterDays: 30 });
+  });
+
+  it('pages newest first without duplicates or gaps', async () => {
+    assert.deepEqual(await scroll(feed, { limit: 2 }), [['v4', 'v3'], ['v2', 'v1'], ['v0']]);
+  });
+
+  it('keeps to the snapshot when videos are added while scrolling', async () => {
+    const first = await feed.getPage({ limit: 2 });
+    await tick();
+    repositories.videos.insert({ title: 'new' });
+
+    const second = await feed.getPage({ limit: 10, cursor: first.pagination.nextCursor });
+    assert.deepEqual(second.videos.map(video => video.title), ['v2', 'v1', 'v0']);
+    assert.equal(second.pagination.snapshotAt, first.pagination.snapshotAt);
+
+    const restarted = await feed.getPage({ limit: 10, snapshot: first.pagination.snapshotId });
+    assert.ok(!restarted.videos.some(video => video.title === 'new'));
+  });
+
+  it('serves videos the viewer has seen after the unseen ones', async () => {
+    await repositories.interactions.record(USER, ids[4], 'like');
+    await repositories.interactions.recordViewHeartbeat(USER, ids[2], {
+      playbackId: 'p1', position: 9.5, watchedSeconds: 9.5, duration: 10, muted: false, loopCount: 0,
+    });
+    // A partial watch does not count as seen
+    await repositories.interactions.recordViewHeartbeat(USER, ids[1], {
+      playbackId: 'p2', position: 2, watchedSeconds: 2, duration: 10, muted: false, loopCount: 0,
+    });
+    await tick();
+
+    assert.deepEqual(await scroll(feed, { limit: 2, identity: USER }), [['v3', 'v1'], ['v0', 'v4'], ['v2']]);
+    assert.deepEqual(await scroll(feed, { limit: 2 }), [['v4', 'v3'], ['v2', 'v1'], ['v0']]);
+  });
+
+  it('does not reorder a session for activity after its snapshot', async () => {
+    const first = await feed.getPage({ limit: 2, identity: USER });
+    await tick();
+    await repositories.interactions.record(USER, ids[1], 'like');
+
+    const rest = await feed.getPage({ limit: 10, cursor: first.pagination.nextCursor, identity: USER });
+    assert.deepEqual(rest.videos.map(video => video.title), ['v2', 'v1', 'v0']);
+  });
+
+  it('serves offset pages without the seen phase', async () => {
+    await repositories.interactions.record(USER, ids[4], 'like');
+
+    const page = await feed.getPage({ limit: 2, offset: 1, identity: USER });
+    assert.deepEqual(page.videos.map(video => video.title), ['v3', 'v2']);
+    assert.equal(page.pagination.offset, 1);
+  });
+
+  it('caps the page size', async () => {
+    const page = await feed.getPage({ limit: 500 });
+    assert.equal(page.pagination.limit, 50);
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { sniffContainer, readHead } = require('../../src/services/mediaValidation');
+
+/**
+ * A file head: the given bytes (strings as latin1) padded with zeros to 64 bytes
+ */
+function head(...parts) {
+  const bytes = Buffer.concat(parts.map(part => (Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1'))));
+  return Buffer.concat([bytes, Buffer.alloc(Math.max(0, 64 - bytes.length))]);
+}
+
+const SIZE = Buffer.from([0x00, 0x00, 0x00, 0x20]);
+const EBML = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+const ASF = Buffer.from([0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11]);
+
+describe('sniffContainer', () => {
+  it('tells ISO media files apart by their ftyp brand', () => {
+    assert.deepEqual(sniffContainer(head(SIZE, 'ftypisom')), { container: 'mp4', mimeType: 'video/mp4' });
+    assert.deepEqual(sniffContainer(head(SIZE, 'ftypmp42')), { container: 'mp4', mimeType: 'video/mp4' });
+    assert.deepEqual(sniffContainer(head(SIZE, 'ftypqt  ')), { container: 'quicktime', mimeType: 'video/quicktime' });
+    assert.deepEqual(sniffContainer(head(SIZE, 'ftypM4V ')), { container: 'm4v', mimeType: 'video/x-m4v' });
+  });
+
+  it('recognises QuickTime files without an ftyp box', () => {
+    assert.equal(sniffContainer(head(SIZE, 'moov')).container, 'quicktime');
+    assert.equal(sniffContainer(head(SIZE, 'mdat')).container, 'quicktime');
+  });
+
+  it('tells WebM from other Matroska files by the DocType', () => {
+    assert.deepEqual(sniffContainer(head(EBML, '\x42\x82\x84webm')), { container: 'webm', mimeType: 'video/webm' });
+    assert.deepEqual(sniffContainer(head(EBML, '\x42\x82\x88matroska')), { container: 'matroska', mimeType: 'video/x-matroska' });
+  });
+
+  it('recognises AVI, FLV and ASF', () => {
+    assert.equal(sniffContainer(head('RIFF\x00\x10\x00\x00AVI LIST')).container, 'avi');
+    assert.equal(sniffContainer(head('FLV\x01\x05')).container, 'flv');
+    assert.equal(sniffContainer(head(ASF)).mimeType, 'video/x-ms-wmv');
+  });
+
+  it('returns null for anything else', () => {
+    assert.equal(sniffContainer(head('RIFF\x00\x10\x00\x00WAVEfmt ')), null);
+    assert.equal(sniffContainer(head('FLV\x02')), null);
+    assert.equal(sniffContainer(head('\x89PNG\r\n\x1a\n')), null);
+    assert.equal(sniffContainer(Buffer.from('ftyp', 'latin1')), null);
+    assert.equal(sniffContainer(Buffer.alloc(0)), null);
+  });
+
+  it('recognises the fixture videos from their first bytes', async () => {
+    const bytes = await readHead(path.join(__dirname, '..', 'scroll_test1.mp4'));
+    assert.ok(bytes.length <= 64);
+    assert.equal(sniffContainer(bytes).container, 'mp4');
+  });
+});
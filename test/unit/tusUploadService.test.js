@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { TusUploadService, parseUploadMetadata, formatUploadMetadata } = require('../../src/services/tusUploadService');
+
+const base64 = value => Buffer.from(value).toString('base64');
+
+describe('parseUploadMetadata', () => {
+  it('returns no metadata for a missing header', () => {
+    assert.deepEqual(parseUploadMetadata(undefined), {});
+    assert.deepEqual(parseUploadMetadata(''), {});
+  });
+
+  it('decodes base64 values', () => {
+    const header = `filename ${base64('clip (1).mp4')},filetype ${base64('video/mp4')},title ${base64('Café ☕')}`;
+    assert.deepEqual(parseUploadMetadata(header), { filename: 'clip (1).mp4', filetype: 'video/mp4', title: 'Café ☕' });
+  });
+
+  it('reads keys without a value as empty strings', () => {
+    assert.deepEqual(parseUploadMetadata(`is_confidential,filename ${base64('a.mp4')}`), { is_confidential: '', filename: 'a.mp4' });
+  });
+
+  it('ignores whitespace around pairs and empty pairs', () => {
+    assert.deepEqual(parseUploadMetadata(` filename ${base64('a.mp4')} , ,filetype ${base64('video/webm')}`), {
+      filename: 'a.mp4',
+      filetype: 'video/webm',
+    });
+  });
+
+  it('round-trips formatUploadMetadata', () => {
+    const metadata = { filename: 'holiday.mov', filetype: 'video/quicktime' };
+    assert.deepEqual(parseUploadMetadata(formatUploadMetadata(metadata)), metadata);
+    assert.equal(formatUploadMetadata({ filename: 'a.mp4', filetype: null }), `filename ${base64('a.mp4')}`);
+  });
+});
+
+describe('TusUploadService.createUpload', () => {
+  const service = new TusUploadService({}, {}, { tempDir: path.join(os.tmpdir(), 'scrollnet-tus-test') });
+
+  it('rejects empty and invalid lengths before creating anything', async () => {
+    for (const length of [0, -1, 1.5, NaN]) {
+      await assert.rejects(service.createUpload('user', { length }), { name: 'TusError', status: 400 });
+    }
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseVideoEdit } = require('../../src/services/videoEditService');
+
+const VIDEO = { metadata: { thumbnails: [{ time: 1 }, { time: 2.5 }] } };
+
+describe('parseVideoEdit', () => {
+  it('rejects bodies that are not objects', () => {
+    for (const body of [null, 'title', ['title']]) {
+      assert.deepEqual(parseVideoEdit(body, VIDEO), { fields: {}, errors: ['Body must be a JSON object'] });
+    }
+  });
+
+  it('rejects fields that cannot be edited', () => {
+    const { fields, errors } = parseVideoEdit({ title: 'Ok', status: 'deleted', user_id: 'x' }, VIDEO);
+    assert.deepEqual(fields, { title: 'Ok' });
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^Cannot edit status, user_id;/);
+  });
+
+  it('trims titles and bounds their length', () => {
+    assert.deepEqual(parseVideoEdit({ title: '  Sunset  ' }, VIDEO).fields, { title: 'Sunset' });
+    assert.equal(parseVideoEdit({ title: '   ' }, VIDEO).errors.length, 1);
+    assert.equal(parseVideoEdit({ title: 42 }, VIDEO).errors.length, 1);
+    assert.equal(parseVideoEdit({ title: 'x'.repeat(256) }, VIDEO).errors.length, 1);
+  });
+
+  it('clears the description with null', () => {
+    assert.deepEqual(parseVideoEdit({ description: null }, VIDEO).fields, { description: '' });
+    assert.deepEqual(parseVideoEdit({ description: ' About ' }, VIDEO).fields, { description: 'About' });
+    assert.equal(parseVideoEdit({ description: 'x'.repeat(5001) }, VIDEO).errors.length, 1);
+  });
+
+  it('normalises tags and bounds them', () => {
+    assert.deepEqual(parseVideoEdit({ tags: [' cats ', 'cats', '', 'funny'] }, VIDEO).fields, { tags: ['cats', 'funny'] });
+    assert.deepEqual(parseVideoEdit({ tags: 'cats, funny' }, VIDEO).fields, { tags: ['cats', 'funny'] });
+    assert.deepEqual(parseVideoEdit({ tags: null }, VIDEO).fields, { tags: [] });
+    assert.equal(parseVideoEdit({ tags: ['cats', 1] }, VIDEO).errors.length, 1);
+    assert.equal(parseVideoEdit({ tags: Array.from({ length: 31 }, (_, i) => `t${i}`) }, VIDEO).errors.length, 1);
+    assert.equal(parseVideoEdit({ tags: ['x'.repeat(51)] }, VIDEO).errors.length, 1);
+  });
+
+  it('accepts only known visibilities', () => {
+    for (const visibility of ['public', 'unlisted', 'private']) {
+      assert.deepEqual(parseVideoEdit({ visibility }, VIDEO).fields, { visibility });
+    }
+    assert.equal(parseVideoEdit({ visibility: 'hidden' }, VIDEO).errors.length, 1);
+  });
+
+  it('takes thumbnailTime from the generated thumbnails', () => {
+    assert.deepEqual(parseVideoEdit({ thumbnailTime: 2.5 }, VIDEO).fields, { thumbnailTime: 2.5 });
+    assert.deepEqual(parseVideoEdit({ thumbnailTime: null }, VIDEO).fields, { thumbnailTime: null });
+    assert.deepEqual(parseVideoEdit({ thumbnailTime: 3 }, VIDEO).errors, ['thumbnailTime must be one of: 1, 2.5']);
+    assert.deepEqual(parseVideoEdit({ thumbnailTime: 1 }, { metadata: {} }).errors, [
+      'thumbnailTime cannot be set before thumbnails have been generated',
+    ]);
+  });
+
+  it('replaces or removes custom metadata within the size limit', () => {
+    assert.deepEqual(parseVideoEdit({ customMetadata: { series: 'A' } }, VIDEO).fields, { customMetadata: { series: 'A' } });
+    assert.deepEqual(parseVideoEdit({ customMetadata: null }, VIDEO).fields, { customMetadata: null });
+    assert.equal(parseVideoEdit({ customMetadata: ['a'] }, VIDEO).errors.length, 1);
+    assert.equal(parseVideoEdit({ customMetadata: { blob: 'x'.repeat(16 * 1024) } }, VIDEO).errors.length, 1);
+  });
+});